@@ -1,5 +1,13 @@
 const app = require('./src/app');
 const { disconnectDB } = require('./src/config/database');
+const {
+  startLeaseLifecycleJob,
+  stopLeaseLifecycleJob,
+} = require('./src/jobs/leaseLifecycle.job');
+const {
+  startSavedSearchAlertsJob,
+  stopSavedSearchAlertsJob,
+} = require('./src/jobs/savedSearchAlerts.job');
 
 const PORT = process.env.PORT || 3000;
 
@@ -8,6 +16,8 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
   
   try {
+    stopLeaseLifecycleJob();
+    stopSavedSearchAlertsJob();
     await disconnectDB();
     console.log('👋 Database disconnected successfully');
     process.exit(0);
@@ -37,4 +47,8 @@ app.listen(PORT, () => {
   console.log('🔗 API Base URL:');
   console.log(`🔗   http://localhost:${PORT}/api`);
   console.log('');
+
+  // Background jobs
+  startLeaseLifecycleJob();
+  startSavedSearchAlertsJob();
 });
@@ -0,0 +1,20 @@
+-- Prevent double-booking at the database level.
+-- Two APPROVED/ACTIVE leases for the same property may not have overlapping
+-- dates. Both startDate and endDate are inclusive, matching
+-- BookingsService.isPropertyAvailableForPeriod.
+--
+-- Prisma cannot express exclusion constraints, so run this after
+-- `prisma db push` / `prisma migrate`:
+--   pnpm run db:constraints
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE "leases" DROP CONSTRAINT IF EXISTS "leases_no_overlapping_bookings";
+
+ALTER TABLE "leases"
+  ADD CONSTRAINT "leases_no_overlapping_bookings"
+  EXCLUDE USING gist (
+    "propertyId" WITH =,
+    tsrange("startDate", "endDate", '[]') WITH &&
+  )
+  WHERE ("status" IN ('APPROVED', 'ACTIVE'));
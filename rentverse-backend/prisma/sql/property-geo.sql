@@ -0,0 +1,42 @@
+-- Geo search for properties (radius, polygon and point-of-interest search).
+--
+-- Keeps "properties"."geom" in sync with latitude/longitude on every write,
+-- including seeds and admin tools that bypass PropertiesService, and adds a
+-- geography index for ST_DWithin radius queries. The geometry GiST index is
+-- declared in schema.prisma. Run after `prisma db push` / `prisma migrate`
+-- (safe to run again at any time):
+--   pnpm run db:geo
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+CREATE OR REPLACE FUNCTION properties_sync_geom()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW."latitude" IS NULL OR NEW."longitude" IS NULL THEN
+    NEW."geom" := NULL;
+  ELSE
+    NEW."geom" := ST_SetSRID(ST_MakePoint(NEW."longitude", NEW."latitude"), 4326);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS "properties_sync_geom" ON "properties";
+
+CREATE TRIGGER "properties_sync_geom"
+  BEFORE INSERT OR UPDATE OF "latitude", "longitude" ON "properties"
+  FOR EACH ROW
+  EXECUTE FUNCTION properties_sync_geom();
+
+-- Backfill rows written before the trigger existed
+UPDATE "properties"
+SET "geom" = CASE
+  WHEN "latitude" IS NULL OR "longitude" IS NULL THEN NULL
+  ELSE ST_SetSRID(ST_MakePoint("longitude", "latitude"), 4326)
+END;
+
+-- Distances are measured in meters on the geography type
+CREATE INDEX IF NOT EXISTS "properties_geog_idx"
+  ON "properties" USING gist (("geom"::geography));
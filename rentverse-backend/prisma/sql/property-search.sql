@@ -0,0 +1,47 @@
+-- Full-text search for properties (GET /api/properties?q=...).
+--
+-- "searchVector" is declared in schema.prisma, but Prisma cannot express the
+-- function that builds it or trigram indexes, so run this after
+-- `prisma db push` / `prisma migrate` (safe to run again at any time):
+--   pnpm run db:search
+--
+-- PropertiesService refreshes the vector through property_search_vector()
+-- whenever a property is created or updated. The UPDATE below backfills
+-- existing rows.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weights: A = title, B = project, developer and location, C = amenity names,
+-- D = description. The 'simple' configuration is used because listings mix
+-- English and Bahasa Malaysia, so no language-specific stemming is applied.
+CREATE OR REPLACE FUNCTION property_search_vector(property_id TEXT)
+RETURNS tsvector
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    setweight(to_tsvector('simple', coalesce(p."title", '')), 'A') ||
+    setweight(to_tsvector('simple', concat_ws(' ', p."projectName", p."developer")), 'B') ||
+    setweight(to_tsvector('simple', concat_ws(' ', p."address", p."city", p."state")), 'B') ||
+    setweight(to_tsvector('simple', coalesce((
+      SELECT string_agg(a."name", ' ')
+      FROM "property_amenities" pa
+      INNER JOIN "amenities" a ON a."id" = pa."amenityId"
+      WHERE pa."propertyId" = p."id"
+    ), '')), 'C') ||
+    setweight(to_tsvector('simple', coalesce(p."description", '')), 'D')
+  FROM "properties" p
+  WHERE p."id" = property_id
+$$;
+
+UPDATE "properties" SET "searchVector" = property_search_vector("id");
+
+-- Typo tolerance: trigram indexes for the word_similarity (<%) fallback
+CREATE INDEX IF NOT EXISTS "properties_title_trgm_idx"
+  ON "properties" USING gin ("title" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS "properties_city_trgm_idx"
+  ON "properties" USING gin ("city" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS "properties_project_name_trgm_idx"
+  ON "properties" USING gin ("projectName" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS "properties_developer_trgm_idx"
+  ON "properties" USING gin ("developer" gin_trgm_ops);
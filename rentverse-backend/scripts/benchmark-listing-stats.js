@@ -0,0 +1,160 @@
+/**
+ * Listing enrichment benchmark.
+ *
+ * Compares the per-page cost of adding view counts, rating stats and
+ * favorite info to listing pages the old way (one query pass per aggregate)
+ * with the single getListingStats query, checks that both return the same
+ * numbers, and times the featured and listing endpoints end to end.
+ *
+ * Run against a seeded database (pnpm run db:seed):
+ *   node scripts/benchmark-listing-stats.js
+ *
+ * Optional: ITERATIONS (default 50), PAGE_SIZE (default 10),
+ * USER_ID (checks isFavorited for that user, default: first USER account).
+ */
+require('dotenv').config();
+
+const { prisma } = require('../src/config/database');
+const propertyViewsRepository = require('../src/modules/propertyViews/propertyViews.repository');
+const propertiesRepository = require('../src/modules/properties/properties.repository');
+const propertiesService = require('../src/modules/properties/properties.service');
+
+const ITERATIONS = parseInt(process.env.ITERATIONS) || 50;
+const PAGE_SIZE = parseInt(process.env.PAGE_SIZE) || 10;
+
+// The enrichment before getListingStats: three passes, four queries
+async function legacyListingStats(propertyIds, userId) {
+  const viewCounts = await propertyViewsRepository.getViewCounts(propertyIds);
+  const ratingStats =
+    await propertyViewsRepository.getRatingStatsMultiple(propertyIds);
+  const [favoriteStatus, favoriteCounts] = await Promise.all([
+    userId
+      ? propertyViewsRepository.getFavoriteStatus(propertyIds, userId)
+      : null,
+    propertyViewsRepository.getFavoriteCounts(propertyIds),
+  ]);
+
+  const result = {};
+  propertyIds.forEach(id => {
+    result[id] = {
+      viewCount: viewCounts[id] || 0,
+      averageRating: ratingStats[id]?.averageRating || 0,
+      totalRatings: ratingStats[id]?.totalRatings || 0,
+      favoriteCount: favoriteCounts[id] || 0,
+      isFavorited: favoriteStatus ? favoriteStatus[id] : false,
+    };
+  });
+  return result;
+}
+
+async function time(fn) {
+  const durations = [];
+  // Warm up the connection pool and query plans
+  await fn();
+  for (let i = 0; i < ITERATIONS; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+  const percentile = p =>
+    durations[Math.min(durations.length - 1, Math.floor(p * durations.length))];
+  return {
+    median: percentile(0.5),
+    p95: percentile(0.95),
+  };
+}
+
+const ms = value => `${value.toFixed(2).padStart(8)} ms`;
+
+function report(label, before, after) {
+  const speedup = (before.median / after.median).toFixed(1);
+  console.log(
+    `${label.padEnd(24)} ${ms(before.median)} ${ms(after.median)} ${ms(before.p95)} ${ms(after.p95)} ${speedup.padStart(6)}x`
+  );
+}
+
+function assertSameStats(label, legacy, current) {
+  for (const id of Object.keys(legacy)) {
+    for (const field of Object.keys(legacy[id])) {
+      if (legacy[id][field] !== current[id]?.[field]) {
+        throw new Error(
+          `${label}: ${field} of ${id} differs (${legacy[id][field]} vs ${current[id]?.[field]})`
+        );
+      }
+    }
+  }
+}
+
+async function main() {
+  const userId =
+    process.env.USER_ID ||
+    (await prisma.user.findFirst({ where: { role: 'USER' } }))?.id ||
+    null;
+
+  const [featured, listing] = await Promise.all([
+    propertiesRepository.findFeaturedProperties({ take: 8 }),
+    prisma.property.findMany({
+      where: { status: 'APPROVED' },
+      take: PAGE_SIZE,
+      select: { id: true },
+    }),
+  ]);
+
+  if (listing.length === 0) {
+    throw new Error(
+      'No approved properties found. Run pnpm run db:seed first.'
+    );
+  }
+
+  console.log(
+    `Listing enrichment, ${ITERATIONS} iterations, user ${userId || 'anonymous'}\n`
+  );
+  console.log(
+    `${'Page'.padEnd(24)} ${'before'.padStart(11)} ${'after'.padStart(11)} ${'p95 before'.padStart(11)} ${'p95 after'.padStart(11)} speedup`
+  );
+
+  for (const [label, rows] of [
+    [`featured (${featured.length})`, featured],
+    [`listing (${listing.length})`, listing],
+  ]) {
+    const ids = rows.map(row => row.id);
+    assertSameStats(
+      label,
+      await legacyListingStats(ids, userId),
+      await propertyViewsRepository.getListingStats(ids, userId)
+    );
+
+    report(
+      label,
+      await time(() => legacyListingStats(ids, userId)),
+      await time(() => propertyViewsRepository.getListingStats(ids, userId))
+    );
+  }
+
+  console.log('\nEndpoints (service layer, after)');
+  const featuredEndpoint = await time(() =>
+    propertiesService.getFeaturedProperties(1, 8, userId)
+  );
+  const listingEndpoint = await time(() =>
+    propertiesService.getAllProperties(
+      { page: 1, limit: PAGE_SIZE },
+      {},
+      userId
+    )
+  );
+  console.log(
+    `GET /api/properties/featured  median ${ms(featuredEndpoint.median)}, p95 ${ms(featuredEndpoint.p95)}`
+  );
+  console.log(
+    `GET /api/properties           median ${ms(listingEndpoint.median)}, p95 ${ms(listingEndpoint.p95)}`
+  );
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,196 @@
+/**
+ * Repeatable double-booking check.
+ *
+ * Applies prisma/sql/lease-overlap-constraint.sql, creates a throwaway
+ * landlord, tenant and property, then inserts overlapping APPROVED leases
+ * in parallel (each on its own pool connection) and verifies that the
+ * database accepts exactly one of them. Back-to-back leases must still be
+ * accepted. Everything it creates is removed afterwards.
+ *
+ * Needs a database with the schema applied (npx prisma db push):
+ *   pnpm run check:bookings
+ *
+ * Optional: CONCURRENCY (default 10).
+ * The fixture helpers are shared with test/bookings.concurrency.test.js,
+ * which runs the same race through BookingsController.createBooking.
+ * For the check through the HTTP API of a running server, see
+ * scripts/concurrent-bookings.js.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../src/config/database');
+const bookingsService = require('../src/modules/bookings/bookings.service');
+
+const CONCURRENCY = parseInt(process.env.CONCURRENCY) || 10;
+const CONSTRAINT_FILE = path.join(
+  __dirname,
+  '../prisma/sql/lease-overlap-constraint.sql'
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run the constraint file one statement at a time, like db:constraints
+async function applyConstraint() {
+  const statements = fs
+    .readFileSync(CONSTRAINT_FILE, 'utf8')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(';')
+    .map(statement => statement.trim())
+    .filter(Boolean);
+
+  for (const statement of statements) {
+    await prisma.$executeRawUnsafe(statement);
+  }
+}
+
+async function createFixtures(tag) {
+  const [landlord, tenant] = await Promise.all(
+    ['landlord', 'tenant'].map(role =>
+      prisma.user.create({
+        data: {
+          email: `${tag}-${role}@example.com`,
+          name: `Double booking check ${role}`,
+          password: 'not-a-login',
+        },
+      })
+    )
+  );
+
+  const propertyType = await prisma.propertyType.create({
+    data: { code: tag, name: 'Double booking check' },
+  });
+
+  const property = await prisma.property.create({
+    data: {
+      code: tag,
+      title: 'Double booking check',
+      address: '-',
+      city: '-',
+      state: '-',
+      zipCode: '-',
+      price: 1000,
+      ownerId: landlord.id,
+      propertyTypeId: propertyType.id,
+    },
+  });
+
+  return { landlord, tenant, propertyType, property };
+}
+
+async function removeFixtures({ landlord, tenant, propertyType, property }) {
+  await prisma.lease.deleteMany({ where: { propertyId: property.id } });
+  await prisma.property.delete({ where: { id: property.id } });
+  await prisma.propertyType.delete({ where: { id: propertyType.id } });
+  await prisma.user.deleteMany({
+    where: { id: { in: [landlord.id, tenant.id] } },
+  });
+}
+
+function insertLease(fixtures, startDate, endDate) {
+  return prisma.lease.create({
+    data: {
+      startDate,
+      endDate,
+      rentAmount: 1000,
+      status: 'APPROVED',
+      propertyId: fixtures.property.id,
+      tenantId: fixtures.tenant.id,
+      landlordId: fixtures.landlord.id,
+    },
+  });
+}
+
+async function main() {
+  console.log('🔒 Applying lease overlap constraint...');
+  await applyConstraint();
+
+  const tag = `double-booking-check-${uuidv4()}`;
+  const fixtures = await createFixtures(tag);
+  let failed = false;
+
+  try {
+    const start = new Date(Date.UTC(new Date().getUTCFullYear() + 1, 0, 1));
+    const end = new Date(start.getTime() + 29 * DAY_MS);
+
+    console.log(
+      `🚀 Inserting ${CONCURRENCY} overlapping leases in parallel for ${fixtures.property.id}`
+    );
+
+    // Every window overlaps the others on at least the day `end`
+    const results = await Promise.allSettled(
+      Array.from({ length: CONCURRENCY }, (_, index) =>
+        insertLease(
+          fixtures,
+          new Date(start.getTime() + index * DAY_MS),
+          new Date(end.getTime() + index * DAY_MS)
+        )
+      )
+    );
+
+    const created = results.filter(r => r.status === 'fulfilled').length;
+    const conflicts = results.filter(
+      r =>
+        r.status === 'rejected' &&
+        bookingsService.isBookingConflictError(r.reason)
+    ).length;
+    const other = results.filter(
+      r =>
+        r.status === 'rejected' &&
+        !bookingsService.isBookingConflictError(r.reason)
+    );
+
+    console.log(`  Created: ${created}, overlap rejected: ${conflicts}`);
+    other.forEach(r =>
+      console.error(`  Unexpected error: ${r.reason.message}`)
+    );
+
+    if (created !== 1 || conflicts !== CONCURRENCY - 1) {
+      console.error('❌ Expected exactly one overlapping lease to be accepted');
+      failed = true;
+    }
+
+    // Leases that only touch must not be rejected: dates are inclusive, so
+    // the next lease starts the day after the accepted one ends
+    const accepted = await prisma.lease.findFirst({
+      where: { propertyId: fixtures.property.id },
+    });
+    const nextStart = new Date(
+      (accepted ? accepted.endDate : end).getTime() + DAY_MS
+    );
+
+    try {
+      await insertLease(
+        fixtures,
+        nextStart,
+        new Date(nextStart.getTime() + 29 * DAY_MS)
+      );
+      console.log('  Back-to-back lease accepted');
+    } catch (error) {
+      console.error(`❌ Back-to-back lease was rejected: ${error.message}`);
+      failed = true;
+    }
+  } finally {
+    await removeFixtures(fixtures);
+    await prisma.$disconnect();
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+
+  console.log('🎉 No double booking');
+}
+
+if (require.main === module) {
+  main().catch(async error => {
+    console.error('❌ Double booking check failed:', error.message);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { applyConstraint, createFixtures, removeFixtures };
@@ -0,0 +1,97 @@
+/**
+ * Double-booking race check.
+ *
+ * Fires several booking requests for the same property and dates at once
+ * against a running server and verifies that exactly one succeeds while the
+ * others get 409 Conflict.
+ *
+ * Usage:
+ *   API_URL=http://localhost:3000 \
+ *   TOKENS=<jwt1>,<jwt2>,... \
+ *   PROPERTY_ID=<uuid> \
+ *   node scripts/concurrent-bookings.js
+ *
+ * Optional: START_DATE, END_DATE (ISO dates), CONCURRENCY (default 10).
+ * Tokens are reused round-robin, so one tenant token is enough.
+ * The database constraint itself is checked by `pnpm run check:bookings`,
+ * and the same race runs in `pnpm test` when TEST_DATABASE_URL is set.
+ */
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+const TOKENS = (process.env.TOKENS || '').split(',').filter(Boolean);
+const PROPERTY_ID = process.env.PROPERTY_ID;
+const CONCURRENCY = parseInt(process.env.CONCURRENCY) || 10;
+
+// Default to a random month-long window next year to avoid existing leases
+const defaultStart = new Date(
+  Date.UTC(new Date().getUTCFullYear() + 1, Math.floor(Math.random() * 12), 1)
+);
+const START_DATE = process.env.START_DATE || defaultStart.toISOString();
+const END_DATE =
+  process.env.END_DATE ||
+  new Date(defaultStart.getTime() + 29 * 24 * 60 * 60 * 1000).toISOString();
+
+async function book(index) {
+  const token = TOKENS[index % TOKENS.length];
+
+  try {
+    const response = await axios.post(
+      `${API_URL}/api/bookings`,
+      {
+        propertyId: PROPERTY_ID,
+        startDate: START_DATE,
+        endDate: END_DATE,
+        rentAmount: 1000,
+        notes: `Concurrency check #${index + 1}`,
+      },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 60000,
+      }
+    );
+    return { status: response.status, id: response.data.data?.booking?.id };
+  } catch (error) {
+    return {
+      status: error.response?.status || 'ERR',
+      message: error.response?.data?.message || error.message,
+    };
+  }
+}
+
+async function main() {
+  if (!PROPERTY_ID || TOKENS.length === 0) {
+    console.error('❌ PROPERTY_ID and TOKENS are required');
+    process.exit(1);
+  }
+
+  console.log(
+    `🚀 Sending ${CONCURRENCY} parallel bookings for ${PROPERTY_ID} (${START_DATE} → ${END_DATE})`
+  );
+
+  const results = await Promise.all(
+    Array.from({ length: CONCURRENCY }, (_, index) => book(index))
+  );
+
+  results.forEach((result, index) => {
+    console.log(
+      `  #${index + 1}: ${result.status}${result.id ? ` (booking ${result.id})` : ''}${result.message ? ` - ${result.message}` : ''}`
+    );
+  });
+
+  const created = results.filter(result => result.status === 201).length;
+  const conflicts = results.filter(result => result.status === 409).length;
+
+  console.log(`\n✅ Created: ${created}, 409 Conflict: ${conflicts}`);
+
+  if (created !== 1 || created + conflicts !== results.length) {
+    console.error(
+      '❌ Expected exactly one booking to succeed and the rest to conflict'
+    );
+    process.exit(1);
+  }
+
+  console.log('🎉 No double booking');
+}
+
+main();
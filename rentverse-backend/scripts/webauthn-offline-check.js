@@ -0,0 +1,215 @@
+/**
+ * Offline passkey check.
+ *
+ * Runs passkey registration, passwordless login and passkey second factor
+ * through webauthn.service with the software authenticator, against an
+ * in-memory stand-in for the webAuthnChallenge and webAuthnCredential
+ * tables. Needs no database, server or browser:
+ *   pnpm run webauthn:test
+ *
+ * Exits with code 1 on the first failed check.
+ */
+process.env.WEBAUTHN_ORIGIN = 'http://localhost:3000';
+process.env.WEBAUTHN_RP_ID = 'localhost';
+
+const assert = require('assert');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const SoftwareAuthenticator = require('./webauthn-software-authenticator');
+
+// Enough of the Prisma query API for webauthn.service
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition instanceof Object && !(condition instanceof Date)) {
+      if ('gt' in condition) return row[key] > condition.gt;
+      if ('lt' in condition) return row[key] < condition.lt;
+    }
+    return row[key] === condition;
+  });
+}
+
+function createModel(defaults = {}) {
+  const rows = [];
+  const pick = (row, select) =>
+    select
+      ? Object.fromEntries(Object.keys(select).map(key => [key, row[key]]))
+      : { ...row };
+
+  return {
+    rows,
+    async create({ data, select }) {
+      const row = { id: randomUUID(), ...defaults, ...data };
+      rows.push(row);
+      return pick(row, select);
+    },
+    async findUnique({ where, select }) {
+      const row = rows.find(item => matches(item, where));
+      return row ? pick(row, select) : null;
+    },
+    async findMany({ where, select }) {
+      return rows
+        .filter(item => matches(item, where))
+        .map(item => pick(item, select));
+    },
+    async count({ where }) {
+      return rows.filter(item => matches(item, where)).length;
+    },
+    async update({ where, data }) {
+      const row = rows.find(item => matches(item, where));
+      Object.assign(row, data);
+      return { ...row };
+    },
+    async deleteMany({ where }) {
+      const removed = rows.filter(item => matches(item, where));
+      removed.forEach(item => rows.splice(rows.indexOf(item), 1));
+      return { count: removed.length };
+    },
+  };
+}
+
+const prisma = {
+  webAuthnChallenge: createModel(),
+  webAuthnCredential: createModel({ counter: 0, lastUsedAt: null }),
+};
+
+const databasePath = path.join(__dirname, '../src/config/database.js');
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: { prisma },
+};
+
+const webauthnService = require('../src/services/webauthn.service');
+
+async function rejects(promise, message) {
+  await assert.rejects(promise, error => error.message === message);
+}
+
+const checks = [
+  [
+    'registers a passkey',
+    async ({ user, authenticator }) => {
+      const options = await webauthnService.createRegistrationOptions(user);
+      const credential = await webauthnService.verifyRegistration(
+        user.id,
+        authenticator.createCredential(options),
+        'Software authenticator'
+      );
+
+      assert.strictEqual(credential.name, 'Software authenticator');
+      assert.strictEqual(prisma.webAuthnCredential.rows.length, 1);
+      assert.strictEqual(prisma.webAuthnChallenge.rows.length, 0);
+    },
+  ],
+  [
+    'rejects a registration for another user',
+    async ({ user, authenticator }) => {
+      const options = await webauthnService.createRegistrationOptions(user);
+      await rejects(
+        webauthnService.verifyRegistration(
+          randomUUID(),
+          authenticator.createCredential(options)
+        ),
+        'Invalid or expired challenge'
+      );
+    },
+  ],
+  [
+    'logs in without a password and bumps the counter',
+    async ({ user, authenticator }) => {
+      const options = await webauthnService.createAuthenticationOptions();
+      assert.deepStrictEqual(options.allowCredentials, []);
+
+      const userId = await webauthnService.verifyAuthentication(
+        authenticator.getAssertion(options)
+      );
+
+      assert.strictEqual(userId, user.id);
+      assert.strictEqual(prisma.webAuthnCredential.rows[0].counter, 1);
+      assert.ok(prisma.webAuthnCredential.rows[0].lastUsedAt);
+    },
+  ],
+  [
+    'rejects a replayed login',
+    async ({ authenticator }) => {
+      const options = await webauthnService.createAuthenticationOptions();
+      const response = authenticator.getAssertion(options);
+
+      await webauthnService.verifyAuthentication(response);
+      await rejects(
+        webauthnService.verifyAuthentication(response),
+        'Invalid or expired challenge'
+      );
+    },
+  ],
+  [
+    'accepts a passkey as second factor only for its user',
+    async ({ user, authenticator }) => {
+      const options = await webauthnService.createAuthenticationOptions({
+        userId: user.id,
+        secondFactor: true,
+      });
+      assert.strictEqual(options.allowCredentials.length, 1);
+
+      const userId = await webauthnService.verifyAuthentication(
+        authenticator.getAssertion(options),
+        { userId: user.id, secondFactor: true }
+      );
+      assert.strictEqual(userId, user.id);
+
+      const other = await webauthnService.createAuthenticationOptions({
+        userId: user.id,
+        secondFactor: true,
+      });
+      await rejects(
+        webauthnService.verifyAuthentication(
+          authenticator.getAssertion(other),
+          { userId: randomUUID(), secondFactor: true }
+        ),
+        'Invalid or expired challenge'
+      );
+    },
+  ],
+  [
+    'rejects a login signed for another origin',
+    async ({ authenticator }) => {
+      const phishing = new SoftwareAuthenticator({
+        origin: 'http://evil.example',
+        rpId: 'localhost',
+      });
+      phishing.credentials = authenticator.credentials;
+
+      const options = await webauthnService.createAuthenticationOptions();
+      await rejects(
+        webauthnService.verifyAuthentication(phishing.getAssertion(options)),
+        'Passkey verification failed'
+      );
+    },
+  ],
+];
+
+async function main() {
+  const context = {
+    user: { id: randomUUID(), email: 'tenant@example.com', name: 'Tenant' },
+    authenticator: new SoftwareAuthenticator({
+      origin: process.env.WEBAUTHN_ORIGIN,
+    }),
+  };
+
+  // Checks run in order: later ones use the passkey registered first
+  for (const [name, check] of checks) {
+    try {
+      await check(context);
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  console.log('🎉 Passkey ceremonies pass offline');
+}
+
+main();
@@ -0,0 +1,287 @@
+/**
+ * Software WebAuthn authenticator.
+ *
+ * Answers the options of /api/auth/webauthn/* like a browser with a platform
+ * passkey would, using an in-memory P-256 key, so passkey registration and
+ * login can be exercised without a browser or hardware key.
+ *
+ *   const SoftwareAuthenticator = require('./scripts/webauthn-software-authenticator');
+ *   const authenticator = new SoftwareAuthenticator({ origin: 'http://localhost:3000' });
+ *   const response = authenticator.createCredential(options);
+ *
+ * Run directly to add a passkey to an account and log in with it against a
+ * running server:
+ *   ACCESS_TOKEN=<jwt> node scripts/webauthn-software-authenticator.js
+ *   EMAIL=user@example.com PASSWORD=... node scripts/webauthn-software-authenticator.js
+ *
+ * Optional: API_URL (default http://localhost:3000). The origin and RP ID
+ * follow WEBAUTHN_ORIGIN / FRONTEND_URL and WEBAUTHN_RP_ID like the server.
+ */
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+// Minimal CBOR encoder (RFC 8949) for attestation objects and COSE keys
+function cborHead(majorType, length) {
+  if (length < 24) {
+    return Buffer.from([(majorType << 5) | length]);
+  }
+  if (length < 256) {
+    return Buffer.from([(majorType << 5) | 24, length]);
+  }
+  const head = Buffer.alloc(3);
+  head[0] = (majorType << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+}
+
+function cborEncode(value) {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([cborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, text.length), text]);
+  }
+  if (value instanceof Map) {
+    return Buffer.concat([
+      cborHead(5, value.size),
+      ...[...value].flatMap(([key, item]) => [
+        cborEncode(key),
+        cborEncode(item),
+      ]),
+    ]);
+  }
+  throw new Error(`Cannot CBOR encode ${typeof value}`);
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+// Authenticator data flags
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL_DATA = 0x40;
+
+class SoftwareAuthenticator {
+  /**
+   * @param {Object} options
+   * @param {string} options.origin - Origin the "browser" is on
+   * @param {string} [options.rpId] - Defaults to the origin's hostname
+   */
+  constructor({ origin, rpId }) {
+    this.origin = origin;
+    this.rpId = rpId || new URL(origin).hostname;
+    this.credentials = new Map();
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(
+      JSON.stringify({
+        type,
+        challenge,
+        origin: this.origin,
+        crossOrigin: false,
+      })
+    );
+  }
+
+  authenticatorData(flags, counter, attestedCredentialData = Buffer.alloc(0)) {
+    const header = Buffer.alloc(37);
+    sha256(this.rpId).copy(header, 0);
+    header[32] = flags;
+    header.writeUInt32BE(counter, 33);
+    return Buffer.concat([header, attestedCredentialData]);
+  }
+
+  /**
+   * navigator.credentials.create() with "none" attestation
+   * @param {Object} options - PublicKeyCredentialCreationOptionsJSON
+   * @returns {Object} RegistrationResponseJSON
+   */
+  createCredential(options) {
+    if (options.rp.id && options.rp.id !== this.rpId) {
+      throw new Error(`RP ID ${options.rp.id} does not match ${this.rpId}`);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'P-256',
+    });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const credentialId = crypto.randomBytes(16);
+
+    // COSE EC2 key: kty EC2, alg ES256, crv P-256, x, y
+    const coseKey = cborEncode(
+      new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')],
+      ])
+    );
+
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+    const authData = this.authenticatorData(
+      USER_PRESENT | USER_VERIFIED | ATTESTED_CREDENTIAL_DATA,
+      0,
+      Buffer.concat([
+        Buffer.alloc(16), // AAGUID
+        credentialIdLength,
+        credentialId,
+        coseKey,
+      ])
+    );
+
+    const id = credentialId.toString('base64url');
+    this.credentials.set(id, {
+      privateKey,
+      userHandle: options.user.id,
+      counter: 0,
+    });
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.clientData(
+          'webauthn.create',
+          options.challenge
+        ).toString('base64url'),
+        attestationObject: cborEncode(
+          new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', authData],
+          ])
+        ).toString('base64url'),
+        transports: ['internal'],
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: 'platform',
+    };
+  }
+
+  /**
+   * navigator.credentials.get()
+   * @param {Object} options - PublicKeyCredentialRequestOptionsJSON
+   * @returns {Object} AuthenticationResponseJSON
+   */
+  getAssertion(options) {
+    const allowed = (options.allowCredentials || []).map(item => item.id);
+    const id = [...this.credentials.keys()].find(
+      key => allowed.length === 0 || allowed.includes(key)
+    );
+    if (!id) {
+      throw new Error('No matching credential on this authenticator');
+    }
+
+    const credential = this.credentials.get(id);
+    credential.counter += 1;
+
+    const authData = this.authenticatorData(
+      USER_PRESENT | USER_VERIFIED,
+      credential.counter
+    );
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.concat([authData, sha256(clientDataJSON)]),
+      credential.privateKey
+    );
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: credential.userHandle,
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: 'platform',
+    };
+  }
+}
+
+async function request(path, body, token) {
+  const apiUrl = process.env.API_URL || 'http://localhost:3000';
+  const response = await fetch(`${apiUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body || {}),
+  });
+  const result = await response.json();
+
+  if (!response.ok || !result.success) {
+    throw new Error(`${path} failed (${response.status}): ${result.message}`);
+  }
+  return result.data;
+}
+
+async function main() {
+  let token = process.env.ACCESS_TOKEN;
+  if (!token) {
+    const login = await request('/api/auth/login', {
+      email: process.env.EMAIL,
+      password: process.env.PASSWORD,
+    });
+    if (login.requiresMfa) {
+      throw new Error(
+        'This account uses MFA. Log in first and pass ACCESS_TOKEN instead.'
+      );
+    }
+    token = login.token;
+  }
+
+  const origin = (
+    process.env.WEBAUTHN_ORIGIN ||
+    process.env.FRONTEND_URL ||
+    'http://localhost:3000'
+  )
+    .split(',')[0]
+    .trim();
+  const authenticator = new SoftwareAuthenticator({
+    origin,
+    rpId: process.env.WEBAUTHN_RP_ID,
+  });
+
+  const registration = await request(
+    '/api/auth/webauthn/register/options',
+    {},
+    token
+  );
+  const { credential } = await request(
+    '/api/auth/webauthn/register/verify',
+    {
+      response: authenticator.createCredential(registration.options),
+      name: 'Software authenticator',
+    },
+    token
+  );
+  console.log(`✅ Passkey added: ${credential.name} (${credential.id})`);
+
+  const authentication = await request('/api/auth/webauthn/login/options');
+  const login = await request('/api/auth/webauthn/login/verify', {
+    response: authenticator.getAssertion(authentication.options),
+  });
+  console.log(`✅ Passwordless login as ${login.user.email}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Passkey check failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = SoftwareAuthenticator;
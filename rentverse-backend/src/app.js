@@ -1,4 +1,10 @@
 require('dotenv').config();
+
+// Access tokens and the MFA/OTP keys are all derived from JWT_SECRET
+if (!process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set');
+}
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -10,7 +16,13 @@ const swaggerSpecs = require('./config/swagger');
 const sessionMiddleware = require('./middleware/session');
 
 // Security middlewares
-const { globalLimiter, authLimiter, apiLimiter } = require('./middleware/rateLimit');
+const {
+  globalLimiter,
+  authLimiter,
+  sessionLimiter,
+  sessionIpLimiter,
+  apiLimiter,
+} = require('./middleware/rateLimit');
 const { httpsEnforcement, additionalSecurityHeaders, securityLogger } = require('./middleware/security');
 
 const app = express();
@@ -168,7 +180,14 @@ app.use((req, res, next) => {
 });
 
 app.use(morgan('combined'));
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw body for payment webhook signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Session middleware (required for OAuth)
@@ -236,25 +255,39 @@ app.use(
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const webauthnRoutes = require('./routes/webauthn');
 const uploadRoutes = require('./routes/upload');
 const adminRoutes = require('./routes/admin');
 const userRoutes = require('./modules/users/users.routes');
 const propertyRoutes = require('./modules/properties/properties.routes');
 const bookingRoutes = require('./modules/bookings/bookings.routes');
+const invoiceRoutes = require('./modules/invoices/invoices.routes');
+const paymentRoutes = require('./modules/payments/payments.routes');
 const propertyTypeRoutes = require('./modules/propertyTypes/propertyTypes.routes');
 const amenityRoutes = require('./modules/amenities/amenities.routes');
 const predictionRoutes = require('./modules/predictions/predictions.routes');
+const agreementRoutes = require('./modules/agreements/agreements.routes');
+const agreementTemplateRoutes = require('./modules/agreementTemplates/agreementTemplates.routes');
+const pointOfInterestRoutes = require('./modules/pointsOfInterest/pointsOfInterest.routes');
+const savedSearchRoutes = require('./modules/savedSearches/savedSearches.routes');
 
 // Use routes with rate limiting
-app.use('/api/auth', authLimiter, authRoutes); // Stricter rate limit for auth
+app.use('/api/auth/webauthn', authLimiter, webauthnRoutes); // Passkeys
+app.use('/api/auth', authLimiter, sessionIpLimiter, sessionLimiter, authRoutes); // Stricter rate limit for auth, per-session and per-IP limits for session routes
 app.use('/api/upload', uploadRoutes);
 app.use('/api/admin', apiLimiter, adminRoutes); // Admin dashboard routes
 app.use('/api/users', apiLimiter, userRoutes);
 app.use('/api/properties', apiLimiter, propertyRoutes);
 app.use('/api/bookings', apiLimiter, bookingRoutes);
+app.use('/api/invoices', apiLimiter, invoiceRoutes);
+app.use('/api/payments', apiLimiter, paymentRoutes);
 app.use('/api/property-types', apiLimiter, propertyTypeRoutes);
 app.use('/api/amenities', apiLimiter, amenityRoutes);
+app.use('/api/points-of-interest', apiLimiter, pointOfInterestRoutes);
+app.use('/api/saved-searches', apiLimiter, savedSearchRoutes);
 app.use('/api/predictions', apiLimiter, predictionRoutes);
+app.use('/api/agreements', apiLimiter, agreementRoutes); // Public agreement verification
+app.use('/api/agreement-templates', apiLimiter, agreementTemplateRoutes);
 
 /**
  * @swagger
@@ -44,6 +44,39 @@ const swaggerOptions = {
           bearerFormat: 'JWT',
         },
       },
+      // Cursor pagination shared by list endpoints (src/utils/pagination.js)
+      parameters: {
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description:
+            'Use cursor pagination: pass an empty value for the first page, then the nextCursor of the previous page. The response data becomes { items, nextCursor, total? } and page is ignored.',
+        },
+        IncludeTotal: {
+          in: 'query',
+          name: 'includeTotal',
+          schema: { type: 'boolean', default: false },
+          description: 'With cursor pagination, also return the total count',
+        },
+      },
+      schemas: {
+        CursorPage: {
+          type: 'object',
+          properties: {
+            items: { type: 'array', items: {} },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Cursor for the next page, null on the last page',
+            },
+            total: {
+              type: 'integer',
+              description: 'Only returned when includeTotal=true',
+            },
+          },
+        },
+      },
     },
     security: [
       {
@@ -0,0 +1,65 @@
+const leaseLifecycleService = require('../services/leaseLifecycle.service');
+
+// Run every hour by default
+const INTERVAL_MS =
+  (parseInt(process.env.LEASE_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Activate leases whose start date has been reached and complete leases
+ * whose end date has passed.
+ * @returns {Promise<Object>} { activated, completed }
+ */
+async function runLeaseLifecycleJob() {
+  // Skip if the previous run is still in progress
+  if (isRunning) {
+    return { activated: 0, completed: 0, skipped: true };
+  }
+
+  isRunning = true;
+  try {
+    const now = new Date();
+    const activated = await leaseLifecycleService.activateStartedLeases(now);
+    const completed = await leaseLifecycleService.completeEndedLeases(now);
+
+    if (activated > 0 || completed > 0) {
+      console.log(
+        `📅 Lease lifecycle job: ${activated} activated, ${completed} completed`
+      );
+    }
+
+    return { activated, completed };
+  } catch (error) {
+    console.error('❌ Lease lifecycle job failed:', error.message);
+    return { activated: 0, completed: 0, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startLeaseLifecycleJob() {
+  if (timer) return;
+
+  runLeaseLifecycleJob();
+  timer = setInterval(runLeaseLifecycleJob, INTERVAL_MS);
+  timer.unref();
+
+  console.log(
+    `📅 Lease lifecycle job scheduled every ${INTERVAL_MS / 60000} minutes`
+  );
+}
+
+function stopLeaseLifecycleJob() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  runLeaseLifecycleJob,
+  startLeaseLifecycleJob,
+  stopLeaseLifecycleJob,
+};
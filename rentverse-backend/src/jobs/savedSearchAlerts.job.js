@@ -0,0 +1,66 @@
+const savedSearchesService = require('../modules/savedSearches/savedSearches.service');
+
+// Run every hour by default. Each search is emailed at most once per day
+// (DAILY) or week (WEEKLY), whatever the interval.
+const INTERVAL_MS =
+  (parseInt(process.env.SAVED_SEARCH_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Email daily and weekly digests of new listings matching saved searches.
+ * INSTANT searches are emailed when the listing is published.
+ * @returns {Promise<Object>} { daily, weekly } Number of digests sent
+ */
+async function runSavedSearchAlertsJob() {
+  // Skip if the previous run is still in progress
+  if (isRunning) {
+    return { daily: 0, weekly: 0, skipped: true };
+  }
+
+  isRunning = true;
+  try {
+    const now = new Date();
+    const daily = await savedSearchesService.sendDigests('DAILY', now);
+    const weekly = await savedSearchesService.sendDigests('WEEKLY', now);
+
+    if (daily > 0 || weekly > 0) {
+      console.log(
+        `🔔 Saved search alerts job: ${daily} daily, ${weekly} weekly digests sent`
+      );
+    }
+
+    return { daily, weekly };
+  } catch (error) {
+    console.error('❌ Saved search alerts job failed:', error.message);
+    return { daily: 0, weekly: 0, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startSavedSearchAlertsJob() {
+  if (timer) return;
+
+  runSavedSearchAlertsJob();
+  timer = setInterval(runSavedSearchAlertsJob, INTERVAL_MS);
+  timer.unref();
+
+  console.log(
+    `🔔 Saved search alerts job scheduled every ${INTERVAL_MS / 60000} minutes`
+  );
+}
+
+function stopSavedSearchAlertsJob() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  runSavedSearchAlertsJob,
+  startSavedSearchAlertsJob,
+  stopSavedSearchAlertsJob,
+};
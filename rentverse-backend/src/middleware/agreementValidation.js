@@ -28,6 +28,27 @@ const generateAgreementHash = (agreementData) => {
     return crypto.createHash('sha256').update(content).digest('hex');
 };
 
+/**
+ * Lease terms covered by an agreement's contentHash, as stored in
+ * RentalAgreement.contentSnapshot (dates and amounts as JSON strings)
+ * @param {Object} lease - Lease data
+ * @param {Date} generatedAt - Agreement generation time
+ * @returns {Object}
+ */
+const buildAgreementContent = (lease, generatedAt) =>
+    JSON.parse(
+        JSON.stringify({
+            leaseId: lease.id,
+            tenantId: lease.tenantId,
+            landlordId: lease.landlordId,
+            propertyId: lease.propertyId,
+            startDate: lease.startDate,
+            endDate: lease.endDate,
+            rentAmount: lease.rentAmount,
+            generatedAt,
+        })
+    );
+
 /**
  * Verify agreement integrity by comparing hash
  * @param {Object} agreement - Agreement record
@@ -39,18 +60,18 @@ const verifyAgreementIntegrity = (agreement, lease) => {
         return true; // No hash to verify (legacy agreements)
     }
 
-    const currentHash = generateAgreementHash({
-        leaseId: lease.id,
-        tenantId: lease.tenantId,
-        landlordId: lease.landlordId,
-        propertyId: lease.propertyId,
-        startDate: lease.startDate,
-        endDate: lease.endDate,
-        rentAmount: lease.rentAmount,
-        generatedAt: agreement.generatedAt,
-    });
-
-    return agreement.contentHash === currentHash;
+    // The snapshot taken at signing is what was signed, so later lease
+    // changes (e.g. extensions) do not invalidate the agreement. Older
+    // agreements without one are checked against the current lease.
+    const content = agreement.contentSnapshot
+        ? {
+              ...agreement.contentSnapshot,
+              leaseId: lease.id,
+              generatedAt: agreement.generatedAt,
+          }
+        : buildAgreementContent(lease, agreement.generatedAt);
+
+    return agreement.contentHash === generateAgreementHash(content);
 };
 
 /**
@@ -188,6 +209,7 @@ const validateSigningEligibility = async (req, res, next) => {
 };
 
 module.exports = {
+    buildAgreementContent,
     generateAgreementHash,
     verifyAgreementIntegrity,
     validateAgreementAccess,
@@ -7,6 +7,7 @@
 
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
+const sessionService = require('../services/session.service');
 
 /**
  * JWT Authentication Middleware
@@ -85,6 +86,15 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Reject tokens of sessions that were logged out or revoked
+    if (!(await sessionService.isAccessTokenActive(payload))) {
+      return res.status(401).json({
+        success: false,
+        error: 'SESSION_REVOKED',
+        message: 'Access denied. Session has been logged out.',
+      });
+    }
+
     // Fetch user from database
     const user = await prisma.user.findUnique({
       where: { id: payload.userId },
@@ -96,6 +106,7 @@ const auth = async (req, res, next) => {
         lastName: true,
         role: true,
         isActive: true,
+        verifiedAt: true,
       },
     });
 
@@ -181,6 +192,26 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Email Verification Middleware
+ * Blocks unverified users when REQUIRE_EMAIL_VERIFICATION=true
+ * Must be used after auth
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' ||
+    req.user?.verifiedAt
+  ) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address before continuing.',
+  });
+};
+
 /**
  * Optional Authentication Middleware
  * Attaches user if token is valid, but doesn't require it
@@ -204,7 +235,10 @@ const optionalAuth = async (req, res, next) => {
 
       const payload = decoded.payload;
 
-      if (payload.userId) {
+      if (
+        payload.userId &&
+        (await sessionService.isAccessTokenActive(payload))
+      ) {
         const user = await prisma.user.findUnique({
           where: { id: payload.userId },
           select: {
@@ -237,5 +271,5 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, authorize, optionalAuth };
+module.exports = { auth, authorize, optionalAuth, requireVerifiedEmail };
 
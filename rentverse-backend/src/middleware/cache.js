@@ -0,0 +1,68 @@
+/**
+ * Response Cache Middleware
+ *
+ * Caches successful JSON responses of public GET endpoints and answers
+ * If-None-Match requests with 304 Not Modified. Responses are dropped when
+ * the data they depend on changes (see cacheService.invalidate).
+ */
+
+const cacheService = require('../services/cache.service');
+
+/**
+ * Cache the JSON response of a public GET route
+ * @param {Object} options
+ * @param {number} options.ttl - Seconds to keep a response
+ * @param {string[]} options.tags - Data the response depends on, see CACHE_TAGS
+ * @returns {Function} Express middleware
+ */
+const cacheResponse = ({ ttl, tags }) => {
+  return async (req, res, next) => {
+    // Responses personalized for a signed-in user are never cached
+    if (req.method !== 'GET' || req.user || !cacheService.isEnabled()) {
+      return next();
+    }
+
+    let cached;
+    try {
+      cached = await cacheService.lookup(req.originalUrl, tags);
+    } catch (error) {
+      console.error('Cache read error:', error.message);
+      return next();
+    }
+
+    // Clients may keep a copy but must revalidate it with the ETag
+    res.set('Cache-Control', 'no-cache');
+
+    if (cached.value) {
+      res.set({ ETag: cached.value.etag, 'X-Cache': 'HIT' });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      return res
+        .type(cached.value.contentType || 'json')
+        .send(cached.value.body);
+    }
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode !== 200) {
+        return json(body);
+      }
+
+      // Keep a media type the route set itself, e.g. application/geo+json
+      const contentType = res.get('Content-Type') || 'application/json';
+      const payload = JSON.stringify(body);
+      const etag = cacheService.createETag(payload);
+      cacheService
+        .set(cached.key, { etag, body: payload, contentType }, ttl)
+        .catch(error => console.error('Cache write error:', error.message));
+
+      res.set({ ETag: etag, 'X-Cache': 'MISS' });
+      return res.type(contentType).send(payload);
+    };
+
+    next();
+  };
+};
+
+module.exports = { cacheResponse };
@@ -5,6 +5,7 @@
  * OWASP M5 - Insecure Communication
  */
 
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 
 /**
@@ -53,6 +54,13 @@ const globalLimiter = rateLimit({
     validate: { xForwardedForHeader: false },
 });
 
+/**
+ * Session upkeep under /api/auth that signed-in clients call routinely
+ * (token refresh, logout, session list, current user)
+ */
+const isSessionRoute = (req) =>
+    /^\/(refresh|logout|logout-all|me|sessions)(\/|$)/.test(req.path);
+
 /**
  * Authentication rate limiter (stricter)
  * Applies to login, register, and password reset
@@ -70,6 +78,7 @@ const authLimiter = rateLimit({
     standardHeaders: true,
     legacyHeaders: false,
     skipSuccessfulRequests: false,
+    skip: isSessionRoute,
     keyGenerator: (req) => {
         const email = req.body?.email || '';
         return `${getClientIp(req)}-${email}`;
@@ -77,6 +86,60 @@ const authLimiter = rateLimit({
     validate: { xForwardedForHeader: false },
 });
 
+/**
+ * Session rate limiter
+ * Applies to the session routes skipped by authLimiter
+ * 60 requests per 15 minutes per IP and session, so users behind one IP
+ * do not share a limit. sessionIpLimiter caps clients that send a new
+ * token with every request to get a fresh limit.
+ */
+const sessionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60,
+    message: {
+        success: false,
+        error: 'Too many session requests',
+        message: 'Too many requests for this session. Please try again later.',
+        retryAfter: '15 minutes',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => !isSessionRoute(req),
+    keyGenerator: (req) => {
+        const ip = getClientIp(req);
+        const credential =
+            req.body?.refreshToken ||
+            req.headers.authorization?.replace('Bearer ', '');
+        if (!credential) {
+            return ip;
+        }
+        // Keyed by a hash so tokens are not kept in the limiter store
+        return `${ip}-session-${crypto.createHash('sha256').update(String(credential)).digest('hex')}`;
+    },
+    validate: { xForwardedForHeader: false },
+});
+
+/**
+ * Session IP rate limiter
+ * Applies to the session routes skipped by authLimiter
+ * 600 requests per 15 minutes per IP, whatever token is sent
+ */
+const sessionIpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 600,
+    message: {
+        success: false,
+        error: 'Too many session requests',
+        message: 'Too many requests from this IP. Please try again later.',
+        retryAfter: '15 minutes',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => !isSessionRoute(req),
+    keyGenerator: (req) => `session-ip-${getClientIp(req)}`,
+    validate: { xForwardedForHeader: false },
+});
+
 /**
  * API rate limiter
  * Applies to all API endpoints
@@ -130,6 +193,8 @@ const sensitiveOperationsLimiter = rateLimit({
 module.exports = {
     globalLimiter,
     authLimiter,
+    sessionLimiter,
+    sessionIpLimiter,
     apiLimiter,
     sensitiveOperationsLimiter,
 };
@@ -0,0 +1,455 @@
+const agreementTemplatesService = require('./agreementTemplates.service');
+const { validationResult } = require('express-validator');
+
+class AgreementTemplatesController {
+  /**
+   * List agreement templates (admin)
+   */
+  async getTemplates(req, res) {
+    try {
+      const templates = await agreementTemplatesService.getTemplates(req.query);
+
+      res.json({
+        success: true,
+        data: { templates },
+      });
+    } catch (error) {
+      console.error('Get agreement templates error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get agreement templates',
+      });
+    }
+  }
+
+  /**
+   * Get agreement template with version history (admin)
+   */
+  async getTemplateById(req, res) {
+    try {
+      const template = await agreementTemplatesService.getTemplateById(
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        data: { template },
+      });
+    } catch (error) {
+      console.error('Get agreement template error:', error);
+
+      if (error.message === 'Template not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get agreement template',
+      });
+    }
+  }
+
+  /**
+   * Create agreement template (admin)
+   */
+  async createTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const template = await agreementTemplatesService.createTemplate(
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Agreement template created successfully',
+        data: { template },
+      });
+    } catch (error) {
+      console.error('Create agreement template error:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Invalid template content')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create agreement template',
+      });
+    }
+  }
+
+  /**
+   * Update agreement template details (admin)
+   */
+  async updateTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const template = await agreementTemplatesService.updateTemplate(
+        req.params.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Agreement template updated successfully',
+        data: { template },
+      });
+    } catch (error) {
+      console.error('Update agreement template error:', error);
+
+      if (error.message === 'Template not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update agreement template',
+      });
+    }
+  }
+
+  /**
+   * Publish a new template version (admin)
+   */
+  async createVersion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const version = await agreementTemplatesService.createVersion(
+        req.params.id,
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Template version ${version.version} published successfully`,
+        data: { version },
+      });
+    } catch (error) {
+      console.error('Create agreement template version error:', error);
+
+      if (error.message === 'Template not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Invalid template content')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('changed by another request')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to publish template version',
+      });
+    }
+  }
+
+  /**
+   * Get a template version including content (admin)
+   */
+  async getVersion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const version = await agreementTemplatesService.getVersion(
+        req.params.id,
+        parseInt(req.params.version)
+      );
+
+      res.json({
+        success: true,
+        data: { version },
+      });
+    } catch (error) {
+      console.error('Get agreement template version error:', error);
+
+      if (error.message === 'Template version not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get template version',
+      });
+    }
+  }
+
+  /**
+   * Re-render a historical rental agreement PDF (admin)
+   */
+  async renderAgreement(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { agreement, pdfBuffer } =
+        await agreementTemplatesService.renderAgreement(req.params.agreementId);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename="rental-agreement-${agreement.leaseId}-rerendered.pdf"`
+      );
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error('Render rental agreement error:', error);
+
+      if (error.message === 'Rental agreement not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to render rental agreement',
+      });
+    }
+  }
+
+  /**
+   * Get current user's custom agreement clauses
+   */
+  async getClauses(req, res) {
+    try {
+      const clauses = await agreementTemplatesService.getClauses(
+        req.user.id,
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data: { clauses },
+      });
+    } catch (error) {
+      console.error('Get agreement clauses error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get agreement clauses',
+      });
+    }
+  }
+
+  /**
+   * Add a custom agreement clause (landlord)
+   */
+  async createClause(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const clause = await agreementTemplatesService.createClause(
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Agreement clause created successfully',
+        data: { clause },
+      });
+    } catch (error) {
+      console.error('Create agreement clause error:', error);
+
+      if (error.message === 'Property not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create agreement clause',
+      });
+    }
+  }
+
+  /**
+   * Update a custom agreement clause (landlord)
+   */
+  async updateClause(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const clause = await agreementTemplatesService.updateClause(
+        req.params.clauseId,
+        req.body,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Agreement clause updated successfully',
+        data: { clause },
+      });
+    } catch (error) {
+      console.error('Update agreement clause error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update agreement clause',
+      });
+    }
+  }
+
+  /**
+   * Delete a custom agreement clause (landlord)
+   */
+  async deleteClause(req, res) {
+    try {
+      await agreementTemplatesService.deleteClause(
+        req.params.clauseId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Agreement clause deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete agreement clause error:', error);
+
+      if (error.message === 'Clause not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete agreement clause',
+      });
+    }
+  }
+}
+
+module.exports = new AgreementTemplatesController();
@@ -0,0 +1,161 @@
+const { prisma } = require('../../config/database');
+
+const versionSummarySelect = {
+  id: true,
+  version: true,
+  changeNote: true,
+  createdById: true,
+  createdAt: true,
+};
+
+class AgreementTemplatesRepository {
+  async findTemplates(where = {}) {
+    return await prisma.agreementTemplate.findMany({
+      where,
+      include: {
+        propertyType: { select: { id: true, code: true, name: true } },
+        landlord: { select: { id: true, email: true, name: true } },
+        versions: {
+          select: versionSummarySelect,
+          orderBy: { version: 'desc' },
+          take: 1,
+        },
+      },
+      orderBy: [{ language: 'asc' }, { code: 'asc' }],
+    });
+  }
+
+  async findTemplateById(id) {
+    return await prisma.agreementTemplate.findUnique({
+      where: { id },
+      include: {
+        propertyType: { select: { id: true, code: true, name: true } },
+        landlord: { select: { id: true, email: true, name: true } },
+        versions: {
+          select: versionSummarySelect,
+          orderBy: { version: 'desc' },
+        },
+      },
+    });
+  }
+
+  async findTemplateByCode(code) {
+    return await prisma.agreementTemplate.findUnique({
+      where: { code },
+    });
+  }
+
+  async findVersion(templateId, version) {
+    return await prisma.agreementTemplateVersion.findUnique({
+      where: { templateId_version: { templateId, version } },
+    });
+  }
+
+  async createTemplate(templateData, versionData) {
+    return await prisma.agreementTemplate.create({
+      data: {
+        ...templateData,
+        versions: {
+          create: { ...versionData, version: 1 },
+        },
+      },
+    });
+  }
+
+  async updateTemplate(id, data) {
+    return await prisma.agreementTemplate.update({
+      where: { id },
+      data,
+    });
+  }
+
+  /**
+   * Add the next version of a template
+   * @param {string} templateId
+   * @param {Object} data - { content, changeNote, createdById }
+   * @returns {Promise<Object>} Created version
+   */
+  async createNextVersion(templateId, data) {
+    return await prisma.$transaction(async tx => {
+      const latest = await tx.agreementTemplateVersion.findFirst({
+        where: { templateId },
+        orderBy: { version: 'desc' },
+        select: { version: true },
+      });
+
+      const version = await tx.agreementTemplateVersion.create({
+        data: {
+          ...data,
+          templateId,
+          version: (latest?.version || 0) + 1,
+        },
+      });
+
+      // Bump updatedAt so the newest template wins in its scope
+      await tx.agreementTemplate.update({
+        where: { id: templateId },
+        data: { updatedAt: new Date() },
+      });
+
+      return version;
+    });
+  }
+
+  async findClauses(where) {
+    return await prisma.agreementClause.findMany({
+      where,
+      include: {
+        property: { select: { id: true, title: true } },
+      },
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }],
+    });
+  }
+
+  async findClauseById(id) {
+    return await prisma.agreementClause.findUnique({
+      where: { id },
+    });
+  }
+
+  async createClause(data) {
+    return await prisma.agreementClause.create({
+      data,
+    });
+  }
+
+  async updateClause(id, data) {
+    return await prisma.agreementClause.update({
+      where: { id },
+      data,
+    });
+  }
+
+  async deleteClause(id) {
+    return await prisma.agreementClause.delete({
+      where: { id },
+    });
+  }
+
+  async findPropertyOwner(propertyId) {
+    return await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, ownerId: true },
+    });
+  }
+
+  async findPropertyType(id) {
+    return await prisma.propertyType.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+  }
+
+  async findUser(id) {
+    return await prisma.user.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+  }
+}
+
+module.exports = new AgreementTemplatesRepository();
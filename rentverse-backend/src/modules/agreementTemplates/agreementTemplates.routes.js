@@ -0,0 +1,659 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { auth, authorize } = require('../../middleware/auth');
+const agreementTemplatesController = require('./agreementTemplates.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Agreement Templates
+ *   description: Versioned rental agreement templates and landlord custom clauses
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgreementTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: CONDO_MS
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         language:
+ *           type: string
+ *           enum: [EN, MS]
+ *         landlordId:
+ *           type: string
+ *           nullable: true
+ *           description: Only used for this landlord's agreements
+ *         propertyTypeId:
+ *           type: string
+ *           nullable: true
+ *           description: Only used for properties of this type
+ *         isActive:
+ *           type: boolean
+ *         latestVersion:
+ *           $ref: '#/components/schemas/AgreementTemplateVersion'
+ *     AgreementTemplateVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *         content:
+ *           type: string
+ *           description: EJS source. Receives lease, rentalAgreement, signatures, customClauses and (once signed) audit.
+ *         changeNote:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AgreementClause:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *           nullable: true
+ *           description: null applies the clause to all of the landlord's properties
+ *         language:
+ *           type: string
+ *           enum: [EN, MS]
+ *         title:
+ *           type: string
+ *         content:
+ *           type: string
+ *         sortOrder:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ */
+
+// ========== LANDLORD CUSTOM CLAUSES ==========
+
+/**
+ * @swagger
+ * /api/agreement-templates/clauses:
+ *   get:
+ *     summary: Get my custom agreement clauses
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [EN, MS]
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *         description: Clauses that apply to this property
+ *     responses:
+ *       200:
+ *         description: Clauses retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/clauses', auth, agreementTemplatesController.getClauses);
+
+/**
+ * @swagger
+ * /api/agreement-templates/clauses:
+ *   post:
+ *     summary: Add a custom clause to my rental agreements
+ *     description: The clause is copied into agreements generated afterwards for the landlord's properties in the same language.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - content
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [EN, MS]
+ *                 default: EN
+ *               propertyId:
+ *                 type: string
+ *               sortOrder:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Clause created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     clause:
+ *                       $ref: '#/components/schemas/AgreementClause'
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Property is not yours
+ *       404:
+ *         description: Property not found
+ */
+router.post(
+  '/clauses',
+  auth,
+  [
+    body('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Content must be between 1 and 5000 characters'),
+    body('language')
+      .optional()
+      .isIn(['EN', 'MS'])
+      .withMessage('Language must be EN or MS'),
+    body('propertyId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Valid property ID is required'),
+    body('sortOrder')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Sort order must be a non-negative integer'),
+  ],
+  agreementTemplatesController.createClause
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/clauses/{clauseId}:
+ *   put:
+ *     summary: Update a custom agreement clause
+ *     description: Agreements that were already generated keep the clause text they were generated with.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clauseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgreementClause'
+ *     responses:
+ *       200:
+ *         description: Clause updated successfully
+ *       403:
+ *         description: Clause is not yours
+ *       404:
+ *         description: Clause not found
+ */
+router.put(
+  '/clauses/:clauseId',
+  auth,
+  [
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    body('content')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Content must be between 1 and 5000 characters'),
+    body('language')
+      .optional()
+      .isIn(['EN', 'MS'])
+      .withMessage('Language must be EN or MS'),
+    body('propertyId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Valid property ID is required'),
+    body('sortOrder')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Sort order must be a non-negative integer'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ],
+  agreementTemplatesController.updateClause
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/clauses/{clauseId}:
+ *   delete:
+ *     summary: Delete a custom agreement clause
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clauseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clause deleted successfully
+ *       403:
+ *         description: Clause is not yours
+ *       404:
+ *         description: Clause not found
+ */
+router.delete(
+  '/clauses/:clauseId',
+  auth,
+  agreementTemplatesController.deleteClause
+);
+
+// ========== ADMIN TEMPLATE MANAGEMENT ==========
+
+/**
+ * @swagger
+ * /api/agreement-templates/agreements/{agreementId}/pdf:
+ *   get:
+ *     summary: Re-render a rental agreement PDF (admin only)
+ *     description: Renders the agreement again with the template version and custom clauses recorded when it was generated.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agreementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rendered PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Rental agreement not found
+ */
+router.get(
+  '/agreements/:agreementId/pdf',
+  auth,
+  authorize('ADMIN'),
+  [param('agreementId').isUUID().withMessage('Valid agreement ID is required')],
+  agreementTemplatesController.renderAgreement
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates:
+ *   get:
+ *     summary: List agreement templates (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [EN, MS]
+ *       - in: query
+ *         name: landlordId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: propertyTypeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     templates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgreementTemplate'
+ */
+router.get(
+  '/',
+  auth,
+  authorize('ADMIN'),
+  agreementTemplatesController.getTemplates
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates:
+ *   post:
+ *     summary: Create an agreement template (admin only)
+ *     description: |
+ *       Creates the template with its first version. When a rental agreement is
+ *       generated the most specific active template for the agreement language
+ *       is used: landlord + property type, landlord, property type, then global.
+ *       The built-in template is used when nothing matches.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - language
+ *               - content
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [EN, MS]
+ *               landlordId:
+ *                 type: string
+ *               propertyTypeId:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *                 description: EJS source. It runs on the server when agreements are rendered, so server globals (require, process, ...) and computed property access are rejected.
+ *               changeNote:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Validation failed or invalid template content
+ *       409:
+ *         description: Template code already exists
+ */
+router.post(
+  '/',
+  auth,
+  authorize('ADMIN'),
+  [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{2,50}$/)
+      .withMessage(
+        'Code must be 2-50 characters of letters, numbers, _ or - only'
+      ),
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Name must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('language')
+      .isIn(['EN', 'MS'])
+      .withMessage('Language must be EN or MS'),
+    body('landlordId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Valid landlord ID is required'),
+    body('propertyTypeId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Valid property type ID is required'),
+    body('content').notEmpty().withMessage('Template content is required'),
+    body('changeNote')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Change note cannot exceed 500 characters'),
+  ],
+  agreementTemplatesController.createTemplate
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}:
+ *   get:
+ *     summary: Get an agreement template with its version history (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       404:
+ *         description: Template not found
+ */
+router.get(
+  '/:id',
+  auth,
+  authorize('ADMIN'),
+  agreementTemplatesController.getTemplateById
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}:
+ *   put:
+ *     summary: Update template details and assignment (admin only)
+ *     description: Content cannot be edited in place; publish a new version instead.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               landlordId:
+ *                 type: string
+ *                 nullable: true
+ *               propertyTypeId:
+ *                 type: string
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       404:
+ *         description: Template not found
+ */
+router.put(
+  '/:id',
+  auth,
+  authorize('ADMIN'),
+  [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Name must be between 1 and 200 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('landlordId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Valid landlord ID is required'),
+    body('propertyTypeId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Valid property type ID is required'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ],
+  agreementTemplatesController.updateTemplate
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}/versions:
+ *   post:
+ *     summary: Publish a new template version (admin only)
+ *     description: New agreements use the new version; existing agreements keep the version they were generated with.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: EJS source, checked like the first version
+ *               changeNote:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Version published successfully
+ *       400:
+ *         description: Invalid template content
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: Another version was published at the same time
+ */
+router.post(
+  '/:id/versions',
+  auth,
+  authorize('ADMIN'),
+  [
+    body('content').notEmpty().withMessage('Template content is required'),
+    body('changeNote')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Change note cannot exceed 500 characters'),
+  ],
+  agreementTemplatesController.createVersion
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get a template version including its content (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       $ref: '#/components/schemas/AgreementTemplateVersion'
+ *       404:
+ *         description: Template version not found
+ */
+router.get(
+  '/:id/versions/:version',
+  auth,
+  authorize('ADMIN'),
+  [param('version').isInt({ min: 1 }).withMessage('Version must be a number')],
+  agreementTemplatesController.getVersion
+);
+
+module.exports = router;
@@ -0,0 +1,358 @@
+const ejs = require('ejs');
+const agreementTemplatesRepository = require('./agreementTemplates.repository');
+const agreementTemplateService = require('../../services/agreementTemplate.service');
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+
+// JavaScript inside <% %> tags, without the tag modifiers. Comment tags
+// (<%#) and literal percent signs (<%%) are skipped.
+const TEMPLATE_CODE_PATTERN = /<%(?![#%])[=\-_]?([\s\S]*?)[-_]?%>/g;
+
+// Names that reach past the template data into the server process
+const FORBIDDEN_TEMPLATE_NAMES =
+  /\b(require|process|global|globalThis|module|exports|Buffer|Function|eval|import|Reflect|constructor|prototype|__proto__)\b/;
+
+// obj[expression] could spell out a forbidden name; only obj[0] is allowed
+const COMPUTED_PROPERTY_ACCESS = /[\w$)\]]\s*\[(?!\s*\d+\s*\])/;
+
+class AgreementTemplatesService {
+  /**
+   * Make sure template content is valid EJS before it is stored.
+   * Stored templates run as code on the server when an agreement is
+   * rendered, so only admins can publish them. The checks below reject
+   * templates that reach for server globals; they keep honest mistakes
+   * and copy-pasted snippets out but are not a sandbox.
+   * @param {string} content
+   */
+  validateTemplateContent(content) {
+    for (const [, code] of content.matchAll(TEMPLATE_CODE_PATTERN)) {
+      const forbidden = code.match(FORBIDDEN_TEMPLATE_NAMES);
+      if (forbidden) {
+        throw new Error(
+          `Invalid template content: ${forbidden[1]} cannot be used in a template`
+        );
+      }
+      if (COMPUTED_PROPERTY_ACCESS.test(code)) {
+        throw new Error(
+          'Invalid template content: only numeric indexes can be used inside [ ]'
+        );
+      }
+    }
+
+    try {
+      ejs.compile(content);
+    } catch (error) {
+      throw new Error(`Invalid template content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that the landlord and property type a template is assigned to exist
+   * @param {Object} data - { landlordId, propertyTypeId }
+   */
+  async validateTemplateScope(data) {
+    if (data.landlordId) {
+      const landlord = await agreementTemplatesRepository.findUser(
+        data.landlordId
+      );
+      if (!landlord) {
+        throw new Error('Landlord not found');
+      }
+    }
+
+    if (data.propertyTypeId) {
+      const propertyType = await agreementTemplatesRepository.findPropertyType(
+        data.propertyTypeId
+      );
+      if (!propertyType) {
+        throw new Error('Property type not found');
+      }
+    }
+  }
+
+  /**
+   * List templates with their latest version (admin)
+   * @param {Object} filters - { language, landlordId, propertyTypeId, isActive }
+   * @returns {Promise<Array>}
+   */
+  async getTemplates(filters = {}) {
+    const where = {};
+
+    if (filters.language) {
+      where.language = agreementTemplateService.normalizeLanguage(
+        filters.language
+      );
+    }
+    if (filters.landlordId) where.landlordId = filters.landlordId;
+    if (filters.propertyTypeId) where.propertyTypeId = filters.propertyTypeId;
+    if (filters.isActive !== undefined) {
+      where.isActive = filters.isActive === 'true';
+    }
+
+    const templates = await agreementTemplatesRepository.findTemplates(where);
+
+    return templates.map(({ versions, ...template }) => ({
+      ...template,
+      latestVersion: versions[0] || null,
+    }));
+  }
+
+  /**
+   * Get a template with its version history (admin)
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async getTemplateById(id) {
+    const template = await agreementTemplatesRepository.findTemplateById(id);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    return template;
+  }
+
+  /**
+   * Create a template together with its first version (admin)
+   * @param {Object} data - { code, name, description, language, landlordId, propertyTypeId, content, changeNote }
+   * @param {string} adminId
+   * @returns {Promise<Object>}
+   */
+  async createTemplate(data, adminId) {
+    const code = data.code.trim().toUpperCase();
+
+    const existing =
+      await agreementTemplatesRepository.findTemplateByCode(code);
+    if (existing) {
+      throw new Error(`Template with code ${code} already exists`);
+    }
+
+    this.validateTemplateContent(data.content);
+    await this.validateTemplateScope(data);
+
+    const template = await agreementTemplatesRepository.createTemplate(
+      {
+        code,
+        name: data.name,
+        description: data.description || null,
+        language: agreementTemplateService.normalizeLanguage(data.language),
+        landlordId: data.landlordId || null,
+        propertyTypeId: data.propertyTypeId || null,
+        isActive: data.isActive !== undefined ? data.isActive : true,
+      },
+      {
+        content: data.content,
+        changeNote: data.changeNote || 'Initial version',
+        createdById: adminId,
+      }
+    );
+
+    return await this.getTemplateById(template.id);
+  }
+
+  /**
+   * Update template details and assignment (admin).
+   * Content is never edited in place; publish a new version instead.
+   * @param {string} id
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  async updateTemplate(id, data) {
+    await this.getTemplateById(id);
+
+    const allowedFields = [
+      'name',
+      'description',
+      'landlordId',
+      'propertyTypeId',
+      'isActive',
+    ];
+    const updateData = {};
+    for (const field of allowedFields) {
+      if (data[field] !== undefined) {
+        updateData[field] = data[field];
+      }
+    }
+
+    await this.validateTemplateScope(updateData);
+    await agreementTemplatesRepository.updateTemplate(id, updateData);
+
+    return await this.getTemplateById(id);
+  }
+
+  /**
+   * Publish a new version of a template (admin)
+   * @param {string} id
+   * @param {Object} data - { content, changeNote }
+   * @param {string} adminId
+   * @returns {Promise<Object>} Created version
+   */
+  async createVersion(id, data, adminId) {
+    await this.getTemplateById(id);
+    this.validateTemplateContent(data.content);
+
+    try {
+      return await agreementTemplatesRepository.createNextVersion(id, {
+        content: data.content,
+        changeNote: data.changeNote || null,
+        createdById: adminId,
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('Template was changed by another request');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get one version of a template including its content (admin)
+   * @param {string} id
+   * @param {number} version
+   * @returns {Promise<Object>}
+   */
+  async getVersion(id, version) {
+    const templateVersion = await agreementTemplatesRepository.findVersion(
+      id,
+      version
+    );
+    if (!templateVersion) {
+      throw new Error('Template version not found');
+    }
+    return templateVersion;
+  }
+
+  /**
+   * Re-render a historical agreement exactly as it was generated (admin)
+   * @param {string} agreementId
+   * @returns {Promise<Object>} { agreement, pdfBuffer }
+   */
+  async renderAgreement(agreementId) {
+    return await pdfGenerationService.renderRentalAgreementPDF(agreementId);
+  }
+
+  // ========== LANDLORD CUSTOM CLAUSES ==========
+
+  /**
+   * Make sure a clause's property belongs to the landlord
+   * @param {string} propertyId
+   * @param {string} landlordId
+   */
+  async validateClauseProperty(propertyId, landlordId) {
+    if (!propertyId) return;
+
+    const property =
+      await agreementTemplatesRepository.findPropertyOwner(propertyId);
+    if (!property) {
+      throw new Error('Property not found');
+    }
+    if (property.ownerId !== landlordId) {
+      throw new Error('Access denied: You do not own this property');
+    }
+  }
+
+  /**
+   * Get a clause owned by the landlord
+   * @param {string} clauseId
+   * @param {string} landlordId
+   * @returns {Promise<Object>}
+   */
+  async getOwnClause(clauseId, landlordId) {
+    const clause = await agreementTemplatesRepository.findClauseById(clauseId);
+    if (!clause) {
+      throw new Error('Clause not found');
+    }
+    if (clause.landlordId !== landlordId) {
+      throw new Error('Access denied: You do not own this clause');
+    }
+    return clause;
+  }
+
+  /**
+   * List the landlord's custom clauses
+   * @param {string} landlordId
+   * @param {Object} filters - { language, propertyId }
+   * @returns {Promise<Array>}
+   */
+  async getClauses(landlordId, filters = {}) {
+    const where = { landlordId };
+
+    if (filters.language) {
+      where.language = agreementTemplateService.normalizeLanguage(
+        filters.language
+      );
+    }
+    if (filters.propertyId) {
+      where.OR = [{ propertyId: null }, { propertyId: filters.propertyId }];
+    }
+
+    return await agreementTemplatesRepository.findClauses(where);
+  }
+
+  /**
+   * Add a custom clause. It is copied into every agreement generated for the
+   * landlord's properties (or the given property) in the clause's language.
+   * @param {Object} data - { title, content, language, propertyId, sortOrder }
+   * @param {string} landlordId
+   * @returns {Promise<Object>}
+   */
+  async createClause(data, landlordId) {
+    await this.validateClauseProperty(data.propertyId, landlordId);
+
+    return await agreementTemplatesRepository.createClause({
+      landlordId,
+      propertyId: data.propertyId || null,
+      language: agreementTemplateService.normalizeLanguage(data.language),
+      title: data.title,
+      content: data.content,
+      sortOrder: data.sortOrder || 0,
+    });
+  }
+
+  /**
+   * Update a custom clause. Agreements already generated keep their copy.
+   * @param {string} clauseId
+   * @param {Object} data
+   * @param {string} landlordId
+   * @returns {Promise<Object>}
+   */
+  async updateClause(clauseId, data, landlordId) {
+    await this.getOwnClause(clauseId, landlordId);
+
+    const allowedFields = [
+      'title',
+      'content',
+      'propertyId',
+      'sortOrder',
+      'isActive',
+    ];
+    const updateData = {};
+    for (const field of allowedFields) {
+      if (data[field] !== undefined) {
+        updateData[field] = data[field];
+      }
+    }
+
+    if (data.language !== undefined) {
+      updateData.language = agreementTemplateService.normalizeLanguage(
+        data.language
+      );
+    }
+
+    await this.validateClauseProperty(updateData.propertyId, landlordId);
+
+    return await agreementTemplatesRepository.updateClause(
+      clauseId,
+      updateData
+    );
+  }
+
+  /**
+   * Delete a custom clause
+   * @param {string} clauseId
+   * @param {string} landlordId
+   */
+  async deleteClause(clauseId, landlordId) {
+    await this.getOwnClause(clauseId, landlordId);
+    await agreementTemplatesRepository.deleteClause(clauseId);
+  }
+}
+
+module.exports = new AgreementTemplatesService();
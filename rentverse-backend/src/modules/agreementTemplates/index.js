@@ -0,0 +1,11 @@
+const agreementTemplatesRoutes = require('./agreementTemplates.routes');
+const agreementTemplatesController = require('./agreementTemplates.controller');
+const agreementTemplatesService = require('./agreementTemplates.service');
+const agreementTemplatesRepository = require('./agreementTemplates.repository');
+
+module.exports = {
+  routes: agreementTemplatesRoutes,
+  controller: agreementTemplatesController,
+  service: agreementTemplatesService,
+  repository: agreementTemplatesRepository,
+};
@@ -0,0 +1,99 @@
+const agreementsService = require('./agreements.service');
+const { validationResult } = require('express-validator');
+
+class AgreementsController {
+  /**
+   * Verify a rental agreement (public)
+   */
+  async verifyAgreement(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const report = await agreementsService.verifyAgreement(
+        req.params.agreementId
+      );
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error('Verify agreement error:', error);
+
+      if (error.message === 'Agreement not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify agreement',
+      });
+    }
+  }
+
+  /**
+   * Verify an uploaded rental agreement PDF (public)
+   */
+  async verifyAgreementDocument(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded',
+        });
+      }
+
+      if (req.file.mimetype !== 'application/pdf') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only PDF files can be verified',
+        });
+      }
+
+      const report = await agreementsService.verifyAgreementDocument(
+        req.params.agreementId,
+        req.file.buffer
+      );
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error('Verify agreement document error:', error);
+
+      if (error.message === 'Agreement not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify agreement document',
+      });
+    }
+  }
+}
+
+module.exports = new AgreementsController();
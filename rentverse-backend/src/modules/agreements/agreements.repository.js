@@ -0,0 +1,38 @@
+const { prisma } = require('../../config/database');
+
+const partySelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  name: true,
+};
+
+class AgreementsRepository {
+  async findForVerification(id) {
+    return await prisma.rentalAgreement.findUnique({
+      where: { id },
+      include: {
+        lease: {
+          include: {
+            property: {
+              select: {
+                id: true,
+                title: true,
+                city: true,
+                state: true,
+                country: true,
+              },
+            },
+            tenant: { select: partySelect },
+            landlord: { select: partySelect },
+          },
+        },
+        signatures: {
+          orderBy: { signedAt: 'asc' },
+        },
+      },
+    });
+  }
+}
+
+module.exports = new AgreementsRepository();
@@ -0,0 +1,194 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { uploadSingle, handleUploadError } = require('../../middleware/upload');
+const agreementsController = require('./agreements.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Agreements
+ *   description: Public verification of rental agreements
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgreementVerification:
+ *       type: object
+ *       properties:
+ *         agreementId:
+ *           type: string
+ *         reference:
+ *           type: string
+ *           example: RA-1A2B3C4D-2025
+ *         status:
+ *           type: string
+ *           enum: [VALID, PENDING_SIGNATURES, INVALID]
+ *         authentic:
+ *           type: boolean
+ *           description: Every signature is sealed by the server key over the current agreement content
+ *         unmodified:
+ *           type: boolean
+ *           description: Lease terms still match the stored content hash
+ *         fullyExecuted:
+ *           type: boolean
+ *           description: Both tenant and landlord have signed
+ *         contentHash:
+ *           type: string
+ *           nullable: true
+ *         lease:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *             startDate:
+ *               type: string
+ *               format: date-time
+ *             endDate:
+ *               type: string
+ *               format: date-time
+ *             rentAmount:
+ *               type: number
+ *             currencyCode:
+ *               type: string
+ *         property:
+ *           type: object
+ *           properties:
+ *             title:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             country:
+ *               type: string
+ *         parties:
+ *           type: object
+ *           properties:
+ *             tenant:
+ *               type: string
+ *             landlord:
+ *               type: string
+ *         signatures:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [TENANT, LANDLORD]
+ *               signerName:
+ *                 type: string
+ *               signedAt:
+ *                 type: string
+ *                 format: date-time
+ *               keyId:
+ *                 type: string
+ *               verified:
+ *                 type: boolean
+ *         document:
+ *           type: object
+ *           description: Only present when a PDF was uploaded
+ *           properties:
+ *             hash:
+ *               type: string
+ *             matches:
+ *               type: boolean
+ *             version:
+ *               type: string
+ *               enum: [ORIGINAL, SIGNED]
+ *               nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/agreements/verify/{agreementId}:
+ *   get:
+ *     summary: Verify a rental agreement
+ *     description: Public endpoint for banks and other third parties to check that an agreement is authentic, unmodified and fully executed. The QR codes on the agreement PDF link here.
+ *     tags: [Agreements]
+ *     parameters:
+ *       - in: path
+ *         name: agreementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Verification report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AgreementVerification'
+ *       400:
+ *         description: Invalid agreement ID
+ *       404:
+ *         description: Agreement not found
+ */
+router.get(
+  '/verify/:agreementId',
+  [param('agreementId').isUUID().withMessage('Valid agreement ID is required')],
+  agreementsController.verifyAgreement
+);
+
+/**
+ * @swagger
+ * /api/agreements/verify/{agreementId}/document:
+ *   post:
+ *     summary: Verify an agreement PDF file
+ *     description: Upload a copy of the agreement PDF. The file is hashed and compared with the original and signed PDFs issued for this agreement.
+ *     tags: [Agreements]
+ *     parameters:
+ *       - in: path
+ *         name: agreementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Verification report including the document match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AgreementVerification'
+ *       400:
+ *         description: Invalid agreement ID or file
+ *       404:
+ *         description: Agreement not found
+ */
+router.post(
+  '/verify/:agreementId/document',
+  uploadSingle('file'),
+  handleUploadError,
+  [param('agreementId').isUUID().withMessage('Valid agreement ID is required')],
+  agreementsController.verifyAgreementDocument
+);
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const agreementsRepository = require('./agreements.repository');
+const {
+  verifyAgreementIntegrity,
+} = require('../../middleware/agreementValidation');
+const eSignatureService = require('../../services/eSignature.service');
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+
+class AgreementsService {
+  // Helper function to get display name of a user
+  getDisplayName(user) {
+    return (
+      user.name || [user.firstName, user.lastName].filter(Boolean).join(' ')
+    );
+  }
+
+  /**
+   * Get an agreement with everything needed to verify it
+   * @param {string} agreementId
+   * @returns {Promise<Object>}
+   */
+  async findAgreement(agreementId) {
+    const agreement =
+      await agreementsRepository.findForVerification(agreementId);
+
+    if (!agreement) {
+      throw new Error('Agreement not found');
+    }
+
+    return agreement;
+  }
+
+  /**
+   * Build the public verification report of an agreement.
+   * Only what is needed to confirm the tenancy is disclosed; contact
+   * details and signature images are never returned.
+   * @param {Object} agreement - See AgreementsRepository.findForVerification
+   * @returns {Object}
+   */
+  buildVerificationReport(agreement) {
+    const { lease } = agreement;
+
+    // Every signature must be sealed by the server key over the current content
+    const signatures = agreement.signatures.map(signature => ({
+      role: signature.role,
+      signerName: signature.signerName,
+      signatureType: signature.signatureType,
+      signedAt: signature.signedAt,
+      algorithm: signature.algorithm,
+      keyId: signature.keyId,
+      verified:
+        signature.contentHash === agreement.contentHash &&
+        eSignatureService.verifySignatureRecord(signature, lease.id),
+    }));
+
+    const authentic = signatures.every(signature => signature.verified);
+    const unmodified = verifyAgreementIntegrity(agreement, lease);
+
+    const hasValidSignature = role =>
+      signatures.some(
+        signature => signature.role === role && signature.verified
+      );
+    const fullyExecuted =
+      agreement.signedByTenant &&
+      agreement.signedByLandlord &&
+      hasValidSignature('TENANT') &&
+      hasValidSignature('LANDLORD');
+
+    let status = 'INVALID';
+    if (authentic && unmodified) {
+      status = fullyExecuted ? 'VALID' : 'PENDING_SIGNATURES';
+    }
+
+    return {
+      agreementId: agreement.id,
+      reference: `RA-${lease.id.slice(-8).toUpperCase()}-${new Date(agreement.generatedAt).getFullYear()}`,
+      status,
+      authentic,
+      unmodified,
+      fullyExecuted,
+      contentHash: agreement.contentHash,
+      generatedAt: agreement.generatedAt,
+      lease: {
+        status: lease.status,
+        startDate: lease.startDate,
+        endDate: lease.endDate,
+        rentAmount: lease.rentAmount,
+        currencyCode: lease.currencyCode,
+      },
+      property: {
+        title: lease.property.title,
+        city: lease.property.city,
+        state: lease.property.state,
+        country: lease.property.country,
+      },
+      parties: {
+        tenant: this.getDisplayName(lease.tenant),
+        landlord: this.getDisplayName(lease.landlord),
+      },
+      signatures,
+      verifiedAt: new Date(),
+    };
+  }
+
+  /**
+   * Verify a rental agreement for a third party (public)
+   * @param {string} agreementId
+   * @returns {Promise<Object>} Verification report
+   */
+  async verifyAgreement(agreementId) {
+    const agreement = await this.findAgreement(agreementId);
+    return this.buildVerificationReport(agreement);
+  }
+
+  /**
+   * Verify an uploaded agreement PDF. The file must be byte-for-byte the
+   * original or the fully signed PDF issued for this agreement.
+   * @param {string} agreementId
+   * @param {Buffer} fileBuffer
+   * @returns {Promise<Object>} Verification report with document match
+   */
+  async verifyAgreementDocument(agreementId, fileBuffer) {
+    const agreement = await this.findAgreement(agreementId);
+    const report = this.buildVerificationReport(agreement);
+
+    const hash = pdfGenerationService.hashPDF(fileBuffer);
+
+    let version = null;
+    if (agreement.signedPdfHash && hash === agreement.signedPdfHash) {
+      version = 'SIGNED';
+    } else if (agreement.pdfHash && hash === agreement.pdfHash) {
+      version = 'ORIGINAL';
+    }
+
+    const matches = version !== null;
+
+    return {
+      ...report,
+      status: matches ? report.status : 'INVALID',
+      authentic: report.authentic && matches,
+      document: {
+        hash,
+        matches,
+        version,
+      },
+    };
+  }
+}
+
+module.exports = new AgreementsService();
@@ -0,0 +1,11 @@
+const agreementsRoutes = require('./agreements.routes');
+const agreementsController = require('./agreements.controller');
+const agreementsService = require('./agreements.service');
+const agreementsRepository = require('./agreements.repository');
+
+module.exports = {
+  routes: agreementsRoutes,
+  controller: agreementsController,
+  service: agreementsService,
+  repository: agreementsRepository,
+};
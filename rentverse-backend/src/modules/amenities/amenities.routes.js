@@ -1,6 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { auth, authorize } = require('../../middleware/auth');
+const { cacheResponse } = require('../../middleware/cache');
+const { CACHE_TAGS } = require('../../services/cache.service');
 const amenitiesController = require('./amenities.controller');
 
 const router = express.Router();
@@ -57,7 +59,11 @@ const router = express.Router();
  *                   items:
  *                     type: string
  */
-router.get('/categories', amenitiesController.getCategories);
+router.get(
+  '/categories',
+  cacheResponse({ ttl: 3600, tags: [CACHE_TAGS.AMENITIES] }),
+  amenitiesController.getCategories
+);
 
 /**
  * @swagger
@@ -119,7 +125,11 @@ router.get('/categories', amenitiesController.getCategories);
  *                     pages:
  *                       type: integer
  */
-router.get('/', amenitiesController.getAll);
+router.get(
+  '/',
+  cacheResponse({ ttl: 3600, tags: [CACHE_TAGS.AMENITIES] }),
+  amenitiesController.getAll
+);
 
 /**
  * @swagger
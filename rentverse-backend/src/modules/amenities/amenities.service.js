@@ -1,4 +1,6 @@
 const amenitiesRepository = require('./amenities.repository');
+const cacheService = require('../../services/cache.service');
+const { CACHE_TAGS } = cacheService;
 
 class AmenitiesService {
   async getAll(filters = {}, pagination = {}) {
@@ -31,7 +33,9 @@ class AmenitiesService {
   }
 
   async create(data) {
-    return await amenitiesRepository.create(data);
+    const amenity = await amenitiesRepository.create(data);
+    await cacheService.invalidate(CACHE_TAGS.AMENITIES);
+    return amenity;
   }
 
   async update(id, data) {
@@ -40,7 +44,9 @@ class AmenitiesService {
       return null;
     }
 
-    return await amenitiesRepository.update(id, data);
+    const updated = await amenitiesRepository.update(id, data);
+    await cacheService.invalidate(CACHE_TAGS.AMENITIES);
+    return updated;
   }
 
   async delete(id) {
@@ -50,6 +56,7 @@ class AmenitiesService {
     }
 
     await amenitiesRepository.delete(id);
+    await cacheService.invalidate(CACHE_TAGS.AMENITIES);
     return true;
   }
 
@@ -1,5 +1,6 @@
 const bookingsService = require('./bookings.service');
 const { validationResult } = require('express-validator');
+const { parsePagination } = require('../../utils/pagination');
 
 class BookingsController {
   /**
@@ -39,9 +40,15 @@ class BookingsController {
         });
       }
 
+      if (error.message.includes('already booked')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (
         error.message.includes('not available') ||
-        error.message.includes('already booked') ||
         error.message.includes('cannot be in the past')
       ) {
         return res.status(400).json({
@@ -62,13 +69,9 @@ class BookingsController {
    */
   async getUserBookings(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-
       const result = await bookingsService.getUserBookings(
         req.user.id,
-        page,
-        limit
+        parsePagination(req.query)
       );
 
       res.json({
@@ -77,6 +80,14 @@ class BookingsController {
       });
     } catch (error) {
       console.error('Get user bookings error:', error);
+
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -89,14 +100,11 @@ class BookingsController {
    */
   async getOwnerBookings(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
       const status = req.query.status;
 
       const result = await bookingsService.getOwnerBookings(
         req.user.id,
-        page,
-        limit,
+        parsePagination(req.query),
         status
       );
 
@@ -106,6 +114,14 @@ class BookingsController {
       });
     } catch (error) {
       console.error('Get owner bookings error:', error);
+
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -251,6 +267,13 @@ class BookingsController {
         });
       }
 
+      if (error.message.includes('changed by another request')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.message.includes('required')) {
         return res.status(400).json({
           success: false,
@@ -265,6 +288,489 @@ class BookingsController {
     }
   }
 
+  /**
+   * Cancel booking before it starts (tenant only)
+   */
+  async cancelBooking(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const bookingId = req.params.id;
+      const { reason } = req.body;
+
+      const booking = await bookingsService.cancelBooking(
+        bookingId,
+        req.user.id,
+        reason
+      );
+
+      const { cancellation, ...bookingData } = booking;
+
+      res.json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: {
+          booking: bookingData,
+          cancellation,
+        },
+      });
+    } catch (error) {
+      console.error('Cancel booking error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('already started')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('can be cancelled') ||
+        error.message.includes('Invalid status transition') ||
+        error.message.includes('changed by another request')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Terminate active booking early (tenant or landlord)
+   */
+  async terminateBooking(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const bookingId = req.params.id;
+      const { reason, effectiveDate } = req.body;
+
+      const booking = await bookingsService.terminateBooking(
+        bookingId,
+        req.user.id,
+        reason,
+        effectiveDate
+      );
+
+      res.json({
+        success: true,
+        message: 'Booking terminated successfully',
+        data: { booking },
+      });
+    } catch (error) {
+      console.error('Terminate booking error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Only ACTIVE') ||
+        error.message.includes('Invalid status transition') ||
+        error.message.includes('changed by another request')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('required') ||
+        error.message.includes('Termination date')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get booking status history
+   */
+  async getBookingHistory(req, res) {
+    try {
+      const bookingId = req.params.id;
+      const history = await bookingsService.getBookingHistory(
+        bookingId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { history },
+      });
+    } catch (error) {
+      console.error('Get booking history error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Request lease extension or renewal (tenant only)
+   */
+  async requestExtension(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const extension = await bookingsService.requestExtension(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Extension request submitted successfully',
+        data: { extension },
+      });
+    } catch (error) {
+      console.error('Request extension error:', error);
+
+      if (
+        error.message === 'Booking not found' ||
+        error.message === 'Extension request not found'
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Only ACTIVE') ||
+        error.message.includes('Only PENDING') ||
+        error.message.includes('already has a pending') ||
+        error.message.includes('not available') ||
+        error.message.includes('changed since') ||
+        error.message.includes('changed by another request')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('required') ||
+        error.message.includes('must be after')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get extension requests for a booking
+   */
+  async getBookingExtensions(req, res) {
+    try {
+      const extensions = await bookingsService.getBookingExtensions(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { extensions },
+      });
+    } catch (error) {
+      console.error('Get booking extensions error:', error);
+
+      if (
+        error.message === 'Booking not found' ||
+        error.message === 'Extension request not found'
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Only ACTIVE') ||
+        error.message.includes('Only PENDING') ||
+        error.message.includes('already has a pending') ||
+        error.message.includes('not available') ||
+        error.message.includes('changed since') ||
+        error.message.includes('changed by another request')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('required') ||
+        error.message.includes('must be after')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Accept extension request (landlord only)
+   */
+  async acceptExtension(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const result = await bookingsService.acceptExtension(
+        req.params.id,
+        req.params.extensionId,
+        req.user.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Extension request accepted successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Accept extension error:', error);
+
+      if (
+        error.message === 'Booking not found' ||
+        error.message === 'Extension request not found'
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Only ACTIVE') ||
+        error.message.includes('Only PENDING') ||
+        error.message.includes('already has a pending') ||
+        error.message.includes('not available') ||
+        error.message.includes('changed since') ||
+        error.message.includes('changed by another request')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('required') ||
+        error.message.includes('must be after')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Reject extension request (landlord only)
+   */
+  async rejectExtension(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const extension = await bookingsService.rejectExtension(
+        req.params.id,
+        req.params.extensionId,
+        req.user.id,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: 'Extension request rejected successfully',
+        data: { extension },
+      });
+    } catch (error) {
+      console.error('Reject extension error:', error);
+
+      if (
+        error.message === 'Booking not found' ||
+        error.message === 'Extension request not found'
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Only ACTIVE') ||
+        error.message.includes('Only PENDING') ||
+        error.message.includes('already has a pending') ||
+        error.message.includes('not available') ||
+        error.message.includes('changed since') ||
+        error.message.includes('changed by another request')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('required') ||
+        error.message.includes('must be after')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * Get property booked periods (for calendar view)
    */
@@ -413,57 +919,47 @@ class BookingsController {
    */
   async signAgreement(req, res) {
     try {
-      const { prisma } = require('../../config/database');
-      const { generateAgreementHash } = require('../../middleware/agreementValidation');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const agreementSigningService = require('../../services/agreementSigning.service');
 
       const lease = req.lease;
       const isTenant = req.isTenant;
       const isLandlord = req.isLandlord;
 
-      // Determine which field to update
-      const updateData = {};
-      if (isTenant) {
-        updateData.signedByTenant = true;
-        updateData.tenantSignedAt = new Date();
-      } else if (isLandlord) {
-        updateData.signedByLandlord = true;
-        updateData.landlordSignedAt = new Date();
-      }
-
-      // Get full lease data for hash generation if not already hashed
-      const fullLease = await prisma.lease.findUnique({
-        where: { id: lease.id },
-        include: {
-          agreement: true,
-        },
-      });
-
-      // Generate content hash if not exists
-      if (!fullLease.agreement?.contentHash) {
-        updateData.contentHash = generateAgreementHash({
-          leaseId: fullLease.id,
-          tenantId: fullLease.tenantId,
-          landlordId: fullLease.landlordId,
-          propertyId: fullLease.propertyId,
-          startDate: fullLease.startDate,
-          endDate: fullLease.endDate,
-          rentAmount: fullLease.rentAmount,
-          generatedAt: fullLease.agreement?.generatedAt || new Date(),
+      // Admins can view agreements but only the parties can sign them
+      if (!isTenant && !isLandlord) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the tenant or landlord can sign this agreement',
         });
       }
 
-      // Update agreement
-      const updatedAgreement = await prisma.rentalAgreement.update({
-        where: { leaseId: lease.id },
-        data: updateData,
-      });
+      const result = await agreementSigningService.signAgreement(
+        lease.id,
+        { id: req.user.id, role: isTenant ? 'TENANT' : 'LANDLORD' },
+        req.body,
+        {
+          ipAddress:
+            req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip,
+          userAgent: req.headers['user-agent'],
+        }
+      );
 
-      const fullyExecuted = updatedAgreement.signedByTenant && updatedAgreement.signedByLandlord;
+      const updatedAgreement = result.agreement;
 
       console.log('[AGREEMENT] Signed:', {
         leaseId: lease.id,
         signedBy: isTenant ? 'tenant' : 'landlord',
-        fullyExecuted,
+        keyId: result.signature.keyId,
+        fullyExecuted: result.fullyExecuted,
         timestamp: new Date().toISOString(),
       });
 
@@ -475,12 +971,32 @@ class BookingsController {
           signedByLandlord: updatedAgreement.signedByLandlord,
           tenantSignedAt: updatedAgreement.tenantSignedAt,
           landlordSignedAt: updatedAgreement.landlordSignedAt,
-          fullyExecuted,
+          fullyExecuted: result.fullyExecuted,
           contentHash: updatedAgreement.contentHash,
+          signature: result.signature,
+          signedPdfUrl: result.signedPdfUrl,
         },
       });
     } catch (error) {
       console.error('Sign agreement error:', error);
+
+      if (error.message.includes('signature image')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('content has changed') ||
+        error.message.includes('already signed')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to sign agreement',
@@ -495,6 +1011,7 @@ class BookingsController {
     try {
       const { prisma } = require('../../config/database');
       const { verifyAgreementIntegrity } = require('../../middleware/agreementValidation');
+      const agreementSigningService = require('../../services/agreementSigning.service');
 
       const lease = req.lease;
 
@@ -518,6 +1035,10 @@ class BookingsController {
       }
 
       const isIntegrityValid = verifyAgreementIntegrity(fullLease.agreement, fullLease);
+      const signatures = await agreementSigningService.getSignatures(
+        fullLease.agreement.id,
+        fullLease.id
+      );
 
       res.json({
         success: true,
@@ -530,6 +1051,8 @@ class BookingsController {
           fullyExecuted: fullLease.agreement.signedByTenant && fullLease.agreement.signedByLandlord,
           integrityValid: isIntegrityValid,
           generatedAt: fullLease.agreement.generatedAt,
+          signedPdfUrl: fullLease.agreement.signedPdfUrl,
+          signatures,
           tenant: fullLease.tenant,
           landlord: fullLease.landlord,
         },
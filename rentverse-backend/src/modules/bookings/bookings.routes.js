@@ -1,6 +1,10 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { auth, authorize } = require('../../middleware/auth');
+const {
+  auth,
+  authorize,
+  requireVerifiedEmail,
+} = require('../../middleware/auth');
 const bookingsController = require('./bookings.controller');
 
 const router = express.Router();
@@ -42,7 +46,7 @@ const router = express.Router();
  *           description: Security deposit amount
  *         status:
  *           type: string
- *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED]
+ *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED, CANCELLED, TERMINATED]
  *           description: Booking status
  *         notes:
  *           type: string
@@ -98,6 +102,11 @@ const router = express.Router();
  *               notes:
  *                 type: string
  *                 description: Booking notes/comments
+ *               agreementLanguage:
+ *                 type: string
+ *                 enum: [EN, MS]
+ *                 default: EN
+ *                 description: Language of the generated rental agreement
  *     responses:
  *       201:
  *         description: Booking created successfully
@@ -105,13 +114,18 @@ const router = express.Router();
  *         description: Bad request or validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email not verified (REQUIRE_EMAIL_VERIFICATION)
  *       404:
  *         description: Property not found
+ *       409:
+ *         description: Property is already booked for the selected period
  */
 router.post(
   '/',
   auth,
   authorize('USER', 'ADMIN'),
+  requireVerifiedEmail,
   [
     body('propertyId').isUUID().withMessage('Valid property ID is required'),
     body('startDate').isISO8601().withMessage('Valid start date is required'),
@@ -128,6 +142,10 @@ router.post(
       .trim()
       .isLength({ max: 1000 })
       .withMessage('Notes cannot exceed 1000 characters'),
+    body('agreementLanguage')
+      .optional()
+      .isIn(['EN', 'MS'])
+      .withMessage('Agreement language must be EN or MS'),
   ],
   bookingsController.createBooking
 );
@@ -154,6 +172,8 @@ router.post(
  *           minimum: 1
  *           maximum: 100
  *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: User bookings retrieved successfully
@@ -188,8 +208,10 @@ router.get('/my-bookings', auth, bookingsController.getUserBookings);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED]
+ *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED, CANCELLED, TERMINATED]
  *         description: Filter by booking status
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Owner bookings retrieved successfully
@@ -338,6 +360,240 @@ router.post('/:id/approve', auth, bookingsController.approveBooking);
  */
 router.post('/:id/reject', auth, bookingsController.rejectBooking);
 
+/**
+ * @swagger
+ * /api/bookings/{id}/cancel:
+ *   post:
+ *     summary: Cancel booking before it starts (tenant only)
+ *     description: |
+ *       Cancels a PENDING or APPROVED booking whose start date has not passed and frees its dates. Prepaid rent is refunded in full; the security deposit is refunded according to the property's cancellation policy:
+ *       - FLEXIBLE: 100% up to 1 day before the start date, 50% after
+ *       - MODERATE: 100% up to 14 days before, 50% up to 7 days, nothing after
+ *       - STRICT: 100% up to 30 days before, 50% up to 14 days, nothing after
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Reason for cancellation
+ *     responses:
+ *       200:
+ *         description: Booking cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *                     cancellation:
+ *                       type: object
+ *                       properties:
+ *                         policy:
+ *                           type: string
+ *                           enum: [FLEXIBLE, MODERATE, STRICT]
+ *                         daysBeforeStart:
+ *                           type: integer
+ *                         depositRefundPercent:
+ *                           type: integer
+ *                         depositPaid:
+ *                           type: number
+ *                         refundableDeposit:
+ *                           type: number
+ *                         retainedDeposit:
+ *                           type: number
+ *                         chargesRefunded:
+ *                           type: number
+ *                         totalRefunded:
+ *                           type: number
+ *                         refunds:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Payment'
+ *                         failedRefunds:
+ *                           type: array
+ *                           description: Refunds the payment gateway rejected; these payments stay COMPLETED
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               paymentId:
+ *                                 type: string
+ *                               amount:
+ *                                 type: number
+ *                               error:
+ *                                 type: string
+ *                         voidedInvoices:
+ *                           type: integer
+ *                         voidError:
+ *                           type: string
+ *                           description: Set when the unpaid invoices could not be voided; the booking is still cancelled
+ *       400:
+ *         description: Validation error or the booking has already started
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking can no longer be cancelled
+ */
+router.post(
+  '/:id/cancel',
+  auth,
+  [
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason cannot exceed 1000 characters'),
+  ],
+  bookingsController.cancelBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/terminate:
+ *   post:
+ *     summary: Terminate an active booking early (tenant or landlord)
+ *     description: Moves an ACTIVE lease to TERMINATED, shortens its end date and voids unpaid rent for periods after the termination date.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Reason for early termination
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Last day of the lease (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Booking terminated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not ACTIVE
+ */
+router.post(
+  '/:id/terminate',
+  auth,
+  [
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Termination reason is required')
+      .isLength({ max: 1000 })
+      .withMessage('Reason cannot exceed 1000 characters'),
+    body('effectiveDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid effective date is required'),
+  ],
+  bookingsController.terminateBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/history:
+ *   get:
+ *     summary: Get booking status history
+ *     description: Every lease status transition with actor, timestamp and reason. A null actor means the change was made by the system.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Booking history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           fromStatus:
+ *                             type: string
+ *                             nullable: true
+ *                           toStatus:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           actor:
+ *                             type: object
+ *                             nullable: true
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/history', auth, bookingsController.getBookingHistory);
+
 /**
  * @swagger
  * /api/bookings/{id}/rental-agreement:
@@ -445,6 +701,458 @@ router.get(
   bookingsController.downloadRentalAgreementPDF
 );
 
+// ========== LEASE EXTENSIONS ==========
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaseExtension:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [EXTENSION, RENEWAL]
+ *         status:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED, REJECTED]
+ *         requestedById:
+ *           type: string
+ *         previousEndDate:
+ *           type: string
+ *           format: date-time
+ *           description: Lease end date when the request was made
+ *         requestedEndDate:
+ *           type: string
+ *           format: date-time
+ *         previousRentAmount:
+ *           type: number
+ *           format: decimal
+ *         newRentAmount:
+ *           type: number
+ *           format: decimal
+ *           nullable: true
+ *           description: Revised monthly rent from the day after previousEndDate (null = unchanged)
+ *         message:
+ *           type: string
+ *         responseNote:
+ *           type: string
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *         addendumPdfUrl:
+ *           type: string
+ *           description: Rental agreement addendum PDF (accepted requests only)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/extensions:
+ *   post:
+ *     summary: Request a lease extension or renewal (tenant only)
+ *     description: Only ACTIVE bookings can be extended. The extended period must not overlap another booking. A RENEWAL without requestedEndDate repeats the current term length.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [EXTENSION, RENEWAL]
+ *                 default: EXTENSION
+ *               requestedEndDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New lease end date (required for EXTENSION)
+ *               message:
+ *                 type: string
+ *                 description: Message to the landlord
+ *     responses:
+ *       201:
+ *         description: Extension request submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     extension:
+ *                       $ref: '#/components/schemas/LeaseExtension'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking not ACTIVE, request already pending or dates not available
+ *   get:
+ *     summary: Get extension requests for a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Extension requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     extensions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LeaseExtension'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.post(
+  '/:id/extensions',
+  auth,
+  [
+    body('type')
+      .optional()
+      .isIn(['EXTENSION', 'RENEWAL'])
+      .withMessage('Type must be EXTENSION or RENEWAL'),
+    body('requestedEndDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid requested end date is required'),
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Message cannot exceed 1000 characters'),
+  ],
+  bookingsController.requestExtension
+);
+
+router.get('/:id/extensions', auth, bookingsController.getBookingExtensions);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/extensions/{extensionId}/accept:
+ *   post:
+ *     summary: Accept an extension request (landlord only)
+ *     description: Extends the lease end date, optionally revises the monthly rent for the extended period, issues rent invoices for the new periods and generates a rental agreement addendum PDF.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: extensionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Extension request ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rentAmount:
+ *                 type: number
+ *                 description: Revised monthly rent for the extended period (defaults to current rent)
+ *               note:
+ *                 type: string
+ *                 description: Note included in the addendum
+ *     responses:
+ *       200:
+ *         description: Extension request accepted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     extension:
+ *                       $ref: '#/components/schemas/LeaseExtension'
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *                     invoiceSchedule:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking or extension request not found
+ *       409:
+ *         description: Request already answered, booking changed or dates not available
+ */
+router.post(
+  '/:id/extensions/:extensionId/accept',
+  auth,
+  [
+    body('rentAmount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Rent amount must be a positive number'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note cannot exceed 1000 characters'),
+  ],
+  bookingsController.acceptExtension
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/extensions/{extensionId}/reject:
+ *   post:
+ *     summary: Reject an extension request (landlord only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: extensionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Extension request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Reason for rejection (required)
+ *     responses:
+ *       200:
+ *         description: Extension request rejected successfully
+ *       400:
+ *         description: Rejection reason is required
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking or extension request not found
+ *       409:
+ *         description: Request already answered
+ */
+router.post(
+  '/:id/extensions/:extensionId/reject',
+  auth,
+  [
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Rejection reason is required')
+      .isLength({ max: 1000 })
+      .withMessage('Reason cannot exceed 1000 characters'),
+  ],
+  bookingsController.rejectExtension
+);
+
+// ========== INVOICES & PAYMENTS ==========
+const invoicesController = require('../invoices/invoices.controller');
+
+/**
+ * @swagger
+ * /api/bookings/{id}/invoices:
+ *   get:
+ *     summary: Get invoices issued for a booking
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DUE, PAID, VOID, REFUNDED]
+ *         description: Filter by invoice status
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invoice'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         totalInvoiced:
+ *                           type: number
+ *                         totalPaid:
+ *                           type: number
+ *                         totalOutstanding:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/invoices', auth, invoicesController.getBookingInvoices);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/invoices:
+ *   post:
+ *     summary: Issue an invoice for a booking (landlord only)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - dueDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [RENT, DEPOSIT, UTILITY, OTHER]
+ *                 default: RENT
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               memo:
+ *                 type: string
+ *               currencyCode:
+ *                 type: string
+ *                 description: Defaults to the booking currency
+ *     responses:
+ *       201:
+ *         description: Invoice issued successfully
+ *       400:
+ *         description: Validation error or booking not approved/active
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.post(
+  '/:id/invoices',
+  auth,
+  [
+    body('type')
+      .optional()
+      .isIn(['RENT', 'DEPOSIT', 'UTILITY', 'OTHER'])
+      .withMessage('Invalid invoice type'),
+    body('amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Invoice amount must be greater than zero'),
+    body('dueDate').isISO8601().withMessage('Valid due date is required'),
+    body('memo')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Memo cannot exceed 1000 characters'),
+    body('currencyCode')
+      .optional()
+      .isLength({ min: 3, max: 3 })
+      .withMessage('Currency code must be 3 characters'),
+  ],
+  invoicesController.createInvoice
+);
+
 // ========== DIGITAL AGREEMENT SIGNING (Module 3) ==========
 const {
   validateAgreementAccess,
@@ -456,7 +1164,11 @@ const {
  * /api/bookings/{id}/sign-agreement:
  *   post:
  *     summary: Sign rental agreement (tenant or landlord)
- *     description: Digitally sign the rental agreement. Both tenant and landlord must sign.
+ *     description: |
+ *       Digitally sign the rental agreement. Both tenant and landlord must sign.
+ *       The signature image, signer and agreement content hash are sealed with
+ *       the server Ed25519 key. Once both parties have signed, a final PDF with
+ *       signature blocks and an audit page is generated.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -467,6 +1179,22 @@ const {
  *         schema:
  *           type: string
  *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               signatureType:
+ *                 type: string
+ *                 enum: [DRAWN, TYPED]
+ *                 default: TYPED
+ *               signatureImage:
+ *                 type: string
+ *                 description: PNG, JPEG or SVG data URL (max 200KB), required for DRAWN
+ *               typedName:
+ *                 type: string
+ *                 description: Name rendered as the signature for TYPED (defaults to the signer's name)
  *     responses:
  *       200:
  *         description: Agreement signed successfully
@@ -488,20 +1216,43 @@ const {
  *                       type: boolean
  *                     fullyExecuted:
  *                       type: boolean
+ *                     signature:
+ *                       type: object
+ *                       description: Stored signature record without the image
+ *                     signedPdfUrl:
+ *                       type: string
+ *                       nullable: true
  *       400:
- *         description: Agreement cannot be signed or already signed
+ *         description: Validation failed, agreement cannot be signed or already signed
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Agreement content changed or already signed by this party
  */
 router.post(
   '/:id/sign-agreement',
   auth,
   validateAgreementAccess,
   validateSigningEligibility,
+  [
+    body('signatureType')
+      .optional()
+      .isIn(['DRAWN', 'TYPED'])
+      .withMessage('Signature type must be DRAWN or TYPED'),
+    body('signatureImage')
+      .if(body('signatureType').equals('DRAWN'))
+      .notEmpty()
+      .withMessage('Signature image is required for drawn signatures'),
+    body('typedName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Typed name must be between 1 and 100 characters'),
+  ],
   bookingsController.signAgreement
 );
 
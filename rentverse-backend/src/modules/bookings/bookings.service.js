@@ -1,33 +1,78 @@
 const { prisma } = require('../../config/database');
 const pdfGenerationService = require('../../services/pdfGeneration.service');
+const invoicesService = require('../invoices/invoices.service');
+const paymentsService = require('../payments/payments.service');
+const leaseLifecycleService = require('../../services/leaseLifecycle.service');
+const {
+  isCursorPagination,
+  paginateByCursor,
+} = require('../../utils/pagination');
+
+// Cursor pagination order for booking lists (newest first)
+const BOOKING_LIST_ORDER = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+// Matches prisma/sql/lease-overlap-constraint.sql
+const LEASE_OVERLAP_CONSTRAINT = 'leases_no_overlapping_bookings';
 
 class BookingsService {
+  /**
+   * Serialize booking writes for one property. Takes a transaction-scoped
+   * PostgreSQL advisory lock, released automatically on commit/rollback.
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} propertyId
+   */
+  async lockPropertyBookings(tx, propertyId) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${propertyId}))`;
+  }
+
+  /**
+   * Check whether a database error means the dates were taken concurrently
+   * (serialization failure or the lease overlap exclusion constraint)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isBookingConflictError(error) {
+    return (
+      error.code === 'P2034' ||
+      error.message.includes('23P01') ||
+      error.message.includes(LEASE_OVERLAP_CONSTRAINT)
+    );
+  }
+
+  /**
+   * Prisma lease filter for leases that block a date range. Both dates are
+   * inclusive, matching prisma/sql/lease-overlap-constraint.sql.
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Object}
+   */
+  getOverlappingLeaseWhere(startDate, endDate) {
+    return {
+      status: { in: ['APPROVED', 'ACTIVE'] },
+      startDate: { lte: endDate },
+      endDate: { gte: startDate },
+    };
+  }
+
   /**
    * Check if property is available for specific date range
    * @param {string} propertyId
    * @param {Date} startDate
    * @param {Date} endDate
    * @param {string} excludeLeaseId - Optional: exclude specific lease from check
+   * @param {Object} client - Prisma client or transaction client
    * @returns {Promise<boolean>}
    */
   async isPropertyAvailableForPeriod(
     propertyId,
     startDate,
     endDate,
-    excludeLeaseId = null
+    excludeLeaseId = null,
+    client = prisma
   ) {
     const where = {
       propertyId,
-      status: { in: ['APPROVED', 'ACTIVE'] },
-      OR: [
-        // Check for date overlaps
-        {
-          AND: [
-            { startDate: { lte: endDate } },
-            { endDate: { gte: startDate } },
-          ],
-        },
-      ],
+      ...this.getOverlappingLeaseWhere(startDate, endDate),
     };
 
     // Exclude specific lease if provided (for updates)
@@ -35,7 +80,7 @@ class BookingsService {
       where.id = { not: excludeLeaseId };
     }
 
-    const overlappingLeases = await prisma.lease.findMany({ where });
+    const overlappingLeases = await client.lease.findMany({ where });
 
     return overlappingLeases.length === 0;
   }
@@ -54,6 +99,7 @@ class BookingsService {
       rentAmount,
       securityDeposit,
       notes,
+      agreementLanguage,
     } = bookingData;
 
     // Convert strings to Date objects
@@ -99,63 +145,89 @@ class BookingsService {
       throw new Error('Property is currently not available for booking');
     }
 
-    // Smart availability check: Check for date conflicts with approved/active leases
-    const isAvailable = await this.isPropertyAvailableForPeriod(
-      propertyId,
-      bookingStartDate,
-      bookingEndDate
-    );
-
-    if (!isAvailable) {
-      throw new Error(`Property is already booked for the selected period`);
-    }
-
     // ===========================================
     // 🆕 AUTO-APPROVE FLOW (New Implementation)
     // ===========================================
-    // Create booking with APPROVED status (auto-approve)
-    const booking = await prisma.lease.create({
-      data: {
-        propertyId,
-        tenantId: userId,
-        landlordId: property.ownerId,
-        startDate: bookingStartDate,
-        endDate: bookingEndDate,
-        rentAmount: parseFloat(rentAmount),
-        securityDeposit: securityDeposit ? parseFloat(securityDeposit) : null,
-        status: 'APPROVED', // 🆕 Auto-approve immediately
-        notes: notes || null,
-      },
-      include: {
-        property: {
-          select: {
-            id: true,
-            title: true,
-            address: true,
-            city: true,
-            images: true,
-          },
-        },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+    // Create booking with APPROVED status (auto-approve). The availability
+    // check and insert run under a per-property lock so concurrent requests
+    // for the same dates cannot both succeed.
+    let booking;
+    try {
+      booking = await prisma.$transaction(async tx => {
+        await this.lockPropertyBookings(tx, propertyId);
+
+        // Smart availability check: Check for date conflicts with approved/active leases
+        const isAvailable = await this.isPropertyAvailableForPeriod(
+          propertyId,
+          bookingStartDate,
+          bookingEndDate,
+          null,
+          tx
+        );
+
+        if (!isAvailable) {
+          throw new Error(`Property is already booked for the selected period`);
+        }
+
+        const createdBooking = await tx.lease.create({
+          data: {
+            propertyId,
+            tenantId: userId,
+            landlordId: property.ownerId,
+            startDate: bookingStartDate,
+            endDate: bookingEndDate,
+            rentAmount: parseFloat(rentAmount),
+            securityDeposit: securityDeposit
+              ? parseFloat(securityDeposit)
+              : null,
+            status: 'APPROVED', // 🆕 Auto-approve immediately
+            notes: notes || null,
           },
-        },
-        landlord: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+          include: {
+            property: {
+              select: {
+                id: true,
+                title: true,
+                address: true,
+                city: true,
+                images: true,
+              },
+            },
+            tenant: {
+              select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true,
+                name: true,
+              },
+            },
+            landlord: {
+              select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true,
+                name: true,
+              },
+            },
           },
-        },
-      },
-    });
+        });
+
+        await leaseLifecycleService.recordCreation(createdBooking, {
+          actorId: userId,
+          reason: 'Booking created (auto-approved)',
+          client: tx,
+        });
+
+        return createdBooking;
+      });
+    } catch (error) {
+      if (this.isBookingConflictError(error)) {
+        throw new Error('Property is already booked for the selected period');
+      }
+      throw error;
+    }
 
     // 🆕 AUTO-GENERATE PDF immediately after booking creation
     try {
@@ -164,7 +236,8 @@ class BookingsService {
       );
       const pdfResult =
         await pdfGenerationService.generateAndUploadRentalAgreementPDF(
-          booking.id
+          booking.id,
+          { language: agreementLanguage }
         );
 
       console.log('✅ Rental agreement PDF auto-generated successfully');
@@ -189,6 +262,32 @@ class BookingsService {
       };
     }
 
+    // 🆕 AUTO-GENERATE rent schedule (monthly RENT + DEPOSIT invoices)
+    try {
+      const scheduleResult = await invoicesService.syncLeaseSchedule(
+        booking.id
+      );
+
+      console.log(
+        `🧾 Generated ${scheduleResult.created} invoices for booking: ${booking.id}`
+      );
+
+      booking.invoiceSchedule = {
+        generated: true,
+        invoiceCount: scheduleResult.created,
+      };
+    } catch (scheduleError) {
+      console.error(
+        '❌ Error generating rent schedule:',
+        scheduleError.message
+      );
+      // Don't fail the booking if invoice generation fails
+      booking.invoiceSchedule = {
+        generated: false,
+        error: scheduleError.message,
+      };
+    }
+
     return booking;
 
     // ===========================================
@@ -246,45 +345,56 @@ class BookingsService {
   /**
    * Get bookings for a user (as tenant)
    * @param {string} userId
-   * @param {number} page
-   * @param {number} limit
+   * @param {Object} pagination - { page, limit } or { cursor, limit, includeTotal }
    * @returns {Promise<Object>}
    */
-  async getUserBookings(userId, page = 1, limit = 10) {
+  async getUserBookings(userId, pagination = {}) {
+    const where = { tenantId: userId };
+    const include = {
+      property: {
+        select: {
+          id: true,
+          title: true,
+          address: true,
+          city: true,
+          images: true,
+          price: true,
+          currencyCode: true,
+        },
+      },
+      landlord: {
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          name: true,
+        },
+      },
+    };
+
+    if (isCursorPagination(pagination)) {
+      return await paginateByCursor({
+        pagination,
+        where,
+        orderBy: BOOKING_LIST_ORDER,
+        findMany: options => prisma.lease.findMany({ ...options, include }),
+        count: countWhere => prisma.lease.count({ where: countWhere }),
+      });
+    }
+
+    const { page = 1, limit = 10 } = pagination;
     const skip = (page - 1) * limit;
 
     const [bookings, total] = await Promise.all([
       prisma.lease.findMany({
-        where: { tenantId: userId },
-        include: {
-          property: {
-            select: {
-              id: true,
-              title: true,
-              address: true,
-              city: true,
-              images: true,
-              price: true,
-              currencyCode: true,
-            },
-          },
-          landlord: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              name: true,
-            },
-          },
-        },
+        where,
+        include,
         orderBy: { createdAt: 'desc' },
         skip,
         take: limit,
       }),
-      prisma.lease.count({
-        where: { tenantId: userId },
-      }),
+      prisma.lease.count({ where }),
     ]);
 
     const pages = Math.ceil(total / limit);
@@ -303,45 +413,57 @@ class BookingsService {
   /**
    * Get bookings for a property owner
    * @param {string} ownerId
-   * @param {number} page
-   * @param {number} limit
+   * @param {Object} pagination - { page, limit } or { cursor, limit, includeTotal }
    * @param {string} status - Optional filter by status
    * @returns {Promise<Object>}
    */
-  async getOwnerBookings(ownerId, page = 1, limit = 10, status = null) {
-    const skip = (page - 1) * limit;
-
+  async getOwnerBookings(ownerId, pagination = {}, status = null) {
     const where = { landlordId: ownerId };
     if (status) {
       where.status = status;
     }
 
+    const include = {
+      property: {
+        select: {
+          id: true,
+          title: true,
+          address: true,
+          city: true,
+          images: true,
+          price: true,
+          currencyCode: true,
+        },
+      },
+      tenant: {
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          name: true,
+          phone: true,
+        },
+      },
+    };
+
+    if (isCursorPagination(pagination)) {
+      return await paginateByCursor({
+        pagination,
+        where,
+        orderBy: BOOKING_LIST_ORDER,
+        findMany: options => prisma.lease.findMany({ ...options, include }),
+        count: countWhere => prisma.lease.count({ where: countWhere }),
+      });
+    }
+
+    const { page = 1, limit = 10 } = pagination;
+    const skip = (page - 1) * limit;
+
     const [bookings, total] = await Promise.all([
       prisma.lease.findMany({
         where,
-        include: {
-          property: {
-            select: {
-              id: true,
-              title: true,
-              address: true,
-              city: true,
-              images: true,
-              price: true,
-              currencyCode: true,
-            },
-          },
-          tenant: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              name: true,
-              phone: true,
-            },
-          },
-        },
+        include,
         orderBy: { createdAt: 'desc' },
         skip,
         take: limit,
@@ -419,15 +541,18 @@ class BookingsService {
     }
 
     // Approve the booking
-    const approvedBooking = await prisma.lease.update({
-      where: { id: bookingId },
+    await leaseLifecycleService.transition(bookingId, 'APPROVED', {
+      actorId: ownerId,
+      reason: notes || 'Approved by owner',
       data: {
-        status: 'APPROVED',
         notes: notes
           ? `${booking.notes || ''}\n\nOwner approval notes: ${notes}`.trim()
           : booking.notes,
-        updatedAt: new Date(),
       },
+    });
+
+    const approvedBooking = await prisma.lease.findUnique({
+      where: { id: bookingId },
       include: {
         property: {
           select: {
@@ -585,13 +710,16 @@ class BookingsService {
     }
 
     // Reject the booking
-    const rejectedBooking = await prisma.lease.update({
-      where: { id: bookingId },
+    await leaseLifecycleService.transition(bookingId, 'REJECTED', {
+      actorId: ownerId,
+      reason,
       data: {
-        status: 'REJECTED',
         notes: `${booking.notes || ''}\n\nRejection reason: ${reason}`.trim(),
-        updatedAt: new Date(),
       },
+    });
+
+    const rejectedBooking = await prisma.lease.findUnique({
+      where: { id: bookingId },
       include: {
         property: {
           select: {
@@ -613,9 +741,487 @@ class BookingsService {
       },
     });
 
+    // Void any unpaid invoices issued for the rejected booking
+    const voidResult = await this.voidClosedLeaseInvoices(
+      bookingId,
+      `Booking rejected: ${reason}`
+    );
+    rejectedBooking.voidedInvoices = voidResult.voided;
+    if (voidResult.voidError) {
+      rejectedBooking.voidError = voidResult.voidError;
+    }
+
     return rejectedBooking;
   }
 
+  /**
+   * Void the unpaid invoices of a booking that was just rejected or
+   * cancelled. The booking stays closed even if this fails, so the failure
+   * is logged and returned instead of thrown; a retry would only fail on
+   * the booking status.
+   * @param {string} bookingId
+   * @param {string} reason
+   * @returns {Promise<Object>} { voided, voidError? }
+   */
+  async voidClosedLeaseInvoices(bookingId, reason) {
+    try {
+      const result = await invoicesService.voidLeaseInvoices(bookingId, reason);
+      return { voided: result.voided };
+    } catch (error) {
+      console.error('Failed to void invoices of closed booking:', error);
+      return { voided: 0, voidError: error.message };
+    }
+  }
+
+  /**
+   * Cancel a booking before it starts (tenant only). Refunds are computed
+   * from the property's cancellation policy and the booked dates are freed.
+   * @param {string} bookingId
+   * @param {string} tenantId
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Promise<Object>}
+   */
+  async cancelBooking(bookingId, tenantId, reason = null) {
+    const booking = await prisma.lease.findUnique({
+      where: { id: bookingId },
+      include: {
+        property: {
+          select: {
+            id: true,
+            title: true,
+            cancellationPolicy: true,
+          },
+        },
+      },
+    });
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.tenantId !== tenantId) {
+      throw new Error('Access denied: You can only cancel your own bookings');
+    }
+
+    if (!['PENDING', 'APPROVED'].includes(booking.status)) {
+      throw new Error('Only PENDING or APPROVED bookings can be cancelled');
+    }
+
+    const now = new Date();
+
+    // Leases are activated hourly, so an APPROVED lease may not be ACTIVE yet
+    if (booking.startDate <= now) {
+      throw new Error(
+        'Booking has already started and can no longer be cancelled'
+      );
+    }
+    const cancellationReason = reason || 'Cancelled by tenant';
+
+    await leaseLifecycleService.transition(bookingId, 'CANCELLED', {
+      actorId: tenantId,
+      reason: cancellationReason,
+      data: {
+        notes:
+          `${booking.notes || ''}\n\nCancellation reason: ${cancellationReason}`.trim(),
+      },
+    });
+
+    // The booking stays cancelled even if a refund fails; the landlord can
+    // still refund individual payments via /api/payments/:id/refund
+    let refund;
+    try {
+      refund = await paymentsService.refundCancelledLease(
+        booking,
+        booking.property.cancellationPolicy,
+        now
+      );
+    } catch (error) {
+      console.error('Failed to refund cancelled booking:', error);
+      refund = { refundError: error.message };
+    }
+
+    // Void any unpaid invoices left on the cancelled booking
+    const voidResult = await this.voidClosedLeaseInvoices(
+      bookingId,
+      `Booking cancelled: ${cancellationReason}`
+    );
+
+    const cancelledBooking = await prisma.lease.findUnique({
+      where: { id: bookingId },
+      include: {
+        property: {
+          select: {
+            id: true,
+            title: true,
+            address: true,
+            city: true,
+            cancellationPolicy: true,
+          },
+        },
+        landlord: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            name: true,
+          },
+        },
+      },
+    });
+
+    cancelledBooking.cancellation = {
+      ...refund,
+      voidedInvoices: voidResult.voided,
+    };
+    if (voidResult.voidError) {
+      cancelledBooking.cancellation.voidError = voidResult.voidError;
+    }
+
+    return cancelledBooking;
+  }
+
+  /**
+   * Terminate an ACTIVE lease early (tenant or landlord)
+   * @param {string} bookingId
+   * @param {string} userId
+   * @param {string} reason - Required termination reason
+   * @param {Date} effectiveDate - Optional: last day of the lease (default today)
+   * @returns {Promise<Object>}
+   */
+  async terminateBooking(bookingId, userId, reason, effectiveDate = null) {
+    if (!reason || reason.trim().length === 0) {
+      throw new Error('Termination reason is required');
+    }
+
+    const booking = await this.getBookingById(bookingId, userId);
+
+    if (booking.status !== 'ACTIVE') {
+      throw new Error('Only ACTIVE bookings can be terminated');
+    }
+
+    const terminationDate = effectiveDate
+      ? new Date(effectiveDate)
+      : new Date();
+
+    if (
+      terminationDate < booking.startDate ||
+      terminationDate > booking.endDate
+    ) {
+      throw new Error(
+        'Termination date must be within the current lease period'
+      );
+    }
+
+    await leaseLifecycleService.transition(bookingId, 'TERMINATED', {
+      actorId: userId,
+      reason,
+      data: {
+        endDate: terminationDate,
+        notes: `${booking.notes || ''}\n\nTermination reason: ${reason}`.trim(),
+      },
+    });
+
+    // Re-pro-rate the final month and void rent for periods after termination
+    const scheduleResult = await invoicesService.syncLeaseSchedule(bookingId);
+
+    const terminatedBooking = await this.getBookingById(bookingId, userId);
+    terminatedBooking.invoiceSchedule = scheduleResult;
+
+    return terminatedBooking;
+  }
+
+  /**
+   * Get status transition history for a booking
+   * @param {string} bookingId
+   * @param {string} userId - For access control
+   * @returns {Promise<Array>}
+   */
+  async getBookingHistory(bookingId, userId) {
+    // Reuse access control from getBookingById
+    await this.getBookingById(bookingId, userId);
+
+    return await leaseLifecycleService.getHistory(bookingId);
+  }
+
+  /**
+   * Request an extension or renewal of an ACTIVE lease (tenant only)
+   * @param {string} bookingId
+   * @param {string} tenantId
+   * @param {Object} requestData - { type, requestedEndDate, message }
+   * @returns {Promise<Object>} Created extension request
+   */
+  async requestExtension(bookingId, tenantId, requestData) {
+    const { type = 'EXTENSION', requestedEndDate, message } = requestData;
+
+    const booking = await prisma.lease.findUnique({
+      where: { id: bookingId },
+    });
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.tenantId !== tenantId) {
+      throw new Error('Access denied: You can only extend your own bookings');
+    }
+
+    if (booking.status !== 'ACTIVE') {
+      throw new Error('Only ACTIVE bookings can be extended');
+    }
+
+    // A renewal without an explicit end date repeats the current term length
+    let newEndDate;
+    if (requestedEndDate) {
+      newEndDate = new Date(requestedEndDate);
+    } else if (type === 'RENEWAL') {
+      newEndDate = new Date(
+        booking.endDate.getTime() +
+          (booking.endDate.getTime() - booking.startDate.getTime())
+      );
+    } else {
+      throw new Error('Requested end date is required for an extension');
+    }
+
+    if (newEndDate <= booking.endDate) {
+      throw new Error(
+        'Requested end date must be after the current lease end date'
+      );
+    }
+
+    const pendingRequest = await prisma.leaseExtension.findFirst({
+      where: { leaseId: bookingId, status: 'PENDING' },
+    });
+
+    if (pendingRequest) {
+      throw new Error('This booking already has a pending extension request');
+    }
+
+    const isAvailable = await this.isPropertyAvailableForPeriod(
+      booking.propertyId,
+      booking.endDate,
+      newEndDate,
+      bookingId
+    );
+
+    if (!isAvailable) {
+      throw new Error(
+        'Property is not available for the requested extension period'
+      );
+    }
+
+    return await prisma.leaseExtension.create({
+      data: {
+        leaseId: bookingId,
+        type,
+        requestedById: tenantId,
+        previousEndDate: booking.endDate,
+        requestedEndDate: newEndDate,
+        previousRentAmount: booking.rentAmount,
+        message,
+      },
+    });
+  }
+
+  /**
+   * Get extension requests for a booking (tenant or landlord)
+   * @param {string} bookingId
+   * @param {string} userId - For access control
+   * @returns {Promise<Array>}
+   */
+  async getBookingExtensions(bookingId, userId) {
+    // Reuse access control from getBookingById
+    await this.getBookingById(bookingId, userId);
+
+    return await prisma.leaseExtension.findMany({
+      where: { leaseId: bookingId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Find a PENDING extension request the landlord may respond to
+   * @param {string} bookingId
+   * @param {string} extensionId
+   * @param {string} landlordId
+   * @returns {Promise<Object>} Extension request including its lease
+   */
+  async findPendingExtensionForLandlord(bookingId, extensionId, landlordId) {
+    const extension = await prisma.leaseExtension.findFirst({
+      where: { id: extensionId, leaseId: bookingId },
+      include: { lease: true },
+    });
+
+    if (!extension) {
+      throw new Error('Extension request not found');
+    }
+
+    if (extension.lease.landlordId !== landlordId) {
+      throw new Error(
+        'Access denied: You can only respond to extension requests for your own properties'
+      );
+    }
+
+    if (extension.status !== 'PENDING') {
+      throw new Error('Only PENDING extension requests can be answered');
+    }
+
+    return extension;
+  }
+
+  /**
+   * Accept an extension request (landlord only). Extends the lease end date,
+   * optionally revises the monthly rent for the extended period, bills the
+   * new periods and generates an addendum PDF.
+   * @param {string} bookingId
+   * @param {string} extensionId
+   * @param {string} landlordId
+   * @param {Object} responseData - { rentAmount, note }
+   * @returns {Promise<Object>} { extension, booking, invoiceSchedule }
+   */
+  async acceptExtension(bookingId, extensionId, landlordId, responseData = {}) {
+    const { rentAmount, note } = responseData;
+
+    const extension = await this.findPendingExtensionForLandlord(
+      bookingId,
+      extensionId,
+      landlordId
+    );
+    const { lease } = extension;
+
+    if (lease.status !== 'ACTIVE') {
+      throw new Error('Only ACTIVE bookings can be extended');
+    }
+
+    if (lease.endDate.getTime() !== extension.previousEndDate.getTime()) {
+      throw new Error(
+        'Booking end date changed since the extension was requested'
+      );
+    }
+
+    const newRentAmount =
+      rentAmount !== undefined &&
+      rentAmount !== null &&
+      parseFloat(rentAmount) !== Number(lease.rentAmount)
+        ? parseFloat(rentAmount)
+        : null;
+
+    let acceptedExtension;
+    try {
+      acceptedExtension = await prisma.$transaction(async tx => {
+        await this.lockPropertyBookings(tx, lease.propertyId);
+
+        // Re-check: another booking may have taken the dates in the meantime
+        const isAvailable = await this.isPropertyAvailableForPeriod(
+          lease.propertyId,
+          lease.endDate,
+          extension.requestedEndDate,
+          bookingId,
+          tx
+        );
+
+        if (!isAvailable) {
+          throw new Error(
+            'Property is not available for the requested extension period'
+          );
+        }
+
+        const leaseData = { endDate: extension.requestedEndDate };
+        if (newRentAmount !== null) {
+          leaseData.rentAmount = newRentAmount;
+        }
+
+        // Guard against a concurrent change to the lease
+        const { count } = await tx.lease.updateMany({
+          where: {
+            id: bookingId,
+            status: 'ACTIVE',
+            endDate: extension.previousEndDate,
+          },
+          data: leaseData,
+        });
+
+        if (count === 0) {
+          throw new Error('Booking status was changed by another request');
+        }
+
+        return await tx.leaseExtension.update({
+          where: { id: extensionId },
+          data: {
+            status: 'ACCEPTED',
+            newRentAmount,
+            responseNote: note,
+            respondedAt: new Date(),
+          },
+        });
+      });
+    } catch (error) {
+      if (this.isBookingConflictError(error)) {
+        throw new Error(
+          'Property is not available for the requested extension period'
+        );
+      }
+      throw error;
+    }
+
+    // Bill the extended periods (and the revised rent, if any)
+    let invoiceSchedule = null;
+    try {
+      invoiceSchedule = await invoicesService.syncLeaseSchedule(bookingId);
+    } catch (scheduleError) {
+      console.error(
+        'Failed to update invoice schedule for extension:',
+        scheduleError
+      );
+    }
+
+    // Generate addendum PDF
+    let extensionWithAddendum = acceptedExtension;
+    try {
+      extensionWithAddendum =
+        await pdfGenerationService.generateLeaseAddendumPDF(extensionId);
+    } catch (pdfError) {
+      console.error('Failed to generate lease addendum PDF:', pdfError);
+    }
+
+    const booking = await this.getBookingById(bookingId, landlordId);
+
+    return {
+      extension: extensionWithAddendum,
+      booking,
+      invoiceSchedule,
+    };
+  }
+
+  /**
+   * Reject an extension request (landlord only)
+   * @param {string} bookingId
+   * @param {string} extensionId
+   * @param {string} landlordId
+   * @param {string} reason - Required rejection reason
+   * @returns {Promise<Object>} Updated extension request
+   */
+  async rejectExtension(bookingId, extensionId, landlordId, reason) {
+    if (!reason || reason.trim().length === 0) {
+      throw new Error('Rejection reason is required');
+    }
+
+    await this.findPendingExtensionForLandlord(
+      bookingId,
+      extensionId,
+      landlordId
+    );
+
+    return await prisma.leaseExtension.update({
+      where: { id: extensionId },
+      data: {
+        status: 'REJECTED',
+        responseNote: reason,
+        respondedAt: new Date(),
+      },
+    });
+  }
+
   /**
    * Get booking by ID
    * @param {string} bookingId
@@ -0,0 +1,308 @@
+const invoicesService = require('./invoices.service');
+const { validationResult } = require('express-validator');
+
+class InvoicesController {
+  /**
+   * Get invoices for a booking
+   */
+  async getBookingInvoices(req, res) {
+    try {
+      const bookingId = req.params.id;
+      const status = req.query.status;
+
+      const result = await invoicesService.getBookingInvoices(
+        bookingId,
+        req.user,
+        status
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get booking invoices error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Issue invoice for a booking (landlord only)
+   */
+  async createInvoice(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const bookingId = req.params.id;
+      const invoice = await invoicesService.createInvoice(
+        bookingId,
+        req.body,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Invoice issued successfully',
+        data: { invoice },
+      });
+    } catch (error) {
+      console.error('Create invoice error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('can only be issued') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('greater than zero')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get invoice by ID
+   */
+  async getInvoiceById(req, res) {
+    try {
+      const invoiceId = req.params.id;
+      const invoice = await invoicesService.getInvoiceById(invoiceId, req.user);
+
+      res.json({
+        success: true,
+        data: { invoice },
+      });
+    } catch (error) {
+      console.error('Get invoice error:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Void invoice (landlord only)
+   */
+  async voidInvoice(req, res) {
+    try {
+      const invoiceId = req.params.id;
+      const { reason } = req.body;
+
+      const invoice = await invoicesService.voidInvoice(
+        invoiceId,
+        req.user,
+        reason
+      );
+
+      res.json({
+        success: true,
+        message: 'Invoice voided successfully',
+        data: { invoice },
+      });
+    } catch (error) {
+      console.error('Void invoice error:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Only DUE') ||
+        error.message.includes('cannot be voided')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get payments for an invoice
+   */
+  async getInvoicePayments(req, res) {
+    try {
+      const invoiceId = req.params.id;
+      const result = await invoicesService.getInvoicePayments(
+        invoiceId,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get invoice payments error:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Record payment for an invoice (tenant only)
+   */
+  async recordPayment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const invoiceId = req.params.id;
+      const result = await invoicesService.recordPayment(
+        invoiceId,
+        req.body,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message:
+          result.invoice.status === 'PAID'
+            ? 'Payment recorded and invoice fully paid'
+            : 'Payment recorded successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Record payment error:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('cannot accept payments')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Invalid') ||
+        error.message.includes('greater than zero') ||
+        error.message.includes('exceeds outstanding balance')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = new InvoicesController();
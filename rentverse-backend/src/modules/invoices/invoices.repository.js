@@ -0,0 +1,294 @@
+const { prisma } = require('../../config/database');
+
+class InvoicesRepository {
+  async findLeaseById(leaseId) {
+    return await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: {
+        id: true,
+        propertyId: true,
+        tenantId: true,
+        landlordId: true,
+        status: true,
+        rentAmount: true,
+        securityDeposit: true,
+        currencyCode: true,
+        startDate: true,
+        endDate: true,
+        extensions: {
+          where: {
+            status: 'ACCEPTED',
+            newRentAmount: { not: null },
+          },
+          select: {
+            previousEndDate: true,
+            previousRentAmount: true,
+            newRentAmount: true,
+          },
+          orderBy: { previousEndDate: 'asc' },
+        },
+      },
+    });
+  }
+
+  async findManyByLease(leaseId, options = {}) {
+    const { where = {}, orderBy = { dueDate: 'asc' } } = options;
+
+    return await prisma.invoice.findMany({
+      where: { ...where, leaseId },
+      include: {
+        payments: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+      orderBy,
+    });
+  }
+
+  async findById(id) {
+    return await prisma.invoice.findUnique({
+      where: { id },
+      include: {
+        payments: {
+          orderBy: { createdAt: 'asc' },
+        },
+        lease: {
+          select: {
+            id: true,
+            propertyId: true,
+            tenantId: true,
+            landlordId: true,
+            status: true,
+          },
+        },
+      },
+    });
+  }
+
+  async create(invoiceData) {
+    return await prisma.invoice.create({
+      data: invoiceData,
+      include: {
+        payments: true,
+      },
+    });
+  }
+
+  async update(id, updateData) {
+    return await prisma.invoice.update({
+      where: { id },
+      data: updateData,
+      include: {
+        payments: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+  }
+
+  async findPayments(invoiceId) {
+    return await prisma.payment.findMany({
+      where: { invoiceId },
+      include: {
+        payer: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Sum of COMPLETED payments for an invoice
+   * @param {string} invoiceId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<number>}
+   */
+  async sumCompletedPayments(invoiceId, client = prisma) {
+    const result = await client.payment.aggregate({
+      where: { invoiceId, status: 'COMPLETED' },
+      _sum: { amount: true },
+    });
+
+    return Number(result._sum.amount || 0);
+  }
+
+  /**
+   * Sum of PENDING gateway payments for an invoice started after `since`.
+   * These are checkouts the tenant may still complete, so their amount is
+   * held back from the balance available to new payments.
+   * @param {string} invoiceId
+   * @param {Date} since
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<number>}
+   */
+  async sumPendingPayments(invoiceId, since, client = prisma) {
+    const result = await client.payment.aggregate({
+      where: { invoiceId, status: 'PENDING', createdAt: { gt: since } },
+      _sum: { amount: true },
+    });
+
+    return Number(result._sum.amount || 0);
+  }
+
+  /**
+   * Sum of REFUNDED payments for an invoice
+   * @param {string} invoiceId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<number>}
+   */
+  async sumRefundedPayments(invoiceId, client = prisma) {
+    const result = await client.payment.aggregate({
+      where: { invoiceId, status: 'REFUNDED' },
+      _sum: { amount: true },
+    });
+
+    return Number(result._sum.amount || 0);
+  }
+
+  /**
+   * Lock an invoice row for the rest of the transaction, so payments
+   * against the same invoice check its balance one at a time.
+   * @param {string} invoiceId
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Object|null>} The invoice as of the lock
+   */
+  async lockForUpdate(invoiceId, tx) {
+    await tx.$queryRaw`SELECT "id" FROM "invoices" WHERE "id" = ${invoiceId} FOR UPDATE`;
+
+    return await tx.invoice.findUnique({
+      where: { id: invoiceId },
+    });
+  }
+
+  /**
+   * Recompute invoice status from its payments: DUE rolls to PAID once
+   * COMPLETED payments cover the amount; after refunds a PAID invoice goes
+   * back to DUE, or to REFUNDED when nothing completed remains.
+   * @param {string} invoiceId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} The (possibly updated) invoice
+   */
+  async reconcile(invoiceId, client = prisma) {
+    const invoice = await client.invoice.findUnique({
+      where: { id: invoiceId },
+    });
+
+    if (!invoice || invoice.status === 'VOID') {
+      return invoice;
+    }
+
+    const paid = await this.sumCompletedPayments(invoiceId, client);
+
+    if (paid >= Number(invoice.amount)) {
+      if (invoice.status === 'PAID') {
+        return invoice;
+      }
+
+      return await client.invoice.update({
+        where: { id: invoiceId },
+        data: {
+          status: 'PAID',
+          paidAt: new Date(),
+        },
+      });
+    }
+
+    if (invoice.status === 'DUE') {
+      return invoice;
+    }
+
+    const refunded = await this.sumRefundedPayments(invoiceId, client);
+    const status = paid === 0 && refunded > 0 ? 'REFUNDED' : 'DUE';
+
+    if (invoice.status === status) {
+      return invoice;
+    }
+
+    return await client.invoice.update({
+      where: { id: invoiceId },
+      data: {
+        status,
+        paidAt: null,
+      },
+    });
+  }
+
+  /**
+   * Apply a computed billing schedule diff in one transaction
+   * @param {Object} changes - { create: [], update: [{ id, data }], void: [{ id, memo }] }
+   * @returns {Promise<Object>} Counts of created/updated/voided invoices
+   */
+  async applyScheduleChanges(changes) {
+    const { create = [], update = [], void: toVoid = [] } = changes;
+
+    return await prisma.$transaction(async tx => {
+      for (const invoice of toVoid) {
+        await tx.invoice.update({
+          where: { id: invoice.id },
+          data: { status: 'VOID', memo: invoice.memo },
+        });
+      }
+
+      for (const invoice of update) {
+        await tx.invoice.update({
+          where: { id: invoice.id },
+          data: invoice.data,
+        });
+      }
+
+      if (create.length > 0) {
+        await tx.invoice.createMany({ data: create });
+      }
+
+      return {
+        created: create.length,
+        updated: update.length,
+        voided: toVoid.length,
+      };
+    });
+  }
+
+  /**
+   * Record a COMPLETED payment and reconcile its invoice in one transaction.
+   * The invoice status and balance are re-checked under the invoice row lock,
+   * so concurrent payments cannot pay more than the invoice amount.
+   * @param {Object} paymentData
+   * @returns {Promise<Object>} { payment, invoice }
+   */
+  async createPayment(paymentData) {
+    return await prisma.$transaction(async tx => {
+      const current = await this.lockForUpdate(paymentData.invoiceId, tx);
+
+      if (current.status !== 'DUE') {
+        throw new Error(
+          `Invoice is ${current.status} and cannot accept payments`
+        );
+      }
+
+      const paid = await this.sumCompletedPayments(current.id, tx);
+      const balance =
+        Math.round(Math.max(Number(current.amount) - paid, 0) * 100) / 100;
+
+      if (Number(paymentData.amount) > balance) {
+        throw new Error(
+          `Payment amount exceeds outstanding balance of ${balance.toFixed(2)}`
+        );
+      }
+
+      const payment = await tx.payment.create({
+        data: paymentData,
+      });
+
+      const invoice = await this.reconcile(paymentData.invoiceId, tx);
+
+      return { payment, invoice };
+    });
+  }
+}
+
+module.exports = new InvoicesRepository();
@@ -0,0 +1,260 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const invoicesController = require('./invoices.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated UUID of the invoice
+ *         leaseId:
+ *           type: string
+ *           description: Booking/lease the invoice is issued against
+ *         type:
+ *           type: string
+ *           enum: [RENT, DEPOSIT, UTILITY, OTHER]
+ *         amount:
+ *           type: number
+ *           format: decimal
+ *         currencyCode:
+ *           type: string
+ *           example: MYR
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [DUE, PAID, VOID, REFUNDED]
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         memo:
+ *           type: string
+ *         amountPaid:
+ *           type: number
+ *           description: Sum of COMPLETED payments
+ *         balance:
+ *           type: number
+ *           description: Remaining amount to be paid
+ *         payments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Payment'
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         invoiceId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           format: decimal
+ *         method:
+ *           type: string
+ *           enum: [BANK_TRANSFER, CASH, EWALLET, CREDIT_CARD]
+ *         status:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, FAILED, REFUNDED]
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         txnRef:
+ *           type: string
+ *           description: External transaction reference
+ *         payerId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: Invoices and payments for bookings
+ */
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get invoice details by ID
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id', auth, invoicesController.getInvoiceById);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/void:
+ *   post:
+ *     summary: Void an unpaid invoice (landlord only)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Optional reason for voiding
+ *     responses:
+ *       200:
+ *         description: Invoice voided successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is not DUE or already has completed payments
+ */
+router.post('/:id/void', auth, invoicesController.voidInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   get:
+ *     summary: Get payments recorded for an invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id/payments', auth, invoicesController.getInvoicePayments);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   post:
+ *     summary: Record a payment for an invoice (tenant only)
+ *     description: Partial payments are allowed. The invoice is marked PAID once the sum of COMPLETED payments covers its amount.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: Amount paid (cannot exceed outstanding balance)
+ *               method:
+ *                 type: string
+ *                 enum: [BANK_TRANSFER, CASH, EWALLET, CREDIT_CARD]
+ *                 default: BANK_TRANSFER
+ *               txnRef:
+ *                 type: string
+ *                 description: Bank/e-wallet transaction reference
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the payment was made (defaults to now)
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Validation error or amount exceeds balance
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice cannot accept payments
+ */
+router.post(
+  '/:id/payments',
+  auth,
+  [
+    body('amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Payment amount must be greater than zero'),
+    body('method')
+      .optional()
+      .isIn(['BANK_TRANSFER', 'CASH', 'EWALLET', 'CREDIT_CARD'])
+      .withMessage('Invalid payment method'),
+    body('txnRef')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Transaction reference cannot exceed 255 characters'),
+    body('paidAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid payment date is required'),
+  ],
+  invoicesController.recordPayment
+);
+
+module.exports = router;
@@ -0,0 +1,506 @@
+const invoicesRepository = require('./invoices.repository');
+
+const INVOICE_TYPES = ['RENT', 'DEPOSIT', 'UTILITY', 'OTHER'];
+const PAYMENT_METHODS = ['BANK_TRANSFER', 'CASH', 'EWALLET', 'CREDIT_CARD'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class InvoicesService {
+  // Helper function to round money values to 2 decimal places
+  roundAmount(value) {
+    return Math.round(Number(value) * 100) / 100;
+  }
+
+  // Helper function to add paid/balance summary to invoice object
+  addPaymentSummaryToInvoice(invoice) {
+    if (!invoice) return invoice;
+
+    const amountPaid = this.roundAmount(
+      (invoice.payments || [])
+        .filter(payment => payment.status === 'COMPLETED')
+        .reduce((sum, payment) => sum + Number(payment.amount), 0)
+    );
+
+    return {
+      ...invoice,
+      amountPaid,
+      balance: this.roundAmount(
+        Math.max(Number(invoice.amount) - amountPaid, 0)
+      ),
+    };
+  }
+
+  // Helper function to check user is tenant, landlord or admin of the lease
+  checkLeaseAccess(lease, user) {
+    if (
+      user.role !== 'ADMIN' &&
+      lease.tenantId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new Error(
+        'Access denied: You can only view invoices for your own bookings'
+      );
+    }
+  }
+
+  // Helper function to truncate a date to midnight UTC
+  toUtcDay(date) {
+    const d = new Date(date);
+    return new Date(
+      Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+    );
+  }
+
+  // Helper function to format a date as YYYY-MM-DD
+  formatDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Helper function to check whether an invoice has any COMPLETED payment
+  hasCompletedPayments(invoice) {
+    return (invoice.payments || []).some(
+      payment => payment.status === 'COMPLETED'
+    );
+  }
+
+  /**
+   * Monthly rent rates over the life of a lease, oldest first.
+   * Accepted extensions with a revised rent start a new rate on the day
+   * after the end date they extended.
+   * @param {Object} lease - rentAmount and optional `extensions`
+   * @returns {Array<Object>} [{ from: Date|null, amount }]
+   */
+  getRentRates(lease) {
+    const changes = lease.extensions || [];
+    if (changes.length === 0) {
+      return [{ from: null, amount: Number(lease.rentAmount) }];
+    }
+
+    return [
+      { from: null, amount: Number(changes[0].previousRentAmount) },
+      ...changes.map(change => ({
+        from: new Date(
+          this.toUtcDay(change.previousEndDate).getTime() + DAY_MS
+        ),
+        amount: Number(change.newRentAmount),
+      })),
+    ];
+  }
+
+  /**
+   * Build the monthly RENT schedule for a lease.
+   * Billing follows calendar months; the first and last months are
+   * pro-rated by day when the lease does not cover the whole month.
+   * Both startDate and endDate are treated as inclusive days. A month that
+   * spans a rent change is charged each rate for the days it applies.
+   * @param {Object} lease - Must include startDate, endDate, rentAmount
+   * @returns {Array<Object>} Invoice data (type, amount, dueDate, memo)
+   */
+  buildRentSchedule(lease) {
+    const rates = this.getRentRates(lease);
+    const start = this.toUtcDay(lease.startDate);
+    const end = this.toUtcDay(lease.endDate);
+    const schedule = [];
+
+    let periodStart = start;
+    while (periodStart <= end) {
+      const year = periodStart.getUTCFullYear();
+      const month = periodStart.getUTCMonth();
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const monthEnd = new Date(Date.UTC(year, month, daysInMonth));
+      const periodEnd = monthEnd < end ? monthEnd : end;
+      const days = Math.round((periodEnd - periodStart) / DAY_MS) + 1;
+      const isProrated = days < daysInMonth;
+
+      // Split the period by the rates that apply to it
+      let amount = 0;
+      rates.forEach((rate, index) => {
+        const next = rates[index + 1];
+        const from =
+          rate.from && rate.from > periodStart ? rate.from : periodStart;
+        const lastRateDay = next
+          ? new Date(next.from.getTime() - DAY_MS)
+          : periodEnd;
+        const to = lastRateDay < periodEnd ? lastRateDay : periodEnd;
+
+        if (from <= to) {
+          const rateDays = Math.round((to - from) / DAY_MS) + 1;
+          amount += (rate.amount * rateDays) / daysInMonth;
+        }
+      });
+
+      schedule.push({
+        type: 'RENT',
+        amount: this.roundAmount(amount),
+        dueDate: periodStart,
+        memo: isProrated
+          ? `Rent ${this.formatDay(periodStart)} to ${this.formatDay(periodEnd)} (pro-rated ${days}/${daysInMonth} days)`
+          : `Rent ${this.formatDay(periodStart)} to ${this.formatDay(periodEnd)}`,
+      });
+
+      periodStart = new Date(Date.UTC(year, month + 1, 1));
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Get invoices for a booking (tenant, landlord or admin)
+   * @param {string} bookingId
+   * @param {Object} user - Requesting user
+   * @param {string} status - Optional filter by invoice status
+   * @returns {Promise<Object>}
+   */
+  async getBookingInvoices(bookingId, user, status = null) {
+    const lease = await invoicesRepository.findLeaseById(bookingId);
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    this.checkLeaseAccess(lease, user);
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    const invoices = await invoicesRepository.findManyByLease(bookingId, {
+      where,
+    });
+
+    const invoicesWithSummary = invoices.map(invoice =>
+      this.addPaymentSummaryToInvoice(invoice)
+    );
+
+    return {
+      invoices: invoicesWithSummary,
+      summary: {
+        totalInvoiced: this.roundAmount(
+          invoicesWithSummary
+            .filter(invoice => invoice.status !== 'VOID')
+            .reduce((sum, invoice) => sum + Number(invoice.amount), 0)
+        ),
+        totalPaid: this.roundAmount(
+          invoicesWithSummary.reduce(
+            (sum, invoice) => sum + invoice.amountPaid,
+            0
+          )
+        ),
+        totalOutstanding: this.roundAmount(
+          invoicesWithSummary
+            .filter(invoice => invoice.status === 'DUE')
+            .reduce((sum, invoice) => sum + invoice.balance, 0)
+        ),
+      },
+    };
+  }
+
+  /**
+   * Issue a new invoice against a booking (landlord or admin)
+   * @param {string} bookingId
+   * @param {Object} invoiceData
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>}
+   */
+  async createInvoice(bookingId, invoiceData, user) {
+    const { type = 'RENT', amount, dueDate, memo, currencyCode } = invoiceData;
+
+    const lease = await invoicesRepository.findLeaseById(bookingId);
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (user.role !== 'ADMIN' && lease.landlordId !== user.id) {
+      throw new Error(
+        'Access denied: Only the landlord can issue invoices for this booking'
+      );
+    }
+
+    if (!['APPROVED', 'ACTIVE'].includes(lease.status)) {
+      throw new Error(
+        'Invoices can only be issued for approved or active bookings'
+      );
+    }
+
+    if (!INVOICE_TYPES.includes(type)) {
+      throw new Error(`Invalid invoice type: ${type}`);
+    }
+
+    const invoiceAmount = this.roundAmount(amount);
+    if (!(invoiceAmount > 0)) {
+      throw new Error('Invoice amount must be greater than zero');
+    }
+
+    const invoice = await invoicesRepository.create({
+      leaseId: lease.id,
+      type,
+      amount: invoiceAmount,
+      currencyCode: currencyCode || lease.currencyCode,
+      dueDate: new Date(dueDate),
+      memo: memo || null,
+    });
+
+    return this.addPaymentSummaryToInvoice(invoice);
+  }
+
+  /**
+   * Get invoice by ID (tenant, landlord or admin)
+   * @param {string} invoiceId
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>}
+   */
+  async getInvoiceById(invoiceId, user) {
+    const invoice = await invoicesRepository.findById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    this.checkLeaseAccess(invoice.lease, user);
+
+    return this.addPaymentSummaryToInvoice(invoice);
+  }
+
+  /**
+   * Void an unpaid invoice (landlord or admin)
+   * @param {string} invoiceId
+   * @param {Object} user - Requesting user
+   * @param {string} reason - Optional reason appended to memo
+   * @returns {Promise<Object>}
+   */
+  async voidInvoice(invoiceId, user, reason = '') {
+    const invoice = await invoicesRepository.findById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (user.role !== 'ADMIN' && invoice.lease.landlordId !== user.id) {
+      throw new Error('Access denied: Only the landlord can void this invoice');
+    }
+
+    if (invoice.status !== 'DUE') {
+      throw new Error('Only DUE invoices can be voided');
+    }
+
+    if (this.hasCompletedPayments(invoice)) {
+      throw new Error('Invoices with completed payments cannot be voided');
+    }
+
+    const updatedInvoice = await invoicesRepository.update(invoiceId, {
+      status: 'VOID',
+      memo: reason
+        ? `${invoice.memo || ''}\n\nVoid reason: ${reason}`.trim()
+        : invoice.memo,
+    });
+
+    return this.addPaymentSummaryToInvoice(updatedInvoice);
+  }
+
+  /**
+   * Get payments for an invoice (tenant, landlord or admin)
+   * @param {string} invoiceId
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>}
+   */
+  async getInvoicePayments(invoiceId, user) {
+    const invoice = await this.getInvoiceById(invoiceId, user);
+    const payments = await invoicesRepository.findPayments(invoiceId);
+
+    return {
+      invoice: {
+        id: invoice.id,
+        type: invoice.type,
+        amount: invoice.amount,
+        currencyCode: invoice.currencyCode,
+        status: invoice.status,
+        amountPaid: invoice.amountPaid,
+        balance: invoice.balance,
+      },
+      payments,
+    };
+  }
+
+  /**
+   * Record a (possibly partial) payment against an invoice (tenant only).
+   * The invoice rolls to PAID once COMPLETED payments cover its amount.
+   * @param {string} invoiceId
+   * @param {Object} paymentData
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>}
+   */
+  async recordPayment(invoiceId, paymentData, user) {
+    const { amount, method = 'BANK_TRANSFER', txnRef, paidAt } = paymentData;
+
+    const invoice = await invoicesRepository.findById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (invoice.lease.tenantId !== user.id) {
+      throw new Error(
+        'Access denied: Only the tenant can record payments for this invoice'
+      );
+    }
+
+    if (invoice.status !== 'DUE') {
+      throw new Error(
+        `Invoice is ${invoice.status} and cannot accept payments`
+      );
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw new Error(`Invalid payment method: ${method}`);
+    }
+
+    const paymentAmount = this.roundAmount(amount);
+    if (!(paymentAmount > 0)) {
+      throw new Error('Payment amount must be greater than zero');
+    }
+
+    // Early check for a clear error; createPayment repeats it under a lock
+    const { balance } = this.addPaymentSummaryToInvoice(invoice);
+    if (paymentAmount > balance) {
+      throw new Error(
+        `Payment amount exceeds outstanding balance of ${balance.toFixed(2)}`
+      );
+    }
+
+    const { payment, invoice: updatedInvoice } =
+      await invoicesRepository.createPayment({
+        invoiceId,
+        amount: paymentAmount,
+        method,
+        status: 'COMPLETED',
+        paidAt: paidAt ? new Date(paidAt) : new Date(),
+        txnRef: txnRef || null,
+        payerId: user.id,
+      });
+
+    return {
+      payment,
+      invoice: await this.getInvoiceById(updatedInvoice.id, user),
+    };
+  }
+
+  /**
+   * Generate or regenerate the RENT schedule and DEPOSIT invoice for a lease.
+   * Safe to call repeatedly: periods that already have an invoice are kept,
+   * unpaid invoices whose amount changed are updated, and unpaid invoices for
+   * periods no longer covered by the lease are voided. Invoices that already
+   * received payments are never modified.
+   * @param {string} leaseId
+   * @returns {Promise<Object>} Counts of created/updated/voided invoices
+   */
+  async syncLeaseSchedule(leaseId) {
+    const lease = await invoicesRepository.findLeaseById(leaseId);
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    const existingInvoices = await invoicesRepository.findManyByLease(leaseId, {
+      where: { status: { not: 'VOID' } },
+    });
+
+    const changes = { create: [], update: [], void: [] };
+
+    // RENT invoices are matched to schedule periods by due date
+    const rentByDueDate = new Map();
+    existingInvoices
+      .filter(invoice => invoice.type === 'RENT')
+      .forEach(invoice => {
+        rentByDueDate.set(this.toUtcDay(invoice.dueDate).getTime(), invoice);
+      });
+
+    for (const period of this.buildRentSchedule(lease)) {
+      const key = period.dueDate.getTime();
+      const existing = rentByDueDate.get(key);
+      rentByDueDate.delete(key);
+
+      if (!existing) {
+        changes.create.push({
+          leaseId,
+          currencyCode: lease.currencyCode,
+          ...period,
+        });
+        continue;
+      }
+
+      if (
+        existing.status === 'DUE' &&
+        !this.hasCompletedPayments(existing) &&
+        Number(existing.amount) !== period.amount
+      ) {
+        changes.update.push({
+          id: existing.id,
+          data: { amount: period.amount, memo: period.memo },
+        });
+      }
+
+      // A (partly) paid period that grew, e.g. the lease was extended past
+      // a pro-rated last month, stays open for the difference
+      if (
+        ['DUE', 'PAID'].includes(existing.status) &&
+        this.hasCompletedPayments(existing) &&
+        period.amount > Number(existing.amount)
+      ) {
+        changes.update.push({
+          id: existing.id,
+          data: {
+            amount: period.amount,
+            memo: period.memo,
+            status: 'DUE',
+            paidAt: null,
+          },
+        });
+      }
+    }
+
+    // Whatever is left no longer falls within the lease period
+    rentByDueDate.forEach(invoice => {
+      if (invoice.status === 'DUE' && !this.hasCompletedPayments(invoice)) {
+        changes.void.push({
+          id: invoice.id,
+          memo: `${invoice.memo || ''}\n\nVoid reason: Lease dates changed`.trim(),
+        });
+      }
+    });
+
+    const deposit = Number(lease.securityDeposit || 0);
+    const hasDepositInvoice = existingInvoices.some(
+      invoice => invoice.type === 'DEPOSIT'
+    );
+    if (deposit > 0 && !hasDepositInvoice) {
+      changes.create.push({
+        leaseId,
+        type: 'DEPOSIT',
+        amount: this.roundAmount(deposit),
+        currencyCode: lease.currencyCode,
+        dueDate: this.toUtcDay(new Date()),
+        memo: 'Security deposit',
+      });
+    }
+
+    return await invoicesRepository.applyScheduleChanges(changes);
+  }
+
+  /**
+   * Void every unpaid invoice of a lease (e.g. when the booking is rejected)
+   * @param {string} leaseId
+   * @param {string} reason
+   * @returns {Promise<Object>} Counts of voided invoices
+   */
+  async voidLeaseInvoices(leaseId, reason) {
+    const invoices = await invoicesRepository.findManyByLease(leaseId, {
+      where: { status: 'DUE' },
+    });
+
+    const toVoid = invoices
+      .filter(invoice => !this.hasCompletedPayments(invoice))
+      .map(invoice => ({
+        id: invoice.id,
+        memo: `${invoice.memo || ''}\n\nVoid reason: ${reason}`.trim(),
+      }));
+
+    return await invoicesRepository.applyScheduleChanges({ void: toVoid });
+  }
+}
+
+module.exports = new InvoicesService();
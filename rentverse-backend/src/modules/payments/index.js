@@ -0,0 +1,11 @@
+const paymentsRoutes = require('./payments.routes');
+const paymentsController = require('./payments.controller');
+const paymentsService = require('./payments.service');
+const paymentsRepository = require('./payments.repository');
+
+module.exports = {
+  routes: paymentsRoutes,
+  controller: paymentsController,
+  service: paymentsService,
+  repository: paymentsRepository,
+};
@@ -0,0 +1,173 @@
+const paymentsService = require('./payments.service');
+const { validationResult } = require('express-validator');
+
+class PaymentsController {
+  /**
+   * Start gateway checkout for an invoice (tenant only)
+   */
+  async createCheckout(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const result = await paymentsService.createCheckout(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Checkout session created successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Create checkout error:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('cannot accept payments')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Unsupported payment provider') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('greater than zero') ||
+        error.message.includes('exceeds outstanding balance')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Failed to create checkout session')) {
+        return res.status(502).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Receive payment provider webhook (public, signature verified)
+   */
+  async handleWebhook(req, res) {
+    try {
+      const { provider } = req.params;
+
+      const result = await paymentsService.handleWebhook(
+        provider,
+        req.rawBody,
+        req.headers
+      );
+
+      res.json({
+        success: true,
+        received: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Payment webhook error:', error.message);
+
+      if (error.message.includes('Unsupported payment provider')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message.includes('Invalid webhook signature') ||
+        error.message.includes('Unsupported webhook event')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Payment not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Refund a completed payment (landlord only)
+   */
+  async refundPayment(req, res) {
+    try {
+      const paymentId = req.params.id;
+      const result = await paymentsService.refundPayment(paymentId, req.user);
+
+      res.json({
+        success: true,
+        message: 'Payment refunded successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Refund payment error:', error);
+
+      if (error.message === 'Payment not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Only COMPLETED')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = new PaymentsController();
@@ -0,0 +1,287 @@
+const { prisma } = require('../../config/database');
+const invoicesRepository = require('../invoices/invoices.repository');
+
+class PaymentsRepository {
+  async findById(id) {
+    return await prisma.payment.findUnique({
+      where: { id },
+      include: {
+        invoice: {
+          include: {
+            lease: {
+              select: {
+                id: true,
+                tenantId: true,
+                landlordId: true,
+                status: true,
+              },
+            },
+          },
+        },
+      },
+    });
+  }
+
+  async findByTxnRef(provider, txnRef) {
+    return await prisma.payment.findFirst({
+      where: { provider, txnRef },
+    });
+  }
+
+  async findCompletedByLease(leaseId) {
+    return await prisma.payment.findMany({
+      where: {
+        status: 'COMPLETED',
+        invoice: {
+          leaseId,
+          status: { not: 'VOID' },
+        },
+      },
+      include: {
+        invoice: {
+          select: {
+            id: true,
+            type: true,
+            amount: true,
+            status: true,
+            memo: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async create(paymentData) {
+    return await prisma.payment.create({
+      data: paymentData,
+    });
+  }
+
+  /**
+   * Create a PENDING checkout payment if the invoice still has enough
+   * balance once completed payments and other open checkouts (those started
+   * after `reservedSince`) are taken off. Runs under the invoice row lock so
+   * concurrent checkouts cannot reserve the same balance twice.
+   * @param {Object} paymentData
+   * @param {Date} reservedSince
+   * @returns {Promise<Object>} The created payment
+   */
+  async createPending(paymentData, reservedSince) {
+    return await prisma.$transaction(async tx => {
+      const invoice = await invoicesRepository.lockForUpdate(
+        paymentData.invoiceId,
+        tx
+      );
+
+      if (invoice.status !== 'DUE') {
+        throw new Error(
+          `Invoice is ${invoice.status} and cannot accept payments`
+        );
+      }
+
+      const paid = await invoicesRepository.sumCompletedPayments(
+        invoice.id,
+        tx
+      );
+      const reserved = await invoicesRepository.sumPendingPayments(
+        invoice.id,
+        reservedSince,
+        tx
+      );
+      const available =
+        Math.round((Number(invoice.amount) - paid - reserved) * 100) / 100;
+
+      if (Number(paymentData.amount) > available) {
+        throw new Error(
+          `Payment amount exceeds outstanding balance of ${Math.max(available, 0).toFixed(2)}`
+        );
+      }
+
+      return await tx.payment.create({
+        data: paymentData,
+      });
+    });
+  }
+
+  async update(id, updateData) {
+    return await prisma.payment.update({
+      where: { id },
+      data: updateData,
+    });
+  }
+
+  /**
+   * Move a payment to a new status and reconcile its invoice in one
+   * transaction. The update only applies while the payment is still in one
+   * of `fromStatuses`, so replayed or concurrent webhooks are no-ops.
+   * Completing a payment locks the invoice and rolls back if the invoice is
+   * no longer DUE or the payment would take it past its amount.
+   * @param {string} id
+   * @param {Array<string>} fromStatuses
+   * @param {Object} updateData
+   * @returns {Promise<Object|null>} { payment, invoice } or null if unchanged
+   */
+  async transitionStatus(id, fromStatuses, updateData) {
+    return await prisma.$transaction(async tx => {
+      const completing = updateData.status === 'COMPLETED';
+
+      if (completing) {
+        const { invoiceId } = await tx.payment.findUnique({
+          where: { id },
+          select: { invoiceId: true },
+        });
+        await invoicesRepository.lockForUpdate(invoiceId, tx);
+      }
+
+      const { count } = await tx.payment.updateMany({
+        where: { id, status: { in: fromStatuses } },
+        data: updateData,
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const payment = await tx.payment.findUnique({ where: { id } });
+
+      if (completing) {
+        const current = await tx.invoice.findUnique({
+          where: { id: payment.invoiceId },
+        });
+
+        if (current.status !== 'DUE') {
+          throw new Error(
+            `Invoice is ${current.status} and cannot accept payments`
+          );
+        }
+
+        const paid = await invoicesRepository.sumCompletedPayments(
+          payment.invoiceId,
+          tx
+        );
+
+        if (paid > Number(current.amount)) {
+          const balance = Math.max(
+            Number(current.amount) - paid + Number(payment.amount),
+            0
+          );
+          throw new Error(
+            `Payment amount exceeds outstanding balance of ${balance.toFixed(2)}`
+          );
+        }
+      }
+
+      const invoice = await invoicesRepository.reconcile(payment.invoiceId, tx);
+
+      return { payment, invoice };
+    });
+  }
+
+  /**
+   * Record refunds and reconcile the affected invoices in one transaction.
+   * A full refund marks the payment REFUNDED; a partial refund splits it
+   * into a smaller COMPLETED payment plus a new REFUNDED payment. Rolls back
+   * if any payment is no longer COMPLETED, so a payment is claimed once.
+   * @param {Array<Object>} refunds - [{ payment, amount, refundRef }]
+   * @param {Array<Object>} invoiceUpdates - [{ id, data }] applied before reconciling
+   * @returns {Promise<Object>} { payments, invoices } with payments in refund order
+   */
+  async applyRefunds(refunds, invoiceUpdates = []) {
+    return await prisma.$transaction(async tx => {
+      const payments = [];
+
+      for (const { payment, amount, refundRef } of refunds) {
+        const paymentAmount = Number(payment.amount);
+        const full = amount >= paymentAmount;
+
+        const { count } = await tx.payment.updateMany({
+          where: { id: payment.id, status: 'COMPLETED' },
+          data: full
+            ? { status: 'REFUNDED' }
+            : { amount: Math.round((paymentAmount - amount) * 100) / 100 },
+        });
+
+        if (count === 0) {
+          throw new Error('Only COMPLETED payments can be refunded');
+        }
+
+        if (full) {
+          payments.push(
+            await tx.payment.findUnique({ where: { id: payment.id } })
+          );
+          continue;
+        }
+
+        payments.push(
+          await tx.payment.create({
+            data: {
+              invoiceId: payment.invoiceId,
+              amount,
+              method: payment.method,
+              status: 'REFUNDED',
+              paidAt: payment.paidAt,
+              txnRef: refundRef || null,
+              provider: payment.provider,
+              payerId: payment.payerId,
+            },
+          })
+        );
+      }
+
+      for (const update of invoiceUpdates) {
+        await tx.invoice.update({
+          where: { id: update.id },
+          data: update.data,
+        });
+      }
+
+      const invoiceIds = new Set([
+        ...refunds.map(refund => refund.payment.invoiceId),
+        ...invoiceUpdates.map(update => update.id),
+      ]);
+
+      const invoices = [];
+      for (const invoiceId of invoiceIds) {
+        invoices.push(await invoicesRepository.reconcile(invoiceId, tx));
+      }
+
+      return { payments, invoices };
+    });
+  }
+
+  /**
+   * Undo refunds recorded by applyRefunds whose provider refund failed.
+   * A full refund goes back to COMPLETED; a partial refund row is removed
+   * and its amount returned to the original payment.
+   * @param {Array<Object>} reverts - [{ payment, refundPayment }], payment as it was before the refund
+   * @returns {Promise<Array<Object>>} Reconciled invoices
+   */
+  async revertRefunds(reverts) {
+    return await prisma.$transaction(async tx => {
+      for (const { payment, refundPayment } of reverts) {
+        if (refundPayment.id !== payment.id) {
+          await tx.payment.delete({ where: { id: refundPayment.id } });
+        }
+
+        await tx.payment.update({
+          where: { id: payment.id },
+          data: { status: 'COMPLETED', amount: payment.amount },
+        });
+      }
+
+      const invoiceIds = new Set(
+        reverts.map(revert => revert.payment.invoiceId)
+      );
+
+      const invoices = [];
+      for (const invoiceId of invoiceIds) {
+        invoices.push(await invoicesRepository.reconcile(invoiceId, tx));
+      }
+
+      return invoices;
+    });
+  }
+}
+
+module.exports = new PaymentsRepository();
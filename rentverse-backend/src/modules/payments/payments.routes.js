@@ -0,0 +1,156 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const paymentsController = require('./payments.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Online payment checkout, provider webhooks and refunds
+ */
+
+/**
+ * @swagger
+ * /api/payments/checkout:
+ *   post:
+ *     summary: Start an online checkout for an invoice (tenant only)
+ *     description: Creates a PENDING payment and a checkout session with the selected provider. The payment and invoice are updated when the provider calls the webhook.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - invoiceId
+ *             properties:
+ *               invoiceId:
+ *                 type: string
+ *                 format: uuid
+ *               provider:
+ *                 type: string
+ *                 default: mock
+ *               method:
+ *                 type: string
+ *                 enum: [EWALLET, CREDIT_CARD]
+ *                 default: CREDIT_CARD
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the outstanding balance
+ *               simulate:
+ *                 type: object
+ *                 description: Mock provider only
+ *                 properties:
+ *                   outcome:
+ *                     type: string
+ *                     enum: [success, failure, none]
+ *                     default: success
+ *                   delayMs:
+ *                     type: integer
+ *                     default: 2000
+ *     responses:
+ *       201:
+ *         description: Checkout session created
+ *       400:
+ *         description: Validation error or unsupported provider
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice cannot accept payments
+ *       502:
+ *         description: Payment provider error
+ */
+router.post(
+  '/checkout',
+  auth,
+  [
+    body('invoiceId').isUUID().withMessage('Valid invoice ID is required'),
+    body('provider')
+      .optional()
+      .isString()
+      .withMessage('Provider must be a string'),
+    body('method')
+      .optional()
+      .isIn(['EWALLET', 'CREDIT_CARD'])
+      .withMessage('Invalid payment method for online checkout'),
+    body('amount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Payment amount must be greater than zero'),
+    body('simulate.outcome')
+      .optional()
+      .isIn(['success', 'failure', 'none'])
+      .withMessage('Invalid simulated outcome'),
+    body('simulate.delayMs')
+      .optional()
+      .isInt({ min: 0, max: 60000 })
+      .withMessage('Simulated delay must be between 0 and 60000 ms'),
+  ],
+  paymentsController.createCheckout
+);
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Payment provider webhook
+ *     description: Public endpoint called by payment providers. The request signature is verified and the payment is matched by txnRef. Replayed events are acknowledged without side effects.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Provider name (e.g. mock)
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature or event
+ *       404:
+ *         description: Unknown provider or payment
+ */
+router.post('/webhook/:provider', paymentsController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a completed payment (landlord only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Payment refunded successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment is not COMPLETED
+ */
+router.post('/:id/refund', auth, paymentsController.refundPayment);
+
+module.exports = router;
@@ -0,0 +1,435 @@
+const { v4: uuidv4 } = require('uuid');
+const paymentsRepository = require('./payments.repository');
+const invoicesService = require('../invoices/invoices.service');
+const paymentGateway = require('../../services/paymentGateway.service');
+const cancellationPolicyService = require('../../services/cancellationPolicy.service');
+
+// Statuses a payment may move to, keyed by target status
+const ALLOWED_TRANSITIONS = {
+  COMPLETED: ['PENDING', 'FAILED'],
+  FAILED: ['PENDING'],
+  REFUNDED: ['COMPLETED'],
+};
+
+// How long a PENDING checkout holds back its amount from the invoice
+// balance; matches the lifetime of a provider checkout session
+const CHECKOUT_RESERVATION_MS = 30 * 60 * 1000; // 30 minutes
+
+class PaymentsService {
+  /**
+   * Start a gateway checkout for an invoice (tenant only)
+   * @param {Object} checkoutData - { invoiceId, provider, method, amount, simulate }
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>}
+   */
+  async createCheckout(checkoutData, user) {
+    const {
+      invoiceId,
+      provider: providerName = 'mock',
+      method = 'CREDIT_CARD',
+      amount,
+      simulate,
+    } = checkoutData;
+
+    const provider = paymentGateway.getProvider(providerName);
+    const invoice = await invoicesService.getInvoiceById(invoiceId, user);
+
+    if (invoice.lease.tenantId !== user.id) {
+      throw new Error('Access denied: Only the tenant can pay this invoice');
+    }
+
+    if (invoice.status !== 'DUE') {
+      throw new Error(
+        `Invoice is ${invoice.status} and cannot accept payments`
+      );
+    }
+
+    if (!['EWALLET', 'CREDIT_CARD'].includes(method)) {
+      throw new Error(`Invalid payment method for online checkout: ${method}`);
+    }
+
+    // Open checkouts may still complete, so only the rest can be paid now
+    const reservedSince = new Date(Date.now() - CHECKOUT_RESERVATION_MS);
+    const reserved = invoice.payments
+      .filter(
+        payment =>
+          payment.status === 'PENDING' && payment.createdAt > reservedSince
+      )
+      .reduce((sum, payment) => sum + Number(payment.amount), 0);
+    const available = invoicesService.roundAmount(
+      Math.max(invoice.balance - reserved, 0)
+    );
+
+    const checkoutAmount =
+      amount !== undefined ? invoicesService.roundAmount(amount) : available;
+
+    if (!(checkoutAmount > 0)) {
+      throw new Error('Payment amount must be greater than zero');
+    }
+
+    if (checkoutAmount > available) {
+      throw new Error(
+        `Payment amount exceeds outstanding balance of ${available.toFixed(2)}`
+      );
+    }
+
+    const txnRef = `${provider.name}_${uuidv4()}`;
+    const payment = await paymentsRepository.createPending(
+      {
+        invoiceId,
+        amount: checkoutAmount,
+        method,
+        status: 'PENDING',
+        txnRef,
+        provider: provider.name,
+        payerId: user.id,
+      },
+      reservedSince
+    );
+
+    try {
+      const session = await provider.createCheckoutSession({
+        txnRef,
+        amount: checkoutAmount,
+        currencyCode: invoice.currencyCode,
+        description: `${invoice.type} invoice ${invoice.id}`,
+        simulate,
+      });
+
+      return {
+        provider: provider.name,
+        payment,
+        session,
+      };
+    } catch (error) {
+      await paymentsRepository.update(payment.id, { status: 'FAILED' });
+      throw new Error(`Failed to create checkout session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle a signed webhook from a payment provider.
+   * Idempotent: replayed events and out-of-order transitions are ignored.
+   * @param {string} providerName
+   * @param {Buffer|string} rawBody
+   * @param {Object} headers
+   * @returns {Promise<Object>}
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = paymentGateway.getProvider(providerName);
+    const event = provider.verifyWebhook(rawBody, headers);
+
+    const payment = await paymentsRepository.findByTxnRef(
+      provider.name,
+      event.txnRef
+    );
+
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.status === event.status) {
+      return { eventId: event.eventId, processed: false, duplicate: true };
+    }
+
+    const updateData = { status: event.status };
+    if (event.status === 'COMPLETED') {
+      // Only credit what we asked the provider to charge
+      if (
+        invoicesService.roundAmount(event.amount) !== Number(payment.amount)
+      ) {
+        console.warn('[PAYMENTS] Ignored webhook with mismatched amount:', {
+          provider: provider.name,
+          txnRef: event.txnRef,
+          expected: Number(payment.amount),
+          received: event.amount,
+        });
+        return { eventId: event.eventId, processed: false, duplicate: false };
+      }
+
+      updateData.paidAt = new Date();
+    }
+
+    let result;
+    try {
+      result = await paymentsRepository.transitionStatus(
+        payment.id,
+        ALLOWED_TRANSITIONS[event.status] || [],
+        updateData
+      );
+    } catch (error) {
+      if (
+        !error.message.includes('exceeds outstanding balance') &&
+        !error.message.includes('cannot accept payments')
+      ) {
+        throw error;
+      }
+
+      // The provider captured money the invoice no longer needs
+      return await this.refundRejectedCapture(provider, payment, event, error);
+    }
+
+    if (!result) {
+      console.warn('[PAYMENTS] Ignored webhook transition:', {
+        provider: provider.name,
+        txnRef: event.txnRef,
+        from: payment.status,
+        to: event.status,
+      });
+      return { eventId: event.eventId, processed: false, duplicate: false };
+    }
+
+    return {
+      eventId: event.eventId,
+      processed: true,
+      paymentStatus: result.payment.status,
+      invoiceStatus: result.invoice?.status,
+    };
+  }
+
+  /**
+   * Give back a captured payment whose completion was rejected because the
+   * invoice was already settled. The payment is marked REFUNDED before the
+   * provider call; a failed provider refund is logged for manual follow-up.
+   * @param {Object} provider
+   * @param {Object} payment
+   * @param {Object} event - Normalized webhook event
+   * @param {Error} reason
+   * @returns {Promise<Object>}
+   */
+  async refundRejectedCapture(provider, payment, event, reason) {
+    console.warn('[PAYMENTS] Refunding rejected capture:', {
+      provider: provider.name,
+      txnRef: event.txnRef,
+      reason: reason.message,
+    });
+
+    // Claim the payment first so a redelivered event cannot refund it twice
+    const result = await paymentsRepository.transitionStatus(
+      payment.id,
+      ['PENDING', 'FAILED'],
+      { status: 'REFUNDED' }
+    );
+
+    if (!result) {
+      return { eventId: event.eventId, processed: false, duplicate: true };
+    }
+
+    try {
+      await provider.refund({
+        txnRef: payment.txnRef,
+        amount: Number(payment.amount),
+      });
+    } catch (error) {
+      console.error('❌ Refund of rejected capture failed:', {
+        txnRef: payment.txnRef,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    return {
+      eventId: event.eventId,
+      processed: true,
+      paymentStatus: result.payment.status,
+      invoiceStatus: result.invoice?.status,
+    };
+  }
+
+  /**
+   * Refund a completed payment (landlord or admin). The payment is marked
+   * REFUNDED before the provider call and restored if the call fails.
+   * @param {string} paymentId
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>}
+   */
+  async refundPayment(paymentId, user) {
+    const payment = await paymentsRepository.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (user.role !== 'ADMIN' && payment.invoice.lease.landlordId !== user.id) {
+      throw new Error('Access denied: Only the landlord can refund payments');
+    }
+
+    if (payment.status !== 'COMPLETED') {
+      throw new Error('Only COMPLETED payments can be refunded');
+    }
+
+    // Claim the payment first so concurrent requests cannot refund it twice
+    const result = await paymentsRepository.transitionStatus(
+      payment.id,
+      ALLOWED_TRANSITIONS.REFUNDED,
+      { status: 'REFUNDED' }
+    );
+
+    if (!result) {
+      throw new Error('Only COMPLETED payments can be refunded');
+    }
+
+    // Payments recorded manually are refunded outside of any gateway
+    let refund = null;
+    if (payment.provider) {
+      try {
+        refund = await paymentGateway.getProvider(payment.provider).refund({
+          txnRef: payment.txnRef,
+          amount: Number(payment.amount),
+        });
+      } catch (error) {
+        await paymentsRepository.revertRefunds([
+          { payment, refundPayment: result.payment },
+        ]);
+        throw error;
+      }
+    }
+
+    return {
+      payment: result.payment,
+      invoice: result.invoice,
+      refund,
+    };
+  }
+
+  /**
+   * Refund what the tenant paid for a cancelled lease. Prepaid rent and
+   * other charges are refunded in full; the security deposit is refunded according to the
+   * property's cancellation policy and the rest is retained. Refunds the
+   * gateway rejects are undone and listed in `failedRefunds`.
+   * @param {Object} lease - { id, startDate }
+   * @param {string} policyName - Property cancellation policy
+   * @param {Date} now - Cancellation time
+   * @returns {Promise<Object>} Refund summary
+   */
+  async refundCancelledLease(lease, policyName, now = new Date()) {
+    const payments = await paymentsRepository.findCompletedByLease(lease.id);
+
+    const depositPayments = payments.filter(
+      payment => payment.invoice.type === 'DEPOSIT'
+    );
+    const otherPayments = payments.filter(
+      payment => payment.invoice.type !== 'DEPOSIT'
+    );
+
+    const sum = list =>
+      invoicesService.roundAmount(
+        list.reduce((total, item) => total + Number(item.amount), 0)
+      );
+
+    const depositPaid = sum(depositPayments);
+    const quote = cancellationPolicyService.computeDepositRefund(
+      policyName,
+      lease.startDate,
+      depositPaid,
+      now
+    );
+
+    const refunds = otherPayments.map(payment => ({
+      payment,
+      amount: Number(payment.amount),
+    }));
+
+    // Refund the deposit newest payment first until the refundable amount is used
+    const retainedByInvoice = {};
+    let remaining = quote.refundableDeposit;
+    for (const payment of depositPayments) {
+      const amount = invoicesService.roundAmount(
+        Math.min(remaining, Number(payment.amount))
+      );
+
+      if (amount > 0) {
+        refunds.push({ payment, amount });
+        remaining = invoicesService.roundAmount(remaining - amount);
+      }
+
+      retainedByInvoice[payment.invoiceId] = invoicesService.roundAmount(
+        (retainedByInvoice[payment.invoiceId] || 0) +
+          Number(payment.amount) -
+          amount
+      );
+    }
+
+    // Shrink partially retained deposits so the invoice stays settled
+    const invoiceUpdates = [];
+    for (const payment of depositPayments) {
+      const invoice = payment.invoice;
+      const retained = retainedByInvoice[invoice.id];
+
+      if (
+        retained > 0 &&
+        retained !== Number(invoice.amount) &&
+        !invoiceUpdates.some(update => update.id === invoice.id)
+      ) {
+        invoiceUpdates.push({
+          id: invoice.id,
+          data: {
+            amount: retained,
+            memo: `${invoice.memo || ''}\n\nBooking cancelled: ${retained.toFixed(2)} of ${Number(invoice.amount).toFixed(2)} retained under ${quote.policy} cancellation policy`.trim(),
+          },
+        });
+      }
+    }
+
+    // Record the refunds before calling any gateway so each payment is
+    // claimed once, then undo the ones the gateway did not accept
+    const result =
+      refunds.length || invoiceUpdates.length
+        ? await paymentsRepository.applyRefunds(refunds, invoiceUpdates)
+        : { payments: [], invoices: [] };
+
+    const failed = [];
+    for (const [index, refund] of refunds.entries()) {
+      const refundPayment = result.payments[index];
+      if (!refund.payment.provider) {
+        continue;
+      }
+
+      try {
+        const { refundRef } = await paymentGateway
+          .getProvider(refund.payment.provider)
+          .refund({ txnRef: refund.payment.txnRef, amount: refund.amount });
+
+        // A partial refund gets its own row to carry the gateway reference
+        if (refundPayment.id !== refund.payment.id && refundRef) {
+          result.payments[index] = await paymentsRepository.update(
+            refundPayment.id,
+            { txnRef: refundRef }
+          );
+        }
+      } catch (error) {
+        console.error('❌ Refund of cancelled lease payment failed:', {
+          paymentId: refund.payment.id,
+          error: error.message,
+        });
+        failed.push({ ...refund, refundPayment, error: error.message });
+      }
+    }
+
+    if (failed.length > 0) {
+      await paymentsRepository.revertRefunds(failed);
+    }
+
+    const succeeded = refunds.filter(
+      refund => !failed.some(item => item.payment.id === refund.payment.id)
+    );
+
+    return {
+      ...quote,
+      depositPaid,
+      chargesRefunded: sum(
+        succeeded.filter(r => r.payment.invoice.type !== 'DEPOSIT')
+      ),
+      totalRefunded: sum(succeeded),
+      refunds: result.payments.filter((_, index) =>
+        succeeded.includes(refunds[index])
+      ),
+      failedRefunds: failed.map(item => ({
+        paymentId: item.payment.id,
+        amount: item.amount,
+        error: item.error,
+      })),
+    };
+  }
+}
+
+module.exports = new PaymentsService();
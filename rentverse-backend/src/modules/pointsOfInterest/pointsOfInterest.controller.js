@@ -0,0 +1,197 @@
+const { validationResult } = require('express-validator');
+const pointsOfInterestService = require('./pointsOfInterest.service');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'category',
+  'address',
+  'city',
+  'state',
+  'latitude',
+  'longitude',
+  'isActive',
+];
+
+function pickEditableFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  if (data.latitude !== undefined) data.latitude = parseFloat(data.latitude);
+  if (data.longitude !== undefined) data.longitude = parseFloat(data.longitude);
+  return data;
+}
+
+class PointsOfInterestController {
+  async getAll(req, res) {
+    try {
+      const { category, city, search, page = 1, limit = 10 } = req.query;
+
+      const filters = { isActive: true };
+      if (category) {
+        filters.category = category;
+      }
+      if (city) {
+        filters.city = {
+          contains: city,
+          mode: 'insensitive',
+        };
+      }
+      if (search) {
+        filters.name = {
+          contains: search,
+          mode: 'insensitive',
+        };
+      }
+
+      const pagination = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+      };
+
+      const result = await pointsOfInterestService.getAll(filters, pagination);
+
+      res.status(200).json({
+        success: true,
+        message: 'Points of interest retrieved successfully',
+        data: result.data,
+        pagination: result.pagination,
+        travelModes: pointsOfInterestService.getTravelModes(),
+      });
+    } catch (error) {
+      console.error('Points of interest getAll error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  }
+
+  async getById(req, res) {
+    try {
+      const { id } = req.params;
+      const pointOfInterest = await pointsOfInterestService.getById(id);
+
+      if (!pointOfInterest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Point of interest not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Point of interest retrieved successfully',
+        data: pointOfInterest,
+      });
+    } catch (error) {
+      console.error('Points of interest getById error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  }
+
+  async create(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const pointOfInterest = await pointsOfInterestService.create(
+        pickEditableFields(req.body)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Point of interest created successfully',
+        data: pointOfInterest,
+      });
+    } catch (error) {
+      console.error('Points of interest create error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  }
+
+  async update(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { id } = req.params;
+      const pointOfInterest = await pointsOfInterestService.update(
+        id,
+        pickEditableFields(req.body)
+      );
+
+      if (!pointOfInterest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Point of interest not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Point of interest updated successfully',
+        data: pointOfInterest,
+      });
+    } catch (error) {
+      console.error('Points of interest update error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  }
+
+  async delete(req, res) {
+    try {
+      const { id } = req.params;
+
+      const success = await pointsOfInterestService.delete(id);
+
+      if (!success) {
+        return res.status(404).json({
+          success: false,
+          message: 'Point of interest not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Point of interest deleted successfully',
+      });
+    } catch (error) {
+      console.error('Points of interest delete error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new PointsOfInterestController();
@@ -0,0 +1,38 @@
+const { prisma } = require('../../config/database');
+
+class PointsOfInterestRepository {
+  async findMany(options = {}) {
+    return await prisma.pointOfInterest.findMany(options);
+  }
+
+  async findById(id) {
+    return await prisma.pointOfInterest.findUnique({
+      where: { id },
+    });
+  }
+
+  async create(data) {
+    return await prisma.pointOfInterest.create({
+      data,
+    });
+  }
+
+  async update(id, data) {
+    return await prisma.pointOfInterest.update({
+      where: { id },
+      data,
+    });
+  }
+
+  async delete(id) {
+    return await prisma.pointOfInterest.delete({
+      where: { id },
+    });
+  }
+
+  async count(options = {}) {
+    return await prisma.pointOfInterest.count(options);
+  }
+}
+
+module.exports = new PointsOfInterestRepository();
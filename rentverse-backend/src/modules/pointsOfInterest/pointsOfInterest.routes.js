@@ -0,0 +1,350 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, authorize } = require('../../middleware/auth');
+const pointsOfInterestController = require('./pointsOfInterest.controller');
+
+const router = express.Router();
+
+const POI_CATEGORIES = [
+  'TRANSIT_STATION',
+  'SCHOOL',
+  'UNIVERSITY',
+  'HOSPITAL',
+  'SHOPPING_MALL',
+  'OFFICE',
+  'PARK',
+  'OTHER',
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PointOfInterest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated UUID of the point of interest
+ *         name:
+ *           type: string
+ *           description: The name of the point of interest
+ *         category:
+ *           type: string
+ *           enum: [TRANSIT_STATION, SCHOOL, UNIVERSITY, HOSPITAL, SHOPPING_MALL, OFFICE, PARK, OTHER]
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         city:
+ *           type: string
+ *           nullable: true
+ *         state:
+ *           type: string
+ *           nullable: true
+ *         latitude:
+ *           type: number
+ *           format: float
+ *         longitude:
+ *           type: number
+ *           format: float
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         id: "4b0f8f3e-5d2c-4a57-9a0e-3f1d2c6b7a81"
+ *         name: "KLCC MRT Station"
+ *         category: "TRANSIT_STATION"
+ *         address: "Jalan Ampang"
+ *         city: "Kuala Lumpur"
+ *         state: "Wilayah Persekutuan"
+ *         latitude: 3.1589
+ *         longitude: 101.7134
+ *         isActive: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Points of Interest
+ *   description: Landmarks used for "within X minutes of" property search
+ */
+
+/**
+ * @swagger
+ * /api/points-of-interest:
+ *   get:
+ *     summary: Get active points of interest
+ *     tags: [Points of Interest]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [TRANSIT_STATION, SCHOOL, UNIVERSITY, HOSPITAL, SHOPPING_MALL, OFFICE, PARK, OTHER]
+ *         description: Filter by category
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Filter by city
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Points of interest retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PointOfInterest'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *                 travelModes:
+ *                   type: array
+ *                   description: Values accepted by travelMode on GET /api/properties
+ *                   items:
+ *                     type: string
+ *                   example: [WALKING, CYCLING, DRIVING]
+ */
+router.get('/', pointsOfInterestController.getAll);
+
+/**
+ * @swagger
+ * /api/points-of-interest/{id}:
+ *   get:
+ *     summary: Get point of interest by ID
+ *     tags: [Points of Interest]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Point of interest ID
+ *     responses:
+ *       200:
+ *         description: Point of interest retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/PointOfInterest'
+ *       404:
+ *         description: Point of interest not found
+ */
+router.get('/:id', pointsOfInterestController.getById);
+
+/**
+ * @swagger
+ * /api/points-of-interest:
+ *   post:
+ *     summary: Create a new point of interest
+ *     tags: [Points of Interest]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - category
+ *               - latitude
+ *               - longitude
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [TRANSIT_STATION, SCHOOL, UNIVERSITY, HOSPITAL, SHOPPING_MALL, OFFICE, PARK, OTHER]
+ *               address:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Point of interest created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/PointOfInterest'
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/',
+  auth,
+  authorize('ADMIN'),
+  [
+    body('name')
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 150 })
+      .withMessage('Name must be at most 150 characters'),
+    body('category')
+      .isIn(POI_CATEGORIES)
+      .withMessage(`Category must be one of: ${POI_CATEGORIES.join(', ')}`),
+    body('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    body('isActive').optional().isBoolean(),
+  ],
+  pointsOfInterestController.create
+);
+
+/**
+ * @swagger
+ * /api/points-of-interest/{id}:
+ *   put:
+ *     summary: Update point of interest by ID
+ *     tags: [Points of Interest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Point of interest ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PointOfInterest'
+ *     responses:
+ *       200:
+ *         description: Point of interest updated successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Point of interest not found
+ */
+router.put(
+  '/:id',
+  auth,
+  authorize('ADMIN'),
+  [
+    body('name')
+      .optional()
+      .isLength({ min: 1, max: 150 })
+      .withMessage('Name must be at most 150 characters'),
+    body('category')
+      .optional()
+      .isIn(POI_CATEGORIES)
+      .withMessage(`Category must be one of: ${POI_CATEGORIES.join(', ')}`),
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    body('isActive').optional().isBoolean(),
+  ],
+  pointsOfInterestController.update
+);
+
+/**
+ * @swagger
+ * /api/points-of-interest/{id}:
+ *   delete:
+ *     summary: Delete point of interest by ID
+ *     tags: [Points of Interest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Point of interest ID
+ *     responses:
+ *       200:
+ *         description: Point of interest deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Point of interest not found
+ */
+router.delete(
+  '/:id',
+  auth,
+  authorize('ADMIN'),
+  pointsOfInterestController.delete
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const pointsOfInterestRepository = require('./pointsOfInterest.repository');
+
+// Average door-to-door speeds used for "within X minutes" searches
+const TRAVEL_SPEEDS_KMH = {
+  WALKING: 5,
+  CYCLING: 15,
+  DRIVING: 30,
+};
+// Roads are rarely straight, so the straight-line radius is shortened
+const ROUTE_FACTOR = 1.3;
+
+class PointsOfInterestService {
+  async getAll(filters = {}, pagination = {}) {
+    const { page = 1, limit = 10 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      pointsOfInterestRepository.findMany({
+        where: filters,
+        skip,
+        take: limit,
+        orderBy: { name: 'asc' },
+      }),
+      pointsOfInterestRepository.count({ where: filters }),
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getById(id) {
+    return await pointsOfInterestRepository.findById(id);
+  }
+
+  async create(data) {
+    return await pointsOfInterestRepository.create(data);
+  }
+
+  async update(id, data) {
+    const pointOfInterest = await pointsOfInterestRepository.findById(id);
+    if (!pointOfInterest) {
+      return null;
+    }
+
+    return await pointsOfInterestRepository.update(id, data);
+  }
+
+  async delete(id) {
+    const pointOfInterest = await pointsOfInterestRepository.findById(id);
+    if (!pointOfInterest) {
+      return false;
+    }
+
+    await pointsOfInterestRepository.delete(id);
+    return true;
+  }
+
+  getTravelModes() {
+    return Object.keys(TRAVEL_SPEEDS_KMH);
+  }
+
+  /**
+   * Approximate straight-line distance reachable in a travel time
+   * @param {number} minutes
+   * @param {string} travelMode - WALKING, CYCLING or DRIVING
+   * @returns {number} Radius in kilometers
+   */
+  getTravelRadiusKm(minutes, travelMode) {
+    const speed = TRAVEL_SPEEDS_KMH[travelMode] || TRAVEL_SPEEDS_KMH.WALKING;
+    return Math.round(((speed * minutes) / 60 / ROUTE_FACTOR) * 100) / 100;
+  }
+}
+
+module.exports = new PointsOfInterestService();
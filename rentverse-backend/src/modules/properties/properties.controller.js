@@ -1,5 +1,6 @@
 const propertiesService = require('./properties.service');
 const { validationResult } = require('express-validator');
+const { parsePagination } = require('../../utils/pagination');
 
 // 🆕 AUTO-APPROVE PROPERTIES STATUS GLOBAL
 let propertyAutoApproveStatus = {
@@ -11,25 +12,76 @@ let propertyAutoApproveStatus = {
 class PropertiesController {
   async getAllProperties(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = req.user?.id; // Get user ID if authenticated
+      const userRole = req.user?.role || 'USER'; // Get user role
+
+      const filters = propertiesService.pickListingFilters(req.query);
+
+      const result = await propertiesService.getAllProperties(
+        parsePagination(req.query),
+        filters,
+        userId,
+        userRole
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get properties error:', error);
+
+      if (error.message === 'Point of interest not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  async searchByArea(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
       const userId = req.user?.id; // Get user ID if authenticated
       const userRole = req.user?.role || 'USER'; // Get user role
 
       const filters = {
-        propertyTypeId: req.query.propertyTypeId,
-        city: req.query.city,
-        available: req.query.available,
-        status: req.query.status,
-        furnished: req.query.furnished,
-        minPrice: req.query.minPrice,
-        maxPrice: req.query.maxPrice,
-        bedrooms: req.query.bedrooms,
+        ...propertiesService.pickListingFilters(req.query),
+        polygon: req.body.polygon,
       };
 
       const result = await propertiesService.getAllProperties(
-        page,
-        limit,
+        parsePagination(req.query),
         filters,
         userId,
         userRole
@@ -40,7 +92,18 @@ class PropertiesController {
         data: result,
       });
     } catch (error) {
-      console.error('Get properties error:', error);
+      console.error('Search properties by area error:', error);
+
+      if (
+        error.message.includes('Invalid polygon') ||
+        error.message === 'Invalid cursor'
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -78,6 +141,47 @@ class PropertiesController {
     }
   }
 
+  async getSimilarProperties(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 6;
+      const userId = req.user?.id; // Get user ID if authenticated
+
+      const result = await propertiesService.getSimilarProperties(
+        req.params.id,
+        limit,
+        userId
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get similar properties error:', error);
+
+      if (error.message === 'Property not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
   async getPropertyByCode(req, res) {
     try {
       const propertyCode = req.params.code;
@@ -223,7 +327,7 @@ class PropertiesController {
 
   async getGeoJSON(req, res) {
     try {
-      const { bbox, limit = 1000, clng, clat, q } = req.query;
+      const { bbox, limit = 1000, clng, clat, q, zoom, cluster } = req.query;
 
       // Validate required bbox parameter
       if (!bbox) {
@@ -272,6 +376,17 @@ class PropertiesController {
         }
       }
 
+      // Parse map zoom level for clustering
+      let zoomLevel;
+      if (zoom !== undefined) {
+        zoomLevel = parseInt(zoom);
+        if (isNaN(zoomLevel) || zoomLevel < 0 || zoomLevel > 22) {
+          return res.status(400).json({
+            error: 'Zoom must be an integer between 0 and 22',
+          });
+        }
+      }
+
       const geojson = await propertiesService.getGeoJSON({
         minLng,
         minLat,
@@ -281,6 +396,8 @@ class PropertiesController {
         centerLng,
         centerLat,
         query: q,
+        zoom: zoomLevel,
+        cluster: cluster === undefined ? undefined : cluster !== 'false',
       });
 
       // Set proper content type for GeoJSON
@@ -294,6 +411,44 @@ class PropertiesController {
     }
   }
 
+  async getVectorTile(req, res) {
+    try {
+      const z = parseInt(req.params.z);
+      const x = parseInt(req.params.x);
+      const y = parseInt(req.params.y);
+
+      // Validate tile coordinates
+      const tileCount = 2 ** z;
+      if (
+        [z, x, y].some(isNaN) ||
+        z < 0 ||
+        z > 22 ||
+        x < 0 ||
+        x >= tileCount ||
+        y < 0 ||
+        y >= tileCount
+      ) {
+        return res.status(400).json({
+          error: 'Invalid tile coordinates',
+        });
+      }
+
+      const tile = await propertiesService.getVectorTile(z, x, y);
+
+      res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      if (tile.length === 0) {
+        return res.status(204).end();
+      }
+      res.send(tile);
+    } catch (error) {
+      console.error('Get vector tile error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+      });
+    }
+  }
+
   async getFeaturedProperties(req, res) {
     try {
       const page = parseInt(req.query.page) || 1;
@@ -319,6 +474,38 @@ class PropertiesController {
     }
   }
 
+  async getRecommendedProperties(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 10;
+      const userId = req.user?.id; // Guests get popular listings
+
+      const result = await propertiesService.getRecommendedProperties(
+        userId,
+        limit
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get recommended properties error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
   // Get pending approvals (admin only)
   async getPendingApprovals(req, res) {
     console.log('🚀 getPendingApprovals controller called');
@@ -1,5 +1,345 @@
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../../config/database');
 
+// Full-text search uses the 'simple' configuration to match
+// property_search_vector() in prisma/sql/property-search.sql
+const TITLE_HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const SNIPPET_HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "';
+
+// Substring search used while the full-text search index is missing
+const SEARCH_FALLBACK_COLUMNS = [
+  'title',
+  'description',
+  'address',
+  'city',
+  'projectName',
+  'developer',
+];
+
+// Web Mercator tile settings for ST_AsMVT
+const MVT_EXTENT = 4096;
+const MVT_BUFFER = 64;
+const WEB_MERCATOR_WIDTH = 40075016.68557849;
+
+// Listing attributes compared by RecommendationService
+const RECOMMENDATION_PROPERTY_SELECT = {
+  id: true,
+  title: true,
+  city: true,
+  price: true,
+  currencyCode: true,
+  propertyTypeId: true,
+  bedrooms: true,
+  amenities: { select: { amenityId: true } },
+};
+
+/**
+ * Listings shown on the map: approved, available and located, optionally
+ * matching a full-text query the same way findForGeoJSON does
+ * @param {string} query
+ * @returns {Prisma.Sql}
+ */
+function mapListingCondition(query) {
+  const condition = Prisma.sql`
+    p.status = 'APPROVED'
+    AND p."isAvailable" = true
+    AND p."geom" IS NOT NULL
+  `;
+  if (!query || !query.trim()) {
+    return condition;
+  }
+
+  const text = query.trim();
+  return Prisma.sql`${condition} AND (
+    p."searchVector" @@ websearch_to_tsquery('simple', ${text})
+    OR ${text} <% p.title
+    OR ${text} <% p.city
+  )`;
+}
+
+/**
+ * HTML-escape text in SQL. Owner-supplied text is escaped before
+ * ts_headline adds its <mark> tags, so highlights are safe to render as HTML.
+ * @param {Prisma.Sql} text
+ * @returns {Prisma.Sql}
+ */
+function escapeHtml(text) {
+  return Prisma.sql`replace(replace(replace(replace(
+    ${text}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;')`;
+}
+
+/**
+ * Center of a search area as a geography point
+ * @param {Object} area - { center: { lat, lng } }
+ * @returns {Prisma.Sql}
+ */
+function areaCenter(area) {
+  return Prisma.sql`ST_SetSRID(
+    ST_MakePoint(${area.center.lng}, ${area.center.lat}), 4326
+  )::geography`;
+}
+
+/**
+ * Condition matching properties inside a radius or polygon search area.
+ * Radius searches use the geography index on geom, polygon searches the
+ * geometry GiST index (see prisma/sql/property-geo.sql).
+ * @param {Object} area - { center, radiusKm } or { center, polygon }
+ * @returns {Prisma.Sql}
+ */
+function areaCondition(area) {
+  return area.polygon
+    ? Prisma.sql`ST_Intersects(
+        p."geom",
+        ST_SetSRID(ST_GeomFromGeoJSON(${JSON.stringify(area.polygon)}), 4326)
+      )`
+    : Prisma.sql`ST_DWithin(p."geom"::geography, ${areaCenter(area)}, ${area.radiusKm * 1000})`;
+}
+
+/**
+ * Case-insensitive substring match, like Prisma's `contains` with
+ * `mode: 'insensitive'`
+ * @param {Prisma.Sql} column
+ * @param {string} value
+ * @returns {Prisma.Sql}
+ */
+function containsText(column, value) {
+  const pattern = `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+  return Prisma.sql`${column} ILIKE ${pattern}`;
+}
+
+/**
+ * Condition for a numeric filter: an exact value or a { gte, lte } range
+ * @param {Prisma.Sql} column
+ * @param {number|Object} filter
+ * @returns {Prisma.Sql[]}
+ */
+function rangeConditions(column, filter) {
+  if (typeof filter === 'number') {
+    return [Prisma.sql`${column} = ${filter}`];
+  }
+
+  const conditions = [];
+  if (filter.gte !== undefined) {
+    conditions.push(Prisma.sql`${column} >= ${filter.gte}`);
+  }
+  if (filter.lte !== undefined) {
+    conditions.push(Prisma.sql`${column} <= ${filter.lte}`);
+  }
+  return conditions;
+}
+
+/**
+ * A JS date as a timestamp(3) value, which Prisma stores in UTC
+ * @param {Date} date
+ * @returns {Prisma.Sql}
+ */
+function utcTimestamp(date) {
+  return Prisma.sql`(${date.toISOString()}::timestamptz AT TIME ZONE 'UTC')`;
+}
+
+/**
+ * Full-text match, with trigram word similarity so small typos in titles,
+ * cities, project names and developers are tolerated
+ * @param {string} query - Web search syntax ("quoted phrase", -exclude, or)
+ * @returns {Prisma.Sql}
+ */
+function searchCondition(query) {
+  return Prisma.sql`(
+    p."searchVector" @@ websearch_to_tsquery('simple', ${query})
+    OR ${query} <% p."title"
+    OR ${query} <% p."city"
+    OR ${query} <% p."projectName"
+    OR ${query} <% p."developer"
+  )`;
+}
+
+/**
+ * Relevance of a property to a full-text query, as float8 so it can be
+ * stored in a cursor and compared again exactly
+ * @param {string} query
+ * @returns {Prisma.Sql}
+ */
+function searchScore(query) {
+  return Prisma.sql`(
+    ts_rank_cd(p."searchVector", websearch_to_tsquery('simple', ${query}))
+    + word_similarity(${query}, p."title")
+  )::float8`;
+}
+
+/**
+ * SQL version of the listing filters, so listings can be filtered, sorted
+ * and paged in one query
+ * @param {Object} criteria - From PropertiesService.parseListingFilters, plus optional
+ *   area (see areaCondition), query, searchFallback and ids
+ * @returns {Prisma.Sql}
+ */
+function listingCondition(criteria) {
+  const conditions = [];
+
+  if (criteria.ids) {
+    conditions.push(Prisma.sql`p."id" = ANY(${criteria.ids})`);
+  }
+  if (criteria.status) {
+    conditions.push(
+      Prisma.sql`p."status" = ${criteria.status}::"ListingStatus"`
+    );
+  }
+  if (criteria.propertyTypeId) {
+    conditions.push(
+      Prisma.sql`p."propertyTypeId" = ${criteria.propertyTypeId}`
+    );
+  }
+  if (criteria.city) {
+    conditions.push(containsText(Prisma.sql`p."city"`, criteria.city));
+  }
+  if (criteria.state) {
+    conditions.push(containsText(Prisma.sql`p."state"`, criteria.state));
+  }
+  if (criteria.country) {
+    conditions.push(Prisma.sql`p."country" = ${criteria.country}`);
+  }
+  if (criteria.isAvailable !== undefined) {
+    conditions.push(Prisma.sql`p."isAvailable" = ${criteria.isAvailable}`);
+  }
+  if (criteria.furnished !== undefined) {
+    conditions.push(Prisma.sql`p."furnished" = ${criteria.furnished}`);
+  }
+  if (criteria.typeCodes && criteria.typeCodes.length > 0) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM "property_types" t
+      WHERE t."id" = p."propertyTypeId" AND t."code" = ANY(${criteria.typeCodes})
+    )`);
+  }
+  if (criteria.bedrooms !== undefined) {
+    conditions.push(
+      ...rangeConditions(Prisma.sql`p."bedrooms"`, criteria.bedrooms)
+    );
+  }
+  if (criteria.bathrooms !== undefined) {
+    conditions.push(
+      ...rangeConditions(Prisma.sql`p."bathrooms"`, criteria.bathrooms)
+    );
+  }
+  if (criteria.price) {
+    conditions.push(...rangeConditions(Prisma.sql`p."price"`, criteria.price));
+  }
+  if (criteria.areaSqm) {
+    conditions.push(
+      ...rangeConditions(Prisma.sql`p."areaSqm"`, criteria.areaSqm)
+    );
+  }
+  if (criteria.amenityIds && criteria.amenityIds.length > 0) {
+    const hasAmenity = amenityIds => Prisma.sql`EXISTS (
+      SELECT 1 FROM "property_amenities" pa
+      WHERE pa."propertyId" = p."id" AND pa."amenityId" = ANY(${amenityIds})
+    )`;
+    if (criteria.amenityMatch === 'any') {
+      conditions.push(hasAmenity(criteria.amenityIds));
+    } else {
+      criteria.amenityIds.forEach(amenityId =>
+        conditions.push(hasAmenity([amenityId]))
+      );
+    }
+  }
+  if (criteria.minRating !== undefined) {
+    conditions.push(Prisma.sql`(
+      SELECT AVG(r."rating") FROM "property_ratings" r
+      WHERE r."propertyId" = p."id"
+    ) >= ${criteria.minRating}`);
+  }
+  // Free for the whole period, see BookingsService.getOverlappingLeaseWhere
+  if (criteria.availableFrom && criteria.availableTo) {
+    conditions.push(Prisma.sql`NOT EXISTS (
+      SELECT 1 FROM "leases" l
+      WHERE l."propertyId" = p."id"
+        AND l."status" IN ('APPROVED', 'ACTIVE')
+        AND l."startDate" <= ${utcTimestamp(criteria.availableTo)}
+        AND l."endDate" >= ${utcTimestamp(criteria.availableFrom)}
+    )`);
+  }
+  if (criteria.area) {
+    conditions.push(areaCondition(criteria.area));
+  }
+  if (criteria.query) {
+    conditions.push(
+      criteria.searchFallback
+        ? Prisma.sql`(${Prisma.join(
+            SEARCH_FALLBACK_COLUMNS.map(column =>
+              containsText(Prisma.raw(`p."${column}"`), criteria.query)
+            ),
+            ' OR '
+          )})`
+        : searchCondition(criteria.query)
+    );
+  }
+
+  return conditions.length > 0
+    ? Prisma.join(conditions, ' AND ')
+    : Prisma.sql`TRUE`;
+}
+
+// SQL types of the sort values in findSortedPage cursors
+const SORT_VALUE_TYPES = {
+  relevance: 'float8',
+  price: 'numeric',
+  newest: 'timestamp',
+  rating: 'numeric',
+  views: 'bigint',
+  distance: 'float8',
+};
+
+// Text forms of those types, as returned by findSortedPage
+const SQL_TEXT_CHECKS = {
+  numeric: value => /^-?\d+(\.\d+)?$/.test(value),
+  // A real calendar date and time, e.g. "2025-01-31 09:30:00.123"
+  timestamp: value => {
+    const iso = value.replace(' ', 'T');
+    const date = new Date(`${iso}Z`);
+    return (
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?$/.test(iso) &&
+      !Number.isNaN(date.getTime()) &&
+      date.toISOString().slice(0, 19) === iso.slice(0, 19)
+    );
+  },
+  bigint: value => /^-?\d{1,18}$/.test(value),
+  float8: value => /^(-?\d+(\.\d+)?(e[+-]?\d+)?|-?Infinity|NaN)$/i.test(value),
+};
+
+/**
+ * SQL expression a listing sort orders by. Properties without ratings or
+ * coordinates have a NULL value.
+ * @param {Object} sort - { field: relevance|price|newest|rating|views|distance, order, lat, lng }
+ * @param {string} query - Full-text query, for relevance
+ * @returns {Prisma.Sql}
+ */
+function sortExpression(sort, query) {
+  switch (sort.field) {
+    case 'relevance':
+      return searchScore(query);
+    case 'price':
+      return Prisma.sql`p."price"`;
+    case 'newest':
+      return Prisma.sql`p."createdAt"`;
+    case 'rating':
+      return Prisma.sql`(
+        SELECT AVG(r."rating") FROM "property_ratings" r
+        WHERE r."propertyId" = p."id"
+      )`;
+    case 'views':
+      return Prisma.sql`(
+        SELECT COUNT(*) FROM "property_views" v
+        WHERE v."propertyId" = p."id"
+      )`;
+    default:
+      return Prisma.sql`ST_Distance(
+        p."geom"::geography,
+        ST_SetSRID(ST_MakePoint(${sort.lng}, ${sort.lat}), 4326)::geography
+      )`;
+  }
+}
+
 class PropertiesRepository {
   async findMany(options = {}) {
     const {
@@ -50,6 +390,191 @@ class PropertiesRepository {
     return await prisma.property.count({ where });
   }
 
+  /**
+   * Number of listings matching the filters
+   * @param {Object} criteria - See listingCondition
+   * @returns {Promise<number>}
+   */
+  async countListings(criteria) {
+    const [row] = await prisma.$queryRaw`
+      SELECT COUNT(*)::int AS count
+      FROM "properties" p
+      WHERE ${listingCondition(criteria)}
+    `;
+    return row.count;
+  }
+
+  /**
+   * One page of listing IDs, filtered and sorted in SQL.
+   * Properties without ratings or coordinates come last.
+   * @param {Object} criteria - See listingCondition
+   * @param {Object} sort - { field: relevance|price|newest|rating|views|distance, order, lat, lng }
+   * @param {number} skip
+   * @param {number} take
+   * @returns {Promise<string[]>}
+   */
+  async findSortedIds(criteria, sort, skip, take) {
+    const direction = Prisma.raw(sort.order === 'asc' ? 'ASC' : 'DESC');
+
+    const rows = await prisma.$queryRaw`
+      SELECT p."id"
+      FROM "properties" p
+      WHERE ${listingCondition(criteria)}
+      ORDER BY ${sortExpression(sort, criteria.query)} ${direction} NULLS LAST,
+        p."createdAt" DESC, p."id"
+      OFFSET ${skip}
+      LIMIT ${take}
+    `;
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Whether a decoded cursor position fits findSortedPage for a sort: the
+   * sort value (or null) must be the text form of its SQL type, then a
+   * timestamp and an ID, so tampered cursors cannot fail the SQL casts
+   * @param {Object} sort - See findSortedIds
+   * @param {Array} position - [sortValue, createdAt, id]
+   * @returns {boolean}
+   */
+  isValidSortPosition(sort, position) {
+    const [sortValue, createdAt, id] = position;
+
+    return (
+      position.length === 3 &&
+      (sortValue === null ||
+        (typeof sortValue === 'string' &&
+          SQL_TEXT_CHECKS[SORT_VALUE_TYPES[sort.field]](sortValue))) &&
+      typeof createdAt === 'string' &&
+      SQL_TEXT_CHECKS.timestamp(createdAt) &&
+      typeof id === 'string'
+    );
+  }
+
+  /**
+   * Keyset version of findSortedIds: the page of property IDs after a
+   * position, in the same order. Sort values are returned as text so they
+   * can be stored in a cursor without losing precision.
+   * @param {Object} criteria - See listingCondition
+   * @param {Object} sort - See findSortedIds
+   * @param {Object|null} after - { sortValue, createdAt, id } of the last row of the previous page
+   * @param {number} take
+   * @returns {Promise<Array>} [{ id, sortValue, createdAt }]
+   */
+  async findSortedPage(criteria, sort, after, take) {
+    const expression = sortExpression(sort, criteria.query);
+    const direction = Prisma.raw(sort.order === 'asc' ? 'ASC' : 'DESC');
+    let keyset = Prisma.sql`TRUE`;
+
+    if (after) {
+      const type = Prisma.raw(SORT_VALUE_TYPES[sort.field]);
+      const tiebreak = Prisma.sql`(
+        p."createdAt" < ${after.createdAt}::timestamp
+        OR (p."createdAt" = ${after.createdAt}::timestamp AND p."id" > ${after.id})
+      )`;
+      // NULLS LAST: rows without a sort value follow every row with one
+      keyset =
+        after.sortValue === null
+          ? Prisma.sql`(${expression} IS NULL AND ${tiebreak})`
+          : Prisma.sql`(
+              ${expression} ${Prisma.raw(sort.order === 'asc' ? '>' : '<')} ${after.sortValue}::${type}
+              OR ${expression} IS NULL
+              OR (${expression} = ${after.sortValue}::${type} AND ${tiebreak})
+            )`;
+    }
+
+    return await prisma.$queryRaw`
+      SELECT p."id", (${expression})::text AS "sortValue", p."createdAt"::text AS "createdAt"
+      FROM "properties" p
+      WHERE ${listingCondition(criteria)} AND ${keyset}
+      ORDER BY ${expression} ${direction} NULLS LAST,
+        p."createdAt" DESC, p."id"
+      LIMIT ${take}
+    `;
+  }
+
+  /**
+   * Distance of properties from the center of a search area
+   * @param {string[]} ids
+   * @param {Object} area - { center: { lat, lng }, radiusKm } or { center, polygon }
+   * @returns {Promise<Array>} [{ id, distanceKm }]
+   */
+  async findDistances(ids, area) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    return await prisma.$queryRaw`
+      SELECT p."id", ST_Distance(p."geom"::geography, ${areaCenter(area)}) / 1000 AS "distanceKm"
+      FROM "properties" p
+      WHERE p."id" = ANY(${ids})
+    `;
+  }
+
+  /**
+   * Center of a GeoJSON polygon, used to measure distances in polygon search
+   * @param {Object} polygon - GeoJSON Polygon or MultiPolygon
+   * @returns {Promise<Object>} { lat, lng }
+   */
+  async findPolygonCenter(polygon) {
+    const [center] = await prisma.$queryRaw`
+      SELECT ST_Y(c.point) AS lat, ST_X(c.point) AS lng
+      FROM (
+        SELECT ST_Centroid(ST_GeomFromGeoJSON(${JSON.stringify(polygon)})) AS point
+      ) c
+    `;
+    return center;
+  }
+
+  /**
+   * Whether the full-text search index is installed (pnpm run db:search)
+   * @returns {Promise<boolean>}
+   */
+  async hasSearchIndex() {
+    const [row] = await prisma.$queryRaw`
+      SELECT
+        to_regproc('property_search_vector') IS NOT NULL
+        AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm')
+        AS installed
+    `;
+    return row.installed;
+  }
+
+  /**
+   * Relevance score and highlighted title and description snippet for
+   * search results. The text is HTML-escaped and matched words are wrapped
+   * in <mark></mark>.
+   * @param {string[]} ids - Property IDs
+   * @param {string} query
+   * @returns {Promise<Array>} [{ id, score, title, snippet }]
+   */
+  async findSearchHighlights(ids, query) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    return await prisma.$queryRaw`
+      SELECT
+        p."id",
+        ${searchScore(query)} AS score,
+        ts_headline('simple', ${escapeHtml(Prisma.sql`p."title"`)}, q.tsq, ${TITLE_HEADLINE_OPTIONS}) AS title,
+        ts_headline('simple', ${escapeHtml(Prisma.sql`coalesce(p."description", p."address")`)}, q.tsq, ${SNIPPET_HEADLINE_OPTIONS}) AS snippet
+      FROM "properties" p, websearch_to_tsquery('simple', ${query}) AS q(tsq)
+      WHERE p."id" = ANY(${ids})
+    `;
+  }
+
+  /**
+   * Rebuild the full-text search vector of a property, including amenities
+   * @param {string} id
+   */
+  async refreshSearchVector(id) {
+    return await prisma.$executeRaw`
+      UPDATE "properties"
+      SET "searchVector" = property_search_vector(${id})
+      WHERE "id" = ${id}
+    `;
+  }
+
   async findById(id) {
     return await prisma.property.findUnique({
       where: { id },
@@ -176,13 +701,13 @@ class PropertiesRepository {
         p.code,
         p.title,
         p.price,
-        p.currency_code as "currencyCode",
+        p."currencyCode",
         p.bedrooms,
         p.bathrooms,
-        p.area_sqm as "areaSqm",
+        p."areaSqm",
         p.city,
         p.furnished,
-        p.is_available as "isAvailable",
+        p."isAvailable",
         p.latitude,
         p.longitude,
         pt.name as "propertyType",
@@ -192,10 +717,10 @@ class PropertiesRepository {
           ELSE NULL 
         END as thumbnail
       FROM properties p
-      INNER JOIN property_types pt ON p.property_type_id = pt.id
+      INNER JOIN property_types pt ON p."propertyTypeId" = pt.id
       WHERE 
         p.status = 'APPROVED' 
-        AND p.is_available = true
+        AND p."isAvailable" = true
         AND p.latitude IS NOT NULL 
         AND p.longitude IS NOT NULL
         AND p.latitude BETWEEN $1 AND $3
@@ -205,14 +730,14 @@ class PropertiesRepository {
     const queryParams = [minLat, minLng, maxLat, maxLng];
     let paramIndex = 5;
 
-    // Add text search if query provided
+    // Add full-text search if query provided (typo tolerant, see searchCondition)
     if (query && query.trim()) {
       sql += ` AND (
-        p.title ILIKE $${paramIndex} 
-        OR p.city ILIKE $${paramIndex}
-        OR p.address ILIKE $${paramIndex}
+        p."searchVector" @@ websearch_to_tsquery('simple', $${paramIndex})
+        OR $${paramIndex} <% p.title
+        OR $${paramIndex} <% p.city
       )`;
-      queryParams.push(`%${query.trim()}%`);
+      queryParams.push(query.trim());
       paramIndex++;
     }
 
@@ -309,6 +834,106 @@ class PropertiesRepository {
     });
   }
 
+  /**
+   * Group map listings inside a bounding box into grid cells
+   * @param {Object} params - { minLng, minLat, maxLng, maxLat, gridSize (degrees), query }
+   * @returns {Promise<Array>} [{ count, lng, lat, priceMin, priceMedian, priceMax, minLng, minLat, maxLng, maxLat, propertyId }]
+   */
+  async findClustersForGeoJSON(params) {
+    const { minLng, minLat, maxLng, maxLat, gridSize, query } = params;
+
+    return await prisma.$queryRaw`
+      SELECT
+        COUNT(*)::int AS count,
+        ST_X(ST_Centroid(ST_Collect(p."geom"))) AS lng,
+        ST_Y(ST_Centroid(ST_Collect(p."geom"))) AS lat,
+        MIN(p.price)::float8 AS "priceMin",
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY p.price) AS "priceMedian",
+        MAX(p.price)::float8 AS "priceMax",
+        MIN(p."currencyCode") AS "currencyCode",
+        ST_XMin(ST_Extent(p."geom")) AS "minLng",
+        ST_YMin(ST_Extent(p."geom")) AS "minLat",
+        ST_XMax(ST_Extent(p."geom")) AS "maxLng",
+        ST_YMax(ST_Extent(p."geom")) AS "maxLat",
+        CASE WHEN COUNT(*) = 1 THEN MIN(p.id) END AS "propertyId"
+      FROM "properties" p
+      WHERE ${mapListingCondition(query)}
+        AND p."geom" && ST_MakeEnvelope(${minLng}, ${minLat}, ${maxLng}, ${maxLat}, 4326)
+      GROUP BY ST_SnapToGrid(p."geom", ${gridSize})
+    `;
+  }
+
+  /**
+   * Build a Mapbox vector tile of map listings. Low zoom tiles contain a
+   * "clusters" layer, high zoom tiles a "properties" layer.
+   * @param {Object} params - { z, x, y, clustered, cellsPerTile }
+   * @returns {Promise<Buffer>} Tile bytes (empty when the tile has no listings)
+   */
+  async findVectorTile(params) {
+    const { z, x, y, clustered, cellsPerTile } = params;
+
+    const [row] = clustered
+      ? await prisma.$queryRaw`
+          WITH bounds AS (
+            SELECT ST_TileEnvelope(${z}::int, ${x}::int, ${y}::int) AS geom
+          ),
+          clusters AS (
+            SELECT
+              ST_AsMVTGeom(
+                ST_Centroid(ST_Collect(ST_Transform(p."geom", 3857))),
+                bounds.geom, ${MVT_EXTENT}::int, ${MVT_BUFFER}::int, true
+              ) AS geom,
+              COUNT(*)::int AS count,
+              MIN(p.price)::float8 AS "priceMin",
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY p.price) AS "priceMedian",
+              MAX(p.price)::float8 AS "priceMax"
+            FROM "properties" p, bounds
+            WHERE ${mapListingCondition()}
+              AND p."geom" && ST_Transform(bounds.geom, 4326)
+            GROUP BY
+              ST_SnapToGrid(
+                ST_Transform(p."geom", 3857),
+                ${WEB_MERCATOR_WIDTH / 2 ** z / cellsPerTile}::float8
+              ),
+              bounds.geom
+          )
+          SELECT ST_AsMVT(clusters.*, 'clusters', ${MVT_EXTENT}::int, 'geom') AS tile
+          FROM clusters
+          WHERE clusters.geom IS NOT NULL
+        `
+      : await prisma.$queryRaw`
+          WITH bounds AS (
+            SELECT ST_TileEnvelope(${z}::int, ${x}::int, ${y}::int) AS geom
+          ),
+          listings AS (
+            SELECT
+              ST_AsMVTGeom(
+                ST_Transform(p."geom", 3857),
+                bounds.geom, ${MVT_EXTENT}::int, ${MVT_BUFFER}::int, true
+              ) AS geom,
+              p.id,
+              p.code,
+              p.title,
+              p.price::float8 AS price,
+              p."currencyCode",
+              p.bedrooms,
+              p.bathrooms,
+              p.city,
+              pt.name AS "propertyType"
+            FROM "properties" p
+            INNER JOIN "property_types" pt ON p."propertyTypeId" = pt.id
+            CROSS JOIN bounds
+            WHERE ${mapListingCondition()}
+              AND p."geom" && ST_Transform(bounds.geom, 4326)
+          )
+          SELECT ST_AsMVT(listings.*, 'properties', ${MVT_EXTENT}::int, 'geom') AS tile
+          FROM listings
+          WHERE listings.geom IS NOT NULL
+        `;
+
+    return Buffer.from(row && row.tile ? row.tile : []);
+  }
+
   async codeExists(code) {
     const property = await prisma.property.findUnique({
       where: { code },
@@ -370,6 +995,103 @@ class PropertiesRepository {
     });
   }
 
+  /**
+   * Listings a user interacted with, most recent first. Used as signals for
+   * recommendations.
+   * @param {string} userId
+   * @param {Object} options - { viewsSince, take }
+   * @returns {Promise<Object>} { views, favorites, leases, ratings }
+   */
+  async findUserInteractions(userId, options = {}) {
+    const { viewsSince, take = 20 } = options;
+    const select = { property: { select: RECOMMENDATION_PROPERTY_SELECT } };
+
+    const [views, favorites, leases, ratings] = await Promise.all([
+      prisma.propertyView.findMany({
+        where: { userId, viewedAt: { gte: viewsSince } },
+        distinct: ['propertyId'],
+        orderBy: { viewedAt: 'desc' },
+        take,
+        select,
+      }),
+      prisma.propertyFavorite.findMany({
+        where: { userId },
+        orderBy: { favoritedAt: 'desc' },
+        take,
+        select,
+      }),
+      prisma.lease.findMany({
+        where: { tenantId: userId },
+        orderBy: { createdAt: 'desc' },
+        take,
+        select,
+      }),
+      prisma.propertyRating.findMany({
+        where: { userId },
+        orderBy: { updatedAt: 'desc' },
+        take,
+        select: { ...select, rating: true },
+      }),
+    ]);
+
+    return { views, favorites, leases, ratings };
+  }
+
+  /**
+   * Candidate listings for recommendations, with their recent view and
+   * favorite counts in `_count`
+   * @param {Object} options - { where, orderBy, take, viewsSince }
+   * @returns {Promise<Array>}
+   */
+  async findRecommendationCandidates(options = {}) {
+    const {
+      where = {},
+      orderBy = { createdAt: 'desc' },
+      take = 100,
+      viewsSince,
+    } = options;
+
+    return await prisma.property.findMany({
+      where,
+      orderBy,
+      take,
+      include: {
+        owner: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            phone: true,
+          },
+        },
+        propertyType: {
+          select: {
+            id: true,
+            code: true,
+            name: true,
+          },
+        },
+        amenities: {
+          include: {
+            amenity: {
+              select: {
+                id: true,
+                name: true,
+                category: true,
+              },
+            },
+          },
+        },
+        _count: {
+          select: {
+            views: { where: { viewedAt: { gte: viewsSince } } },
+            favorites: true,
+          },
+        },
+      },
+    });
+  }
+
   // Get counts by status for a specific owner
   async getStatusCounts(ownerId) {
     const statusCounts = await prisma.property.groupBy({
@@ -1,11 +1,26 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { auth, authorize } = require('../../middleware/auth');
+const { body, query } = require('express-validator');
+const {
+  auth,
+  authorize,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require('../../middleware/auth');
+const { cacheResponse } = require('../../middleware/cache');
+const { CACHE_TAGS } = require('../../services/cache.service');
 const propertiesController = require('./properties.controller');
+const { listingFilterValidation } = require('./properties.validation');
 const propertyViewsController = require('../propertyViews/propertyViews.controller');
 
 const router = express.Router();
 
+// Public listing responses also show property types and amenities
+const LISTING_CACHE_TAGS = [
+  CACHE_TAGS.PROPERTIES,
+  CACHE_TAGS.PROPERTY_TYPES,
+  CACHE_TAGS.AMENITIES,
+];
+
 /**
  * @swagger
  * components:
@@ -78,6 +93,10 @@ const router = express.Router();
  *         isAvailable:
  *           type: boolean
  *           description: Whether the property is available for rent
+ *         cancellationPolicy:
+ *           type: string
+ *           enum: [FLEXIBLE, MODERATE, STRICT]
+ *           description: How much of the security deposit is refunded when a tenant cancels
  *         status:
  *           type: string
  *           enum: [PENDING_REVIEW, APPROVED, REJECTED]
@@ -108,6 +127,28 @@ const router = express.Router();
  *           type: integer
  *           description: Total number of users who have favorited this property
  *           example: 8
+ *         distanceKm:
+ *           type: number
+ *           format: float
+ *           description: Distance from the geo search center, only present for geo searches
+ *           example: 1.42
+ *         search:
+ *           type: object
+ *           description: Relevance details, only present when searching with `q`
+ *           properties:
+ *             score:
+ *               type: number
+ *               format: float
+ *               example: 0.87
+ *             highlights:
+ *               type: object
+ *               properties:
+ *                 title:
+ *                   type: string
+ *                   example: "Seaside Luxury <mark>Condo</mark> at Tanjung Bungah"
+ *                 snippet:
+ *                   type: string
+ *                   example: "Premium beachfront condominium with a <mark>pool</mark> and stunning sea views."
  *         propertyType:
  *           $ref: '#/components/schemas/PropertyType'
  *         amenities:
@@ -190,6 +231,42 @@ const router = express.Router();
  *         updatedAt: "2025-09-19T10:15:22.456Z"
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PropertySearchArea:
+ *       type: object
+ *       description: Geo search area, only present for geo searches
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [radius, poi, polygon]
+ *         center:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         radiusKm:
+ *           type: number
+ *           description: Search radius (radius and poi searches)
+ *         poi:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             category:
+ *               type: string
+ *         minutes:
+ *           type: integer
+ *         travelMode:
+ *           type: string
+ */
+
 /**
  * @swagger
  * tags:
@@ -197,6 +274,9 @@ const router = express.Router();
  *   description: Property management API
  */
 
+// Filters shared by GET /api/properties and POST /api/properties/search/area
+const listingQueryValidation = listingFilterValidation();
+
 /**
  * @swagger
  * /api/properties:
@@ -216,23 +296,61 @@ const router = express.Router();
  *           type: integer
  *           default: 10
  *         description: Number of properties per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: |
+ *           Full-text search over title, description, address, project name,
+ *           developer and amenity names. Supports "quoted phrases", `or` and
+ *           `-excluded` words, and tolerates small typos. Results are ordered
+ *           by relevance and each property includes a `search` object with
+ *           its score and HTML-escaped highlights with matches wrapped in
+ *           `<mark>` tags.
+ *         example: "condo pool mont kiara"
  *       - in: query
  *         name: type
  *         schema:
  *           type: string
- *           enum: [APARTMENT, HOUSE, STUDIO, CONDO, VILLA, ROOM]
- *         description: Filter by property type
+ *         description: Filter by property type codes (comma separated)
+ *         example: "APARTMENT,CONDOMINIUM"
  *       - in: query
  *         name: city
  *         schema:
  *           type: string
  *         description: Filter by city
  *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Filter by state
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Filter by country code
+ *         example: "MY"
+ *       - in: query
  *         name: available
  *         schema:
  *           type: boolean
  *         description: Filter by availability
  *       - in: query
+ *         name: availableFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only properties with no approved or active lease between availableFrom and availableTo (both required)
+ *       - in: query
+ *         name: availableTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the availability period (inclusive)
+ *       - in: query
  *         name: minPrice
  *         schema:
  *           type: number
@@ -246,7 +364,118 @@ const router = express.Router();
  *         name: bedrooms
  *         schema:
  *           type: integer
- *         description: Filter by number of bedrooms
+ *         description: Filter by exact number of bedrooms (overrides minBedrooms/maxBedrooms)
+ *       - in: query
+ *         name: minBedrooms
+ *         schema:
+ *           type: integer
+ *         description: Minimum number of bedrooms
+ *       - in: query
+ *         name: maxBedrooms
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of bedrooms
+ *       - in: query
+ *         name: bathrooms
+ *         schema:
+ *           type: integer
+ *         description: Filter by exact number of bathrooms (overrides minBathrooms/maxBathrooms)
+ *       - in: query
+ *         name: minBathrooms
+ *         schema:
+ *           type: integer
+ *         description: Minimum number of bathrooms
+ *       - in: query
+ *         name: maxBathrooms
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of bathrooms
+ *       - in: query
+ *         name: minArea
+ *         schema:
+ *           type: number
+ *         description: Minimum area in square meters
+ *       - in: query
+ *         name: maxArea
+ *         schema:
+ *           type: number
+ *         description: Maximum area in square meters
+ *       - in: query
+ *         name: amenityIds
+ *         schema:
+ *           type: string
+ *         description: Amenity IDs (comma separated)
+ *       - in: query
+ *         name: amenityMatch
+ *         schema:
+ *           type: string
+ *           enum: [all, any]
+ *           default: all
+ *         description: Whether properties must have all or any of the amenityIds
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Radius search center as "latitude,longitude"
+ *         example: "3.1390,101.6869"
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           minimum: 0.1
+ *           maximum: 100
+ *           default: 5
+ *         description: Radius around `near` in kilometers
+ *       - in: query
+ *         name: poiId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only properties within `minutes` of this point of interest (see /api/points-of-interest). Takes precedence over near.
+ *       - in: query
+ *         name: minutes
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 120
+ *           default: 15
+ *         description: Travel time from the point of interest (straight-line estimate)
+ *       - in: query
+ *         name: travelMode
+ *         schema:
+ *           type: string
+ *           enum: [WALKING, CYCLING, DRIVING]
+ *           default: WALKING
+ *         description: How the travel time to the point of interest is covered
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, price, newest, rating, views, distance]
+ *         description: Sort order. Defaults to relevance when q is given, distance for geo searches, otherwise newest. distance requires lat and lng or a geo search.
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Sort direction. Defaults to asc for price and distance, desc otherwise.
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude to sort by distance from (defaults to the geo search center)
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude to sort by distance from (defaults to the geo search center)
  *     responses:
  *       200:
  *         description: List of properties
@@ -275,6 +504,8 @@ const router = express.Router();
  *                           type: integer
  *                         pages:
  *                           type: integer
+ *                     area:
+ *                       $ref: '#/components/schemas/PropertySearchArea'
  *                     maps:
  *                       type: object
  *                       nullable: true
@@ -393,7 +624,88 @@ const router = express.Router();
  *                   longMean: 100.5673
  *                   depth: 18
  */
-router.get('/', propertiesController.getAllProperties);
+router.get(
+  '/',
+  cacheResponse({ ttl: 60, tags: LISTING_CACHE_TAGS }),
+  listingQueryValidation,
+  propertiesController.getAllProperties
+);
+
+/**
+ * @swagger
+ * /api/properties/search/area:
+ *   post:
+ *     summary: Search properties inside a polygon drawn on the map
+ *     description: |
+ *       Accepts the same query parameters as GET /api/properties (filters,
+ *       q, sort, page, limit). Results are sorted by distance from the
+ *       polygon center by default and include `distanceKm`.
+ *     tags: [Properties]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - polygon
+ *             properties:
+ *               polygon:
+ *                 type: object
+ *                 description: GeoJSON Polygon or MultiPolygon ([longitude, latitude] positions, closed rings, at most 1000 points)
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [Polygon, MultiPolygon]
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: array
+ *           example:
+ *             polygon:
+ *               type: "Polygon"
+ *               coordinates:
+ *                 - [[101.68, 3.14], [101.72, 3.14], [101.72, 3.17], [101.68, 3.17], [101.68, 3.14]]
+ *     responses:
+ *       200:
+ *         description: Properties inside the polygon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     properties:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Property'
+ *                     pagination:
+ *                       type: object
+ *                     area:
+ *                       $ref: '#/components/schemas/PropertySearchArea'
+ *       400:
+ *         description: Invalid polygon or filters
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/search/area',
+  [
+    body('polygon').isObject().withMessage('polygon must be a GeoJSON object'),
+    body('polygon.type')
+      .isIn(['Polygon', 'MultiPolygon'])
+      .withMessage('polygon.type must be Polygon or MultiPolygon'),
+    body('polygon.coordinates')
+      .isArray({ min: 1 })
+      .withMessage('polygon.coordinates must be an array'),
+    ...listingQueryValidation,
+  ],
+  propertiesController.searchByArea
+);
 
 /**
  * @swagger
@@ -445,7 +757,96 @@ router.get('/', propertiesController.getAllProperties);
  *       500:
  *         description: Internal server error
  */
-router.get('/featured', propertiesController.getFeaturedProperties);
+router.get(
+  '/featured',
+  cacheResponse({ ttl: 300, tags: LISTING_CACHE_TAGS }),
+  propertiesController.getFeaturedProperties
+);
+
+/**
+ * @swagger
+ * /api/properties/recommended:
+ *   get:
+ *     summary: Get personalized property recommendations
+ *     description: |
+ *       Scores available listings by similarity (city, price band, property type, bedrooms, amenities)
+ *       to the listings the user booked, favorited, rated 4+ stars or viewed in the last 90 days,
+ *       blended with popularity. Listings the user already interacted with or owns are excluded.
+ *       Guests and users without activity get the most popular listings.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Number of recommendations
+ *     responses:
+ *       200:
+ *         description: Recommended properties, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     personalized:
+ *                       type: boolean
+ *                       description: False when the cold-start (popular listings) fallback was used
+ *                     properties:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Property'
+ *                           - type: object
+ *                             properties:
+ *                               recommendation:
+ *                                 type: object
+ *                                 properties:
+ *                                   score:
+ *                                     type: number
+ *                                   reason:
+ *                                     type: object
+ *                                     properties:
+ *                                       type:
+ *                                         type: string
+ *                                         enum: [BOOKED, FAVORITED, RATED, VIEWED, POPULAR]
+ *                                       propertyId:
+ *                                         type: string
+ *                                       propertyTitle:
+ *                                         type: string
+ *                                       matches:
+ *                                         type: array
+ *                                         items:
+ *                                           type: string
+ *                                         example: [Same city, Similar price]
+ *                                       message:
+ *                                         type: string
+ *                                         example: Because you viewed Cozy Studio near KLCC
+ *       400:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/recommended',
+  optionalAuth,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('limit must be between 1 and 50'),
+  ],
+  propertiesController.getRecommendedProperties
+);
 
 /**
  * @swagger
@@ -471,6 +872,8 @@ router.get('/featured', propertiesController.getFeaturedProperties);
  *           maximum: 100
  *           default: 10
  *         description: Number of items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: User's favorite properties
@@ -541,9 +944,14 @@ router.get('/property/:code', propertiesController.getPropertyByCode);
 
 /**
  * @swagger
- * /api/properties.geojson:
+ * /api/properties/geojson:
  *   get:
  *     summary: Get property data in GeoJSON format for high-performance map rendering
+ *     description: |
+ *       Pass the map `zoom` to get clusters when zoomed out (below zoom 15).
+ *       Cluster features have `cluster: true`, `pointCount`, the price range
+ *       (`priceMin`, `priceMedian`, `priceMax`) and a GeoJSON `bbox` of their
+ *       listings; a cluster of one listing also has its `propertyId`.
  *     tags: [Properties]
  *     parameters:
  *       - in: query
@@ -575,7 +983,20 @@ router.get('/property/:code', propertiesController.getPropertyByCode);
  *         name: q
  *         schema:
  *           type: string
- *         description: Search query for title or location
+ *         description: Full-text search query (title, location, project, developer, amenities; typo tolerant)
+ *       - in: query
+ *         name: zoom
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 22
+ *         description: Map zoom level. Below 15 listings are returned as clusters.
+ *       - in: query
+ *         name: cluster
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to always return individual listings
  *     responses:
  *       200:
  *         description: GeoJSON FeatureCollection of properties
@@ -643,7 +1064,57 @@ router.get('/property/:code', propertiesController.getPropertyByCode);
  *       500:
  *         description: Internal server error
  */
-router.get('/geojson', propertiesController.getGeoJSON);
+router.get(
+  '/geojson',
+  cacheResponse({ ttl: 120, tags: LISTING_CACHE_TAGS }),
+  propertiesController.getGeoJSON
+);
+
+/**
+ * @swagger
+ * /api/properties/tiles/{z}/{x}/{y}.mvt:
+ *   get:
+ *     summary: Get a Mapbox vector tile of approved listings
+ *     description: |
+ *       Tiles below zoom 15 contain a `clusters` layer (count, priceMin,
+ *       priceMedian, priceMax). Tiles from zoom 15 contain a `properties`
+ *       layer (id, code, title, price, currencyCode, bedrooms, bathrooms,
+ *       city, propertyType).
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: z
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 22
+ *       - in: path
+ *         name: x
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: y
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Vector tile
+ *         content:
+ *           application/vnd.mapbox-vector-tile:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       204:
+ *         description: Tile has no listings
+ *       400:
+ *         description: Invalid tile coordinates
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/tiles/:z/:x/:y.mvt', propertiesController.getVectorTile);
 
 /**
  * @swagger
@@ -848,6 +1319,82 @@ router.get(
 
 router.get('/:id', propertiesController.getPropertyById);
 
+/**
+ * @swagger
+ * /api/properties/{id}/similar:
+ *   get:
+ *     summary: Get listings similar to a property
+ *     description: |
+ *       Approved, available listings within 10 km (or in the same city when coordinates are missing),
+ *       scored on distance, price band, property type, bedroom count and amenity overlap.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Property ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           maximum: 20
+ *         description: Number of similar listings
+ *     responses:
+ *       200:
+ *         description: Similar listings, most similar first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     properties:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Property'
+ *                           - type: object
+ *                             properties:
+ *                               similarity:
+ *                                 type: object
+ *                                 properties:
+ *                                   score:
+ *                                     type: number
+ *                                     description: 0 (nothing in common) to 1 (same spot, price band, type, bedrooms and amenities)
+ *                                   distanceKm:
+ *                                     type: number
+ *                                     nullable: true
+ *                                   matches:
+ *                                     type: array
+ *                                     items:
+ *                                       type: string
+ *                                     example: [Nearby, Similar price, Same number of bedrooms]
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Property not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/:id/similar',
+  optionalAuth,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('limit must be between 1 and 20'),
+  ],
+  propertiesController.getSimilarProperties
+);
+
 /**
  * @swagger
  * /api/properties:
@@ -934,6 +1481,11 @@ router.get('/:id', propertiesController.getPropertyById);
  *                 type: boolean
  *                 default: true
  *                 description: Whether property is available
+ *               cancellationPolicy:
+ *                 type: string
+ *                 enum: [FLEXIBLE, MODERATE, STRICT]
+ *                 default: MODERATE
+ *                 description: Cancellation policy applied to tenant cancellations
  *               status:
  *                 type: string
  *                 enum: [DRAFT, PENDING_REVIEW, APPROVED, REJECTED, ARCHIVED]
@@ -1029,12 +1581,13 @@ router.get('/:id', propertiesController.getPropertyById);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or email not verified (REQUIRE_EMAIL_VERIFICATION)
  */
 router.post(
   '/',
   auth,
   authorize('USER', 'ADMIN'),
+  requireVerifiedEmail,
   [
     body('code').optional().trim().isLength({ max: 50 }),
     body('title').notEmpty().trim(),
@@ -1055,6 +1608,9 @@ router.post(
     body('areaSqm').optional().isFloat({ min: 0 }),
     body('furnished').optional().isBoolean(),
     body('isAvailable').optional().isBoolean(),
+    body('cancellationPolicy')
+      .optional()
+      .isIn(['FLEXIBLE', 'MODERATE', 'STRICT']),
     body('status').optional().isIn(['PENDING_REVIEW', 'APPROVED', 'REJECTED']),
     body('images').optional().isArray(),
     body('amenityIds').optional().isArray(),
@@ -1144,6 +1700,10 @@ router.post(
  *               isAvailable:
  *                 type: boolean
  *                 description: Whether property is available
+ *               cancellationPolicy:
+ *                 type: string
+ *                 enum: [FLEXIBLE, MODERATE, STRICT]
+ *                 description: Cancellation policy applied to tenant cancellations
  *               status:
  *                 type: string
  *                 enum: [DRAFT, PENDING_REVIEW, APPROVED, REJECTED, ARCHIVED]
@@ -1245,6 +1805,9 @@ router.put(
     body('areaSqm').optional().isFloat({ min: 0 }),
     body('furnished').optional().isBoolean(),
     body('isAvailable').optional().isBoolean(),
+    body('cancellationPolicy')
+      .optional()
+      .isIn(['FLEXIBLE', 'MODERATE', 'STRICT']),
     body('status').optional().isIn(['PENDING_REVIEW', 'APPROVED', 'REJECTED']),
     body('images').optional().isArray(),
     body('amenityIds').optional().isArray(),
@@ -1560,6 +2123,8 @@ router.delete('/:id/rating', auth, propertyViewsController.deleteRating);
  *           type: integer
  *           default: 10
  *         description: Number of ratings per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Property ratings with pagination
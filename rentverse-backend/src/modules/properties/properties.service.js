@@ -2,10 +2,99 @@ const propertiesRepository = require('./properties.repository');
 const PropertyViewsRepository = require('../propertyViews/propertyViews.repository');
 const { generateUniquePropertyCode } = require('../../utils/codeGenerator');
 const { prisma } = require('../../config/database');
+const pointsOfInterestService = require('../pointsOfInterest/pointsOfInterest.service');
+const recommendationService = require('../../services/recommendation.service');
+const cacheService = require('../../services/cache.service');
+const {
+  isCursorPagination,
+  encodeCursor,
+  decodeCursor,
+  createCursorEnvelope,
+} = require('../../utils/pagination');
+
+const { CACHE_TAGS } = cacheService;
+
+// Query parameters accepted by the property listing (see properties.routes)
+const LISTING_FILTERS = [
+  'q',
+  'propertyTypeId',
+  'type',
+  'city',
+  'state',
+  'country',
+  'available',
+  'status',
+  'furnished',
+  'minPrice',
+  'maxPrice',
+  'bedrooms',
+  'minBedrooms',
+  'maxBedrooms',
+  'bathrooms',
+  'minBathrooms',
+  'maxBathrooms',
+  'minArea',
+  'maxArea',
+  'amenityIds',
+  'amenityMatch',
+  'minRating',
+  'availableFrom',
+  'availableTo',
+  'near',
+  'radiusKm',
+  'poiId',
+  'minutes',
+  'travelMode',
+  'sort',
+  'order',
+  'lat',
+  'lng',
+];
+
+// Listing sort orders. Listings are filtered, sorted and paged in SQL by
+// PropertiesRepository.findSortedIds, or findSortedPage for cursor pages.
+const DEFAULT_SORT_ORDERS = {
+  relevance: 'desc',
+  price: 'asc',
+  newest: 'desc',
+  rating: 'desc',
+  views: 'desc',
+  distance: 'asc',
+};
+
+// Geo search (GET /api/properties?near=..., ?poiId=..., POST /search/area)
+const DEFAULT_RADIUS_KM = 5;
+const DEFAULT_POI_MINUTES = 15;
+const POLYGON_MAX_VERTICES = 1000;
+
+// Map clustering (GET /api/properties/geojson?zoom=..., vector tiles).
+// Below CLUSTER_MAX_ZOOM listings are grouped into grid cells, roughly
+// CLUSTER_CELLS_PER_TILE cells across each 256px map tile.
+const CLUSTER_MAX_ZOOM = 15;
+const CLUSTER_CELLS_PER_TILE = 8;
+
+// Recommendations (GET /api/properties/recommended). Signals are the
+// user's latest views, favorites, bookings and good ratings; popularity
+// counts views over a shorter, more recent window.
+const RECOMMENDATION_SIGNAL_DAYS = 90;
+const RECOMMENDATION_SIGNALS_PER_TYPE = 20;
+const RECOMMENDATION_MIN_RATING = 4;
+const RECOMMENDATION_POPULARITY_DAYS = 30;
+const RECOMMENDATION_CANDIDATE_POOL = 200;
+const RECOMMENDATION_POPULAR_POOL = 100;
+
+// Similar listings (GET /api/properties/:id/similar)
+const SIMILAR_LISTING_RADIUS_KM = 10;
+const SIMILAR_LISTING_CANDIDATE_POOL = 200;
+
+// Full-text search (GET /api/properties?q=...)
+const SEARCH_MAX_QUERY_LENGTH = 200;
 
 class PropertiesService {
   constructor() {
     this.propertyViewsRepository = new PropertyViewsRepository();
+    // Set once the full-text search index is found, see resolveSearchQuery
+    this.searchIndexInstalled = false;
   }
   // Helper function to generate Google Maps URL
   generateMapsUrl(latitude, longitude) {
@@ -33,149 +122,438 @@ class PropertiesService {
     return properties.map(property => this.addMapsUrlToProperty(property));
   }
 
-  // Helper function to add view count to property
-  async addViewCountToProperty(property) {
-    if (property) {
-      const viewCount = await this.propertyViewsRepository.getViewCount(
-        property.id
-      );
-      property.viewCount = viewCount;
-    }
-    return property;
+  // Helper function to add view count, rating stats and favorite info to
+  // a property
+  async addListingStatsToProperty(property, userId = null) {
+    if (!property) return property;
+
+    const [propertyWithStats] = await this.addListingStatsToProperties(
+      [property],
+      userId
+    );
+    return propertyWithStats;
   }
 
-  // Helper function to add view count to multiple properties
-  async addViewCountToProperties(properties) {
+  // Helper function to add view count, rating stats and favorite info to
+  // multiple properties with one query
+  async addListingStatsToProperties(properties, userId = null) {
     if (!properties || properties.length === 0) return properties;
 
-    const propertyIds = properties.map(p => p.id);
-    const viewCounts =
-      await this.propertyViewsRepository.getViewCounts(propertyIds);
+    const stats = await this.propertyViewsRepository.getListingStats(
+      properties.map(p => p.id),
+      userId
+    );
 
     return properties.map(property => ({
       ...property,
-      viewCount: viewCounts[property.id] || 0,
+      viewCount: stats[property.id]?.viewCount || 0,
+      averageRating: stats[property.id]?.averageRating || 0,
+      totalRatings: stats[property.id]?.totalRatings || 0,
+      isFavorited: stats[property.id]?.isFavorited || false,
+      favoriteCount: stats[property.id]?.favoriteCount || 0,
     }));
   }
 
-  // Helper function to add rating stats to property
-  async addRatingStatsToProperty(property) {
-    if (property) {
-      const ratingStats = await this.propertyViewsRepository.getRatingStats(
-        property.id
-      );
-      property.averageRating = ratingStats.averageRating;
-      property.totalRatings = ratingStats.totalRatings;
+  /**
+   * Pick the listing filters out of request query parameters (or a saved
+   * search)
+   * @param {Object} source
+   * @returns {Object}
+   */
+  pickListingFilters(source) {
+    const filters = {};
+    for (const name of LISTING_FILTERS) {
+      filters[name] = source[name];
     }
-    return property;
+    return filters;
   }
 
-  // Helper function to add rating stats to multiple properties
-  async addRatingStatsToProperties(properties) {
-    if (!properties || properties.length === 0) return properties;
+  /**
+   * Split a comma separated query value (or repeated query param) into a list
+   * @param {string|string[]} value
+   * @returns {string[]}
+   */
+  parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+  }
 
-    const propertyIds = properties.map(p => p.id);
-    const ratingStats =
-      await this.propertyViewsRepository.getRatingStatsMultiple(propertyIds);
+  /**
+   * Build a range filter from optional min/max query values
+   * @returns {Object|undefined} { gte, lte }
+   */
+  buildRange(min, max, parse = parseFloat) {
+    const range = {};
+    if (min !== undefined && min !== '') range.gte = parse(min);
+    if (max !== undefined && max !== '') range.lte = parse(max);
+    return Object.keys(range).length > 0 ? range : undefined;
+  }
 
-    return properties.map(property => ({
-      ...property,
-      averageRating: ratingStats[property.id]?.averageRating || 0,
-      totalRatings: ratingStats[property.id]?.totalRatings || 0,
-    }));
+  /**
+   * Translate listing query filters into listing criteria, see
+   * PropertiesRepository.listingCondition
+   * @param {Object} filters - Query filters from the controller
+   * @param {string} userRole
+   * @returns {Object}
+   */
+  parseListingFilters(filters, userRole) {
+    const criteria = {};
+
+    // For non-admin users, only show APPROVED properties
+    if (userRole !== 'ADMIN') {
+      criteria.status = 'APPROVED';
+    }
+
+    // Apply filters
+    if (filters.propertyTypeId)
+      criteria.propertyTypeId = filters.propertyTypeId;
+    if (filters.city) criteria.city = filters.city;
+    if (filters.state) criteria.state = filters.state;
+    if (filters.country) criteria.country = filters.country.toUpperCase();
+    if (filters.available !== undefined)
+      criteria.isAvailable = filters.available === 'true';
+    // Only allow admin to filter by status
+    if (filters.status && userRole === 'ADMIN')
+      criteria.status = filters.status;
+    if (filters.furnished !== undefined)
+      criteria.furnished = filters.furnished === 'true';
+
+    criteria.typeCodes = this.parseList(filters.type).map(code =>
+      code.toUpperCase()
+    );
+
+    // An exact bedroom/bathroom count takes precedence over a range
+    criteria.bedrooms = filters.bedrooms
+      ? parseInt(filters.bedrooms)
+      : this.buildRange(filters.minBedrooms, filters.maxBedrooms, parseInt);
+    criteria.bathrooms = filters.bathrooms
+      ? parseInt(filters.bathrooms)
+      : this.buildRange(filters.minBathrooms, filters.maxBathrooms, parseInt);
+
+    criteria.price = this.buildRange(filters.minPrice, filters.maxPrice);
+    criteria.areaSqm = this.buildRange(filters.minArea, filters.maxArea);
+
+    criteria.amenityIds = this.parseList(filters.amenityIds);
+    criteria.amenityMatch = filters.amenityMatch;
+
+    if (filters.minRating) {
+      criteria.minRating = parseFloat(filters.minRating);
+    }
+
+    // Free for the whole period: no approved/active lease overlaps it
+    if (filters.availableFrom && filters.availableTo) {
+      criteria.availableFrom = new Date(filters.availableFrom);
+      criteria.availableTo = new Date(filters.availableTo);
+    }
+
+    return criteria;
   }
 
-  // Helper function to add favorite info to property (for authenticated users)
-  async addFavoriteInfoToProperty(property, userId = null) {
-    if (property && userId) {
-      const [isFavorited, favoriteCount] = await Promise.all([
-        this.propertyViewsRepository.isFavorited(property.id, userId),
-        this.propertyViewsRepository.getFavoriteCount(property.id),
-      ]);
-      property.isFavorited = isFavorited;
-      property.favoriteCount = favoriteCount;
-    } else if (property) {
-      // For non-authenticated users, just add favorite count
-      const favoriteCount = await this.propertyViewsRepository.getFavoriteCount(
-        property.id
+  /**
+   * Trim a full-text query and decide how to run it. Without the search
+   * index (pnpm run db:search) queries fall back to substring search.
+   * @param {string} q
+   * @returns {Promise<Object>} { query, searchFallback }, query empty when none was given
+   */
+  async resolveSearchQuery(q) {
+    const query = q ? String(q).trim().slice(0, SEARCH_MAX_QUERY_LENGTH) : '';
+    if (!query || this.searchIndexInstalled) {
+      return { query, searchFallback: false };
+    }
+
+    this.searchIndexInstalled = await propertiesRepository.hasSearchIndex();
+    if (!this.searchIndexInstalled) {
+      console.warn(
+        'Full-text search index not installed (pnpm run db:search), using substring search'
       );
-      property.isFavorited = false;
-      property.favoriteCount = favoriteCount;
     }
-    return property;
+    return { query, searchFallback: !this.searchIndexInstalled };
   }
 
-  // Helper function to add favorite info to multiple properties
-  async addFavoriteInfoToProperties(properties, userId = null) {
-    if (!properties || properties.length === 0) return properties;
+  /**
+   * Resolve the requested sort order. Geo searches sort by distance from the
+   * area center by default.
+   * @param {Object} filters - { sort, order, lat, lng }
+   * @param {boolean} hasQuery - Whether a full-text query was given
+   * @param {Object|null} area - See resolveSearchArea
+   * @returns {Object} { field, order, lat, lng }
+   */
+  parseSort(filters, hasQuery, area = null) {
+    const defaultField = area ? 'distance' : 'newest';
+    let field = filters.sort || (hasQuery ? 'relevance' : defaultField);
+    if (field === 'relevance' && !hasQuery) field = defaultField;
 
-    const propertyIds = properties.map(p => p.id);
-    const [favoriteStatus, favoriteCounts] = await Promise.all([
-      userId
-        ? this.propertyViewsRepository.getFavoriteStatus(propertyIds, userId)
-        : null,
-      this.propertyViewsRepository.getFavoriteCounts(propertyIds),
-    ]);
+    const center = area ? area.center : {};
+    return {
+      field,
+      order: filters.order || DEFAULT_SORT_ORDERS[field],
+      lat: filters.lat !== undefined ? parseFloat(filters.lat) : center.lat,
+      lng: filters.lng !== undefined ? parseFloat(filters.lng) : center.lng,
+    };
+  }
 
-    return properties.map(property => ({
-      ...property,
-      isFavorited: favoriteStatus ? favoriteStatus[property.id] : false,
-      favoriteCount: favoriteCounts[property.id] || 0,
-    }));
+  /**
+   * Check a GeoJSON Polygon/MultiPolygon drawn on the map
+   * @param {Object} polygon
+   * @returns {Object} The polygon
+   */
+  validatePolygon(polygon) {
+    if (!polygon || !['Polygon', 'MultiPolygon'].includes(polygon.type)) {
+      throw new Error('Invalid polygon: type must be Polygon or MultiPolygon');
+    }
+
+    const polygons =
+      polygon.type === 'Polygon' ? [polygon.coordinates] : polygon.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+      throw new Error('Invalid polygon: coordinates are required');
+    }
+
+    let vertices = 0;
+    for (const rings of polygons) {
+      if (!Array.isArray(rings) || rings.length === 0) {
+        throw new Error('Invalid polygon: coordinates are required');
+      }
+
+      for (const ring of rings) {
+        if (!Array.isArray(ring) || ring.length < 4) {
+          throw new Error('Invalid polygon: each ring needs at least 4 points');
+        }
+
+        for (const position of ring) {
+          const [lng, lat] = Array.isArray(position) ? position : [];
+          if (
+            !Number.isFinite(lng) ||
+            !Number.isFinite(lat) ||
+            Math.abs(lng) > 180 ||
+            Math.abs(lat) > 90
+          ) {
+            throw new Error(
+              'Invalid polygon: positions must be [longitude, latitude]'
+            );
+          }
+        }
+
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+          throw new Error('Invalid polygon: rings must be closed');
+        }
+
+        vertices += ring.length;
+      }
+    }
+
+    if (vertices > POLYGON_MAX_VERTICES) {
+      throw new Error(
+        `Invalid polygon: at most ${POLYGON_MAX_VERTICES} points are allowed`
+      );
+    }
+
+    return polygon;
+  }
+
+  /**
+   * Resolve the geo search area from listing filters, if any
+   * @param {Object} filters - { polygon } or { poiId, minutes, travelMode } or { near, radiusKm }
+   * @returns {Promise<Object|null>} { type, center, radiusKm, polygon, poi, minutes, travelMode }
+   */
+  async resolveSearchArea(filters) {
+    if (filters.polygon) {
+      const polygon = this.validatePolygon(filters.polygon);
+      const center = await propertiesRepository.findPolygonCenter(polygon);
+      return { type: 'polygon', center, polygon };
+    }
+
+    if (filters.poiId) {
+      const poi = await pointsOfInterestService.getById(filters.poiId);
+      if (!poi || !poi.isActive) {
+        throw new Error('Point of interest not found');
+      }
+
+      const minutes = parseInt(filters.minutes) || DEFAULT_POI_MINUTES;
+      const travelMode = filters.travelMode || 'WALKING';
+      return {
+        type: 'poi',
+        center: { lat: poi.latitude, lng: poi.longitude },
+        radiusKm: pointsOfInterestService.getTravelRadiusKm(
+          minutes,
+          travelMode
+        ),
+        poi: { id: poi.id, name: poi.name, category: poi.category },
+        minutes,
+        travelMode,
+      };
+    }
+
+    if (filters.near) {
+      const [lat, lng] = String(filters.near).split(',').map(parseFloat);
+      return {
+        type: 'radius',
+        center: { lat, lng },
+        radiusKm: filters.radiusKm
+          ? parseFloat(filters.radiusKm)
+          : DEFAULT_RADIUS_KM,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the criteria that only need the property's own columns, like
+   * listingCondition does in SQL
+   * @param {Object} property - Property with its propertyType
+   * @param {Object} criteria - From parseListingFilters
+   * @returns {boolean}
+   */
+  matchesListingColumns(property, criteria) {
+    const contains = (value, text) =>
+      String(value ?? '')
+        .toLowerCase()
+        .includes(String(text).toLowerCase());
+    const inRange = (value, range) => {
+      if (range === undefined) return true;
+      if (value === null || value === undefined) return false;
+      if (typeof range === 'number') return Number(value) === range;
+      return (
+        (range.gte === undefined || Number(value) >= range.gte) &&
+        (range.lte === undefined || Number(value) <= range.lte)
+      );
+    };
+
+    return (
+      (!criteria.status || property.status === criteria.status) &&
+      (!criteria.propertyTypeId ||
+        property.propertyTypeId === criteria.propertyTypeId) &&
+      (!criteria.city || contains(property.city, criteria.city)) &&
+      (!criteria.state || contains(property.state, criteria.state)) &&
+      (!criteria.country || property.country === criteria.country) &&
+      (criteria.isAvailable === undefined ||
+        property.isAvailable === criteria.isAvailable) &&
+      (criteria.furnished === undefined ||
+        property.furnished === criteria.furnished) &&
+      (criteria.typeCodes.length === 0 ||
+        criteria.typeCodes.includes(property.propertyType?.code)) &&
+      inRange(property.bedrooms, criteria.bedrooms) &&
+      inRange(property.bathrooms, criteria.bathrooms) &&
+      inRange(property.price, criteria.price) &&
+      inRange(property.areaSqm, criteria.areaSqm)
+    );
+  }
+
+  /**
+   * Check whether a property appears in the public listing for the given
+   * filters (used to match new listings against saved searches). The
+   * property's own columns are compared first, so most filters are ruled
+   * out without a query.
+   * @param {Object} property - Property from PropertiesRepository.findById
+   * @param {Object} filters - Listing filters, optionally with a polygon
+   * @returns {Promise<boolean>}
+   */
+  async matchesListingFilters(property, filters) {
+    const listingCriteria = this.parseListingFilters(filters, 'USER');
+    if (!this.matchesListingColumns(property, listingCriteria)) {
+      return false;
+    }
+
+    const criteria = {
+      ...listingCriteria,
+      ...(await this.resolveSearchQuery(filters.q)),
+      area: await this.resolveSearchArea(filters),
+      ids: [property.id],
+    };
+
+    return (await propertiesRepository.countListings(criteria)) > 0;
+  }
+
+  /**
+   * Load properties by ID, keeping the order of the given IDs
+   * @param {string[]} ids
+   * @returns {Promise<Array>}
+   */
+  async findPropertiesInOrder(ids) {
+    const rows = await propertiesRepository.findMany({
+      where: { id: { in: ids } },
+      take: ids.length,
+    });
+    const rowsById = new Map(rows.map(property => [property.id, property]));
+
+    return ids.filter(id => rowsById.has(id)).map(id => rowsById.get(id));
   }
 
+  /**
+   * Listing search behind GET /api/properties
+   * @param {Object} pagination - { page, limit } or { cursor, limit, includeTotal }, see parsePagination
+   * @param {Object} filters - See pickListingFilters
+   * @param {string|null} userId
+   * @param {string} userRole
+   * @returns {Promise<Object>} { properties, pagination, maps, area? }, or with a cursor { items, nextCursor, total?, maps, area? }
+   */
   async getAllProperties(
-    page = 1,
-    limit = 10,
+    pagination = {},
     filters = {},
     userId = null,
     userRole = 'USER'
   ) {
+    const { page = 1, limit = 10 } = pagination;
     const skip = (page - 1) * limit;
-    const where = {};
-
-    // For non-admin users, only show APPROVED properties
-    if (userRole !== 'ADMIN') {
-      where.status = 'APPROVED';
+    const area = await this.resolveSearchArea(filters);
+    const search = await this.resolveSearchQuery(filters.q);
+    const criteria = {
+      ...this.parseListingFilters(filters, userRole),
+      ...search,
+      area,
+    };
+    const sort = this.parseSort(filters, Boolean(search.query), area);
+
+    let properties;
+    let total;
+    let nextCursor;
+    if (isCursorPagination(pagination)) {
+      ({ properties, total, nextCursor } =
+        await this.findPropertiesPageByCursor(criteria, sort, pagination));
+    } else {
+      const [pageIds, count] = await Promise.all([
+        propertiesRepository.findSortedIds(
+          criteria,
+          this.getListingSort(criteria, sort),
+          skip,
+          limit
+        ),
+        propertiesRepository.countListings(criteria),
+      ]);
+      properties = await this.findPropertiesInOrder(pageIds);
+      total = count;
     }
 
-    // Apply filters
-    if (filters.propertyTypeId) where.propertyTypeId = filters.propertyTypeId;
-    if (filters.city)
-      where.city = { contains: filters.city, mode: 'insensitive' };
-    if (filters.available !== undefined)
-      where.isAvailable = filters.available === 'true';
-    if (filters.bedrooms) where.bedrooms = parseInt(filters.bedrooms);
-    // Only allow admin to filter by status
-    if (filters.status && userRole === 'ADMIN') where.status = filters.status;
-    if (filters.furnished !== undefined)
-      where.furnished = filters.furnished === 'true';
-
-    if (filters.minPrice || filters.maxPrice) {
-      where.price = {};
-      if (filters.minPrice) where.price.gte = parseFloat(filters.minPrice);
-      if (filters.maxPrice) where.price.lte = parseFloat(filters.maxPrice);
+    if (search.query && !search.searchFallback) {
+      properties = await this.addSearchHighlights(properties, search.query);
     }
 
-    const [properties, total] = await Promise.all([
-      propertiesRepository.findMany({ where, skip, take: limit }),
-      propertiesRepository.count(where),
-    ]);
-
-    const pages = Math.ceil(total / limit);
+    // Distances from the area center, for this page only
+    let distancesById = null;
+    if (area) {
+      const distances = await propertiesRepository.findDistances(
+        properties.map(property => property.id),
+        area
+      );
+      distancesById = new Map(
+        distances.map(row => [row.id, Number(row.distanceKm)])
+      );
+    }
 
     // Add Google Maps URL, view count, rating stats, and favorite info to each property
-    const propertiesWithMapsUrl = this.addMapsUrlToProperties(properties);
-    const propertiesWithViewCount = await this.addViewCountToProperties(
-      propertiesWithMapsUrl
-    );
-    const propertiesWithRatings = await this.addRatingStatsToProperties(
-      propertiesWithViewCount
-    );
-    const propertiesWithFavorites = await this.addFavoriteInfoToProperties(
-      propertiesWithRatings,
+    const propertiesWithFavorites = await this.addListingStatsToProperties(
+      this.addMapsUrlToProperties(properties),
       userId
     );
+    const propertiesWithDistance = distancesById
+      ? propertiesWithFavorites.map(property => ({
+          ...property,
+          distanceKm: Math.round(distancesById.get(property.id) * 100) / 100,
+        }))
+      : propertiesWithFavorites;
 
     // Calculate average longitude and latitude for maps
     const validCoordinates = properties.filter(
@@ -204,18 +582,127 @@ class PropertiesService {
       };
     }
 
+    const result = isCursorPagination(pagination)
+      ? {
+          ...createCursorEnvelope(propertiesWithDistance, nextCursor, total),
+          maps,
+        }
+      : {
+          properties: propertiesWithDistance,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+          maps,
+        };
+
+    if (area) {
+      // eslint-disable-next-line no-unused-vars
+      const { polygon, ...areaSummary } = area;
+      result.area = areaSummary;
+    }
+
+    return result;
+  }
+
+  /**
+   * The sort a listing page is ordered by. Substring search results have
+   * no relevance score, so they come newest first.
+   * @param {Object} criteria - See getAllProperties
+   * @param {Object} sort - See parseSort
+   * @returns {Object}
+   */
+  getListingSort(criteria, sort) {
+    return sort.field === 'relevance' && criteria.searchFallback
+      ? { field: 'newest', order: 'desc' }
+      : sort;
+  }
+
+  /**
+   * One page of the listing with keyset pagination. The cursor holds the
+   * sort value, creation date and ID of the last property, so listings
+   * added or removed between requests do not shift later pages.
+   * @param {Object} criteria - Listing criteria, see getAllProperties
+   * @param {Object} sort - See parseSort
+   * @param {Object} pagination - { cursor, limit, includeTotal }
+   * @returns {Promise<Object>} { properties, nextCursor, total? }
+   */
+  async findPropertiesPageByCursor(criteria, sort, pagination) {
+    const { limit, includeTotal } = pagination;
+    const pageSort = this.getListingSort(criteria, sort);
+
+    const key = `properties:${pageSort.field}:${pageSort.order}`;
+    const position = decodeCursor(pagination.cursor, key, values =>
+      propertiesRepository.isValidSortPosition(pageSort, values)
+    );
+    const after = position
+      ? { sortValue: position[0], createdAt: position[1], id: position[2] }
+      : null;
+
+    const [rows, total] = await Promise.all([
+      propertiesRepository.findSortedPage(criteria, pageSort, after, limit + 1),
+      includeTotal ? propertiesRepository.countListings(criteria) : undefined,
+    ]);
+
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
+    const nextCursor =
+      rows.length > limit
+        ? encodeCursor(key, [lastRow.sortValue, lastRow.createdAt, lastRow.id])
+        : null;
+
     return {
-      properties: propertiesWithFavorites,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages,
-      },
-      maps,
+      properties: await this.findPropertiesInOrder(pageRows.map(row => row.id)),
+      nextCursor,
+      total,
     };
   }
 
+  /**
+   * Add the search score and highlighted title/snippet to search results
+   * @param {Array} properties
+   * @param {string} query
+   * @returns {Promise<Array>}
+   */
+  async addSearchHighlights(properties, query) {
+    const highlights = await propertiesRepository.findSearchHighlights(
+      properties.map(property => property.id),
+      query
+    );
+    const highlightsById = new Map(
+      highlights.map(highlight => [highlight.id, highlight])
+    );
+
+    return properties.map(property => {
+      const highlight = highlightsById.get(property.id);
+      return {
+        ...property,
+        search: {
+          score: highlight ? Number(highlight.score) : null,
+          highlights: {
+            title: highlight ? highlight.title : null,
+            snippet: highlight ? highlight.snippet : null,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Rebuild a property's full-text search vector. Failures are logged only
+   * so listings can still be saved before the search index is installed.
+   * @param {string} propertyId
+   */
+  async refreshSearchIndex(propertyId) {
+    try {
+      await propertiesRepository.refreshSearchVector(propertyId);
+    } catch (error) {
+      console.error('Search index refresh error:', error.message);
+    }
+  }
+
   async getPropertyById(id, userId = null) {
     const property = await propertiesRepository.findById(id);
 
@@ -225,12 +712,7 @@ class PropertiesService {
 
     // Add Google Maps URL, view count, rating stats, and favorite info to the property
     const propertyWithMapsUrl = this.addMapsUrlToProperty(property);
-    const propertyWithViewCount =
-      await this.addViewCountToProperty(propertyWithMapsUrl);
-    const propertyWithRatings = await this.addRatingStatsToProperty(
-      propertyWithViewCount
-    );
-    return await this.addFavoriteInfoToProperty(propertyWithRatings, userId);
+    return await this.addListingStatsToProperty(propertyWithMapsUrl, userId);
   }
 
   async getPropertyByCode(code, userId = null) {
@@ -242,12 +724,7 @@ class PropertiesService {
 
     // Add Google Maps URL, view count, rating stats, and favorite info to the property
     const propertyWithMaps = this.addMapsUrlToProperty(property);
-    const propertyWithViewCount =
-      await this.addViewCountToProperty(propertyWithMaps);
-    const propertyWithRatings = await this.addRatingStatsToProperty(
-      propertyWithViewCount
-    );
-    return await this.addFavoriteInfoToProperty(propertyWithRatings, userId);
+    return await this.addListingStatsToProperty(propertyWithMaps, userId);
   }
 
   async createProperty(propertyData, ownerId) {
@@ -311,6 +788,7 @@ class PropertiesService {
       bathrooms: propertyData.bathrooms || 0,
       areaSqm: propertyData.areaSqm ? parseFloat(propertyData.areaSqm) : null,
       furnished: propertyData.furnished || false,
+      cancellationPolicy: propertyData.cancellationPolicy || 'MODERATE',
       isAvailable:
         propertyData.isAvailable !== undefined
           ? propertyData.isAvailable
@@ -384,6 +862,14 @@ class PropertiesService {
       return property;
     });
 
+    await this.refreshSearchIndex(result.id);
+
+    // Pending listings are not public yet, so cached pages stay valid
+    if (result.status === 'APPROVED') {
+      await cacheService.invalidate(CACHE_TAGS.PROPERTIES);
+      this.notifySavedSearches(result.id);
+    }
+
     // Add Google Maps URL to the created property
     return this.addMapsUrlToProperty(result);
   }
@@ -425,6 +911,7 @@ class PropertiesService {
       'areaSqm',
       'furnished',
       'isAvailable',
+      'cancellationPolicy',
       'status',
       'images',
       'propertyTypeId',
@@ -471,6 +958,9 @@ class PropertiesService {
       }
     }
 
+    await this.refreshSearchIndex(id);
+    await cacheService.invalidate(CACHE_TAGS.PROPERTIES);
+
     // Get updated property with all relations
     const finalProperty = await propertiesRepository.findById(id);
 
@@ -496,6 +986,7 @@ class PropertiesService {
     }
 
     await propertiesRepository.delete(id);
+    await cacheService.invalidate(CACHE_TAGS.PROPERTIES);
     return { message: 'Property deleted successfully' };
   }
 
@@ -510,8 +1001,21 @@ class PropertiesService {
         centerLng,
         centerLat,
         query,
+        zoom,
+        cluster,
       } = params;
 
+      if (this.shouldCluster(zoom, cluster)) {
+        return await this.getClusteredGeoJSON({
+          minLng,
+          minLat,
+          maxLng,
+          maxLat,
+          zoom,
+          query,
+        });
+      }
+
       const properties = await propertiesRepository.findForGeoJSON({
         minLng,
         minLat,
@@ -577,6 +1081,89 @@ class PropertiesService {
     }
   }
 
+  /**
+   * Whether map listings at a zoom level are returned as clusters
+   * @param {number|undefined} zoom - Map zoom level
+   * @param {boolean|undefined} cluster - Explicit request to (not) cluster
+   * @returns {boolean}
+   */
+  shouldCluster(zoom, cluster) {
+    if (cluster === false || zoom === undefined || zoom === null) {
+      return false;
+    }
+    return zoom < CLUSTER_MAX_ZOOM;
+  }
+
+  /**
+   * Cluster map listings into a zoom-dependent grid. Each cluster feature
+   * has its listing count, price range and bounding box; a cell with one
+   * listing also has its propertyId.
+   * @param {Object} params - { minLng, minLat, maxLng, maxLat, zoom, query }
+   * @returns {Promise<Object>} GeoJSON FeatureCollection
+   */
+  async getClusteredGeoJSON(params) {
+    const { zoom, ...bounds } = params;
+    // Cell size in degrees: a 256px tile at this zoom split into a grid
+    const gridSize = 360 / 2 ** zoom / CLUSTER_CELLS_PER_TILE;
+
+    const clusters = await propertiesRepository.findClustersForGeoJSON({
+      ...bounds,
+      gridSize,
+    });
+
+    const features = clusters.map(cluster => ({
+      type: 'Feature',
+      bbox: [cluster.minLng, cluster.minLat, cluster.maxLng, cluster.maxLat],
+      geometry: {
+        type: 'Point',
+        coordinates: [cluster.lng, cluster.lat],
+      },
+      properties: {
+        cluster: true,
+        pointCount: cluster.count,
+        propertyId: cluster.propertyId,
+        currencyCode: cluster.currencyCode,
+        priceMin: cluster.priceMin,
+        priceMedian: Math.round(cluster.priceMedian * 100) / 100,
+        priceMax: cluster.priceMax,
+        priceMinFormatted: this.formatPrice(
+          cluster.priceMin,
+          cluster.currencyCode
+        ),
+        priceMaxFormatted: this.formatPrice(
+          cluster.priceMax,
+          cluster.currencyCode
+        ),
+        // Zoom at which the cluster's cell splits into smaller cells
+        expansionZoom: Math.min(zoom + 2, CLUSTER_MAX_ZOOM),
+      },
+    }));
+
+    return {
+      type: 'FeatureCollection',
+      clustered: true,
+      zoom,
+      features,
+    };
+  }
+
+  /**
+   * Mapbox vector tile of map listings for the map viewer
+   * @param {number} z
+   * @param {number} x
+   * @param {number} y
+   * @returns {Promise<Buffer>} Empty buffer when the tile has no listings
+   */
+  async getVectorTile(z, x, y) {
+    return await propertiesRepository.findVectorTile({
+      z,
+      x,
+      y,
+      clustered: z < CLUSTER_MAX_ZOOM,
+      cellsPerTile: CLUSTER_CELLS_PER_TILE,
+    });
+  }
+
   // Helper method to format price
   formatPrice(price, currencyCode = 'MYR') {
     const numPrice = parseFloat(price);
@@ -601,15 +1188,8 @@ class PropertiesService {
     const pages = Math.ceil(total / limit);
 
     // Add Google Maps URL, view count, rating stats, and favorite info to each property
-    const propertiesWithMapsUrl = this.addMapsUrlToProperties(properties);
-    const propertiesWithViewCount = await this.addViewCountToProperties(
-      propertiesWithMapsUrl
-    );
-    const propertiesWithRatings = await this.addRatingStatsToProperties(
-      propertiesWithViewCount
-    );
-    const propertiesWithFavorites = await this.addFavoriteInfoToProperties(
-      propertiesWithRatings,
+    const propertiesWithFavorites = await this.addListingStatsToProperties(
+      this.addMapsUrlToProperties(properties),
       userId
     );
 
@@ -624,6 +1204,252 @@ class PropertiesService {
     };
   }
 
+  /**
+   * Listings the user booked, favorited, rated well or viewed recently. A
+   * listing with several interactions keeps only its strongest one.
+   * @param {string} userId
+   * @returns {Promise<Array>} [{ type, property }]
+   */
+  async getRecommendationSignals(userId) {
+    const viewsSince = new Date(
+      Date.now() - RECOMMENDATION_SIGNAL_DAYS * 24 * 60 * 60 * 1000
+    );
+    const { views, favorites, leases, ratings } =
+      await propertiesRepository.findUserInteractions(userId, {
+        viewsSince,
+        take: RECOMMENDATION_SIGNALS_PER_TYPE,
+      });
+
+    const interactions = [
+      ...leases.map(lease => ({ type: 'BOOKED', property: lease.property })),
+      ...favorites.map(favorite => ({
+        type: 'FAVORITED',
+        property: favorite.property,
+      })),
+      ...ratings
+        .filter(rating => rating.rating >= RECOMMENDATION_MIN_RATING)
+        .map(rating => ({ type: 'RATED', property: rating.property })),
+      ...views.map(view => ({ type: 'VIEWED', property: view.property })),
+    ];
+
+    const signalsById = new Map();
+    for (const signal of interactions) {
+      const current = signalsById.get(signal.property.id);
+      if (
+        !current ||
+        recommendationService.getSignalWeight(signal.type) >
+          recommendationService.getSignalWeight(current.type)
+      ) {
+        signalsById.set(signal.property.id, signal);
+      }
+    }
+
+    return [...signalsById.values()];
+  }
+
+  /**
+   * Personalized listings for a user: similar to what they viewed,
+   * favorited, rated or booked (city, price band, type, bedrooms, amenities)
+   * blended with popularity. Guests and new users get popular listings.
+   * @param {string|null} userId
+   * @param {number} limit
+   * @returns {Promise<Object>} { properties, personalized }
+   */
+  async getRecommendedProperties(userId = null, limit = 10) {
+    const signals = userId ? await this.getRecommendationSignals(userId) : [];
+    const viewsSince = new Date(
+      Date.now() - RECOMMENDATION_POPULARITY_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    // Never recommend the user's own listings or ones they already know
+    const where = {
+      status: 'APPROVED',
+      isAvailable: true,
+      id: { notIn: signals.map(signal => signal.property.id) },
+    };
+    if (userId) where.ownerId = { not: userId };
+
+    const pools = [
+      propertiesRepository.findRecommendationCandidates({
+        where,
+        orderBy: [{ views: { _count: 'desc' } }, { createdAt: 'desc' }],
+        take: RECOMMENDATION_POPULAR_POOL,
+        viewsSince,
+      }),
+    ];
+
+    if (signals.length > 0) {
+      const cities = [...new Set(signals.map(signal => signal.property.city))];
+      const propertyTypeIds = [
+        ...new Set(signals.map(signal => signal.property.propertyTypeId)),
+      ];
+      pools.push(
+        propertiesRepository.findRecommendationCandidates({
+          where: {
+            ...where,
+            OR: [
+              ...cities.map(city => ({
+                city: { equals: city, mode: 'insensitive' },
+              })),
+              { propertyTypeId: { in: propertyTypeIds } },
+            ],
+          },
+          take: RECOMMENDATION_CANDIDATE_POOL,
+          viewsSince,
+        })
+      );
+    }
+
+    const candidatesById = new Map();
+    for (const property of (await Promise.all(pools)).flat()) {
+      candidatesById.set(property.id, property);
+    }
+    const candidates = [...candidatesById.values()];
+
+    const ratingStats =
+      candidates.length > 0
+        ? await this.propertyViewsRepository.getRatingStatsMultiple(
+            candidates.map(property => property.id)
+          )
+        : {};
+
+    const ranked = recommendationService
+      .rankCandidates(
+        candidates.map(({ _count, ...property }) => ({
+          property,
+          stats: {
+            viewCount: _count.views,
+            favoriteCount: _count.favorites,
+            ...ratingStats[property.id],
+          },
+        })),
+        signals
+      )
+      .slice(0, limit);
+
+    const properties = await this.addListingStatsToProperties(
+      this.addMapsUrlToProperties(ranked.map(item => item.property)),
+      userId
+    );
+
+    return {
+      properties: properties.map((property, index) => ({
+        ...property,
+        recommendation: {
+          score: Math.round(ranked[index].score * 1000) / 1000,
+          reason: ranked[index].reason,
+        },
+      })),
+      personalized: signals.length > 0,
+    };
+  }
+
+  /**
+   * Comparable approved listings for a property page, scored on distance
+   * (or city), price band, bedrooms, property type and amenity overlap
+   * @param {string} id - Property ID
+   * @param {number} limit
+   * @param {string|null} userId - For favorite info
+   * @returns {Promise<Object>} { properties }
+   */
+  async getSimilarProperties(id, limit = 6, userId = null) {
+    const property = await propertiesRepository.findById(id);
+    if (!property) {
+      throw new Error('Property not found');
+    }
+
+    const sameCity = { city: { equals: property.city, mode: 'insensitive' } };
+    const where = { status: 'APPROVED', isAvailable: true, id: { not: id } };
+
+    const isLocated = listing =>
+      listing.latitude !== null && listing.longitude !== null;
+
+    let candidates = [];
+    let distancesById = new Map();
+    if (isLocated(property)) {
+      const center = { lat: property.latitude, lng: property.longitude };
+      const area = { center, radiusKm: SIMILAR_LISTING_RADIUS_KM };
+
+      // The nearest listings fill the pool first. One extra is fetched in
+      // case the listing itself is among them.
+      const nearestIds = (
+        await propertiesRepository.findSortedIds(
+          { status: 'APPROVED', isAvailable: true, area },
+          { field: 'distance', order: 'asc', ...center },
+          0,
+          SIMILAR_LISTING_CANDIDATE_POOL + 1
+        )
+      )
+        .filter(nearestId => nearestId !== id)
+        .slice(0, SIMILAR_LISTING_CANDIDATE_POOL);
+
+      const [nearest, distances] = await Promise.all([
+        this.findPropertiesInOrder(nearestIds),
+        propertiesRepository.findDistances(nearestIds, area),
+      ]);
+      candidates = nearest;
+      distancesById = new Map(
+        distances.map(match => [match.id, Number(match.distanceKm)])
+      );
+    }
+
+    // Same-city listings outside the radius take the rest of the pool
+    if (candidates.length < SIMILAR_LISTING_CANDIDATE_POOL) {
+      const sameCityListings = await propertiesRepository.findMany({
+        where: {
+          ...where,
+          ...sameCity,
+          id: { notIn: [id, ...candidates.map(candidate => candidate.id)] },
+        },
+        take: SIMILAR_LISTING_CANDIDATE_POOL - candidates.length,
+      });
+      candidates = [...candidates, ...sameCityListings];
+    }
+
+    const ranked = candidates
+      .map(candidate => {
+        const distanceKm = distancesById.has(candidate.id)
+          ? distancesById.get(candidate.id)
+          : null;
+        // Same-city listings outside the radius score nothing for distance;
+        // the city is only compared when coordinates are missing
+        const comparedDistanceKm =
+          isLocated(property) && isLocated(candidate)
+            ? (distanceKm ?? SIMILAR_LISTING_RADIUS_KM)
+            : null;
+        return {
+          property: candidate,
+          distanceKm,
+          ...recommendationService.compareSimilarListing(
+            candidate,
+            property,
+            comparedDistanceKm
+          ),
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const properties = await this.addListingStatsToProperties(
+      this.addMapsUrlToProperties(ranked.map(item => item.property)),
+      userId
+    );
+
+    return {
+      properties: properties.map((similar, index) => ({
+        ...similar,
+        similarity: {
+          score: Math.round(ranked[index].score * 1000) / 1000,
+          distanceKm:
+            ranked[index].distanceKm === null
+              ? null
+              : Math.round(ranked[index].distanceKm * 100) / 100,
+          matches: ranked[index].matches,
+        },
+      })),
+    };
+  }
+
   /**
    * Log property view
    * @param {string} propertyId - Property ID
@@ -650,13 +1476,8 @@ class PropertiesService {
 
     // Return property with updated view count and all related data
     const propertyWithMapsUrl = this.addMapsUrlToProperty(property);
-    const propertyWithViewCount =
-      await this.addViewCountToProperty(propertyWithMapsUrl);
-    const propertyWithRatings = await this.addRatingStatsToProperty(
-      propertyWithViewCount
-    );
-    const propertyWithFavorites = await this.addFavoriteInfoToProperty(
-      propertyWithRatings,
+    const propertyWithFavorites = await this.addListingStatsToProperty(
+      propertyWithMapsUrl,
       viewData.userId
     );
 
@@ -727,6 +1548,8 @@ class PropertiesService {
    * @param {Object} options - Options
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=10] - Items per page
+   * @param {string} [options.cursor] - Use cursor pagination instead of pages
+   * @param {boolean} [options.includeTotal] - With a cursor, also count all ratings
    * @returns {Promise<Object>} Ratings with pagination
    */
   async getPropertyRatings(propertyId, options = {}) {
@@ -735,11 +1558,13 @@ class PropertiesService {
       throw new Error('Property not found');
     }
 
-    const { page = 1, limit = 10 } = options;
+    const { page = 1, limit = 10, cursor, includeTotal } = options;
     return await this.propertyViewsRepository.getPropertyRatings({
       propertyId,
       page: parseInt(page),
       limit: parseInt(limit),
+      cursor,
+      includeTotal,
     });
   }
 
@@ -853,32 +1678,40 @@ class PropertiesService {
    * @param {Object} options - Options
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=10] - Items per page
+   * @param {string} [options.cursor] - Use cursor pagination instead of pages
+   * @param {boolean} [options.includeTotal] - With a cursor, also count all favorites
    * @returns {Promise<Object>} Favorite properties with pagination
    */
   async getUserFavorites(userId, options = {}) {
-    const { page = 1, limit = 10 } = options;
+    const { page = 1, limit = 10, cursor, includeTotal } = options;
     const result = await this.propertyViewsRepository.getUserFavorites({
       userId,
       page: parseInt(page),
       limit: parseInt(limit),
+      cursor,
+      includeTotal,
     });
+    const favorites = isCursorPagination(options)
+      ? result.items
+      : result.favorites;
 
     // Extract properties from favorites (which contains {favoritedAt, property})
-    const properties = result.favorites.map(fav => fav.property);
+    const properties = favorites.map(fav => fav.property);
 
     // Add Maps URL, view count, rating stats, and favorite info to each property
-    const propertiesWithMapsUrl = this.addMapsUrlToProperties(properties);
-    const propertiesWithViewCount = await this.addViewCountToProperties(
-      propertiesWithMapsUrl
-    );
-    const propertiesWithRatings = await this.addRatingStatsToProperties(
-      propertiesWithViewCount
-    );
-    const propertiesWithFavorites = await this.addFavoriteInfoToProperties(
-      propertiesWithRatings,
+    const propertiesWithFavorites = await this.addListingStatsToProperties(
+      this.addMapsUrlToProperties(properties),
       userId
     );
 
+    if (isCursorPagination(options)) {
+      return createCursorEnvelope(
+        propertiesWithFavorites,
+        result.nextCursor,
+        result.total
+      );
+    }
+
     return {
       favorites: propertiesWithFavorites,
       pagination: result.pagination,
@@ -1043,12 +1876,30 @@ class PropertiesService {
       }),
     ]);
 
+    await cacheService.invalidate(CACHE_TAGS.PROPERTIES);
+    this.notifySavedSearches(propertyId);
+
     return {
       property: updatedProperty,
       approval: updatedApproval,
     };
   }
 
+  /**
+   * Alert users whose saved searches match a newly published listing. Runs
+   * in the background so publishing does not wait for matching and emails.
+   * @param {string} propertyId
+   */
+  notifySavedSearches(propertyId) {
+    // Required lazily because the saved searches service depends on this one
+    const savedSearchesService = require('../savedSearches/savedSearches.service');
+    savedSearchesService
+      .notifyNewListing(propertyId)
+      .catch(error =>
+        console.error('Saved search alert error:', error.message)
+      );
+  }
+
   // Reject property (admin only)
   async rejectProperty(propertyId, reviewerId, notes) {
     // Check if property exists
@@ -1088,6 +1939,8 @@ class PropertiesService {
       }),
     ]);
 
+    await cacheService.invalidate(CACHE_TAGS.PROPERTIES);
+
     return {
       property: updatedProperty,
       approval: updatedApproval,
@@ -1272,36 +2125,20 @@ class PropertiesService {
       });
 
       // Transform properties to include computed fields
-      const transformedProperties = await Promise.all(
-        properties.map(async property => {
-          // Add maps URL
-          const propertyWithMaps = this.addMapsUrlToProperty(property);
-
-          // Get view count
-          const viewCount = await this.propertyViewsRepository.getViewCount(
-            property.id
-          );
-
-          // Get average rating
-          const ratingsCount = property._count?.ratings || 0;
-          const averageRating =
-            ratingsCount > 0
-              ? await propertiesRepository.getAverageRating(property.id)
-              : 0;
-
-          return {
-            ...propertyWithMaps,
-            amenities: property.amenities?.map(pa => pa.amenity) || [],
-            viewCount,
-            averageRating: parseFloat(averageRating.toFixed(1)),
-            totalRatings: ratingsCount,
-            totalLeases: property._count?.leases || 0,
-            favoriteCount: property._count?.favorites || 0,
-            // Remove the _count object as we've extracted the data
-            _count: undefined,
-          };
-        })
+      const stats = await this.propertyViewsRepository.getListingStats(
+        properties.map(property => property.id)
       );
+      const transformedProperties = properties.map(property => ({
+        ...this.addMapsUrlToProperty(property),
+        amenities: property.amenities?.map(pa => pa.amenity) || [],
+        viewCount: stats[property.id]?.viewCount || 0,
+        averageRating: stats[property.id]?.averageRating || 0,
+        totalRatings: stats[property.id]?.totalRatings || 0,
+        totalLeases: property._count?.leases || 0,
+        favoriteCount: stats[property.id]?.favoriteCount || 0,
+        // Remove the _count object as we've extracted the data
+        _count: undefined,
+      }));
 
       // Get summary statistics
       const statusCounts = await propertiesRepository.getStatusCounts(userId);
@@ -0,0 +1,102 @@
+const { body, query } = require('express-validator');
+
+/**
+ * Validators for the listing filters of GET /api/properties. The same rules
+ * apply to POST /api/properties/search/area and to the filters stored with
+ * a saved search, so invalid values are rejected with 400 before they reach
+ * parseListingFilters.
+ * @param {string} [bodyField] - Validate the object in `req.body[bodyField]`
+ *   (e.g. 'filters') instead of the query string
+ * @returns {Array} express-validator chains
+ */
+function listingFilterValidation(bodyField) {
+  const field = names =>
+    bodyField
+      ? body([].concat(names).map(name => `${bodyField}.${name}`))
+      : query(names);
+  const valueOf = (req, name) =>
+    bodyField ? req.body[bodyField]?.[name] : req.query[name];
+  // Drawn polygon (area search) or stored map bounds (saved searches)
+  const hasDrawnArea = req =>
+    bodyField
+      ? Boolean(req.body[bodyField]?.polygon || req.body[bodyField]?.bbox)
+      : Boolean(req.body.polygon);
+
+  return [
+    field('q').optional().isString().isLength({ max: 200 }),
+    field('type').optional().isString(),
+    field('country').optional().isLength({ min: 2, max: 2 }),
+    field('status').optional().isIn(['PENDING_REVIEW', 'APPROVED', 'REJECTED']),
+    field(['minPrice', 'maxPrice', 'minArea', 'maxArea'])
+      .optional()
+      .isFloat({ min: 0 }),
+    field([
+      'bedrooms',
+      'minBedrooms',
+      'maxBedrooms',
+      'bathrooms',
+      'minBathrooms',
+      'maxBathrooms',
+    ])
+      .optional()
+      .isInt({ min: 0 }),
+    field('amenityIds')
+      .optional()
+      .custom(value =>
+        String(value)
+          .split(',')
+          .filter(id => id.trim())
+          .every(id => /^[0-9a-f-]{36}$/i.test(id.trim()))
+      )
+      .withMessage('amenityIds must be comma separated UUIDs'),
+    field('amenityMatch').optional().isIn(['all', 'any']),
+    field('minRating').optional().isFloat({ min: 1, max: 5 }),
+    field('availableFrom')
+      .optional()
+      .isISO8601()
+      .custom((value, { req }) => Boolean(valueOf(req, 'availableTo')))
+      .withMessage('availableFrom and availableTo must be used together'),
+    field('availableTo')
+      .optional()
+      .isISO8601()
+      .custom(
+        (value, { req }) =>
+          Boolean(valueOf(req, 'availableFrom')) &&
+          new Date(value) >= new Date(valueOf(req, 'availableFrom'))
+      )
+      .withMessage('availableTo must be on or after availableFrom'),
+    field('sort')
+      .optional()
+      .isIn(['relevance', 'price', 'newest', 'rating', 'views', 'distance'])
+      .custom(
+        (value, { req }) =>
+          value !== 'distance' ||
+          (valueOf(req, 'lat') !== undefined &&
+            valueOf(req, 'lng') !== undefined) ||
+          Boolean(
+            valueOf(req, 'near') || valueOf(req, 'poiId') || hasDrawnArea(req)
+          )
+      )
+      .withMessage('Sorting by distance requires lat and lng or a search area'),
+    field('order').optional().isIn(['asc', 'desc']),
+    field('lat').optional().isFloat({ min: -90, max: 90 }),
+    field('lng').optional().isFloat({ min: -180, max: 180 }),
+    field('near')
+      .optional()
+      .matches(/^-?\d+(\.\d+)?,-?\d+(\.\d+)?$/)
+      .custom(value => {
+        const [lat, lng] = value.split(',').map(parseFloat);
+        return Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+      })
+      .withMessage('near must be "latitude,longitude"'),
+    field('radiusKm').optional().isFloat({ min: 0.1, max: 100 }),
+    field('poiId').optional().isUUID(),
+    field('minutes').optional().isInt({ min: 1, max: 120 }),
+    field('travelMode').optional().isIn(['WALKING', 'CYCLING', 'DRIVING']),
+    field('includeTotal').optional().isBoolean(),
+  ];
+}
+
+module.exports = {
+  listingFilterValidation,
+};
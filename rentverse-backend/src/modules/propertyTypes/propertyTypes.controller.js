@@ -1,23 +1,31 @@
 const { validationResult } = require('express-validator');
 const propertyTypesService = require('./propertyTypes.service');
+const {
+  parsePagination,
+  isCursorPagination,
+} = require('../../utils/pagination');
 
 class PropertyTypesController {
   async getAll(req, res) {
     try {
-      const { active, page = 1, limit = 10 } = req.query;
+      const { active } = req.query;
 
       const filters = {};
       if (active !== undefined) {
         filters.isActive = active === 'true';
       }
 
-      const pagination = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-      };
-
+      const pagination = parsePagination(req.query);
       const result = await propertyTypesService.getAll(filters, pagination);
 
+      if (isCursorPagination(pagination)) {
+        return res.status(200).json({
+          success: true,
+          message: 'Property types retrieved successfully',
+          data: result,
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: 'Property types retrieved successfully',
@@ -26,6 +34,14 @@ class PropertyTypesController {
       });
     } catch (error) {
       console.error('PropertyTypes getAll error:', error);
+
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { auth, authorize } = require('../../middleware/auth');
+const { cacheResponse } = require('../../middleware/cache');
+const { CACHE_TAGS } = require('../../services/cache.service');
 const propertyTypesController = require('./propertyTypes.controller');
 
 const router = express.Router();
@@ -83,6 +85,8 @@ const router = express.Router();
  *           maximum: 100
  *           default: 10
  *         description: Number of items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Property types retrieved successfully
@@ -111,7 +115,11 @@ const router = express.Router();
  *                     pages:
  *                       type: integer
  */
-router.get('/', propertyTypesController.getAll);
+router.get(
+  '/',
+  cacheResponse({ ttl: 3600, tags: [CACHE_TAGS.PROPERTY_TYPES] }),
+  propertyTypesController.getAll
+);
 
 /**
  * @swagger
@@ -1,7 +1,23 @@
 const propertyTypesRepository = require('./propertyTypes.repository');
+const cacheService = require('../../services/cache.service');
+const { CACHE_TAGS } = cacheService;
+const {
+  isCursorPagination,
+  paginateByCursor,
+} = require('../../utils/pagination');
 
 class PropertyTypesService {
   async getAll(filters = {}, pagination = {}) {
+    if (isCursorPagination(pagination)) {
+      return await paginateByCursor({
+        pagination,
+        where: filters,
+        orderBy: [{ name: 'asc' }, { id: 'asc' }],
+        findMany: options => propertyTypesRepository.findMany(options),
+        count: where => propertyTypesRepository.count({ where }),
+      });
+    }
+
     const { page = 1, limit = 10 } = pagination;
     const skip = (page - 1) * limit;
 
@@ -31,7 +47,9 @@ class PropertyTypesService {
   }
 
   async create(data) {
-    return await propertyTypesRepository.create(data);
+    const propertyType = await propertyTypesRepository.create(data);
+    await cacheService.invalidate(CACHE_TAGS.PROPERTY_TYPES);
+    return propertyType;
   }
 
   async update(id, data) {
@@ -40,7 +58,9 @@ class PropertyTypesService {
       return null;
     }
 
-    return await propertyTypesRepository.update(id, data);
+    const updated = await propertyTypesRepository.update(id, data);
+    await cacheService.invalidate(CACHE_TAGS.PROPERTY_TYPES);
+    return updated;
   }
 
   async delete(id) {
@@ -50,6 +70,7 @@ class PropertyTypesService {
     }
 
     await propertyTypesRepository.delete(id);
+    await cacheService.invalidate(CACHE_TAGS.PROPERTY_TYPES);
     return true;
   }
 
@@ -1,5 +1,6 @@
 const propertiesService = require('../properties/properties.service');
 const { validationResult } = require('express-validator');
+const { parsePagination } = require('../../utils/pagination');
 
 class PropertyViewsController {
   /**
@@ -169,12 +170,11 @@ class PropertyViewsController {
   async getPropertyRatings(req, res) {
     try {
       const { id: propertyId } = req.params;
-      const { page = 1, limit = 10 } = req.query;
 
-      const result = await propertiesService.getPropertyRatings(propertyId, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-      });
+      const result = await propertiesService.getPropertyRatings(
+        propertyId,
+        parsePagination(req.query)
+      );
 
       res.status(200).json({
         success: true,
@@ -190,6 +190,13 @@ class PropertyViewsController {
         });
       }
 
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -359,12 +366,11 @@ class PropertyViewsController {
   async getUserFavorites(req, res) {
     try {
       const userId = req.user.id;
-      const { page = 1, limit = 10 } = req.query;
 
-      const result = await propertiesService.getUserFavorites(userId, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-      });
+      const result = await propertiesService.getUserFavorites(
+        userId,
+        parsePagination(req.query)
+      );
 
       res.status(200).json({
         success: true,
@@ -373,6 +379,13 @@ class PropertyViewsController {
     } catch (error) {
       console.error('Get user favorites error:', error);
 
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
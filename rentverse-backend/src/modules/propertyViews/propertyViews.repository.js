@@ -1,4 +1,5 @@
 const { prisma } = require('../../config/database');
+const { paginateByCursor } = require('../../utils/pagination');
 
 class PropertyViewsRepository {
   /**
@@ -274,32 +275,54 @@ class PropertyViewsRepository {
    * @param {string} options.propertyId - Property ID
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=10] - Items per page
+   * @param {string} [options.cursor] - Use cursor pagination (see utils/pagination)
+   * @param {boolean} [options.includeTotal] - With a cursor, also count all ratings
    * @returns {Promise<Object>} Ratings with pagination
    */
-  async getPropertyRatings({ propertyId, page = 1, limit = 10 }) {
+  async getPropertyRatings({
+    propertyId,
+    page = 1,
+    limit = 10,
+    cursor,
+    includeTotal,
+  }) {
+    const where = { propertyId };
+    const include = {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          name: true,
+        },
+      },
+    };
+
+    if (cursor !== undefined) {
+      return await paginateByCursor({
+        pagination: { cursor, limit, includeTotal },
+        where,
+        orderBy: [{ ratedAt: 'desc' }, { id: 'desc' }],
+        findMany: options =>
+          prisma.propertyRating.findMany({ ...options, include }),
+        count: countWhere => prisma.propertyRating.count({ where: countWhere }),
+      });
+    }
+
     const skip = (page - 1) * limit;
 
     const [ratings, total] = await Promise.all([
       prisma.propertyRating.findMany({
-        where: { propertyId },
-        include: {
-          user: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              name: true,
-            },
-          },
-        },
+        where,
+        include,
         orderBy: {
           ratedAt: 'desc',
         },
         skip,
         take: limit,
       }),
-      prisma.propertyRating.count({ where: { propertyId } }),
+      prisma.propertyRating.count({ where }),
     ]);
 
     return {
@@ -450,6 +473,55 @@ class PropertyViewsRepository {
     return result;
   }
 
+  // ==================== LISTING STATS ====================
+
+  /**
+   * View count, rating stats and favorite info of several properties in a
+   * single query, for listing pages
+   * @param {string[]} propertyIds - Property IDs
+   * @param {string|null} [userId=null] - User whose favorites to check
+   * @returns {Promise<Object>} { [propertyId]: { viewCount, averageRating, totalRatings, favoriteCount, isFavorited } }
+   */
+  async getListingStats(propertyIds, userId = null) {
+    if (propertyIds.length === 0) {
+      return {};
+    }
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        p."id",
+        (
+          SELECT COUNT(*)::int FROM "property_views" v
+          WHERE v."propertyId" = p."id"
+        ) AS "viewCount",
+        r."averageRating",
+        r."totalRatings",
+        f."favoriteCount",
+        f."isFavorited"
+      FROM unnest(${propertyIds}::text[]) AS p("id")
+      CROSS JOIN LATERAL (
+        SELECT
+          COALESCE(ROUND(AVG(pr."rating")::numeric, 1), 0)::float8 AS "averageRating",
+          COUNT(*)::int AS "totalRatings"
+        FROM "property_ratings" pr
+        WHERE pr."propertyId" = p."id"
+      ) r
+      CROSS JOIN LATERAL (
+        SELECT
+          COUNT(*)::int AS "favoriteCount",
+          COALESCE(BOOL_OR(pf."userId" = ${userId}), false) AS "isFavorited"
+        FROM "property_favorites" pf
+        WHERE pf."propertyId" = p."id"
+      ) f
+    `;
+
+    const result = {};
+    rows.forEach(({ id, ...stats }) => {
+      result[id] = stats;
+    });
+    return result;
+  }
+
   // ==================== FAVORITE METHODS ====================
 
   /**
@@ -546,49 +618,74 @@ class PropertyViewsRepository {
    * @param {string} options.userId - User ID
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=10] - Items per page
+   * @param {string} [options.cursor] - Use cursor pagination (see utils/pagination)
+   * @param {boolean} [options.includeTotal] - With a cursor, also count all favorites
    * @returns {Promise<Object>} Favorite properties with pagination
    */
-  async getUserFavorites({ userId, page = 1, limit = 10 }) {
-    const skip = (page - 1) * limit;
-
-    const [favorites, total] = await Promise.all([
-      prisma.propertyFavorite.findMany({
-        where: { userId },
+  async getUserFavorites({
+    userId,
+    page = 1,
+    limit = 10,
+    cursor,
+    includeTotal,
+  }) {
+    const where = { userId };
+    const include = {
+      property: {
         include: {
-          property: {
+          propertyType: true,
+          owner: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
+          },
+          amenities: {
             include: {
-              propertyType: true,
-              owner: {
-                select: {
-                  id: true,
-                  email: true,
-                  firstName: true,
-                  lastName: true,
-                  name: true,
-                },
-              },
-              amenities: {
-                include: {
-                  amenity: true,
-                },
-              },
+              amenity: true,
             },
           },
         },
+      },
+    };
+    const toFavorite = fav => ({
+      favoritedAt: fav.favoritedAt,
+      property: fav.property,
+    });
+
+    if (cursor !== undefined) {
+      const result = await paginateByCursor({
+        pagination: { cursor, limit, includeTotal },
+        where,
+        orderBy: [{ favoritedAt: 'desc' }, { id: 'desc' }],
+        findMany: options =>
+          prisma.propertyFavorite.findMany({ ...options, include }),
+        count: countWhere =>
+          prisma.propertyFavorite.count({ where: countWhere }),
+      });
+      return { ...result, items: result.items.map(toFavorite) };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [favorites, total] = await Promise.all([
+      prisma.propertyFavorite.findMany({
+        where,
+        include,
         orderBy: {
           favoritedAt: 'desc',
         },
         skip,
         take: limit,
       }),
-      prisma.propertyFavorite.count({ where: { userId } }),
+      prisma.propertyFavorite.count({ where }),
     ]);
 
     return {
-      favorites: favorites.map(fav => ({
-        favoritedAt: fav.favoritedAt,
-        property: fav.property,
-      })),
+      favorites: favorites.map(toFavorite),
       pagination: {
         page,
         limit,
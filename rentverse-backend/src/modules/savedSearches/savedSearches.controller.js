@@ -0,0 +1,271 @@
+const savedSearchesService = require('./savedSearches.service');
+const { validationResult } = require('express-validator');
+const { parsePagination } = require('../../utils/pagination');
+
+/**
+ * HTTP status for errors thrown by the saved searches service
+ * @param {Error} error
+ * @returns {number}
+ */
+function getErrorStatus(error) {
+  if (
+    error.message === 'Saved search not found' ||
+    error.message === 'Point of interest not found'
+  ) {
+    return 404;
+  }
+  if (error.message.includes('Access denied')) {
+    return 403;
+  }
+  if (
+    error.message.includes('Invalid polygon') ||
+    error.message.includes('Invalid bbox') ||
+    error.message === 'Invalid cursor' ||
+    error.message.includes('Saved search limit reached')
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+function sendError(res, error, fallbackMessage) {
+  const status = getErrorStatus(error);
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallbackMessage : error.message,
+  });
+}
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+}
+
+class SavedSearchesController {
+  /**
+   * List the current user's saved searches
+   */
+  async getSavedSearches(req, res) {
+    try {
+      const savedSearches = await savedSearchesService.getSavedSearches(
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { savedSearches },
+      });
+    } catch (error) {
+      console.error('Get saved searches error:', error);
+      sendError(res, error, 'Failed to get saved searches');
+    }
+  }
+
+  /**
+   * Get one saved search
+   */
+  async getSavedSearch(req, res) {
+    try {
+      const savedSearch = await savedSearchesService.getOwnSavedSearch(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { savedSearch },
+      });
+    } catch (error) {
+      console.error('Get saved search error:', error);
+      sendError(res, error, 'Failed to get saved search');
+    }
+  }
+
+  /**
+   * Save search criteria
+   */
+  async createSavedSearch(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const savedSearch = await savedSearchesService.createSavedSearch(
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Search saved successfully',
+        data: { savedSearch },
+      });
+    } catch (error) {
+      console.error('Create saved search error:', error);
+      sendError(res, error, 'Failed to save search');
+    }
+  }
+
+  /**
+   * Edit a saved search
+   */
+  async updateSavedSearch(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const savedSearch = await savedSearchesService.updateSavedSearch(
+        req.params.id,
+        req.body,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Saved search updated successfully',
+        data: { savedSearch },
+      });
+    } catch (error) {
+      console.error('Update saved search error:', error);
+      sendError(res, error, 'Failed to update saved search');
+    }
+  }
+
+  /**
+   * Pause alerts for a saved search
+   */
+  async pauseSavedSearch(req, res) {
+    try {
+      const savedSearch = await savedSearchesService.setPaused(
+        req.params.id,
+        req.user.id,
+        true
+      );
+
+      res.json({
+        success: true,
+        message: 'Saved search paused',
+        data: { savedSearch },
+      });
+    } catch (error) {
+      console.error('Pause saved search error:', error);
+      sendError(res, error, 'Failed to pause saved search');
+    }
+  }
+
+  /**
+   * Resume alerts for a saved search
+   */
+  async resumeSavedSearch(req, res) {
+    try {
+      const savedSearch = await savedSearchesService.setPaused(
+        req.params.id,
+        req.user.id,
+        false
+      );
+
+      res.json({
+        success: true,
+        message: 'Saved search resumed',
+        data: { savedSearch },
+      });
+    } catch (error) {
+      console.error('Resume saved search error:', error);
+      sendError(res, error, 'Failed to resume saved search');
+    }
+  }
+
+  /**
+   * Delete a saved search
+   */
+  async deleteSavedSearch(req, res) {
+    try {
+      await savedSearchesService.deleteSavedSearch(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Saved search deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete saved search error:', error);
+      sendError(res, error, 'Failed to delete saved search');
+    }
+  }
+
+  /**
+   * Run a saved search against the current listings
+   */
+  async getResults(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await savedSearchesService.getResults(
+        req.params.id,
+        req.user.id,
+        parsePagination(req.query)
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get saved search results error:', error);
+      sendError(res, error, 'Failed to get saved search results');
+    }
+  }
+
+  /**
+   * In-app alerts for new listings matching the user's saved searches
+   */
+  async getAlerts(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await savedSearchesService.getAlerts(req.user.id, {
+        unreadOnly: req.query.unreadOnly !== 'false',
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get saved search alerts error:', error);
+      sendError(res, error, 'Failed to get alerts');
+    }
+  }
+
+  /**
+   * Mark in-app alerts as read
+   */
+  async markAlertsRead(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const count = await savedSearchesService.markAlertsRead(
+        req.user.id,
+        req.body.matchIds
+      );
+
+      res.json({
+        success: true,
+        message: 'Alerts marked as read',
+        data: { count },
+      });
+    } catch (error) {
+      console.error('Mark saved search alerts read error:', error);
+      sendError(res, error, 'Failed to mark alerts as read');
+    }
+  }
+}
+
+module.exports = new SavedSearchesController();
@@ -0,0 +1,200 @@
+const { prisma } = require('../../config/database');
+
+const MATCH_PROPERTY_SELECT = {
+  id: true,
+  code: true,
+  title: true,
+  city: true,
+  state: true,
+  price: true,
+  currencyCode: true,
+  bedrooms: true,
+  bathrooms: true,
+  images: true,
+};
+
+class SavedSearchesRepository {
+  async findByUser(userId) {
+    return await prisma.savedSearch.findMany({
+      where: { userId },
+      include: {
+        _count: {
+          select: { matches: { where: { readAt: null } } },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async findById(id) {
+    return await prisma.savedSearch.findUnique({
+      where: { id },
+    });
+  }
+
+  async countByUser(userId) {
+    return await prisma.savedSearch.count({
+      where: { userId },
+    });
+  }
+
+  async create(data) {
+    return await prisma.savedSearch.create({
+      data,
+    });
+  }
+
+  async update(id, data) {
+    return await prisma.savedSearch.update({
+      where: { id },
+      data,
+    });
+  }
+
+  async delete(id) {
+    return await prisma.savedSearch.delete({
+      where: { id },
+    });
+  }
+
+  /**
+   * Active saved searches of everyone except the given user
+   * @param {string} excludeUserId - Usually the listing owner
+   * @returns {Promise<Array>}
+   */
+  async findActive(excludeUserId) {
+    return await prisma.savedSearch.findMany({
+      where: {
+        isPaused: false,
+        userId: { not: excludeUserId },
+        user: { isActive: true },
+      },
+      include: {
+        user: {
+          select: { id: true, email: true, name: true },
+        },
+      },
+    });
+  }
+
+  /**
+   * Record a new listing for a saved search. Returns null if it was
+   * already recorded.
+   * @param {string} savedSearchId
+   * @param {string} propertyId
+   * @returns {Promise<Object|null>}
+   */
+  async createMatch(savedSearchId, propertyId) {
+    try {
+      return await prisma.savedSearchMatch.create({
+        data: { savedSearchId, propertyId },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Matches not emailed yet, for digest searches due at `dueBefore`
+   * @param {string} frequency - DAILY or WEEKLY
+   * @param {Date} dueBefore - Searches last notified before this date are due
+   * @returns {Promise<Array>}
+   */
+  async findPendingDigestMatches(frequency, dueBefore) {
+    return await prisma.savedSearchMatch.findMany({
+      where: {
+        notifiedAt: null,
+        property: { status: 'APPROVED' },
+        savedSearch: {
+          frequency,
+          isPaused: false,
+          channels: { has: 'EMAIL' },
+          OR: [{ lastNotifiedAt: null }, { lastNotifiedAt: { lt: dueBefore } }],
+        },
+      },
+      include: {
+        property: { select: MATCH_PROPERTY_SELECT },
+        savedSearch: {
+          include: {
+            user: {
+              select: { id: true, email: true, name: true },
+            },
+          },
+        },
+      },
+      orderBy: { matchedAt: 'asc' },
+    });
+  }
+
+  /**
+   * Mark matches as emailed and update the searches' last notification time
+   * @param {string[]} matchIds
+   * @param {string[]} savedSearchIds
+   * @param {Date} notifiedAt
+   */
+  async markNotified(matchIds, savedSearchIds, notifiedAt) {
+    return await prisma.$transaction([
+      prisma.savedSearchMatch.updateMany({
+        where: { id: { in: matchIds } },
+        data: { notifiedAt },
+      }),
+      prisma.savedSearch.updateMany({
+        where: { id: { in: savedSearchIds } },
+        data: { lastNotifiedAt: notifiedAt },
+      }),
+    ]);
+  }
+
+  /**
+   * In-app alerts of a user, newest first
+   * @param {string} userId
+   * @param {Object} options - { unreadOnly, skip, take }
+   * @returns {Promise<Array>} [matches, total]
+   */
+  async findAlerts(userId, options = {}) {
+    const { unreadOnly = true, skip = 0, take = 20 } = options;
+    const where = {
+      savedSearch: { userId, channels: { has: 'IN_APP' } },
+      property: { status: 'APPROVED' },
+    };
+    if (unreadOnly) {
+      where.readAt = null;
+    }
+
+    return await prisma.$transaction([
+      prisma.savedSearchMatch.findMany({
+        where,
+        include: {
+          property: { select: MATCH_PROPERTY_SELECT },
+          savedSearch: { select: { id: true, name: true } },
+        },
+        orderBy: { matchedAt: 'desc' },
+        skip,
+        take,
+      }),
+      prisma.savedSearchMatch.count({ where }),
+    ]);
+  }
+
+  /**
+   * Mark a user's alerts as read
+   * @param {string} userId
+   * @param {Object} scope - { matchIds, savedSearchId } (all alerts if empty)
+   * @returns {Promise<Object>} { count }
+   */
+  async markAlertsRead(userId, scope = {}) {
+    const where = { readAt: null, savedSearch: { userId } };
+    if (scope.matchIds) where.id = { in: scope.matchIds };
+    if (scope.savedSearchId) where.savedSearchId = scope.savedSearchId;
+
+    return await prisma.savedSearchMatch.updateMany({
+      where,
+      data: { readAt: new Date() },
+    });
+  }
+}
+
+module.exports = new SavedSearchesRepository();
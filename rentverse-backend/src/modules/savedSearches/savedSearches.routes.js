@@ -0,0 +1,464 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const savedSearchesController = require('./savedSearches.controller');
+const {
+  listingFilterValidation,
+} = require('../properties/properties.validation');
+
+const router = express.Router();
+
+const ALERT_FREQUENCIES = ['INSTANT', 'DAILY', 'WEEKLY'];
+const ALERT_CHANNELS = ['EMAIL', 'IN_APP'];
+
+const notificationValidation = [
+  body('frequency')
+    .optional()
+    .isIn(ALERT_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}`),
+  body('channels')
+    .optional()
+    .isArray()
+    .withMessage('Channels must be an array'),
+  body('channels.*')
+    .isIn(ALERT_CHANNELS)
+    .withMessage(`Channels must be one of: ${ALERT_CHANNELS.join(', ')}`),
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Saved Searches
+ *   description: Saved property search criteria with new-listing alerts
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: 3 bedroom condo near KLCC
+ *         filters:
+ *           type: object
+ *           description: |
+ *             GET /api/properties query parameters (q, type, city, minPrice, amenityIds, near, poiId, ...).
+ *             Map searches may also include `polygon` (GeoJSON Polygon or MultiPolygon) or
+ *             `bbox` ([minLng, minLat, maxLng, maxLat]) from GET /api/properties/geojson.
+ *           example:
+ *             city: Kuala Lumpur
+ *             minBedrooms: 3
+ *             maxPrice: 4000
+ *         frequency:
+ *           type: string
+ *           enum: [INSTANT, DAILY, WEEKLY]
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [EMAIL, IN_APP]
+ *         isPaused:
+ *           type: boolean
+ *         lastNotifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         unreadCount:
+ *           type: integer
+ *           description: Unread alerts (only in the list endpoint)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: Get my saved searches
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, savedSearchesController.getSavedSearches);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   post:
+ *     summary: Save search criteria
+ *     description: |
+ *       New listings matching the search are reported as in-app alerts and by email, right away
+ *       (INSTANT) or in a daily or weekly digest. At most 20 searches can be saved per user.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - filters
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *               frequency:
+ *                 type: string
+ *                 enum: [INSTANT, DAILY, WEEKLY]
+ *                 default: DAILY
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [EMAIL, IN_APP]
+ *                 default: [EMAIL, IN_APP]
+ *     responses:
+ *       201:
+ *         description: Search saved successfully
+ *       400:
+ *         description: Validation failed, invalid area or saved search limit reached
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Point of interest not found
+ */
+router.post(
+  '/',
+  auth,
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('filters').isObject().withMessage('Filters must be an object'),
+    ...listingFilterValidation('filters'),
+    ...notificationValidation,
+  ],
+  savedSearchesController.createSavedSearch
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/alerts:
+ *   get:
+ *     summary: Get my new-listing alerts
+ *     description: In-app digest of listings that matched saved searches with the IN_APP channel.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Alerts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/alerts',
+  auth,
+  [
+    query('unreadOnly').optional().isBoolean(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  savedSearchesController.getAlerts
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/alerts/read:
+ *   post:
+ *     summary: Mark alerts as read
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               matchIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Alerts to mark as read. All unread alerts if omitted.
+ *     responses:
+ *       200:
+ *         description: Alerts marked as read
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/alerts/read',
+  auth,
+  [
+    body('matchIds')
+      .optional()
+      .isArray()
+      .withMessage('matchIds must be an array'),
+    body('matchIds.*').isUUID().withMessage('matchIds must contain UUIDs'),
+  ],
+  savedSearchesController.markAlertsRead
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   get:
+ *     summary: Get a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search retrieved successfully
+ *       403:
+ *         description: Not your saved search
+ *       404:
+ *         description: Saved search not found
+ */
+router.get('/:id', auth, savedSearchesController.getSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   put:
+ *     summary: Edit a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *                 description: Replaces the stored filters
+ *               frequency:
+ *                 type: string
+ *                 enum: [INSTANT, DAILY, WEEKLY]
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [EMAIL, IN_APP]
+ *               isPaused:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Saved search updated successfully
+ *       400:
+ *         description: Validation failed or invalid area
+ *       403:
+ *         description: Not your saved search
+ *       404:
+ *         description: Saved search not found
+ */
+router.put(
+  '/:id',
+  auth,
+  [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('filters')
+      .optional()
+      .isObject()
+      .withMessage('Filters must be an object'),
+    ...listingFilterValidation('filters'),
+    body('isPaused')
+      .optional()
+      .isBoolean()
+      .withMessage('isPaused must be a boolean'),
+    ...notificationValidation,
+  ],
+  savedSearchesController.updateSavedSearch
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/pause:
+ *   post:
+ *     summary: Pause alerts for a saved search
+ *     description: Listings published while paused are not reported after resuming.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search paused
+ *       403:
+ *         description: Not your saved search
+ *       404:
+ *         description: Saved search not found
+ */
+router.post('/:id/pause', auth, savedSearchesController.pauseSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/resume:
+ *   post:
+ *     summary: Resume alerts for a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search resumed
+ *       403:
+ *         description: Not your saved search
+ *       404:
+ *         description: Saved search not found
+ */
+router.post('/:id/resume', auth, savedSearchesController.resumeSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/results:
+ *   get:
+ *     summary: Run a saved search
+ *     description: Returns the current listings for the saved filters (same response as GET /api/properties) and marks the search's alerts as read.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
+ *     responses:
+ *       200:
+ *         description: Listings retrieved successfully
+ *       403:
+ *         description: Not your saved search
+ *       404:
+ *         description: Saved search or its point of interest not found
+ */
+router.get(
+  '/:id/results',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('includeTotal').optional().isBoolean(),
+  ],
+  savedSearchesController.getResults
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted successfully
+ *       403:
+ *         description: Not your saved search
+ *       404:
+ *         description: Saved search not found
+ */
+router.delete('/:id', auth, savedSearchesController.deleteSavedSearch);
+
+module.exports = router;
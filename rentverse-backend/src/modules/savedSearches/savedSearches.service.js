@@ -0,0 +1,420 @@
+const savedSearchesRepository = require('./savedSearches.repository');
+const propertiesRepository = require('../properties/properties.repository');
+const propertiesService = require('../properties/properties.service');
+const mailerService = require('../../services/mailer.service');
+
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+const DIGEST_PERIODS_MS = {
+  DAILY: 24 * 60 * 60 * 1000,
+  WEEKLY: 7 * 24 * 60 * 60 * 1000,
+};
+const EDITABLE_FIELDS = ['name', 'frequency', 'channels', 'isPaused'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class SavedSearchesService {
+  /**
+   * Keep only the listing filters that were actually set. Map searches may
+   * also store the drawn polygon or the visible bounding box.
+   * @param {Object} filters - GET /api/properties query parameters, plus
+   *   `polygon` (GeoJSON) or `bbox` ([minLng, minLat, maxLng, maxLat])
+   * @returns {Object}
+   */
+  normalizeFilters(filters = {}) {
+    const normalized = {};
+    const listingFilters = propertiesService.pickListingFilters(filters);
+    for (const [name, value] of Object.entries(listingFilters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        normalized[name] = value;
+      }
+    }
+
+    if (filters.polygon) {
+      normalized.polygon = propertiesService.validatePolygon(filters.polygon);
+    } else if (filters.bbox) {
+      const bbox = Array.isArray(filters.bbox)
+        ? filters.bbox.map(Number)
+        : String(filters.bbox).split(',').map(Number);
+      const [minLng, minLat, maxLng, maxLat] = bbox;
+      if (
+        bbox.length !== 4 ||
+        !bbox.every(Number.isFinite) ||
+        minLng >= maxLng ||
+        minLat >= maxLat
+      ) {
+        throw new Error(
+          'Invalid bbox: expected [minLng, minLat, maxLng, maxLat]'
+        );
+      }
+      normalized.bbox = bbox;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Listing filters for a saved search, with a stored bbox turned into a
+   * polygon so the geo search can use it
+   * @param {Object} filters - Stored filters
+   * @returns {Object}
+   */
+  toListingFilters(filters = {}) {
+    const { bbox, ...listingFilters } = filters;
+    if (bbox && !listingFilters.polygon) {
+      const [minLng, minLat, maxLng, maxLat] = bbox;
+      listingFilters.polygon = {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat],
+          ],
+        ],
+      };
+    }
+    return listingFilters;
+  }
+
+  /**
+   * Get a saved search owned by the user
+   * @param {string} id
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getOwnSavedSearch(id, userId) {
+    const savedSearch = await savedSearchesRepository.findById(id);
+    if (!savedSearch) {
+      throw new Error('Saved search not found');
+    }
+    if (savedSearch.userId !== userId) {
+      throw new Error('Access denied: You do not own this saved search');
+    }
+    return savedSearch;
+  }
+
+  /**
+   * List the user's saved searches with their unread alert count
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getSavedSearches(userId) {
+    const savedSearches = await savedSearchesRepository.findByUser(userId);
+    return savedSearches.map(({ _count, ...savedSearch }) => ({
+      ...savedSearch,
+      unreadCount: _count.matches,
+    }));
+  }
+
+  /**
+   * Save the current search criteria
+   * @param {Object} data - { name, filters, frequency, channels }
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async createSavedSearch(data, userId) {
+    const count = await savedSearchesRepository.countByUser(userId);
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      throw new Error(
+        `Saved search limit reached: at most ${MAX_SAVED_SEARCHES_PER_USER} searches are allowed`
+      );
+    }
+
+    const filters = this.normalizeFilters(data.filters);
+    // Fails early for unknown points of interest
+    await propertiesService.resolveSearchArea(this.toListingFilters(filters));
+
+    return await savedSearchesRepository.create({
+      userId,
+      name: data.name,
+      filters,
+      frequency: data.frequency || 'DAILY',
+      channels: data.channels || ['EMAIL', 'IN_APP'],
+    });
+  }
+
+  /**
+   * Rename a saved search, change its criteria or its notification settings
+   * @param {string} id
+   * @param {Object} data - { name, filters, frequency, channels, isPaused }
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async updateSavedSearch(id, data, userId) {
+    await this.getOwnSavedSearch(id, userId);
+
+    const updateData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        updateData[field] = data[field];
+      }
+    }
+
+    if (data.filters !== undefined) {
+      updateData.filters = this.normalizeFilters(data.filters);
+      await propertiesService.resolveSearchArea(
+        this.toListingFilters(updateData.filters)
+      );
+    }
+
+    return await savedSearchesRepository.update(id, updateData);
+  }
+
+  /**
+   * Pause or resume alerts for a saved search. Listings published while a
+   * search is paused are not notified later.
+   * @param {string} id
+   * @param {string} userId
+   * @param {boolean} isPaused
+   * @returns {Promise<Object>}
+   */
+  async setPaused(id, userId, isPaused) {
+    await this.getOwnSavedSearch(id, userId);
+    return await savedSearchesRepository.update(id, { isPaused });
+  }
+
+  /**
+   * Delete a saved search and its alerts
+   * @param {string} id
+   * @param {string} userId
+   */
+  async deleteSavedSearch(id, userId) {
+    await this.getOwnSavedSearch(id, userId);
+    await savedSearchesRepository.delete(id);
+  }
+
+  /**
+   * Run a saved search against the current listings
+   * @param {string} id
+   * @param {string} userId
+   * @param {Object} pagination - See parsePagination
+   * @returns {Promise<Object>} Same shape as GET /api/properties
+   */
+  async getResults(id, userId, pagination = {}) {
+    const savedSearch = await this.getOwnSavedSearch(id, userId);
+
+    const result = await propertiesService.getAllProperties(
+      pagination,
+      this.toListingFilters(savedSearch.filters),
+      userId,
+      'USER'
+    );
+    await savedSearchesRepository.markAlertsRead(userId, {
+      savedSearchId: id,
+    });
+
+    return { savedSearch, ...result };
+  }
+
+  /**
+   * In-app digest: listings that matched the user's saved searches
+   * @param {string} userId
+   * @param {Object} options - { unreadOnly, page, limit }
+   * @returns {Promise<Object>} { alerts, pagination }
+   */
+  async getAlerts(userId, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+
+    const [alerts, total] = await savedSearchesRepository.findAlerts(userId, {
+      unreadOnly: options.unreadOnly !== false,
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    return {
+      alerts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Mark in-app alerts as read
+   * @param {string} userId
+   * @param {string[]} [matchIds] - All unread alerts if omitted
+   * @returns {Promise<number>} Number of alerts marked as read
+   */
+  async markAlertsRead(userId, matchIds) {
+    const { count } = await savedSearchesRepository.markAlertsRead(
+      userId,
+      matchIds ? { matchIds } : {}
+    );
+    return count;
+  }
+
+  /**
+   * Match a newly published listing against every active saved search.
+   * Matches show up as in-app alerts and are emailed right away for
+   * INSTANT searches, or by the saved search alerts job for digests.
+   * @param {string} propertyId
+   * @returns {Promise<number>} Number of saved searches matched
+   */
+  async notifyNewListing(propertyId) {
+    const property = await propertiesRepository.findById(propertyId);
+    if (!property || property.status !== 'APPROVED') {
+      return 0;
+    }
+
+    const savedSearches = await savedSearchesRepository.findActive(
+      property.ownerId
+    );
+
+    let matched = 0;
+    for (const savedSearch of savedSearches) {
+      try {
+        const isMatch = await propertiesService.matchesListingFilters(
+          property,
+          this.toListingFilters(savedSearch.filters)
+        );
+        if (!isMatch) continue;
+
+        const match = await savedSearchesRepository.createMatch(
+          savedSearch.id,
+          propertyId
+        );
+        if (!match) continue;
+        matched++;
+
+        if (
+          savedSearch.frequency === 'INSTANT' &&
+          savedSearch.channels.includes('EMAIL')
+        ) {
+          await this.sendAlertEmail(savedSearch.user, [
+            { savedSearch, properties: [property] },
+          ]);
+          await savedSearchesRepository.markNotified(
+            [match.id],
+            [savedSearch.id],
+            new Date()
+          );
+        }
+      } catch (error) {
+        console.error(
+          `Saved search ${savedSearch.id} alert error:`,
+          error.message
+        );
+      }
+    }
+
+    return matched;
+  }
+
+  /**
+   * Email the daily or weekly digest to users whose searches are due
+   * @param {string} frequency - DAILY or WEEKLY
+   * @param {Date} now
+   * @returns {Promise<number>} Number of digest emails sent
+   */
+  async sendDigests(frequency, now = new Date()) {
+    const dueBefore = new Date(now.getTime() - DIGEST_PERIODS_MS[frequency]);
+    const matches = await savedSearchesRepository.findPendingDigestMatches(
+      frequency,
+      dueBefore
+    );
+
+    // One email per user, grouped by saved search
+    const digests = new Map();
+    for (const match of matches) {
+      const { user } = match.savedSearch;
+      if (!digests.has(user.id)) {
+        digests.set(user.id, { user, searches: new Map(), matchIds: [] });
+      }
+
+      const digest = digests.get(user.id);
+      if (!digest.searches.has(match.savedSearchId)) {
+        digest.searches.set(match.savedSearchId, {
+          savedSearch: match.savedSearch,
+          properties: [],
+        });
+      }
+      digest.searches.get(match.savedSearchId).properties.push(match.property);
+      digest.matchIds.push(match.id);
+    }
+
+    let sent = 0;
+    for (const digest of digests.values()) {
+      try {
+        await this.sendAlertEmail(digest.user, [...digest.searches.values()]);
+        await savedSearchesRepository.markNotified(
+          digest.matchIds,
+          [...digest.searches.keys()],
+          now
+        );
+        sent++;
+      } catch (error) {
+        console.error(
+          `Saved search digest error for user ${digest.user.id}:`,
+          error.message
+        );
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Email new listings for one or more saved searches
+   * @param {Object} user - { email, name }
+   * @param {Array} sections - [{ savedSearch, properties }]
+   */
+  async sendAlertEmail(user, sections) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const total = sections.reduce(
+      (sum, section) => sum + section.properties.length,
+      0
+    );
+
+    const sectionsHtml = sections
+      .map(
+        ({ savedSearch, properties }) => `
+          <h3>${escapeHtml(savedSearch.name)}</h3>
+          <ul>
+            ${properties
+              .map(
+                property => `
+              <li>
+                <a href="${frontendUrl}/property/${property.id}">${escapeHtml(property.title)}</a>
+                - ${escapeHtml(propertiesService.formatPrice(property.price, property.currencyCode))}
+                ${property.city ? `(${escapeHtml(property.city)})` : ''}
+              </li>`
+              )
+              .join('')}
+          </ul>`
+      )
+      .join('');
+
+    await mailerService.sendMail({
+      to: user.email,
+      subject:
+        total === 1
+          ? 'New listing matches your saved search - RentVerse'
+          : `${total} new listings match your saved searches - RentVerse`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>RentVerse - New listings for you</h2>
+          <p>Hi ${escapeHtml(user.name)},</p>
+          <p>New properties were published that match your saved searches:</p>
+          ${sectionsHtml}
+          <p>You can pause or change these alerts in your saved searches.</p>
+          <br>
+          <p>Best regards,<br>RentVerse Team</p>
+        </div>
+      `,
+    });
+  }
+}
+
+module.exports = new SavedSearchesService();
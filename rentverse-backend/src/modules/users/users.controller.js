@@ -1,14 +1,16 @@
 const usersService = require('./users.service');
 const { validationResult } = require('express-validator');
+const { parsePagination } = require('../../utils/pagination');
 
 class UsersController {
   async getAllUsers(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
       const { role } = req.query;
 
-      const result = await usersService.getAllUsers(page, limit, role);
+      const result = await usersService.getAllUsers(
+        parsePagination(req.query),
+        role
+      );
 
       res.json({
         success: true,
@@ -16,6 +18,14 @@ class UsersController {
       });
     } catch (error) {
       console.error('Get users error:', error);
+
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
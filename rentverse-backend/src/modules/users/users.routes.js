@@ -365,6 +365,8 @@ router.patch(
  *           type: string
  *           enum: [USER, ADMIN]
  *         description: Filter by user role
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: List of users
@@ -1,14 +1,30 @@
 const usersRepository = require('./users.repository');
+const {
+  isCursorPagination,
+  paginateByCursor,
+} = require('../../utils/pagination');
 
 class UsersService {
-  async getAllUsers(page = 1, limit = 10, role = null) {
-    const skip = (page - 1) * limit;
+  async getAllUsers(pagination = {}, role = null) {
     const where = {};
 
     if (role) {
       where.role = role;
     }
 
+    if (isCursorPagination(pagination)) {
+      return await paginateByCursor({
+        pagination,
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        findMany: options => usersRepository.findMany(options),
+        count: countWhere => usersRepository.count(countWhere),
+      });
+    }
+
+    const { page = 1, limit = 10 } = pagination;
+    const skip = (page - 1) * limit;
+
     const [users, total] = await Promise.all([
       usersRepository.findMany({ where, skip, take: limit }),
       usersRepository.count(where),
@@ -6,12 +6,99 @@ const { prisma } = require('../config/database');
 const { passport, handleAppleSignIn } = require('../config/passport');
 const OtpService = require('../services/otp.services');
 const activityLogger = require('../services/activityLogger');
+const sessionService = require('../services/session.service');
+const accountTokenService = require('../services/accountToken.service');
+const mfaService = require('../services/mfa.service');
+const webauthnService = require('../services/webauthn.service');
+const { auth, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Initialize Passport
 router.use(passport.initialize());
 
+/**
+ * Verify an access token and check that its session was not logged out
+ * @param {string} token
+ * @returns {Promise<Object>} Token payload
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!(await sessionService.isAccessTokenActive(decoded))) {
+    throw new Error('Session has been logged out');
+  }
+  return decoded;
+}
+
+/**
+ * Check a passkey assertion given as second factor
+ * @param {string} userId
+ * @param {Object} webauthnResponse - AuthenticationResponseJSON
+ * @returns {Promise<boolean>}
+ */
+async function verifyPasskeySecondFactor(userId, webauthnResponse) {
+  try {
+    await webauthnService.verifyAuthentication(webauthnResponse, {
+      userId,
+      secondFactor: true,
+    });
+    return true;
+  } catch (error) {
+    if (webauthnService.VERIFICATION_ERRORS.includes(error.message)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reply 429 when a new OTP is requested before the resend cooldown is over
+ * @param {Object} res
+ * @param {string} userId
+ * @param {string} type - OtpType
+ * @returns {Promise<boolean>} Whether the request was rejected
+ */
+async function rejectOtpResend(res, userId, type) {
+  const retryAfter = await OtpService.getResendCooldown(userId, type);
+  if (retryAfter === 0) {
+    return false;
+  }
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: 'Please wait before requesting a new code',
+    retryAfter,
+  });
+  return true;
+}
+
+/**
+ * User without the password and MFA secrets, for responses
+ * @param {Object} user
+ * @returns {Object}
+ */
+function toPublicUser(user) {
+  // eslint-disable-next-line no-unused-vars
+  const { password, mfaSecret, mfaPendingSecret, mfaTotpLastStep, ...rest } =
+    user;
+  return rest;
+}
+
+/**
+ * Frontend URL that OAuth logins redirect to. It only carries a short-lived
+ * one-time code; the session tokens are returned by POST /oauth/exchange so
+ * they never end up in browser history, proxy logs or Referer headers.
+ * @param {Object} user - User who logged in
+ * @param {string} provider
+ * @returns {Promise<string>}
+ */
+async function getOAuthCallbackUrl(user, provider) {
+  const code = await accountTokenService.createToken(user.id, 'OAUTH_LOGIN');
+  const params = new URLSearchParams({ code, provider });
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?${params}`;
+}
+
 /**
  * @swagger
  * components:
@@ -87,6 +174,13 @@ router.use(passport.initialize());
  *                   type: string
  *             token:
  *               type: string
+ *               description: Access token (JWT_EXPIRES_IN, default 7d)
+ *             refreshToken:
+ *               type: string
+ *               description: Single-use token for POST /api/auth/refresh
+ *             expiresIn:
+ *               type: string
+ *               example: 7d
  */
 
 /**
@@ -188,6 +282,7 @@ router.post(
           phone: true,
           role: true,
           isActive: true,
+          verifiedAt: true,
           createdAt: true,
         },
       });
@@ -197,6 +292,14 @@ router.post(
       const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
       activityLogger.logRegister(user.id, email, ip);
 
+      // Registration succeeds even if the email cannot be sent; the user
+      // can request a new link from /resend-verification
+      try {
+        await accountTokenService.sendEmailVerification(user);
+      } catch (error) {
+        console.error('Verification email error:', error.message);
+      }
+
       res.status(201).json({
         success: true,
         message: 'User registered successfully. Please log in.',
@@ -216,6 +319,7 @@ router.post(
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: With MFA enabled, data holds requiresMfa, mfaMethod and a short-lived mfaToken for /verify-otp instead of the session tokens.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -280,30 +384,61 @@ router.post(
 
       // If MFA is enabled, send OTP and require verification
       if (user.mfaEnabled) {
-        // Generate and send OTP
-        await OtpService.sendOtp(user.id, user.mfaMethod || 'EMAIL');
+        const mfaMethod = user.mfaMethod || 'EMAIL';
+
+        if (mfaMethod === 'WEBAUTHN') {
+          const webauthnOptions =
+            await webauthnService.createAuthenticationOptions({
+              userId: user.id,
+              secondFactor: true,
+            });
+
+          return res.json({
+            success: true,
+            message: 'Confirm the login with your passkey',
+            data: {
+              requiresMfa: true,
+              mfaToken: mfaService.createChallengeToken(user),
+              mfaMethod,
+              webauthnOptions,
+            },
+          });
+        }
+
+        // Authenticator app codes are generated on the user's device. A
+        // code sent moments ago is still valid, so no new one is sent.
+        let retryAfter = 0;
+        if (mfaMethod !== 'TOTP') {
+          retryAfter = await OtpService.getResendCooldown(user.id, 'LOGIN');
+          if (retryAfter === 0) {
+            await OtpService.sendOtp(user.id, mfaMethod);
+          }
+        }
+
+        let message = 'OTP sent to your email';
+        if (mfaMethod === 'TOTP') {
+          message = 'Enter the code from your authenticator app';
+        } else if (retryAfter > 0) {
+          message =
+            'An OTP was sent recently, use the latest code you received';
+        }
 
         return res.json({
           success: true,
-          message: 'OTP sent to your email',
+          message,
           data: {
             requiresMfa: true,
-            userId: user.id,
-            mfaMethod: user.mfaMethod || 'EMAIL',
+            mfaToken: mfaService.createChallengeToken(user),
+            mfaMethod,
+            ...(retryAfter > 0 && { retryAfter }),
           },
         });
       }
 
-      // Generate JWT token for non-MFA users
-      const token = jwt.sign(
-        { userId: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
+      // Start a session for non-MFA users
+      const tokens = await sessionService.createSession(user, req);
 
-      // Remove password from response
-      // eslint-disable-next-line no-unused-vars
-      const { password: _, ...userWithoutPassword } = user;
+      const userWithoutPassword = toPublicUser(user);
 
       // Log successful login (non-MFA)
       activityLogger.logLoginSuccess(user.id, user.email, ip, userAgent);
@@ -313,7 +448,7 @@ router.post(
         message: 'Login successful',
         data: {
           user: userWithoutPassword,
-          token,
+          ...tokens,
         },
       });
     } catch (error) {
@@ -339,38 +474,43 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - userId
- *               - otp
+ *               - mfaToken
  *             properties:
- *               userId:
+ *               mfaToken:
  *                 type: string
- *                 description: User ID from MFA login response
+ *                 description: mfaToken from the MFA login response, valid for 10 minutes
  *               otp:
  *                 type: string
- *                 description: OTP code received via email/SMS
+ *                 description: OTP code received via email/SMS, or for mfaMethod TOTP a code from the authenticator app or a backup code
+ *               webauthnResponse:
+ *                 type: object
+ *                 description: For mfaMethod WEBAUTHN, the AuthenticationResponseJSON for the login's webauthnOptions
  *     responses:
  *       200:
- *         description: OTP verified successfully
+ *         description: OTP verified successfully. Includes remainingBackupCodes when a backup code was used.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Invalid or expired OTP
+ *         description: Invalid or expired OTP. Emailed codes stop working after OTP_MAX_ATTEMPTS wrong tries.
  *       401:
- *         description: User not found
+ *         description: Invalid or expired MFA token, or user not found
+ *       429:
+ *         description: MFA_MAX_ATTEMPTS wrong authenticator app or backup codes in a row, locked for MFA_LOCKOUT_MINUTES
  */
 router.post('/verify-otp', async (req, res) => {
   try {
-    const { userId, otp } = req.body;
+    const { mfaToken, otp, webauthnResponse } = req.body;
 
-    if (!userId || !otp) {
+    if (!mfaToken || (!otp && !webauthnResponse)) {
       return res.status(400).json({
         success: false,
-        message: 'User ID and OTP are required',
+        message: 'MFA token and OTP are required',
       });
     }
 
+    const userId = mfaService.verifyChallengeToken(mfaToken);
     const user = await prisma.user.findUnique({
       where: { id: userId },
     });
@@ -382,24 +522,27 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    const isValid = await OtpService.verifyOtp(userId, otp, 'LOGIN');
-    if (!isValid) {
+    let secondFactor = null;
+    if (user.mfaMethod === 'WEBAUTHN') {
+      if (await verifyPasskeySecondFactor(userId, webauthnResponse)) {
+        secondFactor = { method: 'WEBAUTHN' };
+      }
+    } else if (user.mfaMethod === 'TOTP') {
+      secondFactor = await mfaService.verifySecondFactor(user, otp);
+    } else if (await OtpService.verifyOtp(userId, otp, 'LOGIN')) {
+      secondFactor = { method: user.mfaMethod || 'EMAIL' };
+    }
+
+    if (!secondFactor) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired OTP',
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const tokens = await sessionService.createSession(user, req);
 
-    // Remove password from response
-    // eslint-disable-next-line no-unused-vars
-    const { password: _, ...userWithoutPassword } = user;
+    const userWithoutPassword = toPublicUser(user);
 
     // Log successful MFA verification
     const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
@@ -410,10 +553,27 @@ router.post('/verify-otp', async (req, res) => {
       message: 'Login successful',
       data: {
         user: userWithoutPassword,
-        token,
+        ...tokens,
+        ...(secondFactor.method === 'BACKUP_CODE' && {
+          remainingBackupCodes: secondFactor.remainingBackupCodes,
+        }),
       },
     });
   } catch (error) {
+    if (error.message === 'Invalid or expired MFA token') {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Too many failed MFA attempts')) {
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Verify OTP error:', error);
     res.status(500).json({
       success: false,
@@ -422,11 +582,103 @@ router.post('/verify-otp', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/resend-otp:
+ *   post:
+ *     summary: Send a new OTP for an MFA login
+ *     description: Only for emailed or SMS codes. The previous code stops working. A new code can be requested once every OTP_RESEND_COOLDOWN_SECONDS.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: mfaToken from the MFA login response
+ *     responses:
+ *       200:
+ *         description: New OTP sent
+ *       400:
+ *         description: Validation failed, or the MFA method does not use sent codes
+ *       401:
+ *         description: Invalid or expired MFA token
+ *       429:
+ *         description: A code was sent too recently, retryAfter holds the seconds to wait
+ */
+router.post(
+  '/resend-otp',
+  [body('mfaToken').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = mfaService.verifyChallengeToken(req.body.mfaToken);
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, isActive: true, mfaEnabled: true, mfaMethod: true },
+      });
+
+      if (!user || !user.isActive || !user.mfaEnabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired MFA token',
+        });
+      }
+
+      const mfaMethod = user.mfaMethod || 'EMAIL';
+      if (mfaMethod === 'TOTP' || mfaMethod === 'WEBAUTHN') {
+        return res.status(400).json({
+          success: false,
+          message: 'This MFA method does not use sent codes',
+        });
+      }
+
+      if (await rejectOtpResend(res, user.id, 'LOGIN')) {
+        return;
+      }
+
+      await OtpService.sendOtp(user.id, mfaMethod);
+
+      res.json({
+        success: true,
+        message: 'A new OTP has been sent',
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired MFA token') {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Resend OTP error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/auth/mfa/enable:
  *   post:
  *     summary: Initiate MFA enable process
+ *     description: For EMAIL an OTP is emailed. For TOTP a new authenticator app secret is returned as an otpauth URI and QR code. For WEBAUTHN (requires a registered passkey) data.webauthnOptions is returned. Confirm with /mfa/enable/verify.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -439,13 +691,37 @@ router.post('/verify-otp', async (req, res) => {
  *             properties:
  *               method:
  *                 type: string
- *                 enum: [EMAIL, SMS]
+ *                 enum: [EMAIL, SMS, TOTP, WEBAUTHN]
  *                 default: EMAIL
  *     responses:
  *       200:
- *         description: OTP sent for MFA setup
+ *         description: OTP sent for MFA setup, or authenticator app enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   description: Only for method TOTP
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/RentVerse%3Auser%40example.com?secret=...&issuer=RentVerse
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL of the otpauth URI
  *       401:
  *         description: Unauthorized
+ *       429:
+ *         description: An OTP was sent too recently, retryAfter holds the seconds to wait
  */
 router.post('/mfa/enable', async (req, res) => {
   try {
@@ -458,9 +734,39 @@ router.post('/mfa/enable', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     const { method = 'EMAIL' } = req.body;
 
+    if (method === 'WEBAUTHN') {
+      const webauthnOptions = await webauthnService.createAuthenticationOptions(
+        { userId: decoded.userId, secondFactor: true }
+      );
+
+      return res.json({
+        success: true,
+        message: 'Confirm with one of your passkeys to enable MFA',
+        data: { webauthnOptions },
+      });
+    }
+
+    if (method === 'TOTP') {
+      const enrollment = await mfaService.startTotpEnrollment({
+        id: decoded.userId,
+        email: decoded.email,
+      });
+
+      return res.json({
+        success: true,
+        message:
+          'Scan the QR code with your authenticator app, then confirm a code to enable MFA',
+        data: enrollment,
+      });
+    }
+
+    if (await rejectOtpResend(res, decoded.userId, 'ENABLE_MFA')) {
+      return;
+    }
+
     const otp = await OtpService.createOtp(decoded.userId, 'ENABLE_MFA');
     await OtpService.sendOtpEmail(decoded.email, otp.code);
 
@@ -469,6 +775,13 @@ router.post('/mfa/enable', async (req, res) => {
       message: 'OTP sent for MFA setup',
     });
   } catch (error) {
+    if (error.message === 'No passkeys registered') {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a passkey before using it for MFA',
+      });
+    }
+
     console.error('MFA enable error:', error);
     res.status(500).json({
       success: false,
@@ -496,10 +809,17 @@ router.post('/mfa/enable', async (req, res) => {
  *             properties:
  *               otp:
  *                 type: string
- *                 description: OTP code received
+ *                 description: OTP code received, or for TOTP a code from the authenticator app
+ *               webauthnResponse:
+ *                 type: object
+ *                 description: For WEBAUTHN, the AuthenticationResponseJSON for data.webauthnOptions
+ *               method:
+ *                 type: string
+ *                 enum: [EMAIL, TOTP, WEBAUTHN]
+ *                 default: EMAIL
  *     responses:
  *       200:
- *         description: MFA enabled successfully
+ *         description: MFA enabled successfully. For TOTP the response contains single-use backupCodes, shown only once.
  *       400:
  *         description: Invalid OTP
  *       401:
@@ -516,8 +836,48 @@ router.post('/mfa/enable/verify', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const { otp } = req.body;
+    const decoded = await verifyAccessToken(token);
+    const { otp, webauthnResponse, method = 'EMAIL' } = req.body;
+
+    if (method === 'WEBAUTHN') {
+      if (
+        !(await verifyPasskeySecondFactor(decoded.userId, webauthnResponse))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Passkey verification failed',
+        });
+      }
+
+      await prisma.user.update({
+        where: { id: decoded.userId },
+        data: {
+          mfaEnabled: true,
+          mfaMethod: 'WEBAUTHN',
+          mfaVerifiedAt: new Date(),
+        },
+      });
+      await mfaService.removeTotp(decoded.userId);
+
+      return res.json({
+        success: true,
+        message: 'MFA enabled successfully',
+      });
+    }
+
+    if (method === 'TOTP') {
+      const backupCodes = await mfaService.confirmTotpEnrollment(
+        decoded.userId,
+        otp
+      );
+
+      return res.json({
+        success: true,
+        message:
+          'MFA enabled successfully. Store these backup codes somewhere safe.',
+        data: { backupCodes },
+      });
+    }
 
     const isValid = await OtpService.verifyOtp(
       decoded.userId,
@@ -539,12 +899,24 @@ router.post('/mfa/enable/verify', async (req, res) => {
         mfaVerifiedAt: new Date(),
       },
     });
+    // Switching back to email codes removes a previous authenticator app
+    await mfaService.removeTotp(decoded.userId);
 
     res.json({
       success: true,
       message: 'MFA enabled successfully',
     });
   } catch (error) {
+    if (
+      error.message === 'Invalid code' ||
+      error.message === 'No authenticator app enrollment in progress'
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('MFA enable verify error:', error);
     res.status(500).json({
       success: false,
@@ -558,6 +930,7 @@ router.post('/mfa/enable/verify', async (req, res) => {
  * /api/auth/mfa/disable:
  *   post:
  *     summary: Initiate MFA disable process
+ *     description: Emails an OTP, except for authenticator app (TOTP) users who confirm with an app or backup code instead, and passkey (WEBAUTHN) users who get data.webauthnOptions.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -566,6 +939,8 @@ router.post('/mfa/enable/verify', async (req, res) => {
  *         description: OTP sent for MFA disable
  *       401:
  *         description: Unauthorized
+ *       429:
+ *         description: An OTP was sent too recently, retryAfter holds the seconds to wait
  */
 router.post('/mfa/disable', async (req, res) => {
   try {
@@ -578,7 +953,37 @@ router.post('/mfa/disable', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: { mfaMethod: true },
+    });
+
+    if (user?.mfaMethod === 'WEBAUTHN') {
+      const webauthnOptions = await webauthnService.createAuthenticationOptions(
+        { userId: decoded.userId, secondFactor: true }
+      );
+
+      return res.json({
+        success: true,
+        message: 'Confirm with one of your passkeys to disable MFA',
+        data: { mfaMethod: 'WEBAUTHN', webauthnOptions },
+      });
+    }
+
+    if (user?.mfaMethod === 'TOTP') {
+      return res.json({
+        success: true,
+        message:
+          'Enter a code from your authenticator app or a backup code to disable MFA',
+        data: { mfaMethod: 'TOTP' },
+      });
+    }
+
+    if (await rejectOtpResend(res, decoded.userId, 'DISABLE_MFA')) {
+      return;
+    }
 
     const otp = await OtpService.createOtp(decoded.userId, 'DISABLE_MFA');
     await OtpService.sendOtpEmail(decoded.email, otp.code);
@@ -615,7 +1020,10 @@ router.post('/mfa/disable', async (req, res) => {
  *             properties:
  *               otp:
  *                 type: string
- *                 description: OTP code received
+ *                 description: OTP code received, or for TOTP users an authenticator app or backup code
+ *               webauthnResponse:
+ *                 type: object
+ *                 description: For WEBAUTHN users, the AuthenticationResponseJSON for data.webauthnOptions
  *     responses:
  *       200:
  *         description: MFA disabled successfully
@@ -623,6 +1031,8 @@ router.post('/mfa/disable', async (req, res) => {
  *         description: Invalid OTP
  *       401:
  *         description: Unauthorized
+ *       429:
+ *         description: Too many wrong authenticator app or backup codes
  */
 router.post('/mfa/disable/verify', async (req, res) => {
   try {
@@ -635,14 +1045,25 @@ router.post('/mfa/disable/verify', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const { otp } = req.body;
+    const decoded = await verifyAccessToken(token);
+    const { otp, webauthnResponse } = req.body;
 
-    const isValid = await OtpService.verifyOtp(
-      decoded.userId,
-      otp,
-      'DISABLE_MFA'
-    );
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: { id: true, mfaMethod: true, mfaSecret: true },
+    });
+
+    let isValid;
+    if (user?.mfaMethod === 'WEBAUTHN') {
+      isValid = await verifyPasskeySecondFactor(
+        decoded.userId,
+        webauthnResponse
+      );
+    } else if (user?.mfaMethod === 'TOTP') {
+      isValid = Boolean(await mfaService.verifySecondFactor(user, otp));
+    } else {
+      isValid = await OtpService.verifyOtp(decoded.userId, otp, 'DISABLE_MFA');
+    }
     if (!isValid) {
       return res.status(400).json({
         success: false,
@@ -658,12 +1079,20 @@ router.post('/mfa/disable/verify', async (req, res) => {
         mfaVerifiedAt: null,
       },
     });
+    await mfaService.removeTotp(decoded.userId);
 
     res.json({
       success: true,
       message: 'MFA disabled successfully',
     });
   } catch (error) {
+    if (error.message.includes('Too many failed MFA attempts')) {
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('MFA disable verify error:', error);
     res.status(500).json({
       success: false,
@@ -674,46 +1103,141 @@ router.post('/mfa/disable/verify', async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user profile
+ * /api/auth/mfa/backup-codes:
+ *   post:
+ *     summary: Replace the MFA backup codes of an authenticator app user
+ *     description: Previous backup codes stop working. The new codes are shown only once.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               otp:
+ *                 type: string
+ *                 description: Code from the authenticator app
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: New backup codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     backupCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: a1b2c-3d4e5
+ *       400:
+ *         description: Invalid code, or authenticator app MFA is not enabled
  *       401:
  *         description: Unauthorized
+ *       429:
+ *         description: Too many wrong authenticator app or backup codes
  */
-router.get('/me', async (req, res) => {
+router.post('/mfa/backup-codes', auth, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, mfaEnabled: true, mfaMethod: true, mfaSecret: true },
+    });
 
-    if (!token) {
-      return res.status(401).json({
+    if (!user.mfaEnabled || user.mfaMethod !== 'TOTP') {
+      return res.status(400).json({
         success: false,
-        message: 'No token provided',
+        message: 'Authenticator app MFA is not enabled',
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const secondFactor = await mfaService.verifySecondFactor(
+      user,
+      req.body.otp
+    );
+    if (secondFactor?.method !== 'TOTP') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP',
+      });
+    }
 
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        name: true,
-        dateOfBirth: true,
-        phone: true,
-        role: true,
-        isActive: true,
+    const backupCodes = await mfaService.regenerateBackupCodes(user.id);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes },
+    });
+  } catch (error) {
+    if (error.message.includes('Too many failed MFA attempts')) {
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('MFA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided',
+      });
+    }
+
+    const decoded = await verifyAccessToken(token);
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        name: true,
+        dateOfBirth: true,
+        phone: true,
+        role: true,
+        isActive: true,
         mfaEnabled: true,
         mfaMethod: true,
         mfaVerifiedAt: true,
+        verifiedAt: true,
         createdAt: true,
       },
     });
@@ -835,6 +1359,546 @@ router.post(
   }
 );
 
+// ============= Password Reset & Email Verification =============
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always responds with success so it cannot be used to find registered emails. The link expires after 1 hour.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation failed
+ */
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      await accountTokenService.requestPasswordReset(req.body.email);
+
+      res.json({
+        success: true,
+        message:
+          'If an account exists for this email, a password reset link has been sent.',
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can only be used once. All sessions of the user are logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset link
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation failed, or the token is invalid or expired
+ */
+router.post(
+  '/reset-password',
+  [body('token').isString().notEmpty(), body('password').isLength({ min: 6 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await accountTokenService.resetPassword(
+        req.body.token,
+        req.body.password
+      );
+
+      const ip =
+        req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
+      activityLogger.logActivity(activityLogger.ActivityType.PASSWORD_RESET, {
+        userId: user.id,
+        email: user.email,
+        ip,
+      });
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in.',
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired token') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the verification link
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Validation failed, or the token is invalid or expired
+ */
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await accountTokenService.verifyEmail(req.body.token);
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: { verifiedAt: user.verifiedAt },
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired token') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    await accountTokenService.sendEmailVerification(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    if (error.message === 'Email is already verified') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+// ============= Session Routes =============
+
+const SESSION_ERRORS = [
+  'Invalid refresh token',
+  'Session has been revoked',
+  'Session has expired',
+  'Refresh token reuse detected',
+];
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new session tokens
+ *     description: Refresh tokens are single-use. Presenting one that was already exchanged revokes its session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: string
+ *       401:
+ *         description: Refresh token is invalid, expired, revoked or reused
+ */
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const tokens = await sessionService.refresh(req.body.refreshToken, req);
+
+      res.json({
+        success: true,
+        data: tokens,
+      });
+    } catch (error) {
+      if (SESSION_ERRORS.includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session of the access token, or of the refresh token in the body when no valid access token is sent.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: No session to log out of
+ */
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    let sessionId = req.tokenPayload?.sid;
+    let userId = req.user?.id;
+
+    if (!sessionId && req.body?.refreshToken) {
+      try {
+        const session = await sessionService.findSessionByRefreshToken(
+          req.body.refreshToken
+        );
+        sessionId = session.id;
+        userId = session.userId;
+      } catch (error) {
+        if (!SESSION_ERRORS.includes(error.message)) {
+          throw error;
+        }
+      }
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active session',
+      });
+    }
+
+    await sessionService.revokeSession(sessionId, 'LOGOUT');
+
+    const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
+    activityLogger.logLogout(userId, req.user?.email, ip);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every session, on all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllUserSessions(
+      req.user.id
+    );
+
+    const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
+    activityLogger.logLogout(req.user.id, req.user.email, ip);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { revokedCount },
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the active sessions (devices) of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           ipAddress:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastSeenAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *                             description: Session of the access token used for this request
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(
+      req.user.id,
+      req.tokenPayload.sid
+    );
+
+    res.json({
+      success: true,
+      data: { sessions },
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    await sessionService.revokeUserSession(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
 // ============= OAuth Routes =============
 
 /**
@@ -877,17 +1941,8 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
-
-      // Redirect to frontend with token
-      res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=google`
-      );
+      // Redirect to frontend with a code to exchange for the session tokens
+      res.redirect(await getOAuthCallbackUrl(req.user, 'google'));
     } catch (error) {
       console.error('Google OAuth callback error:', error);
       res.redirect(
@@ -937,17 +1992,8 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
-
-      // Redirect to frontend with token
-      res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=facebook`
-      );
+      // Redirect to frontend with a code to exchange for the session tokens
+      res.redirect(await getOAuthCallbackUrl(req.user, 'facebook'));
     } catch (error) {
       console.error('Facebook OAuth callback error:', error);
       res.redirect(
@@ -997,17 +2043,8 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
-
-      // Redirect to frontend with token
-      res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=github`
-      );
+      // Redirect to frontend with a code to exchange for the session tokens
+      res.redirect(await getOAuthCallbackUrl(req.user, 'github'));
     } catch (error) {
       console.error('GitHub OAuth callback error:', error);
       res.redirect(
@@ -1052,17 +2089,8 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
-
-      // Redirect to frontend with token
-      res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=twitter`
-      );
+      // Redirect to frontend with a code to exchange for the session tokens
+      res.redirect(await getOAuthCallbackUrl(req.user, 'twitter'));
     } catch (error) {
       console.error('Twitter OAuth callback error:', error);
       res.redirect(
@@ -1072,6 +2100,91 @@ router.get(
   }
 );
 
+/**
+ * @swagger
+ * /api/auth/oauth/exchange:
+ *   post:
+ *     summary: Exchange an OAuth login code for session tokens
+ *     description: The OAuth callbacks redirect to FRONTEND_URL/auth/callback with a one-time code that expires after 1 minute.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: code from the OAuth callback redirect
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation failed, or the code is invalid or expired
+ */
+router.post(
+  '/oauth/exchange',
+  [body('code').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = await accountTokenService.consumeToken(
+        req.body.code,
+        'OAUTH_LOGIN'
+      );
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+      });
+
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token',
+        });
+      }
+
+      const tokens = await sessionService.createSession(user, req);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: toPublicUser(user),
+          ...tokens,
+        },
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired token') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('OAuth code exchange error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/auth/apple:
@@ -1129,19 +2242,14 @@ router.post('/apple', async (req, res) => {
     // Handle Apple Sign In
     const user = await handleAppleSignIn(identityToken, userInfo);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const tokens = await sessionService.createSession(user, req);
 
     res.json({
       success: true,
       message: 'Apple Sign In successful',
       data: {
-        user,
-        token,
+        user: toPublicUser(user),
+        ...tokens,
       },
     });
   } catch (error) {
@@ -1199,7 +2307,7 @@ router.post('/oauth/link', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     const { provider, providerId } = req.body;
 
     if (!provider || !providerId) {
@@ -1307,7 +2415,7 @@ router.post('/oauth/unlink', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     const { provider } = req.body;
 
     if (!provider) {
@@ -0,0 +1,510 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { prisma } = require('../config/database');
+const { auth } = require('../middleware/auth');
+const webauthnService = require('../services/webauthn.service');
+const sessionService = require('../services/session.service');
+const activityLogger = require('../services/activityLogger');
+
+const { VERIFICATION_ERRORS } = webauthnService;
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Passkey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: MacBook Touch ID
+ *         deviceType:
+ *           type: string
+ *           enum: [singleDevice, multiDevice]
+ *           description: multiDevice passkeys are synced between devices
+ *         backedUp:
+ *           type: boolean
+ *         transports:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/options:
+ *   post:
+ *     summary: Start adding a passkey to the current account
+ *     description: Pass data.options to navigator.credentials.create() (e.g. startRegistration from @simplewebauthn/browser).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: PublicKeyCredentialCreationOptionsJSON
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/register/options', auth, async (req, res) => {
+  try {
+    const options = await webauthnService.createRegistrationOptions(req.user);
+
+    res.json({
+      success: true,
+      data: { options },
+    });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/verify:
+ *   post:
+ *     summary: Finish adding a passkey
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: RegistrationResponseJSON from navigator.credentials.create()
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Friendly name, defaults to "Passkey N"
+ *     responses:
+ *       201:
+ *         description: Passkey added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     credential:
+ *                       $ref: '#/components/schemas/Passkey'
+ *       400:
+ *         description: Validation failed, or the passkey could not be verified
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Passkey already registered
+ */
+router.post(
+  '/register/verify',
+  auth,
+  [
+    body('response').isObject(),
+    body('name').optional().isString().trim().isLength({ max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const credential = await webauthnService.verifyRegistration(
+        req.user.id,
+        req.body.response,
+        req.body.name
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Passkey added successfully',
+        data: { credential },
+      });
+    } catch (error) {
+      if (VERIFICATION_ERRORS.includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (error.message === 'Passkey already registered') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Passkey registration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/options:
+ *   post:
+ *     summary: Start a passwordless login with a passkey
+ *     description: Any passkey saved for this site can be used, so the options never list an account's passkeys or reveal which emails have one. Pass data.options to navigator.credentials.get().
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: PublicKeyCredentialRequestOptionsJSON
+ */
+router.post('/login/options', async (req, res) => {
+  try {
+    const options = await webauthnService.createAuthenticationOptions();
+
+    res.json({
+      success: true,
+      data: { options },
+    });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/verify:
+ *   post:
+ *     summary: Finish a passwordless login with a passkey
+ *     description: Passkeys verify the user on the device (PIN or biometrics), so no email OTP is needed.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: AuthenticationResponseJSON from navigator.credentials.get()
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Passkey not accepted
+ */
+router.post(
+  '/login/verify',
+  [body('response').isObject()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = await webauthnService.verifyAuthentication(
+        req.body.response
+      );
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          name: true,
+          dateOfBirth: true,
+          phone: true,
+          role: true,
+          isActive: true,
+          mfaEnabled: true,
+          mfaMethod: true,
+          verifiedAt: true,
+          createdAt: true,
+        },
+      });
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found or inactive',
+        });
+      }
+
+      const tokens = await sessionService.createSession(user, req);
+
+      const ip =
+        req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
+      activityLogger.logLoginSuccess(
+        user.id,
+        user.email,
+        ip,
+        req.headers['user-agent']
+      );
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user,
+          ...tokens,
+        },
+      });
+    } catch (error) {
+      if (VERIFICATION_ERRORS.includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Passkey login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/credentials:
+ *   get:
+ *     summary: List the passkeys of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     credentials:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Passkey'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/credentials', auth, async (req, res) => {
+  try {
+    const credentials = await webauthnService.getUserCredentials(req.user.id);
+
+    res.json({
+      success: true,
+      data: { credentials },
+    });
+  } catch (error) {
+    console.error('Get passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/credentials/{id}:
+ *   patch:
+ *     summary: Rename a passkey
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Passkey renamed
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Passkey not found
+ */
+router.patch(
+  '/credentials/:id',
+  auth,
+  [
+    param('id').isUUID(),
+    body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const credential = await webauthnService.renameCredential(
+        req.user.id,
+        req.params.id,
+        req.body.name
+      );
+
+      res.json({
+        success: true,
+        message: 'Passkey renamed successfully',
+        data: { credential },
+      });
+    } catch (error) {
+      if (error.message === 'Passkey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Rename passkey error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/webauthn/credentials/{id}:
+ *   delete:
+ *     summary: Remove a passkey
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Passkey removed
+ *       400:
+ *         description: It is the last passkey and passkeys are the MFA method
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Passkey not found
+ */
+router.delete(
+  '/credentials/:id',
+  auth,
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      await webauthnService.deleteCredential(req.user.id, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Passkey removed successfully',
+      });
+    } catch (error) {
+      if (error.message === 'Passkey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (
+        error.message ===
+        'Cannot remove the last passkey while it is your MFA method'
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Delete passkey error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../config/database');
+const mailerService = require('./mailer.service');
+const sessionService = require('./session.service');
+
+const TOKEN_TTL_MS = {
+  PASSWORD_RESET: 60 * 60 * 1000, // 1 hour
+  EMAIL_VERIFICATION: 24 * 60 * 60 * 1000, // 24 hours
+  OAUTH_LOGIN: 60 * 1000, // 1 minute
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getFrontendUrl() {
+  return process.env.FRONTEND_URL || 'http://localhost:3000';
+}
+
+/**
+ * Password reset and email verification links, and the codes an OAuth
+ * login hands to the frontend. Tokens are single-use, expire, and only their
+ * hash is stored.
+ */
+class AccountTokenService {
+  /**
+   * Create a token for a user. Unused tokens of the same type are
+   * invalidated so only the latest emailed link works.
+   * @param {string} userId
+   * @param {string} type - AccountTokenType
+   * @returns {Promise<string>} Raw token, to be sent to the user only
+   */
+  async createToken(userId, type) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await prisma.$transaction([
+      prisma.accountToken.updateMany({
+        where: { userId, type, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+      prisma.accountToken.create({
+        data: {
+          userId,
+          type,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+        },
+      }),
+    ]);
+
+    return token;
+  }
+
+  /**
+   * Mark a token as used
+   * @param {string} token
+   * @param {string} type - AccountTokenType
+   * @returns {Promise<string>} Id of the user the token belongs to
+   */
+  async consumeToken(token, type) {
+    const accountToken = await prisma.accountToken.findUnique({
+      where: { tokenHash: hashToken(String(token)) },
+    });
+
+    if (
+      !accountToken ||
+      accountToken.type !== type ||
+      accountToken.usedAt ||
+      accountToken.expiresAt <= new Date()
+    ) {
+      throw new Error('Invalid or expired token');
+    }
+
+    // Only one of two concurrent requests with the same token can use it
+    const { count } = await prisma.accountToken.updateMany({
+      where: { id: accountToken.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return accountToken.userId;
+  }
+
+  /**
+   * Email a password reset link. Unknown and deactivated accounts are
+   * ignored and mailer errors are only logged, so the outcome does not
+   * reveal which emails are registered.
+   * @param {string} email
+   */
+  async requestPasswordReset(email) {
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, isActive: true },
+    });
+
+    if (!user || !user.isActive) {
+      return;
+    }
+
+    const token = await this.createToken(user.id, 'PASSWORD_RESET');
+    const link = `${getFrontendUrl()}/auth/reset-password?token=${token}`;
+
+    try {
+      await mailerService.sendMail({
+        to: user.email,
+        subject: 'Reset your password - RentVerse',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>RentVerse - Password Reset</h2>
+            <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+            <p><a href="${link}" style="color: #007bff;">Reset password</a></p>
+            <p>This link will expire in 1 hour and can only be used once.</p>
+            <p>If you didn't request a password reset, please ignore this email.</p>
+            <br>
+            <p>Best regards,<br>RentVerse Team</p>
+          </div>
+        `,
+      });
+    } catch (error) {
+      console.error('❌ Failed to send password reset email:', error.message);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token and sign out every session
+   * @param {string} token
+   * @param {string} password
+   * @returns {Promise<Object>} { id, email }
+   */
+  async resetPassword(token, password) {
+    const userId = await this.consumeToken(token, 'PASSWORD_RESET');
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { verifiedAt: true },
+    });
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        password: hashedPassword,
+        // Opening the emailed link proves the user owns the address
+        ...(user.verifiedAt ? {} : { verifiedAt: new Date() }),
+      },
+      select: { id: true, email: true },
+    });
+
+    await sessionService.revokeAllUserSessions(userId, 'PASSWORD_RESET');
+
+    return updatedUser;
+  }
+
+  /**
+   * Email a verification link to a user
+   * @param {Object} user - { id, email, verifiedAt }
+   */
+  async sendEmailVerification(user) {
+    if (user.verifiedAt) {
+      throw new Error('Email is already verified');
+    }
+
+    const token = await this.createToken(user.id, 'EMAIL_VERIFICATION');
+    const link = `${getFrontendUrl()}/auth/verify-email?token=${token}`;
+
+    await mailerService.sendMail({
+      to: user.email,
+      subject: 'Verify your email - RentVerse',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>RentVerse - Email Verification</h2>
+          <p>Please confirm your email address by clicking the link below:</p>
+          <p><a href="${link}" style="color: #007bff;">Verify email</a></p>
+          <p>This link will expire in 24 hours.</p>
+          <p>If you didn't create a RentVerse account, please ignore this email.</p>
+          <br>
+          <p>Best regards,<br>RentVerse Team</p>
+        </div>
+      `,
+    });
+  }
+
+  /**
+   * Mark a user's email as verified with a verification token
+   * @param {string} token
+   * @returns {Promise<Object>} { id, email, verifiedAt }
+   */
+  async verifyEmail(token) {
+    const userId = await this.consumeToken(token, 'EMAIL_VERIFICATION');
+
+    return await prisma.user.update({
+      where: { id: userId },
+      data: { verifiedAt: new Date() },
+      select: { id: true, email: true, verifiedAt: true },
+    });
+  }
+}
+
+module.exports = new AccountTokenService();
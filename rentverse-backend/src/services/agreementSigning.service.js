@@ -0,0 +1,198 @@
+const { prisma } = require('../config/database');
+const {
+  buildAgreementContent,
+  generateAgreementHash,
+  verifyAgreementIntegrity,
+} = require('../middleware/agreementValidation');
+const eSignatureService = require('./eSignature.service');
+const pdfGenerationService = require('./pdfGeneration.service');
+
+const partySelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  name: true,
+};
+
+class AgreementSigningService {
+  // Helper function to get display name of a user
+  getDisplayName(user) {
+    return (
+      user.name || [user.firstName, user.lastName].filter(Boolean).join(' ')
+    );
+  }
+
+  // Helper function to strip the (large) signature image from a record
+  toSignatureSummary(record, leaseId) {
+    // eslint-disable-next-line no-unused-vars
+    const { signatureImage, ...summary } = record;
+
+    return {
+      ...summary,
+      verified: eSignatureService.verifySignatureRecord(record, leaseId),
+    };
+  }
+
+  /**
+   * Sign a rental agreement as tenant or landlord.
+   * The signature image, signer identity and agreement contentHash are
+   * sealed with the server key; once both parties have signed, the final
+   * PDF is re-rendered with signature blocks and an audit page.
+   * @param {string} leaseId
+   * @param {Object} signer - { id, role: TENANT|LANDLORD }
+   * @param {Object} signatureData - { signatureType, signatureImage, typedName }
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>}
+   */
+  async signAgreement(leaseId, signer, signatureData, context = {}) {
+    const {
+      signatureType = 'TYPED',
+      signatureImage,
+      typedName,
+    } = signatureData;
+
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      include: {
+        agreement: true,
+        tenant: { select: partySelect },
+        landlord: { select: partySelect },
+      },
+    });
+
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (!lease.agreement) {
+      throw new Error('No rental agreement found for this booking');
+    }
+
+    const { agreement } = lease;
+    const party = signer.role === 'TENANT' ? lease.tenant : lease.landlord;
+
+    if (agreement.contentHash && !verifyAgreementIntegrity(agreement, lease)) {
+      throw new Error('Agreement content has changed since it was generated');
+    }
+
+    // The signed terms are kept on the agreement, so it stays verifiable
+    // after the lease changes (e.g. an extension)
+    const contentSnapshot =
+      agreement.contentSnapshot ||
+      buildAgreementContent(lease, agreement.generatedAt);
+    const contentHash =
+      agreement.contentHash || generateAgreementHash(contentSnapshot);
+
+    let image;
+    if (signatureType === 'DRAWN') {
+      if (!eSignatureService.isValidSignatureImage(signatureImage)) {
+        throw new Error(
+          'A valid signature image is required for drawn signatures'
+        );
+      }
+      image = signatureImage;
+    } else {
+      image = eSignatureService.createTypedSignatureImage(
+        (typedName || '').trim() || this.getDisplayName(party)
+      );
+    }
+
+    const signedAt = new Date();
+    const seal = eSignatureService.signAgreementPayload({
+      agreementId: agreement.id,
+      leaseId: lease.id,
+      contentHash,
+      signerId: signer.id,
+      role: signer.role,
+      signedAt,
+      signatureImageHash: eSignatureService.hashSignatureImage(image),
+    });
+
+    const agreementUpdate = { contentHash, contentSnapshot };
+    if (signer.role === 'TENANT') {
+      agreementUpdate.signedByTenant = true;
+      agreementUpdate.tenantSignedAt = signedAt;
+    } else {
+      agreementUpdate.signedByLandlord = true;
+      agreementUpdate.landlordSignedAt = signedAt;
+    }
+
+    let result;
+    try {
+      result = await prisma.$transaction(async tx => {
+        const signature = await tx.agreementSignature.create({
+          data: {
+            agreementId: agreement.id,
+            signerId: signer.id,
+            role: signer.role,
+            signerName: this.getDisplayName(party),
+            signerEmail: party.email,
+            signatureType,
+            signatureImage: image,
+            contentHash,
+            signature: seal.signature,
+            algorithm: seal.algorithm,
+            keyId: seal.keyId,
+            ipAddress: context.ipAddress || null,
+            userAgent: context.userAgent || null,
+            signedAt,
+          },
+        });
+
+        const updatedAgreement = await tx.rentalAgreement.update({
+          where: { id: agreement.id },
+          data: agreementUpdate,
+        });
+
+        return { signature, agreement: updatedAgreement };
+      });
+    } catch (error) {
+      // Unique (agreementId, role): a concurrent request signed first
+      if (error.code === 'P2002') {
+        throw new Error('You have already signed this agreement');
+      }
+      throw error;
+    }
+
+    const fullyExecuted =
+      result.agreement.signedByTenant && result.agreement.signedByLandlord;
+
+    let signedPdfUrl = null;
+    if (fullyExecuted) {
+      try {
+        const signedAgreement =
+          await pdfGenerationService.generateSignedAgreementPDF(lease.id);
+        signedPdfUrl = signedAgreement.signedPdfUrl;
+      } catch (pdfError) {
+        console.error('Failed to generate signed agreement PDF:', pdfError);
+      }
+    }
+
+    return {
+      signature: this.toSignatureSummary(result.signature, lease.id),
+      agreement: result.agreement,
+      fullyExecuted,
+      signedPdfUrl,
+    };
+  }
+
+  /**
+   * Get signatures of an agreement with their verification result
+   * @param {string} agreementId
+   * @param {string} leaseId
+   * @returns {Promise<Array>}
+   */
+  async getSignatures(agreementId, leaseId) {
+    const signatures = await prisma.agreementSignature.findMany({
+      where: { agreementId },
+      orderBy: { signedAt: 'asc' },
+    });
+
+    return signatures.map(signature =>
+      this.toSignatureSummary(signature, leaseId)
+    );
+  }
+}
+
+module.exports = new AgreementSigningService();
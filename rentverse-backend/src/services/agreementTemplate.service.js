@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require('../config/database');
+
+const AGREEMENT_LANGUAGES = ['EN', 'MS'];
+const DEFAULT_LANGUAGE = 'EN';
+
+/**
+ * Templates shipped in /templates. They are copied into the database as
+ * version 1 the first time they are needed so every agreement can point to
+ * the exact template version it was rendered with.
+ */
+const BUILT_IN_TEMPLATES = {
+  EN: {
+    code: 'STANDARD_EN',
+    name: 'Standard Residential Rental Agreement',
+    fileName: 'rental-agreement.ejs',
+  },
+  MS: {
+    code: 'STANDARD_MS',
+    name: 'Perjanjian Sewa Kediaman Standard',
+    fileName: 'rental-agreement.ms.ejs',
+  },
+};
+
+class AgreementTemplateService {
+  /**
+   * Supported agreement languages
+   * @returns {string[]}
+   */
+  getLanguages() {
+    return AGREEMENT_LANGUAGES;
+  }
+
+  /**
+   * Normalize a requested language, falling back to the default language
+   * @param {string} language
+   * @returns {string}
+   */
+  normalizeLanguage(language) {
+    const code = String(language || '').toUpperCase();
+    return AGREEMENT_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Read the built-in template source for a language
+   * @param {string} language
+   * @returns {string} EJS source
+   */
+  readBuiltInTemplate(language) {
+    const builtIn = BUILT_IN_TEMPLATES[this.normalizeLanguage(language)];
+    return fs.readFileSync(
+      path.join(__dirname, '../../templates', builtIn.fileName),
+      'utf-8'
+    );
+  }
+
+  /**
+   * Make sure the built-in template for a language exists in the database
+   * @param {string} language
+   * @returns {Promise<Object>} Latest AgreementTemplateVersion (with template)
+   */
+  async ensureBuiltInTemplate(language) {
+    const code = this.normalizeLanguage(language);
+    const builtIn = BUILT_IN_TEMPLATES[code];
+
+    const template = await prisma.agreementTemplate.upsert({
+      where: { code: builtIn.code },
+      update: {},
+      create: {
+        code: builtIn.code,
+        name: builtIn.name,
+        language: code,
+        description: 'Built-in template',
+      },
+    });
+
+    const latest = await this.getLatestVersion(template.id);
+    if (latest) {
+      return latest;
+    }
+
+    try {
+      await prisma.agreementTemplateVersion.create({
+        data: {
+          templateId: template.id,
+          version: 1,
+          content: this.readBuiltInTemplate(code),
+          changeNote: `Imported from templates/${builtIn.fileName}`,
+        },
+      });
+    } catch (error) {
+      // Another request imported it first
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    return await this.getLatestVersion(template.id);
+  }
+
+  /**
+   * Get the newest version of a template
+   * @param {string} templateId
+   * @returns {Promise<Object|null>} AgreementTemplateVersion (with template)
+   */
+  async getLatestVersion(templateId) {
+    return await prisma.agreementTemplateVersion.findFirst({
+      where: { templateId },
+      include: { template: true },
+      orderBy: { version: 'desc' },
+    });
+  }
+
+  /**
+   * Pick the template version for a new agreement. The most specific active
+   * template wins: landlord + property type, landlord, property type, global.
+   * Falls back to the built-in template for the language.
+   * @param {Object} scope - { landlordId, propertyTypeId }
+   * @param {string} language
+   * @returns {Promise<Object>} AgreementTemplateVersion (with template)
+   */
+  async resolveTemplateVersion(scope, language) {
+    const code = this.normalizeLanguage(language);
+    const { landlordId, propertyTypeId } = scope;
+
+    const candidates = [
+      { landlordId, propertyTypeId },
+      { landlordId, propertyTypeId: null },
+      { landlordId: null, propertyTypeId },
+      { landlordId: null, propertyTypeId: null },
+    ];
+
+    for (const candidate of candidates) {
+      // Skip scopes the caller could not provide
+      if (candidate.landlordId === undefined) continue;
+      if (candidate.propertyTypeId === undefined) continue;
+
+      const template = await prisma.agreementTemplate.findFirst({
+        where: {
+          ...candidate,
+          language: code,
+          isActive: true,
+          versions: { some: {} },
+        },
+        orderBy: { updatedAt: 'desc' },
+      });
+
+      if (template) {
+        return await this.getLatestVersion(template.id);
+      }
+    }
+
+    return await this.ensureBuiltInTemplate(code);
+  }
+
+  /**
+   * Active custom clauses a landlord added for a property
+   * @param {Object} lease - { landlordId, propertyId }
+   * @param {string} language
+   * @returns {Promise<Array>} [{ id, title, content }]
+   */
+  async getCustomClauses(lease, language) {
+    const clauses = await prisma.agreementClause.findMany({
+      where: {
+        landlordId: lease.landlordId,
+        language: this.normalizeLanguage(language),
+        isActive: true,
+        OR: [{ propertyId: null }, { propertyId: lease.propertyId }],
+      },
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    return clauses.map(clause => ({
+      id: clause.id,
+      title: clause.title,
+      content: clause.content,
+    }));
+  }
+}
+
+module.exports = new AgreementTemplateService();
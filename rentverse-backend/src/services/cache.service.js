@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+// Data a cached response depends on. Invalidating a tag drops every
+// response cached with it.
+const CACHE_TAGS = {
+  PROPERTIES: 'properties',
+  PROPERTY_TYPES: 'propertyTypes',
+  AMENITIES: 'amenities',
+};
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * In-process LRU cache. Each server instance has its own copy, so use the
+ * Redis adapter when running several instances.
+ */
+class MemoryCacheAdapter {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    // Kept apart from the entries so tag versions are never evicted
+    this.counters = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the end so the least recently used entry is evicted first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async getCounter(key) {
+    return this.counters.get(key) || 0;
+  }
+
+  async incr(key) {
+    const value = (this.counters.get(key) || 0) + 1;
+    this.counters.set(key, value);
+    return value;
+  }
+}
+
+/**
+ * Cache shared by all instances, for any Redis client with the ioredis
+ * API (get, set with EX, incr)
+ */
+class RedisCacheAdapter {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, JSON.stringify(value), 'EX', ttlSeconds);
+  }
+
+  async getCounter(key) {
+    return parseInt(await this.client.get(key)) || 0;
+  }
+
+  async incr(key) {
+    return await this.client.incr(key);
+  }
+}
+
+function createAdapter() {
+  if (process.env.REDIS_URL) {
+    try {
+      // Optional dependency: pnpm add ioredis
+      const Redis = require('ioredis');
+      return new RedisCacheAdapter(new Redis(process.env.REDIS_URL));
+    } catch (error) {
+      console.warn(
+        `⚠️ Redis cache unavailable (${error.message}), using in-memory cache`
+      );
+    }
+  }
+
+  return new MemoryCacheAdapter(
+    parseInt(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES
+  );
+}
+
+class CacheService {
+  constructor() {
+    this.adapter = null;
+  }
+
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = createAdapter();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Whether response caching is on (CACHE_ENABLED=false turns it off)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.CACHE_ENABLED !== 'false';
+  }
+
+  /**
+   * Look up a cached value. The returned key includes the current version
+   * of each tag, so a value stored under it after an invalidation is never
+   * read again.
+   * @param {string} name - e.g. the request URL
+   * @param {string[]} tags - See CACHE_TAGS
+   * @returns {Promise<Object>} { key, value } value is null on a miss
+   */
+  async lookup(name, tags = []) {
+    const adapter = this.getAdapter();
+    const versions = await Promise.all(
+      tags.map(tag => adapter.getCounter(`cache:tag:${tag}`))
+    );
+    const key = `cache:${tags.map((tag, i) => `${tag}.${versions[i]}`).join(',')}:${name}`;
+
+    return { key, value: await adapter.get(key) };
+  }
+
+  /**
+   * Store a value under a key from lookup
+   * @param {string} key
+   * @param {*} value - JSON serializable
+   * @param {number} ttlSeconds
+   */
+  async set(key, value, ttlSeconds) {
+    await this.getAdapter().set(key, value, ttlSeconds);
+  }
+
+  /**
+   * Drop everything cached with any of the tags. Failures are logged only
+   * so writes do not fail because of the cache; entries still expire with
+   * their TTL.
+   * @param {...string} tags - See CACHE_TAGS
+   */
+  async invalidate(...tags) {
+    try {
+      const adapter = this.getAdapter();
+      await Promise.all(tags.map(tag => adapter.incr(`cache:tag:${tag}`)));
+    } catch (error) {
+      console.error('Cache invalidation error:', error.message);
+    }
+  }
+
+  /**
+   * Weak ETag for a response body
+   * @param {string} body
+   * @returns {string}
+   */
+  createETag(body) {
+    const hash = crypto.createHash('sha1').update(body).digest('base64url');
+    return `W/"${hash}"`;
+  }
+}
+
+module.exports = new CacheService();
+module.exports.CACHE_TAGS = CACHE_TAGS;
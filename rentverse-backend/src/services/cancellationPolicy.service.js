@@ -0,0 +1,98 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Cancellation policies a landlord can choose per property.
+ * Tiers are checked in order; the first tier whose `minDaysBeforeStart`
+ * is met decides how much of the paid security deposit is refunded.
+ * Prepaid rent is always refunded in full because the lease never starts.
+ */
+const CANCELLATION_POLICIES = {
+  FLEXIBLE: {
+    description: 'Full deposit refund up to 1 day before the start date',
+    tiers: [
+      { minDaysBeforeStart: 1, depositRefundPercent: 100 },
+      { minDaysBeforeStart: 0, depositRefundPercent: 50 },
+    ],
+  },
+  MODERATE: {
+    description:
+      'Full deposit refund up to 14 days before the start date, 50% up to 7 days',
+    tiers: [
+      { minDaysBeforeStart: 14, depositRefundPercent: 100 },
+      { minDaysBeforeStart: 7, depositRefundPercent: 50 },
+    ],
+  },
+  STRICT: {
+    description:
+      'Full deposit refund up to 30 days before the start date, 50% up to 14 days',
+    tiers: [
+      { minDaysBeforeStart: 30, depositRefundPercent: 100 },
+      { minDaysBeforeStart: 14, depositRefundPercent: 50 },
+    ],
+  },
+};
+
+const DEFAULT_POLICY = 'MODERATE';
+
+class CancellationPolicyService {
+  /**
+   * List available policies
+   * @returns {Object}
+   */
+  getPolicies() {
+    return CANCELLATION_POLICIES;
+  }
+
+  /**
+   * Get a policy by name, falling back to the default policy
+   * @param {string} name
+   * @returns {Object} { name, description, tiers }
+   */
+  getPolicy(name) {
+    const policyName = CANCELLATION_POLICIES[name] ? name : DEFAULT_POLICY;
+    return { name: policyName, ...CANCELLATION_POLICIES[policyName] };
+  }
+
+  /**
+   * Whole days between `now` and the lease start date (never negative)
+   * @param {Date} startDate
+   * @param {Date} now
+   * @returns {number}
+   */
+  getDaysBeforeStart(startDate, now = new Date()) {
+    const days = Math.floor((new Date(startDate) - now) / MS_PER_DAY);
+    return Math.max(days, 0);
+  }
+
+  /**
+   * Work out how much of the paid deposit is refundable
+   * @param {string} policyName
+   * @param {Date} startDate - Lease start date
+   * @param {number} depositPaid - Deposit amount actually paid
+   * @param {Date} now
+   * @returns {Object} { policy, daysBeforeStart, depositRefundPercent, refundableDeposit, retainedDeposit }
+   */
+  computeDepositRefund(policyName, startDate, depositPaid, now = new Date()) {
+    const policy = this.getPolicy(policyName);
+    const daysBeforeStart = this.getDaysBeforeStart(startDate, now);
+
+    const tier = policy.tiers.find(
+      t => daysBeforeStart >= t.minDaysBeforeStart
+    );
+    const depositRefundPercent = tier ? tier.depositRefundPercent : 0;
+
+    const refundableDeposit =
+      Math.round(depositPaid * depositRefundPercent) / 100;
+
+    return {
+      policy: policy.name,
+      daysBeforeStart,
+      depositRefundPercent,
+      refundableDeposit,
+      retainedDeposit:
+        Math.round((depositPaid - refundableDeposit) * 100) / 100,
+    };
+  }
+}
+
+module.exports = new CancellationPolicyService();
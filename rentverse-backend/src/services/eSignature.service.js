@@ -1,35 +1,264 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+// Drawn signatures are sent as data URLs from a canvas
+const MAX_SIGNATURE_IMAGE_BYTES = 200 * 1024;
+const SIGNATURE_IMAGE_PATTERN =
+  /^data:image\/(png|jpeg|svg\+xml);base64,[A-Za-z0-9+/=]+$/;
+
+// Git-ignored, so every developer keeps their own key across restarts
+const DEV_KEY_PATH = path.join(__dirname, '../../.keys/e-signature-dev.pem');
+
+let signingKey = null;
+
+/**
+ * Load the development signing key, creating it on first use
+ * @returns {crypto.KeyObject}
+ */
+function loadDevSigningKey() {
+  if (fs.existsSync(DEV_KEY_PATH)) {
+    return crypto.createPrivateKey(fs.readFileSync(DEV_KEY_PATH, 'utf8'));
+  }
+
+  console.warn(
+    `⚠️  E_SIGNATURE_PRIVATE_KEY not set, creating a development e-signature key in ${DEV_KEY_PATH}`
+  );
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(path.dirname(DEV_KEY_PATH), { recursive: true });
+  fs.writeFileSync(
+    DEV_KEY_PATH,
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+  return privateKey;
+}
+
+/**
+ * Load the server signing key pair.
+ * E_SIGNATURE_PRIVATE_KEY holds an Ed25519 private key in PEM format
+ * (newlines may be escaped as \n). Outside production a development key
+ * is kept in .keys/ when it is missing, so signatures still verify after a
+ * restart.
+ * @returns {Object} { privateKey, publicKey, keyId }
+ */
+function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  let privateKey;
+  if (process.env.E_SIGNATURE_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(
+      process.env.E_SIGNATURE_PRIVATE_KEY.replace(/\\n/g, '\n')
+    );
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('E_SIGNATURE_PRIVATE_KEY not configured');
+  } else {
+    privateKey = loadDevSigningKey();
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = crypto
+    .createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+  signingKey = { privateKey, publicKey, keyId };
+  return signingKey;
+}
+
+/**
+ * Get the server public key so signatures can be verified independently
+ * @returns {Object} { keyId, algorithm, publicKey (PEM) }
+ */
+function getPublicKeyInfo() {
+  const { publicKey, keyId } = getSigningKey();
+
+  return {
+    keyId,
+    algorithm: SIGNATURE_ALGORITHM,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+}
+
+/**
+ * Hash a signature image so the server signature also covers it
+ * @param {string} signatureImage - Data URL
+ * @returns {string} SHA256 hex
+ */
+function hashSignatureImage(signatureImage) {
+  return crypto.createHash('sha256').update(signatureImage).digest('hex');
+}
+
+/**
+ * Canonical payload signed by the server for one agreement signature.
+ * Field order is fixed so the same record always produces the same bytes.
+ * @param {Object} data
+ * @returns {string}
+ */
+function buildSignaturePayload(data) {
+  return JSON.stringify({
+    agreementId: data.agreementId,
+    leaseId: data.leaseId,
+    contentHash: data.contentHash,
+    signerId: data.signerId,
+    role: data.role,
+    signedAt: new Date(data.signedAt).toISOString(),
+    signatureImageHash: data.signatureImageHash,
+  });
+}
+
+/**
+ * Sign an agreement signature payload with the server key
+ * @param {Object} data - See buildSignaturePayload
+ * @returns {Object} { signature (base64), algorithm, keyId }
+ */
+function signAgreementPayload(data) {
+  const { privateKey, keyId } = getSigningKey();
+  const signature = crypto.sign(
+    null,
+    Buffer.from(buildSignaturePayload(data)),
+    privateKey
+  );
+
+  return {
+    signature: signature.toString('base64'),
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId,
+  };
+}
+
+/**
+ * Verify a stored agreement signature against the current server key
+ * @param {Object} data - See buildSignaturePayload
+ * @param {string} signature - Base64 signature
+ * @param {string} keyId - Key the signature was made with
+ * @returns {boolean}
+ */
+function verifyAgreementPayload(data, signature, keyId) {
+  const { publicKey, keyId: currentKeyId } = getSigningKey();
+
+  if (keyId !== currentKeyId) {
+    return false;
+  }
 
-// Simple service to get QR code from e-signature endpoint
-async function getSignatureQRCode(userData) {
   try {
-    const apiUrl = process.env.E_SIGNATURE_API_URL;
+    return crypto.verify(
+      null,
+      Buffer.from(buildSignaturePayload(data)),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Verify a stored AgreementSignature record, including its image
+ * @param {Object} record - AgreementSignature
+ * @param {string} leaseId - Lease the agreement belongs to
+ * @returns {boolean}
+ */
+function verifySignatureRecord(record, leaseId) {
+  return verifyAgreementPayload(
+    {
+      agreementId: record.agreementId,
+      leaseId,
+      contentHash: record.contentHash,
+      signerId: record.signerId,
+      role: record.role,
+      signedAt: record.signedAt,
+      signatureImageHash: hashSignatureImage(record.signatureImage),
+    },
+    record.signature,
+    record.keyId
+  );
+}
 
-    if (!apiUrl) {
-      throw new Error('E_SIGNATURE_API_URL not configured');
+/**
+ * Check a drawn signature data URL
+ * @param {string} signatureImage
+ * @returns {boolean}
+ */
+function isValidSignatureImage(signatureImage) {
+  return (
+    typeof signatureImage === 'string' &&
+    signatureImage.length <= MAX_SIGNATURE_IMAGE_BYTES &&
+    SIGNATURE_IMAGE_PATTERN.test(signatureImage)
+  );
+}
+
+/**
+ * Render a typed name as an SVG signature image
+ * @param {string} name
+ * @returns {string} SVG data URL
+ */
+function createTypedSignatureImage(name) {
+  const escapedName = name
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="100" viewBox="0 0 400 100">' +
+    '<text x="200" y="65" text-anchor="middle" font-family="\'Brush Script MT\', \'Segoe Script\', cursive" font-size="40" fill="#1a1a1a">' +
+    escapedName +
+    '</text></svg>';
+
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+/**
+ * Public URL where a third party can verify an agreement
+ * @param {string} agreementId - RentalAgreement ID
+ * @returns {string}
+ */
+function getAgreementVerificationUrl(agreementId) {
+  const baseUrl = (process.env.BASE_URL || 'http://localhost:3000').replace(
+    /\/+$/,
+    ''
+  );
+  return `${baseUrl}/api/agreements/verify/${agreementId}`;
+}
+
+/**
+ * Generate a signature QR code locally. The QR code links to the public
+ * agreement verification endpoint.
+ * @param {Object} userData - { agreementId, role }
+ * @returns {Promise<string>} PNG data URL
+ */
+async function getSignatureQRCode(userData) {
+  try {
+    const url = new URL(getAgreementVerificationUrl(userData.agreementId));
+    if (userData.role) {
+      url.searchParams.set('role', userData.role);
     }
 
-    // Send data as required by your endpoint structure
-    const requestData = {
-      data: {
-        name: userData.name,
-        timestamp: userData.timestamp || new Date().toISOString(),
-      },
-    };
-
-    const response = await axios.post(apiUrl, requestData, {
-      timeout: 10000,
-      headers: {
-        'Content-Type': 'application/json',
-      },
+    return await QRCode.toDataURL(url.toString(), {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: 200,
     });
-
-    // Return QR code from your endpoint response
-    return response.data.qrCode;
   } catch (error) {
-    console.error('E-signature API error:', error.message);
+    console.error('E-signature QR code error:', error.message);
     throw error;
   }
 }
 
-module.exports = { getSignatureQRCode };
+module.exports = {
+  getSignatureQRCode,
+  getAgreementVerificationUrl,
+  getPublicKeyInfo,
+  hashSignatureImage,
+  signAgreementPayload,
+  verifyAgreementPayload,
+  verifySignatureRecord,
+  isValidSignatureImage,
+  createTypedSignatureImage,
+};
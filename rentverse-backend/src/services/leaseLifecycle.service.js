@@ -0,0 +1,188 @@
+const { prisma } = require('../config/database');
+
+/**
+ * Allowed lease status transitions.
+ * PENDING → APPROVED → ACTIVE → COMPLETED is the happy path; a lease can be
+ * rejected or cancelled before it starts and terminated early once ACTIVE.
+ */
+const LEASE_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED', 'CANCELLED'],
+  APPROVED: ['ACTIVE', 'CANCELLED'],
+  ACTIVE: ['COMPLETED', 'TERMINATED'],
+  REJECTED: [],
+  CANCELLED: [],
+  COMPLETED: [],
+  TERMINATED: [],
+};
+
+class LeaseLifecycleService {
+  /**
+   * Check whether a lease may move from one status to another
+   * @param {string} fromStatus
+   * @param {string} toStatus
+   * @returns {boolean}
+   */
+  canTransition(fromStatus, toStatus) {
+    return (LEASE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Move a lease to a new status and record the transition in lease history.
+   * This is the only place lease status should change after creation.
+   * @param {string} leaseId
+   * @param {string} toStatus
+   * @param {Object} options
+   * @param {string} options.actorId - User making the change (null = system)
+   * @param {string} options.reason - Why the status changed
+   * @param {Object} options.data - Extra lease fields to update atomically
+   * @param {Object} options.client - Existing transaction client (optional)
+   * @returns {Promise<Object>} Updated lease
+   */
+  async transition(leaseId, toStatus, options = {}) {
+    const { actorId = null, reason = null, data = {}, client } = options;
+
+    const run = async tx => {
+      const lease = await tx.lease.findUnique({
+        where: { id: leaseId },
+        select: { id: true, status: true },
+      });
+
+      if (!lease) {
+        throw new Error('Booking not found');
+      }
+
+      if (!this.canTransition(lease.status, toStatus)) {
+        throw new Error(
+          `Invalid status transition: booking cannot move from ${lease.status} to ${toStatus}`
+        );
+      }
+
+      // Guard against a concurrent transition from the same status
+      const { count } = await tx.lease.updateMany({
+        where: { id: leaseId, status: lease.status },
+        data: { ...data, status: toStatus },
+      });
+
+      if (count === 0) {
+        throw new Error('Booking status was changed by another request');
+      }
+
+      await tx.leaseHistory.create({
+        data: {
+          leaseId,
+          fromStatus: lease.status,
+          toStatus,
+          actorId,
+          reason,
+        },
+      });
+
+      return await tx.lease.findUnique({ where: { id: leaseId } });
+    };
+
+    return client ? await run(client) : await prisma.$transaction(run);
+  }
+
+  /**
+   * Record the initial status of a newly created lease
+   * @param {Object} lease - Created lease (id, status)
+   * @param {Object} options - { actorId, reason, client }
+   * @returns {Promise<Object>} History entry
+   */
+  async recordCreation(lease, options = {}) {
+    const { actorId = null, reason = null, client = prisma } = options;
+
+    return await client.leaseHistory.create({
+      data: {
+        leaseId: lease.id,
+        fromStatus: null,
+        toStatus: lease.status,
+        actorId,
+        reason,
+      },
+    });
+  }
+
+  /**
+   * Get transition history for a lease, oldest first
+   * @param {string} leaseId
+   * @returns {Promise<Array>}
+   */
+  async getHistory(leaseId) {
+    return await prisma.leaseHistory.findMany({
+      where: { leaseId },
+      include: {
+        actor: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Move every lease matching `where` to `toStatus` as the system actor.
+   * Failures are logged per lease so one bad record doesn't stop the batch.
+   * @param {Object} where
+   * @param {string} toStatus
+   * @param {string} reason
+   * @returns {Promise<number>} Number of leases transitioned
+   */
+  async transitionMany(where, toStatus, reason) {
+    const leases = await prisma.lease.findMany({
+      where,
+      select: { id: true },
+    });
+
+    let transitioned = 0;
+    for (const lease of leases) {
+      try {
+        await this.transition(lease.id, toStatus, { reason });
+        transitioned++;
+      } catch (error) {
+        console.error(
+          `❌ Failed to move lease ${lease.id} to ${toStatus}:`,
+          error.message
+        );
+      }
+    }
+
+    return transitioned;
+  }
+
+  /**
+   * Activate APPROVED leases whose start date has been reached
+   * @param {Date} now
+   * @returns {Promise<number>}
+   */
+  async activateStartedLeases(now = new Date()) {
+    return await this.transitionMany(
+      { status: 'APPROVED', startDate: { lte: now } },
+      'ACTIVE',
+      'Lease start date reached'
+    );
+  }
+
+  /**
+   * Complete ACTIVE leases whose end date has passed. The end date is the
+   * last day of the lease, so a lease stays ACTIVE for all of that day.
+   * @param {Date} now
+   * @returns {Promise<number>}
+   */
+  async completeEndedLeases(now = new Date()) {
+    const startOfToday = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+    );
+    return await this.transitionMany(
+      { status: 'ACTIVE', endDate: { lt: startOfToday } },
+      'COMPLETED',
+      'Lease end date passed'
+    );
+  }
+}
+
+module.exports = new LeaseLifecycleService();
@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+
+class MailerService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Whether SMTP credentials are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.SMTP_USER && process.env.SMTP_PASS);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.gmail.com',
+        port: process.env.SMTP_PORT || 587,
+        secure: false, // true for 465, false for other ports
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send an email. Without SMTP credentials the email is logged and skipped
+   * so notifications do not fail in development.
+   * @param {Object} message - { to, subject, html }
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  async sendMail({ to, subject, html }) {
+    if (!this.isConfigured()) {
+      console.log(
+        `📧 SMTP not configured, skipping email to ${to}: ${subject}`
+      );
+      return false;
+    }
+
+    await this.getTransporter().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      html,
+    });
+    return true;
+  }
+}
+
+module.exports = new MailerService();
@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { prisma } = require('../config/database');
+
+// RFC 6238 defaults, supported by every authenticator app
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one period before or after are accepted for clock skew
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = process.env.MFA_ISSUER || 'RentVerse';
+
+const BACKUP_CODE_COUNT = 10;
+
+// Wrong authenticator app or backup codes in a row before the user is
+// locked out of them for MFA_LOCKOUT_MS
+const MFA_MAX_ATTEMPTS = parseInt(process.env.MFA_MAX_ATTEMPTS) || 5;
+const MFA_LOCKOUT_MS =
+  (parseInt(process.env.MFA_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Time allowed between the password step of a login and its second factor
+const CHALLENGE_TOKEN_EXPIRES_IN = '10m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) of a secret for a counter
+ * @param {Buffer} key
+ * @param {number} counter
+ * @returns {string}
+ */
+function generateHotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, '0');
+}
+
+// TOTP secrets are stored encrypted (AES-256-GCM) so a database leak does
+// not expose them
+function getEncryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, 'utf8'),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map(part => part.toString('base64url'))
+    .join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, authTag, encrypted] = stored
+    .split('.')
+    .map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    'utf8'
+  );
+}
+
+// Challenge tokens are signed with their own key so they can never pass
+// as an access token
+function getChallengeTokenKey() {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update('mfa-challenge')
+    .digest();
+}
+
+function hashBackupCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+}
+
+/**
+ * Authenticator app (TOTP) MFA, backup recovery codes and the challenge
+ * tokens that carry a login from the password to the second factor
+ */
+class MfaService {
+  /**
+   * Short-lived token proving the password step of a login passed
+   * @param {Object} user - { id }
+   * @returns {string}
+   */
+  createChallengeToken(user) {
+    return jwt.sign({ sub: user.id }, getChallengeTokenKey(), {
+      expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+    });
+  }
+
+  /**
+   * @param {string} token - From createChallengeToken
+   * @returns {string} Id of the user logging in
+   */
+  verifyChallengeToken(token) {
+    try {
+      return jwt.verify(String(token), getChallengeTokenKey()).sub;
+    } catch {
+      throw new Error('Invalid or expired MFA token');
+    }
+  }
+
+  /**
+   * Time step a TOTP code matches, within the clock skew window
+   * @param {string} secret - Base32 secret
+   * @param {string} code
+   * @param {number} [now] - Unix time in milliseconds
+   * @returns {number|null} Matching time step, or null
+   */
+  findTotpStep(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const expected = generateHotp(key, currentStep + offset);
+      if (
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+      ) {
+        return currentStep + offset;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * TOTP code of a secret, for tests and scripts
+   * @param {string} secret - Base32 secret
+   * @param {number} [now] - Unix time in milliseconds
+   * @returns {string}
+   */
+  generateTotp(secret, now = Date.now()) {
+    return generateHotp(
+      base32Decode(secret),
+      Math.floor(now / 1000 / TOTP_PERIOD_SECONDS)
+    );
+  }
+
+  /**
+   * otpauth:// URI that authenticator apps scan
+   * @param {string} secret - Base32 secret
+   * @param {string} email
+   * @returns {string}
+   */
+  getOtpAuthUrl(secret, email) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  /**
+   * Start authenticator app enrollment. The secret only becomes active once
+   * a code from it is confirmed with confirmTotpEnrollment.
+   * @param {Object} user - { id, email }
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async startTotpEnrollment(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const otpauthUrl = this.getOtpAuthUrl(secret, user.email);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { mfaPendingSecret: encryptSecret(secret) },
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl, {
+        errorCorrectionLevel: 'M',
+        margin: 1,
+        width: 200,
+      }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app and switch
+   * the user to TOTP MFA
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<string[]>} New backup codes, shown to the user once
+   */
+  async confirmTotpEnrollment(userId, code) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { mfaPendingSecret: true },
+    });
+
+    if (!user?.mfaPendingSecret) {
+      throw new Error('No authenticator app enrollment in progress');
+    }
+
+    const step = this.findTotpStep(decryptSecret(user.mfaPendingSecret), code);
+    if (step === null) {
+      throw new Error('Invalid code');
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        mfaEnabled: true,
+        mfaMethod: 'TOTP',
+        mfaSecret: user.mfaPendingSecret,
+        mfaPendingSecret: null,
+        mfaTotpLastStep: step,
+        mfaVerifiedAt: new Date(),
+      },
+    });
+
+    return await this.regenerateBackupCodes(userId);
+  }
+
+  /**
+   * Check a second factor of a TOTP user: a code from the authenticator
+   * app or an unused backup code. Each code is accepted only once, and
+   * MFA_MAX_ATTEMPTS wrong codes in a row lock the user out for a while.
+   * @param {Object} user - { id, mfaSecret }
+   * @param {string} code
+   * @returns {Promise<Object|null>} { method: 'TOTP' } or
+   *   { method: 'BACKUP_CODE', remainingBackupCodes }, null if invalid
+   */
+  async verifySecondFactor(user, code) {
+    if (!user.mfaSecret) {
+      return null;
+    }
+
+    await this.takeAttempt(user.id);
+
+    const result = await this.checkSecondFactor(user, code);
+    if (result) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { mfaFailedAttempts: 0, mfaLockedUntil: null },
+      });
+      return result;
+    }
+
+    await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        mfaFailedAttempts: { gte: MFA_MAX_ATTEMPTS },
+        mfaLockedUntil: null,
+      },
+      data: { mfaLockedUntil: new Date(Date.now() + MFA_LOCKOUT_MS) },
+    });
+    return null;
+  }
+
+  /**
+   * Count a second factor attempt before the code is compared, so
+   * concurrent guesses cannot go past the limit
+   * @param {string} userId
+   */
+  async takeAttempt(userId) {
+    // Start over once an earlier lockout has run out
+    await prisma.user.updateMany({
+      where: { id: userId, mfaLockedUntil: { lte: new Date() } },
+      data: { mfaFailedAttempts: 0, mfaLockedUntil: null },
+    });
+
+    const { count } = await prisma.user.updateMany({
+      where: { id: userId, mfaFailedAttempts: { lt: MFA_MAX_ATTEMPTS } },
+      data: { mfaFailedAttempts: { increment: 1 } },
+    });
+
+    if (count === 0) {
+      throw new Error('Too many failed MFA attempts, try again later');
+    }
+  }
+
+  /**
+   * @param {Object} user - { id, mfaSecret }
+   * @param {string} code
+   * @returns {Promise<Object|null>} See verifySecondFactor
+   */
+  async checkSecondFactor(user, code) {
+    const step = this.findTotpStep(decryptSecret(user.mfaSecret), code);
+    if (step !== null) {
+      // Reject replays of a code that was already used
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          OR: [{ mfaTotpLastStep: null }, { mfaTotpLastStep: { lt: step } }],
+        },
+        data: { mfaTotpLastStep: step },
+      });
+      return count > 0 ? { method: 'TOTP' } : null;
+    }
+
+    const { count } = await prisma.mfaBackupCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashBackupCode(String(code || '')),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    return {
+      method: 'BACKUP_CODE',
+      remainingBackupCodes: await prisma.mfaBackupCode.count({
+        where: { userId: user.id, usedAt: null },
+      }),
+    };
+  }
+
+  /**
+   * Replace a user's backup codes with new ones
+   * @param {string} userId
+   * @returns {Promise<string[]>} Codes like "a1b2-c3d4", shown to the user once
+   */
+  async regenerateBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.mfaBackupCode.deleteMany({ where: { userId } }),
+      prisma.mfaBackupCode.createMany({
+        data: codes.map(code => ({ userId, codeHash: hashBackupCode(code) })),
+      }),
+    ]);
+
+    return codes;
+  }
+
+  /**
+   * Remove the authenticator app and backup codes of a user
+   * @param {string} userId
+   */
+  async removeTotp(userId) {
+    await prisma.$transaction([
+      prisma.mfaBackupCode.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          mfaSecret: null,
+          mfaPendingSecret: null,
+          mfaTotpLastStep: null,
+        },
+      }),
+    ]);
+  }
+}
+
+module.exports = new MfaService();
@@ -2,23 +2,90 @@ const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const { prisma } = require('../config/database');
 
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+// Wrong guesses allowed before a code stops working
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+// Minimum time between two codes of the same type for a user
+const OTP_RESEND_COOLDOWN_MS =
+  (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+
+// Codes are stored as a keyed hash: six digits are too few for a plain
+// hash to survive a database leak
+function getHashKey() {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update('otp')
+    .digest();
+}
+
 class OtpService {
   static generateCode() {
     return crypto.randomInt(100000, 999999).toString();
   }
 
-  static async createOtp(userId, type = 'LOGIN') {
-    const code = this.generateCode();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+  static hashCode(userId, code) {
+    return crypto
+      .createHmac('sha256', getHashKey())
+      .update(`${userId}:${code}`)
+      .digest('hex');
+  }
 
-    return await prisma.otp.create({
-      data: {
+  /**
+   * Seconds until a user may be sent a new code of a type
+   * @param {string} userId
+   * @param {string} type - OtpType
+   * @returns {Promise<number>} 0 if a code can be sent now
+   */
+  static async getResendCooldown(userId, type = 'LOGIN') {
+    const latest = await prisma.otp.findFirst({
+      where: {
         userId,
-        code,
         type,
-        expiresAt,
+        createdAt: { gt: new Date(Date.now() - OTP_RESEND_COOLDOWN_MS) },
       },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true },
     });
+
+    if (!latest) return 0;
+
+    return Math.ceil(
+      (latest.createdAt.getTime() + OTP_RESEND_COOLDOWN_MS - Date.now()) / 1000
+    );
+  }
+
+  /**
+   * Issue a code. Unused codes of the same type stop working so only the
+   * latest one sent can be used.
+   * @param {string} userId
+   * @param {string} type - OtpType
+   * @returns {Promise<Object>} The stored OTP with the plain `code`, to be
+   *   sent to the user only
+   */
+  static async createOtp(userId, type = 'LOGIN') {
+    if ((await this.getResendCooldown(userId, type)) > 0) {
+      throw new Error('Please wait before requesting a new code');
+    }
+
+    const code = this.generateCode();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MS);
+
+    const [, otp] = await prisma.$transaction([
+      prisma.otp.updateMany({
+        where: { userId, type, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+      prisma.otp.create({
+        data: {
+          userId,
+          codeHash: this.hashCode(userId, code),
+          type,
+          expiresAt,
+        },
+      }),
+    ]);
+
+    return { ...otp, code };
   }
 
   static async sendOtpEmail(email, code) {
@@ -66,26 +133,58 @@ class OtpService {
     // });
   }
 
+  /**
+   * Check a code. Every guess counts as an attempt, and the code is
+   * invalidated once the attempts run out.
+   * @param {string} userId
+   * @param {string} code
+   * @param {string} type - OtpType
+   * @returns {Promise<boolean>}
+   */
   static async verifyOtp(userId, code, type = 'LOGIN') {
     const otp = await prisma.otp.findFirst({
       where: {
         userId,
-        code,
         type,
         expiresAt: { gt: new Date() },
         usedAt: null,
       },
+      orderBy: { createdAt: 'desc' },
     });
 
     if (!otp) return false;
 
-    // Mark as used
-    await prisma.otp.update({
-      where: { id: otp.id },
+    // Take an attempt before comparing, so concurrent guesses cannot go
+    // past the limit
+    const { count: attempted } = await prisma.otp.updateMany({
+      where: { id: otp.id, usedAt: null, attempts: { lt: OTP_MAX_ATTEMPTS } },
+      data: { attempts: { increment: 1 } },
+    });
+
+    if (attempted === 0) return false;
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(userId, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      await prisma.otp.updateMany({
+        where: {
+          id: otp.id,
+          usedAt: null,
+          attempts: { gte: OTP_MAX_ATTEMPTS },
+        },
+        data: { usedAt: new Date() },
+      });
+      return false;
+    }
+
+    // Mark as used; only one of two concurrent requests gets the code
+    const { count } = await prisma.otp.updateMany({
+      where: { id: otp.id, usedAt: null },
       data: { usedAt: new Date() },
     });
 
-    return true;
+    return count === 1;
   }
 
   static async sendOtp(userId, method = 'EMAIL') {
@@ -0,0 +1,55 @@
+const MockPaymentProvider = require('./paymentProviders/mock.provider');
+
+const REQUIRED_METHODS = ['createCheckoutSession', 'verifyWebhook', 'refund'];
+
+/**
+ * Registry of payment providers.
+ * A provider is any object with a unique `name` plus:
+ *   - createCheckoutSession({ txnRef, amount, currencyCode, description, simulate })
+ *       -> { sessionId, checkoutUrl, expiresAt }
+ *   - verifyWebhook(rawBody, headers)
+ *       -> { eventId, txnRef, status: COMPLETED|FAILED|REFUNDED, amount }
+ *   - refund({ txnRef, amount }) -> { refundRef, status }
+ * Real gateways (FPX, Stripe, ...) plug in through registerProvider().
+ */
+class PaymentGatewayService {
+  constructor() {
+    this.providers = new Map();
+
+    // Mock provider is only available when asked for
+    if (process.env.MOCK_PAYMENTS_ENABLED === 'true') {
+      this.registerProvider(new MockPaymentProvider());
+    }
+  }
+
+  registerProvider(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Payment provider must have a name');
+    }
+
+    const missing = REQUIRED_METHODS.filter(
+      method => typeof provider[method] !== 'function'
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Payment provider "${provider.name}" is missing: ${missing.join(', ')}`
+      );
+    }
+
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unsupported payment provider: ${name}`);
+    }
+    return provider;
+  }
+
+  listProviders() {
+    return Array.from(this.providers.keys());
+  }
+}
+
+module.exports = new PaymentGatewayService();
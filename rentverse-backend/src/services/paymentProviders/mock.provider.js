@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60; // 5 minutes
+
+const EVENT_STATUS = {
+  'payment.succeeded': 'COMPLETED',
+  'payment.failed': 'FAILED',
+  'payment.refunded': 'REFUNDED',
+};
+
+/**
+ * Local mock payment provider.
+ * Simulates a hosted checkout by delivering a signed webhook back to
+ * /api/payments/webhook/mock after an optional delay, so complete payment
+ * flows can be exercised offline.
+ */
+class MockPaymentProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.webhookSecret =
+      options.webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+    // Anyone who knows the secret can mark payments as completed, so there
+    // is no built-in default
+    if (!this.webhookSecret) {
+      throw new Error(
+        'MOCK_PAYMENT_WEBHOOK_SECRET is required for the mock payment provider'
+      );
+    }
+    this.webhookUrl =
+      options.webhookUrl ||
+      `${process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`}/api/payments/webhook/mock`;
+  }
+
+  /**
+   * Sign a raw payload the same way a real gateway would
+   * @param {string} rawBody
+   * @param {number} timestamp - Unix seconds
+   * @returns {string} Signature header value
+   */
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Build a signed webhook event (used for simulation and manual testing)
+   * @param {string} type - payment.succeeded | payment.failed | payment.refunded
+   * @param {Object} data - { txnRef, amount, currencyCode }
+   * @returns {Object} { rawBody, headers }
+   */
+  buildSignedEvent(type, data) {
+    const rawBody = JSON.stringify({
+      id: `evt_${uuidv4()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+
+    return {
+      rawBody,
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: this.sign(rawBody),
+      },
+    };
+  }
+
+  /**
+   * Create a checkout session
+   * @param {Object} params
+   * @param {string} params.txnRef - Our transaction reference
+   * @param {number} params.amount
+   * @param {string} params.currencyCode
+   * @param {Object} params.simulate - { outcome: success|failure|none, delayMs }
+   * @returns {Promise<Object>}
+   */
+  async createCheckoutSession(params) {
+    const { txnRef, amount, currencyCode, simulate = {} } = params;
+    const { outcome = 'success', delayMs = 2000 } = simulate;
+
+    const sessionId = `cs_mock_${uuidv4()}`;
+
+    if (outcome === 'success' || outcome === 'failure') {
+      const type =
+        outcome === 'success' ? 'payment.succeeded' : 'payment.failed';
+      const timer = setTimeout(() => {
+        this.deliverWebhook(type, { txnRef, amount, currencyCode });
+      }, delayMs);
+      timer.unref();
+    }
+
+    return {
+      sessionId,
+      checkoutUrl: `mock://checkout/${sessionId}`,
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000), // 30 minutes
+      simulated: { outcome, delayMs },
+    };
+  }
+
+  /**
+   * POST a signed event to our own webhook endpoint
+   * @param {string} type
+   * @param {Object} data
+   */
+  async deliverWebhook(type, data) {
+    const { rawBody, headers } = this.buildSignedEvent(type, data);
+
+    try {
+      await axios.post(this.webhookUrl, rawBody, { headers, timeout: 10000 });
+      console.log(`💳 Mock webhook delivered: ${type} for ${data.txnRef}`);
+    } catch (error) {
+      console.error('❌ Mock webhook delivery failed:', error.message);
+    }
+  }
+
+  /**
+   * Verify a webhook signature and normalize the event
+   * @param {Buffer|string} rawBody
+   * @param {Object} headers
+   * @returns {Object} { eventId, txnRef, status, amount }
+   */
+  verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const parts = Object.fromEntries(
+      header.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t);
+
+    if (
+      !timestamp ||
+      Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS
+    ) {
+      throw new Error('Invalid webhook signature: timestamp outside tolerance');
+    }
+
+    const expected = this.sign(rawBody.toString(), timestamp);
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(header.replace(/\s/g, ''));
+
+    if (
+      expectedBuffer.length !== actualBuffer.length ||
+      !crypto.timingSafeEqual(expectedBuffer, actualBuffer)
+    ) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const status = EVENT_STATUS[event.type];
+
+    if (!status) {
+      throw new Error(`Unsupported webhook event type: ${event.type}`);
+    }
+
+    return {
+      eventId: event.id,
+      txnRef: event.data?.txnRef,
+      status,
+      amount: event.data?.amount,
+    };
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {Object} params - { txnRef, amount }
+   * @returns {Promise<Object>}
+   */
+  async refund(params) {
+    return {
+      refundRef: `re_mock_${uuidv4()}`,
+      txnRef: params.txnRef,
+      amount: params.amount,
+      status: 'REFUNDED',
+    };
+  }
+}
+
+module.exports = MockPaymentProvider;
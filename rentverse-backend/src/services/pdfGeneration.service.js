@@ -1,8 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const ejs = require('ejs');
 const puppeteer = require('puppeteer');
-const { getSignatureQRCode } = require('./eSignature.service');
+const {
+  getSignatureQRCode,
+  getPublicKeyInfo,
+  verifySignatureRecord,
+} = require('./eSignature.service');
+const agreementTemplateService = require('./agreementTemplate.service');
 const { prisma } = require('../config/database');
 const {
   cloudinary,
@@ -12,6 +18,15 @@ const {
 const { v4: uuidv4 } = require('uuid');
 
 class PDFGenerationService {
+  /**
+   * SHA256 of a PDF file, stored so uploaded copies can be verified later
+   * @param {Buffer} pdfBuffer
+   * @returns {string}
+   */
+  hashPDF(pdfBuffer) {
+    return crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+  }
+
   /**
    * Upload PDF buffer to Cloudinary using signed upload
    * @param {Buffer} pdfBuffer
@@ -283,208 +298,347 @@ class PDFGenerationService {
   }
 
   /**
-   * Generate rental agreement PDF and upload to Cloudinary
-   * @param {string} leaseId
-   * @returns {Promise<Object>} Cloudinary upload result + RentalAgreement record
+   * Render an EJS template from /templates and print it to an A4 PDF
+   * @param {string} templateName - File name inside /templates
+   * @param {Object} templateData
+   * @returns {Promise<Buffer>}
+   */
+  async renderTemplateToPDF(templateName, templateData) {
+    const templatePath = path.join(__dirname, '../../templates', templateName);
+    console.log('📖 Reading template from:', templatePath);
+
+    if (!fs.existsSync(templatePath)) {
+      throw new Error(`Template file not found: ${templatePath}`);
+    }
+
+    const templateContent = fs.readFileSync(templatePath, 'utf-8');
+    return await this.renderContentToPDF(templateContent, templateData);
+  }
+
+  /**
+   * Render EJS source (e.g. a stored template version) to an A4 PDF.
+   * EJS runs the template as JavaScript in this process, so the source must
+   * be trusted: a file in /templates or a version published by an admin
+   * (see agreementTemplatesService.validateTemplateContent).
+   * @param {string} templateContent - EJS source
+   * @param {Object} templateData
+   * @returns {Promise<Buffer>}
+   */
+  async renderContentToPDF(templateContent, templateData) {
+    console.log('⚡ Rendering EJS template...');
+    const html = ejs.render(templateContent, templateData);
+
+    console.log('🌐 Launching browser for PDF generation...');
+
+    const chromePath = this.getChromePath();
+    const launchOptions = {
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+      ],
+    };
+
+    if (chromePath) {
+      launchOptions.executablePath = chromePath;
+    }
+
+    const browser = await puppeteer.launch(launchOptions);
+    const page = await browser.newPage();
+
+    await page.setContent(html, {
+      waitUntil: 'networkidle0',
+      timeout: 30000,
+    });
+
+    console.log('📄 Generating PDF...');
+    const pdfBuffer = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: {
+        top: '20px',
+        bottom: '20px',
+        left: '20px',
+        right: '20px',
+      },
+      preferCSSPageSize: true,
+    });
+
+    await browser.close();
+    console.log(
+      `✅ PDF generated successfully! Size: ${Math.round(pdfBuffer.length / 1024)} KB`
+    );
+
+    return pdfBuffer;
+  }
+
+  /**
+   * Save PDF locally with Cloudinary as backup
+   * @param {Buffer} pdfBuffer
+   * @param {string} fileName
+   * @returns {Promise<Object>} { url, publicId, fileName, size }
    */
-  async generateAndUploadRentalAgreementPDF(leaseId) {
+  async savePDF(pdfBuffer, fileName) {
+    console.log('💾 Saving PDF locally...');
+
+    let uploadResult;
     try {
-      console.log(
-        `🚀 Starting rental agreement PDF generation for lease: ${leaseId}`
+      // Primary: Save to local storage
+      uploadResult = await this.saveToLocalStorage(pdfBuffer, fileName);
+      console.log('✅ PDF saved to local storage successfully!');
+    } catch (localStorageError) {
+      console.warn(
+        '⚠️  Local storage failed, trying Cloudinary backup...',
+        localStorageError.message
       );
 
-      // 1. Get lease data dengan relasi lengkap
-      const lease = await prisma.lease.findUnique({
-        where: { id: leaseId },
-        include: {
-          property: {
-            include: {
-              propertyType: true,
-              amenities: {
-                include: {
-                  amenity: true,
-                },
+      try {
+        // Backup: Upload to Cloudinary with signed method
+        uploadResult = await this.uploadPDFToCloudinary(pdfBuffer, fileName);
+        console.log('✅ PDF uploaded to Cloudinary successfully as backup!');
+      } catch (cloudinaryError) {
+        console.error('❌ Both local storage and Cloudinary failed:', {
+          localError: localStorageError.message,
+          cloudinaryError: cloudinaryError.message,
+        });
+        throw new Error(
+          `Failed to save PDF: Local storage failed (${localStorageError.message}), Cloudinary backup also failed (${cloudinaryError.message})`
+        );
+      }
+    }
+
+    return uploadResult;
+  }
+
+  /**
+   * Get lease with everything the rental agreement template needs
+   * @param {string} leaseId
+   * @returns {Promise<Object|null>}
+   */
+  async findLeaseForAgreement(leaseId) {
+    return await prisma.lease.findUnique({
+      where: { id: leaseId },
+      include: {
+        property: {
+          include: {
+            propertyType: true,
+            amenities: {
+              include: {
+                amenity: true,
               },
             },
           },
-          tenant: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              name: true,
-              phone: true,
-            },
+        },
+        tenant: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            name: true,
+            phone: true,
           },
-          landlord: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              name: true,
-              phone: true,
-            },
+        },
+        landlord: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            name: true,
+            phone: true,
           },
         },
+      },
+    });
+  }
+
+  /**
+   * Build the data passed to a rental agreement template.
+   * Parties that signed get their signature image; the audit page is only
+   * included once someone has signed.
+   * @param {Object} lease - See findLeaseForAgreement
+   * @param {Object} agreement - { id, generatedAt, contentHash, customClauses, signatures }
+   * @returns {Promise<Object>}
+   */
+  async buildAgreementTemplateData(lease, agreement) {
+    const signatureRecords = agreement.signatures || [];
+    const generatedAt = new Date(agreement.generatedAt);
+
+    const buildSignatureBlock = async (role, party) => {
+      const record = signatureRecords.find(s => s.role === role);
+      const qrCode = await getSignatureQRCode({
+        agreementId: agreement.id,
+        role: role.toLowerCase(),
       });
 
-      if (!lease) {
-        throw new Error(`Lease with ID ${leaseId} not found`);
+      if (!record) {
+        return {
+          qrCode,
+          signDate: generatedAt.toLocaleDateString('id-ID'),
+          name: party.name,
+        };
       }
 
-      console.log(
-        `📋 Retrieved lease data for property: ${lease.property.title}`
-      );
-
-      // 2. Generate QR codes for signatures
-      console.log('📝 Generating e-signature QR codes...');
-
-      const landlordSignData = {
-        name: lease.landlord.name,
-        timestamp: new Date().toISOString(),
-        leaseId: lease.id,
-        role: 'landlord',
+      return {
+        image: record.signatureImage,
+        qrCode,
+        signDate: record.signedAt.toLocaleDateString('id-ID'),
+        name: record.signerName,
       };
+    };
 
-      const tenantSignData = {
-        name: lease.tenant.name,
-        timestamp: new Date().toISOString(),
-        leaseId: lease.id,
-        role: 'tenant',
-      };
+    const [landlordSignature, tenantSignature] = await Promise.all([
+      buildSignatureBlock('LANDLORD', lease.landlord),
+      buildSignatureBlock('TENANT', lease.tenant),
+    ]);
+
+    const templateData = {
+      rentalAgreement: {
+        id: `RA-${lease.id.slice(-8).toUpperCase()}-${generatedAt.getFullYear()}`,
+      },
+      lease: lease,
+      signatures: {
+        landlord: landlordSignature,
+        tenant: tenantSignature,
+      },
+      customClauses: agreement.customClauses || [],
+    };
 
-      const [landlordQRCode, tenantQRCode] = await Promise.all([
-        getSignatureQRCode(landlordSignData),
-        getSignatureQRCode(tenantSignData),
-      ]);
+    if (signatureRecords.length > 0) {
+      const { keyId, algorithm } = getPublicKeyInfo();
+
+      templateData.audit = {
+        agreementId: agreement.id,
+        contentHash: agreement.contentHash,
+        keyId,
+        algorithm,
+        generatedAt: new Date().toISOString(),
+        entries: signatureRecords.map(record => ({
+          role: record.role,
+          signerName: record.signerName,
+          signerEmail: record.signerEmail,
+          signatureType: record.signatureType,
+          signedAt: record.signedAt.toISOString(),
+          ipAddress: record.ipAddress,
+          userAgent: record.userAgent,
+          signature: record.signature,
+          keyId: record.keyId,
+          verified: verifySignatureRecord(record, lease.id),
+        })),
+      };
+    }
 
-      console.log('✅ QR codes generated successfully');
+    return templateData;
+  }
 
-      // 3. Prepare data untuk template EJS
-      const templateData = {
-        rentalAgreement: {
-          id: `RA-${lease.id.slice(-8).toUpperCase()}-${new Date().getFullYear()}`,
-        },
-        lease: lease,
-        signatures: {
-          landlord: {
-            qrCode: landlordQRCode,
-            signDate: new Date().toLocaleDateString('id-ID'),
-            name: lease.landlord.name,
-          },
-          tenant: {
-            qrCode: tenantQRCode,
-            signDate: new Date().toLocaleDateString('id-ID'),
-            name: lease.tenant.name,
-          },
-        },
-      };
+  /**
+   * Get the EJS source an existing agreement was rendered with.
+   * Agreements created before templates were versioned use the built-in file.
+   * @param {Object} agreement - RentalAgreement with templateVersion
+   * @returns {string}
+   */
+  getAgreementTemplateContent(agreement) {
+    return agreement.templateVersion
+      ? agreement.templateVersion.content
+      : agreementTemplateService.readBuiltInTemplate(agreement.language);
+  }
 
-      // 4. Read dan render EJS template
-      const templatePath = path.join(
-        __dirname,
-        '../../templates/rental-agreement.ejs'
+  /**
+   * Generate rental agreement PDF and upload to Cloudinary
+   * @param {string} leaseId
+   * @param {Object} options - { language: EN|MS }
+   * @returns {Promise<Object>} Cloudinary upload result + RentalAgreement record
+   */
+  async generateAndUploadRentalAgreementPDF(leaseId, options = {}) {
+    try {
+      console.log(
+        `🚀 Starting rental agreement PDF generation for lease: ${leaseId}`
       );
-      console.log('📖 Reading template from:', templatePath);
-
-      if (!fs.existsSync(templatePath)) {
-        throw new Error(`Template file not found: ${templatePath}`);
-      }
 
-      const templateContent = fs.readFileSync(templatePath, 'utf-8');
-      console.log('⚡ Rendering EJS template...');
-      const html = ejs.render(templateContent, templateData);
-
-      // 5. Generate PDF menggunakan Puppeteer
-      console.log('🌐 Launching browser for PDF generation...');
-
-      const chromePath = this.getChromePath();
-      const launchOptions = {
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-        ],
-      };
+      // 1. Get lease data dengan relasi lengkap
+      const lease = await this.findLeaseForAgreement(leaseId);
 
-      if (chromePath) {
-        launchOptions.executablePath = chromePath;
+      if (!lease) {
+        throw new Error(`Lease with ID ${leaseId} not found`);
       }
 
-      const browser = await puppeteer.launch(launchOptions);
-      const page = await browser.newPage();
-
-      await page.setContent(html, {
-        waitUntil: 'networkidle0',
-        timeout: 30000,
-      });
+      console.log(
+        `📋 Retrieved lease data for property: ${lease.property.title}`
+      );
 
-      console.log('📄 Generating PDF...');
-      const pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20px',
-          bottom: '20px',
-          left: '20px',
-          right: '20px',
-        },
-        preferCSSPageSize: true,
-      });
+      // 2. Pick template version and landlord clauses
+      const language = agreementTemplateService.normalizeLanguage(
+        options.language
+      );
+      const [templateVersion, customClauses] = await Promise.all([
+        agreementTemplateService.resolveTemplateVersion(
+          {
+            landlordId: lease.landlordId,
+            propertyTypeId: lease.property.propertyTypeId,
+          },
+          language
+        ),
+        agreementTemplateService.getCustomClauses(lease, language),
+      ]);
 
-      await browser.close();
       console.log(
-        `✅ PDF generated successfully! Size: ${Math.round(pdfBuffer.length / 1024)} KB`
+        `📝 Using template ${templateVersion.template.code} v${templateVersion.version} (${language})`
       );
 
-      // 6. Save PDF locally with Cloudinary as backup
-      console.log('💾 Saving PDF locally...');
-      const fileName = `rental-agreement-${lease.id}`;
+      // 3. Prepare data untuk template EJS
+      // The agreement ID is assigned up front so the QR codes can link to
+      // the public verification endpoint. The lease is rendered from a JSON
+      // snapshot that is stored with the agreement, so later renders show
+      // the same terms even if the lease or property changes.
+      const agreementId = uuidv4();
+      const generatedAt = new Date();
+      const leaseSnapshot = JSON.parse(JSON.stringify(lease));
+
+      const templateData = await this.buildAgreementTemplateData(
+        leaseSnapshot,
+        {
+          id: agreementId,
+          generatedAt,
+          customClauses,
+        }
+      );
 
-      let uploadResult;
-      try {
-        // Primary: Save to local storage
-        uploadResult = await this.saveToLocalStorage(pdfBuffer, fileName);
-        console.log('✅ PDF saved to local storage successfully!');
-      } catch (localStorageError) {
-        console.warn(
-          '⚠️  Local storage failed, trying Cloudinary backup...',
-          localStorageError.message
-        );
+      // 4. Render template dan generate PDF menggunakan Puppeteer
+      const pdfBuffer = await this.renderContentToPDF(
+        templateVersion.content,
+        templateData
+      );
 
-        try {
-          // Backup: Upload to Cloudinary with signed method
-          uploadResult = await this.uploadPDFToCloudinary(pdfBuffer, fileName);
-          console.log('✅ PDF uploaded to Cloudinary successfully as backup!');
-        } catch (cloudinaryError) {
-          console.error('❌ Both local storage and Cloudinary failed:', {
-            localError: localStorageError.message,
-            cloudinaryError: cloudinaryError.message,
-          });
-          throw new Error(
-            `Failed to save PDF: Local storage failed (${localStorageError.message}), Cloudinary backup also failed (${cloudinaryError.message})`
-          );
-        }
-      }
+      // 5. Save PDF locally with Cloudinary as backup
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        `rental-agreement-${lease.id}`
+      );
 
       console.log('📍 PDF URL:', uploadResult.url);
 
-      // 7. Simpan record RentalAgreement ke database
+      // 6. Simpan record RentalAgreement ke database
       console.log('💾 Saving rental agreement record to database...');
       const rentalAgreement = await prisma.rentalAgreement.create({
         data: {
+          id: agreementId,
           leaseId: lease.id,
           pdfUrl: uploadResult.url,
           publicId: uploadResult.publicId,
           fileName: uploadResult.fileName,
           fileSize: uploadResult.size,
+          pdfHash: this.hashPDF(pdfBuffer),
+          generatedAt,
+          language,
+          templateVersionId: templateVersion.id,
+          customClauses,
+          leaseSnapshot,
         },
       });
 
@@ -512,6 +666,205 @@ class PDFGenerationService {
     }
   }
 
+  /**
+   * Re-render an existing agreement with the template version, clauses and
+   * lease snapshot it was generated with. Signatures are included when
+   * present.
+   * @param {string} agreementId
+   * @returns {Promise<Object>} { agreement, pdfBuffer }
+   */
+  async renderRentalAgreementPDF(agreementId) {
+    const agreement = await prisma.rentalAgreement.findUnique({
+      where: { id: agreementId },
+      include: {
+        templateVersion: true,
+        signatures: {
+          orderBy: { signedAt: 'asc' },
+        },
+      },
+    });
+
+    if (!agreement) {
+      throw new Error('Rental agreement not found');
+    }
+
+    // Agreements generated before snapshots were stored use the current lease
+    const lease =
+      agreement.leaseSnapshot ||
+      (await this.findLeaseForAgreement(agreement.leaseId));
+    const templateData = await this.buildAgreementTemplateData(
+      lease,
+      agreement
+    );
+
+    const pdfBuffer = await this.renderContentToPDF(
+      this.getAgreementTemplateContent(agreement),
+      templateData
+    );
+
+    return { agreement, pdfBuffer };
+  }
+
+  /**
+   * Re-render the rental agreement once it is fully signed, embedding each
+   * party's signature block and an audit page with the signature evidence
+   * @param {string} leaseId
+   * @returns {Promise<Object>} Updated RentalAgreement record
+   */
+  async generateSignedAgreementPDF(leaseId) {
+    try {
+      console.log(
+        `🚀 Starting signed rental agreement PDF generation for lease: ${leaseId}`
+      );
+
+      const agreement = await prisma.rentalAgreement.findUnique({
+        where: { leaseId },
+        select: { id: true },
+      });
+
+      if (!agreement) {
+        throw new Error('Rental agreement not found for this lease');
+      }
+
+      const { pdfBuffer } = await this.renderRentalAgreementPDF(agreement.id);
+
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        `rental-agreement-${leaseId}-signed`
+      );
+
+      console.log('📍 Signed PDF URL:', uploadResult.url);
+
+      return await prisma.rentalAgreement.update({
+        where: { id: agreement.id },
+        data: {
+          signedPdfUrl: uploadResult.url,
+          signedPublicId: uploadResult.publicId,
+          signedFileName: uploadResult.fileName,
+          signedPdfHash: this.hashPDF(pdfBuffer),
+        },
+      });
+    } catch (error) {
+      console.error(
+        '❌ Error generating signed rental agreement PDF:',
+        error.message
+      );
+      throw new Error(
+        `Failed to generate signed rental agreement PDF: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Generate the addendum PDF for an accepted lease extension
+   * @param {string} extensionId
+   * @returns {Promise<Object>} Updated LeaseExtension record
+   */
+  async generateLeaseAddendumPDF(extensionId) {
+    try {
+      console.log(
+        `🚀 Starting lease addendum PDF generation for extension: ${extensionId}`
+      );
+
+      const extension = await prisma.leaseExtension.findUnique({
+        where: { id: extensionId },
+        include: {
+          lease: {
+            include: {
+              property: true,
+              tenant: {
+                select: {
+                  id: true,
+                  email: true,
+                  firstName: true,
+                  lastName: true,
+                  name: true,
+                  phone: true,
+                },
+              },
+              landlord: {
+                select: {
+                  id: true,
+                  email: true,
+                  firstName: true,
+                  lastName: true,
+                  name: true,
+                  phone: true,
+                },
+              },
+              agreement: {
+                select: { id: true, createdAt: true },
+              },
+            },
+          },
+        },
+      });
+
+      if (!extension) {
+        throw new Error(`Lease extension with ID ${extensionId} not found`);
+      }
+
+      const { lease } = extension;
+
+      // The QR codes verify the agreement the addendum amends; leases
+      // without one get no QR codes
+      const agreementId = lease.agreement?.id;
+      const [landlordQRCode, tenantQRCode] = agreementId
+        ? await Promise.all([
+            getSignatureQRCode({ agreementId, role: 'landlord' }),
+            getSignatureQRCode({ agreementId, role: 'tenant' }),
+          ])
+        : [null, null];
+
+      const templateData = {
+        addendum: {
+          id: `RA-${lease.id.slice(-8).toUpperCase()}-A${extension.id.slice(0, 4).toUpperCase()}`,
+          agreementId: `RA-${lease.id.slice(-8).toUpperCase()}-${new Date(lease.agreement?.createdAt || lease.createdAt).getFullYear()}`,
+        },
+        extension,
+        lease,
+        signatures: {
+          landlord: {
+            qrCode: landlordQRCode,
+            signDate: new Date().toLocaleDateString('id-ID'),
+            name: lease.landlord.name,
+          },
+          tenant: {
+            qrCode: tenantQRCode,
+            signDate: new Date().toLocaleDateString('id-ID'),
+            name: lease.tenant.name,
+          },
+        },
+      };
+
+      const pdfBuffer = await this.renderTemplateToPDF(
+        'lease-addendum.ejs',
+        templateData
+      );
+
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        `lease-addendum-${extension.id}`
+      );
+
+      console.log('📍 PDF URL:', uploadResult.url);
+
+      return await prisma.leaseExtension.update({
+        where: { id: extension.id },
+        data: {
+          addendumPdfUrl: uploadResult.url,
+          addendumPublicId: uploadResult.publicId,
+          addendumFileName: uploadResult.fileName,
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error generating lease addendum PDF:', error.message);
+      throw new Error(
+        `Failed to generate lease addendum PDF: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Get rental agreement PDF for a lease
    * @param {string} leaseId
@@ -0,0 +1,280 @@
+/**
+ * How strongly each kind of interaction says "show me more like this".
+ * Only ratings of 4 stars or more (RECOMMENDATION_MIN_RATING in
+ * properties.service) count as a RATED signal.
+ */
+const SIGNAL_WEIGHTS = {
+  BOOKED: 4,
+  FAVORITED: 3,
+  RATED: 3,
+  VIEWED: 1,
+};
+
+const SIGNAL_VERBS = {
+  BOOKED: 'booked',
+  FAVORITED: 'saved',
+  RATED: 'rated',
+  VIEWED: 'viewed',
+};
+
+// Share of each attribute in the similarity between two listings
+const SIMILARITY_WEIGHTS = {
+  city: 0.3,
+  price: 0.25,
+  propertyType: 0.2,
+  bedrooms: 0.1,
+  amenities: 0.15,
+};
+
+// Similar listings on a property page weigh distance instead of city. The
+// city is used when either listing has no coordinates.
+const SIMILAR_LISTING_WEIGHTS = {
+  distance: 0.3,
+  price: 0.25,
+  propertyType: 0.15,
+  bedrooms: 0.15,
+  amenities: 0.15,
+};
+
+// Distance score falls from 1 at the same spot to 0 at this distance
+const SIMILAR_LISTING_MAX_DISTANCE_KM = 10;
+
+// Listings within this ratio of each other's price are in the same band
+const PRICE_BAND_RATIO = 0.25;
+
+// Final score = similarity * (1 - POPULARITY_WEIGHT) + popularity * POPULARITY_WEIGHT
+const POPULARITY_WEIGHT = 0.2;
+
+const MATCH_LABELS = {
+  city: 'Same city',
+  price: 'Similar price',
+  propertyType: 'Same property type',
+  bedrooms: 'Same number of bedrooms',
+  amenities: 'Similar amenities',
+  distance: 'Nearby',
+};
+
+function amenityIdsOf(property) {
+  return new Set(
+    (property.amenities || []).map(item => item.amenityId || item.amenity?.id)
+  );
+}
+
+class RecommendationService {
+  /**
+   * Weight of an interaction signal
+   * @param {string} type - BOOKED, FAVORITED, RATED or VIEWED
+   * @returns {number}
+   */
+  getSignalWeight(type) {
+    return SIGNAL_WEIGHTS[type] || 0;
+  }
+
+  /**
+   * Similarity between two listings on city, price band, type, bedrooms
+   * and amenities
+   * @param {Object} candidate - Property with amenities
+   * @param {Object} reference - Property with amenities
+   * @param {Object} [weights] - Share of each attribute, SIMILARITY_WEIGHTS by default
+   * @param {number|null} [distanceKm] - Distance between the listings, for `distance` weights
+   * @returns {Object} { score: 0..1, matches: string[] }
+   */
+  compareProperties(
+    candidate,
+    reference,
+    weights = SIMILARITY_WEIGHTS,
+    distanceKm = null
+  ) {
+    const parts = {};
+
+    parts.distance =
+      distanceKm === null
+        ? 0
+        : Math.max(0, 1 - distanceKm / SIMILAR_LISTING_MAX_DISTANCE_KM);
+
+    parts.city =
+      candidate.city &&
+      reference.city &&
+      candidate.city.trim().toLowerCase() ===
+        reference.city.trim().toLowerCase()
+        ? 1
+        : 0;
+
+    const candidatePrice = parseFloat(candidate.price);
+    const referencePrice = parseFloat(reference.price);
+    if (
+      candidate.currencyCode === reference.currencyCode &&
+      candidatePrice > 0 &&
+      referencePrice > 0
+    ) {
+      const difference =
+        Math.abs(candidatePrice - referencePrice) / referencePrice;
+      // Full score inside the band, fading to 0 at twice the band
+      parts.price =
+        difference <= PRICE_BAND_RATIO
+          ? 1
+          : Math.max(0, 2 - difference / PRICE_BAND_RATIO);
+    } else {
+      parts.price = 0;
+    }
+
+    parts.propertyType =
+      candidate.propertyTypeId === reference.propertyTypeId ? 1 : 0;
+
+    const bedroomDifference = Math.abs(
+      (candidate.bedrooms || 0) - (reference.bedrooms || 0)
+    );
+    parts.bedrooms =
+      bedroomDifference === 0 ? 1 : bedroomDifference === 1 ? 0.5 : 0;
+
+    const candidateAmenities = amenityIdsOf(candidate);
+    const referenceAmenities = amenityIdsOf(reference);
+    if (referenceAmenities.size > 0) {
+      const shared = [...referenceAmenities].filter(id =>
+        candidateAmenities.has(id)
+      ).length;
+      parts.amenities = shared / referenceAmenities.size;
+    } else {
+      parts.amenities = 0;
+    }
+
+    let score = 0;
+    const matches = [];
+    for (const [name, weight] of Object.entries(weights)) {
+      score += parts[name] * weight;
+      if (parts[name] >= 0.5) {
+        matches.push(MATCH_LABELS[name]);
+      }
+    }
+
+    return { score, matches };
+  }
+
+  /**
+   * Similarity of a comparable listing to the listing on a property page,
+   * using distance when both have coordinates and the city otherwise
+   * @param {Object} candidate - Property with amenities
+   * @param {Object} reference - Property with amenities
+   * @param {number|null} distanceKm
+   * @returns {Object} { score: 0..1, matches: string[] }
+   */
+  compareSimilarListing(candidate, reference, distanceKm = null) {
+    if (distanceKm === null) {
+      const { distance, ...weights } = SIMILAR_LISTING_WEIGHTS;
+      return this.compareProperties(candidate, reference, {
+        ...weights,
+        city: distance,
+      });
+    }
+    return this.compareProperties(
+      candidate,
+      reference,
+      SIMILAR_LISTING_WEIGHTS,
+      distanceKm
+    );
+  }
+
+  /**
+   * Popularity of a listing from its recent views, favorites and ratings.
+   * Not normalized; see rankCandidates.
+   * @param {Object} stats - { viewCount, favoriteCount, averageRating, totalRatings }
+   * @returns {number}
+   */
+  getPopularity(stats) {
+    return (
+      Math.log1p(stats.viewCount || 0) +
+      2 * Math.log1p(stats.favoriteCount || 0) +
+      ((stats.averageRating || 0) / 5) * Math.log1p(stats.totalRatings || 0)
+    );
+  }
+
+  /**
+   * Rank candidate listings by similarity to the listings a user interacted
+   * with, blended with popularity. Without signals candidates are ranked by
+   * popularity alone.
+   * @param {Array} candidates - [{ property, stats }]
+   * @param {Array} signals - [{ type, property }] Interacted listings
+   * @returns {Array} [{ property, score, similarity, popularity, reason }] best first
+   */
+  rankCandidates(candidates, signals = []) {
+    const popularities = candidates.map(({ stats }) =>
+      this.getPopularity(stats)
+    );
+    const maxPopularity = Math.max(0, ...popularities);
+    const totalSignalWeight = signals.reduce(
+      (sum, signal) => sum + this.getSignalWeight(signal.type),
+      0
+    );
+
+    const ranked = candidates.map(({ property }, index) => {
+      const popularity =
+        maxPopularity > 0 ? popularities[index] / maxPopularity : 0;
+
+      if (totalSignalWeight === 0) {
+        return {
+          property,
+          score: popularity,
+          similarity: 0,
+          popularity,
+          reason: {
+            type: 'POPULAR',
+            message: 'Popular with other renters',
+          },
+        };
+      }
+
+      // Weighted average similarity to everything the user interacted with.
+      // The single strongest signal becomes the explanation.
+      let similarity = 0;
+      let best = null;
+      for (const signal of signals) {
+        const weight = this.getSignalWeight(signal.type);
+        const comparison = this.compareProperties(property, signal.property);
+        similarity += (comparison.score * weight) / totalSignalWeight;
+
+        const strength = comparison.score * weight;
+        if (!best || strength > best.strength) {
+          best = { strength, signal, comparison };
+        }
+      }
+
+      const score =
+        similarity * (1 - POPULARITY_WEIGHT) + popularity * POPULARITY_WEIGHT;
+
+      return {
+        property,
+        score,
+        similarity,
+        popularity,
+        reason: this.explain(best),
+      };
+    });
+
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Explanation shown with a recommendation
+   * @param {Object|null} best - { signal, comparison } Strongest signal
+   * @returns {Object} { type, propertyId, propertyTitle, matches, message }
+   */
+  explain(best) {
+    if (!best || best.comparison.score === 0) {
+      return {
+        type: 'POPULAR',
+        message: 'Popular with other renters',
+      };
+    }
+
+    const { signal, comparison } = best;
+    return {
+      type: signal.type,
+      propertyId: signal.property.id,
+      propertyTitle: signal.property.title,
+      matches: comparison.matches,
+      message: `Because you ${SIGNAL_VERBS[signal.type]} ${signal.property.title}`,
+    };
+  }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+const activityLogger = require('./activityLogger');
+
+// Clients that renew access tokens with the refresh token can run with a
+// short JWT_EXPIRES_IN (e.g. 15m)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// Authenticated requests update a session's lastSeenAt at most this often
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashesMatch(a, b) {
+  return (
+    a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+  );
+}
+
+/**
+ * IP address and user agent of a request, stored with the session
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+function getClientInfo(req) {
+  return {
+    ipAddress:
+      req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || null,
+    userAgent: req.headers['user-agent'] || null,
+  };
+}
+
+class SessionService {
+  /**
+   * Sign an access token for a session
+   * @param {Object} user - { id, email, role }
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  /**
+   * Refresh tokens are "<sessionId>.<secret>" so the session can be found
+   * even when an old, already rotated token is presented
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  createRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  toTokens(user, sessionId, refreshToken) {
+    return {
+      token: this.signAccessToken(user, sessionId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @param {Object} user - { id, email, role }
+   * @param {Object} req - Express request, for the IP address and user agent
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+   */
+  async createSession(user, req) {
+    const id = crypto.randomUUID();
+    const refreshToken = this.createRefreshToken(id);
+
+    await prisma.userSession.create({
+      data: {
+        id,
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        ...getClientInfo(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      },
+    });
+
+    return this.toTokens(user, id, refreshToken);
+  }
+
+  /**
+   * Find the session of a refresh token. A token that belongs to a session
+   * but is not its current one was already rotated: someone is replaying
+   * it, so the whole session is revoked.
+   * @param {string} refreshToken
+   * @returns {Promise<Object>} Session with its user
+   */
+  async findSessionByRefreshToken(refreshToken) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!UUID_PATTERN.test(sessionId)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const session = await prisma.userSession.findUnique({
+      where: { id: sessionId },
+      include: {
+        user: {
+          select: { id: true, email: true, role: true, isActive: true },
+        },
+      },
+    });
+
+    if (!session) {
+      throw new Error('Invalid refresh token');
+    }
+    if (session.revokedAt) {
+      throw new Error('Session has been revoked');
+    }
+    if (!hashesMatch(session.refreshTokenHash, hashToken(refreshToken))) {
+      await this.revokeReusedSession(session);
+      throw new Error('Refresh token reuse detected');
+    }
+    if (session.expiresAt <= new Date()) {
+      throw new Error('Session has expired');
+    }
+    if (!session.user.isActive) {
+      throw new Error('Invalid refresh token');
+    }
+
+    return session;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+   */
+  async refresh(refreshToken, req) {
+    const session = await this.findSessionByRefreshToken(refreshToken);
+    const nextRefreshToken = this.createRefreshToken(session.id);
+
+    // Only one of two concurrent refreshes with the same token can succeed
+    const { count } = await prisma.userSession.updateMany({
+      where: {
+        id: session.id,
+        refreshTokenHash: session.refreshTokenHash,
+        revokedAt: null,
+      },
+      data: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        ...getClientInfo(req),
+        lastSeenAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      },
+    });
+
+    if (count === 0) {
+      await this.revokeReusedSession(session);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    return this.toTokens(session.user, session.id, nextRefreshToken);
+  }
+
+  async revokeReusedSession(session) {
+    await this.revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    activityLogger.logActivity(
+      activityLogger.ActivityType.SUSPICIOUS_ACTIVITY,
+      {
+        alert: 'REFRESH_TOKEN_REUSE',
+        userId: session.userId,
+        sessionId: session.id,
+        message: 'A rotated refresh token was used again; session revoked',
+      }
+    );
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} sessionId
+   * @param {string} [reason] - SessionRevokeReason
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revokeSession(sessionId, reason = 'REVOKED') {
+    const { count } = await prisma.userSession.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Revoke one of a user's own sessions
+   * @param {string} userId
+   * @param {string} sessionId
+   */
+  async revokeUserSession(userId, sessionId) {
+    const { count } = await prisma.userSession.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: 'REVOKED' },
+    });
+    if (count === 0) {
+      throw new Error('Session not found');
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId
+   * @param {string} [reason] - SessionRevokeReason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllUserSessions(userId, reason = 'LOGOUT_ALL') {
+    const { count } = await prisma.userSession.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return count;
+  }
+
+  /**
+   * Active sessions (devices) of a user, most recently used first
+   * @param {string} userId
+   * @param {string|null} currentSessionId - Marked with current: true
+   * @returns {Promise<Array>}
+   */
+  async getActiveSessions(userId, currentSessionId = null) {
+    const sessions = await prisma.userSession.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: {
+        id: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+        lastSeenAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastSeenAt: 'desc' },
+    });
+
+    return sessions.map(session => ({
+      ...session,
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Whether the session of an access token is still active. Tokens issued
+   * before sessions existed have no `sid` and stay valid until they expire.
+   * @param {Object} payload - Verified access token payload
+   * @returns {Promise<boolean>}
+   */
+  async isAccessTokenActive(payload) {
+    if (!payload.sid) {
+      return true;
+    }
+
+    const session = await prisma.userSession.findUnique({
+      where: { id: payload.sid },
+      select: { userId: true, revokedAt: true, lastSeenAt: true },
+    });
+
+    if (!session || session.revokedAt || session.userId !== payload.userId) {
+      return false;
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      prisma.userSession
+        .update({
+          where: { id: payload.sid },
+          data: { lastSeenAt: new Date() },
+        })
+        .catch(error =>
+          console.error('Session last seen update error:', error.message)
+        );
+    }
+
+    return true;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,395 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const { prisma } = require('../config/database');
+
+// How long the browser waits for the authenticator, and how long the
+// server keeps the challenge around for it
+const CEREMONY_TIMEOUT_MS = 60 * 1000;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Errors that mean the passkey response was not accepted
+const VERIFICATION_ERRORS = [
+  'Invalid or expired challenge',
+  'Passkey not found',
+  'Passkey verification failed',
+];
+
+/**
+ * Relying party settings. WEBAUTHN_ORIGIN may list several origins
+ * separated by commas (e.g. web and mobile app).
+ * @returns {Object} { rpID, rpName, origins }
+ */
+function getRelyingParty() {
+  const origin =
+    process.env.WEBAUTHN_ORIGIN ||
+    process.env.FRONTEND_URL ||
+    'http://localhost:3000';
+
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || new URL(origin.split(',')[0]).hostname,
+    rpName: process.env.WEBAUTHN_RP_NAME || 'RentVerse',
+    origins: origin.split(',').map(value => value.trim()),
+  };
+}
+
+/**
+ * Challenge of a registration or authentication response, read from its
+ * clientDataJSON before the signature is checked
+ * @param {Object} response - RegistrationResponseJSON or AuthenticationResponseJSON
+ * @returns {string|null}
+ */
+function readChallenge(response) {
+  try {
+    const clientData = JSON.parse(
+      Buffer.from(response.response.clientDataJSON, 'base64url').toString(
+        'utf8'
+      )
+    );
+    return typeof clientData.challenge === 'string'
+      ? clientData.challenge
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+function toAuthenticatorCredential(credential) {
+  return {
+    id: credential.credentialId,
+    publicKey: new Uint8Array(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports,
+  };
+}
+
+const CREDENTIAL_SELECT = {
+  id: true,
+  name: true,
+  deviceType: true,
+  backedUp: true,
+  transports: true,
+  createdAt: true,
+  lastUsedAt: true,
+};
+
+/**
+ * WebAuthn passkeys: registration and authentication ceremonies and the
+ * credentials of each user
+ */
+class WebAuthnService {
+  async saveChallenge(challenge, type, userId = null) {
+    // Drop challenges of ceremonies that were never finished
+    await prisma.webAuthnChallenge.deleteMany({
+      where: { expiresAt: { lt: new Date() } },
+    });
+
+    await prisma.webAuthnChallenge.create({
+      data: {
+        challenge,
+        type,
+        userId,
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+      },
+    });
+  }
+
+  /**
+   * Use up the challenge a response was signed for. Each challenge is
+   * accepted once, and only for the user it was issued to.
+   * @param {Object} response
+   * @param {string} type - WebAuthnChallengeType
+   * @param {string|null} userId - null for passwordless login
+   * @returns {Promise<string>} The challenge
+   */
+  async consumeChallenge(response, type, userId) {
+    const challenge = readChallenge(response);
+
+    const { count } = challenge
+      ? await prisma.webAuthnChallenge.deleteMany({
+          where: {
+            challenge,
+            type,
+            userId,
+            expiresAt: { gt: new Date() },
+          },
+        })
+      : { count: 0 };
+
+    if (count === 0) {
+      throw new Error('Invalid or expired challenge');
+    }
+    return challenge;
+  }
+
+  /**
+   * Options for navigator.credentials.create() to add a passkey
+   * @param {Object} user - { id, email, name }
+   * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON
+   */
+  async createRegistrationOptions(user) {
+    const { rpID, rpName } = getRelyingParty();
+    const credentials = await prisma.webAuthnCredential.findMany({
+      where: { userId: user.id },
+      select: { credentialId: true, transports: true },
+    });
+
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: user.email,
+      userDisplayName: user.name || user.email,
+      userID: new Uint8Array(Buffer.from(user.id)),
+      timeout: CEREMONY_TIMEOUT_MS,
+      attestationType: 'none',
+      // Stops the same authenticator from being registered twice
+      excludeCredentials: credentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports,
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred',
+      },
+    });
+
+    await this.saveChallenge(options.challenge, 'REGISTRATION', user.id);
+    return options;
+  }
+
+  /**
+   * Verify the result of navigator.credentials.create() and store the passkey
+   * @param {string} userId
+   * @param {Object} response - RegistrationResponseJSON
+   * @param {string} [name] - Friendly name, e.g. "MacBook Touch ID"
+   * @returns {Promise<Object>} The stored credential
+   */
+  async verifyRegistration(userId, response, name) {
+    const challenge = await this.consumeChallenge(
+      response,
+      'REGISTRATION',
+      userId
+    );
+    const { rpID, origins } = getRelyingParty();
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: challenge,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        requireUserVerification: false,
+      });
+    } catch (error) {
+      console.warn('Passkey registration rejected:', error.message);
+      throw new Error('Passkey verification failed');
+    }
+
+    if (!verification.verified) {
+      throw new Error('Passkey verification failed');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } =
+      verification.registrationInfo;
+
+    const existing = await prisma.webAuthnCredential.findUnique({
+      where: { credentialId: credential.id },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new Error('Passkey already registered');
+    }
+
+    const count = await prisma.webAuthnCredential.count({ where: { userId } });
+
+    return await prisma.webAuthnCredential.create({
+      data: {
+        userId,
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        name: name?.trim() || `Passkey ${count + 1}`,
+      },
+      select: CREDENTIAL_SELECT,
+    });
+  }
+
+  /**
+   * Options for navigator.credentials.get(). Without a user, any
+   * discoverable passkey for this site can answer (passwordless login).
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Limit to this user's passkeys
+   * @param {boolean} [options.secondFactor] - Used after a password, so
+   *   user verification (PIN, biometrics) is not needed
+   * @returns {Promise<Object>} PublicKeyCredentialRequestOptionsJSON
+   */
+  async createAuthenticationOptions({
+    userId = null,
+    secondFactor = false,
+  } = {}) {
+    const { rpID } = getRelyingParty();
+    const credentials = userId
+      ? await prisma.webAuthnCredential.findMany({
+          where: { userId },
+          select: { credentialId: true, transports: true },
+        })
+      : [];
+
+    if (userId && credentials.length === 0) {
+      throw new Error('No passkeys registered');
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID,
+      timeout: CEREMONY_TIMEOUT_MS,
+      allowCredentials: credentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports,
+      })),
+      userVerification: secondFactor ? 'discouraged' : 'required',
+    });
+
+    // Passwordless login challenges are not tied to a user: the signature
+    // already proves who is signing in
+    await this.saveChallenge(
+      options.challenge,
+      'AUTHENTICATION',
+      secondFactor ? userId : null
+    );
+    return options;
+  }
+
+  /**
+   * Verify the result of navigator.credentials.get()
+   * @param {Object} response - AuthenticationResponseJSON
+   * @param {Object} [options]
+   * @param {string} [options.userId] - User the options were created for
+   * @param {boolean} [options.secondFactor] - See createAuthenticationOptions
+   * @returns {Promise<string>} Id of the user the passkey belongs to
+   */
+  async verifyAuthentication(
+    response,
+    { userId = null, secondFactor = false } = {}
+  ) {
+    const challenge = await this.consumeChallenge(
+      response,
+      'AUTHENTICATION',
+      secondFactor ? userId : null
+    );
+
+    const credential = await prisma.webAuthnCredential.findUnique({
+      where: { credentialId: String(response.id) },
+    });
+    if (!credential || (userId && credential.userId !== userId)) {
+      throw new Error('Passkey not found');
+    }
+
+    const { rpID, origins } = getRelyingParty();
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challenge,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        credential: toAuthenticatorCredential(credential),
+        requireUserVerification: !secondFactor,
+      });
+    } catch (error) {
+      console.warn('Passkey authentication rejected:', error.message);
+      throw new Error('Passkey verification failed');
+    }
+
+    if (!verification.verified) {
+      throw new Error('Passkey verification failed');
+    }
+
+    await prisma.webAuthnCredential.update({
+      where: { id: credential.id },
+      data: {
+        counter: verification.authenticationInfo.newCounter,
+        backedUp: verification.authenticationInfo.credentialBackedUp,
+        lastUsedAt: new Date(),
+      },
+    });
+
+    return credential.userId;
+  }
+
+  /**
+   * Passkeys of a user
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getUserCredentials(userId) {
+    return await prisma.webAuthnCredential.findMany({
+      where: { userId },
+      select: CREDENTIAL_SELECT,
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Rename one of a user's passkeys
+   * @param {string} userId
+   * @param {string} id
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  async renameCredential(userId, id, name) {
+    const { count } = await prisma.webAuthnCredential.updateMany({
+      where: { id, userId },
+      data: { name: name.trim() },
+    });
+    if (count === 0) {
+      throw new Error('Passkey not found');
+    }
+
+    return await prisma.webAuthnCredential.findUnique({
+      where: { id },
+      select: CREDENTIAL_SELECT,
+    });
+  }
+
+  /**
+   * Remove one of a user's passkeys. The last passkey cannot be removed
+   * while passkeys are the user's MFA method.
+   * @param {string} userId
+   * @param {string} id
+   */
+  async deleteCredential(userId, id) {
+    const [credential, user, count] = await Promise.all([
+      prisma.webAuthnCredential.findFirst({
+        where: { id, userId },
+        select: { id: true },
+      }),
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { mfaEnabled: true, mfaMethod: true },
+      }),
+      prisma.webAuthnCredential.count({ where: { userId } }),
+    ]);
+
+    if (!credential) {
+      throw new Error('Passkey not found');
+    }
+    if (user.mfaEnabled && user.mfaMethod === 'WEBAUTHN' && count === 1) {
+      throw new Error(
+        'Cannot remove the last passkey while it is your MFA method'
+      );
+    }
+
+    await prisma.webAuthnCredential.delete({ where: { id } });
+  }
+}
+
+module.exports = new WebAuthnService();
+module.exports.VERIFICATION_ERRORS = VERIFICATION_ERRORS;
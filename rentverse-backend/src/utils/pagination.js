@@ -0,0 +1,196 @@
+/**
+ * Utility functions for cursor pagination of list endpoints.
+ *
+ * List endpoints keep accepting `page`/`limit`. Passing `cursor` (empty for
+ * the first page) switches them to keyset pagination, which does not skip
+ * or repeat items when rows are inserted between requests, and to the
+ * shared envelope: { items, nextCursor, total? }.
+ */
+
+const MAX_CURSOR_LIMIT = 100;
+
+/**
+ * Read page, limit and cursor query parameters
+ * @param {Object} query - Request query
+ * @param {number} defaultLimit
+ * @returns {Object} { page, limit } or { cursor, limit, includeTotal }
+ */
+function parsePagination(query, defaultLimit = 10) {
+  const limit = parseInt(query.limit) || defaultLimit;
+
+  if (query.cursor === undefined) {
+    return { page: parseInt(query.page) || 1, limit };
+  }
+
+  return {
+    cursor: String(query.cursor),
+    limit: Math.min(Math.max(limit, 1), MAX_CURSOR_LIMIT),
+    includeTotal: query.includeTotal === 'true',
+  };
+}
+
+/**
+ * Whether a pagination object from parsePagination uses a cursor
+ * @param {Object} pagination
+ * @returns {boolean}
+ */
+function isCursorPagination(pagination = {}) {
+  return pagination.cursor !== undefined;
+}
+
+/**
+ * Encode the sort values of the last item of a page into an opaque cursor
+ * @param {string} key - Identifies the list and its sort order
+ * @param {Array} values - Sort values of the last item
+ * @returns {string}
+ */
+function encodeCursor(key, values) {
+  return Buffer.from(JSON.stringify([key, ...values])).toString('base64url');
+}
+
+/**
+ * Decode a cursor created by encodeCursor for the same list and sort order.
+ * Cursors come from the client, so values that are not plain strings,
+ * numbers or null, or that `isValid` rejects, are an invalid cursor rather
+ * than reaching a query.
+ * @param {string} cursor
+ * @param {string} key
+ * @param {Function} [isValid] - (values) => boolean, checks the value types
+ * @returns {Array|null} Sort values, or null for the first page
+ */
+function decodeCursor(cursor, key, isValid) {
+  if (!cursor) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!Array.isArray(decoded) || decoded[0] !== key) {
+    throw new Error('Invalid cursor');
+  }
+
+  const values = decoded.slice(1);
+  if (
+    !values.every(
+      value => value === null || ['string', 'number'].includes(typeof value)
+    ) ||
+    (isValid && !isValid(values))
+  ) {
+    throw new Error('Invalid cursor');
+  }
+  return values;
+}
+
+/**
+ * Identifier of a Prisma orderBy list, used as the cursor key
+ * @param {Array} orderBy - e.g. [{ createdAt: 'desc' }, { id: 'desc' }]
+ * @returns {string}
+ */
+function getOrderKey(orderBy) {
+  return orderBy.map(order => Object.entries(order)[0].join(':')).join(',');
+}
+
+/**
+ * Prisma where clause for the rows after a cursor. The last orderBy field
+ * must be unique (usually id).
+ * @param {Array} orderBy - e.g. [{ createdAt: 'desc' }, { id: 'desc' }]
+ * @param {Array} values - Sort values from the cursor
+ * @returns {Object}
+ */
+function buildCursorWhere(orderBy, values) {
+  const fields = orderBy.map(order => Object.entries(order)[0]);
+
+  return {
+    OR: fields.map(([field, direction], index) => {
+      const condition = {};
+      fields.slice(0, index).forEach(([previousField], previousIndex) => {
+        condition[previousField] = values[previousIndex];
+      });
+      condition[field] = {
+        [direction === 'desc' ? 'lt' : 'gt']: values[index],
+      };
+      return condition;
+    }),
+  };
+}
+
+/**
+ * Fetch one page of a Prisma list with keyset pagination
+ * @param {Object} options
+ * @param {Object} options.pagination - From parsePagination
+ * @param {Object} options.where - Prisma filters
+ * @param {Array} options.orderBy - Sort order ending with a unique field
+ * @param {Function} options.findMany - ({ where, orderBy, take }) => rows
+ * @param {Function} [options.count] - (where) => total, for includeTotal
+ * @returns {Promise<Object>} { items, nextCursor, total? }
+ */
+async function paginateByCursor({
+  pagination,
+  where,
+  orderBy,
+  findMany,
+  count,
+}) {
+  const key = getOrderKey(orderBy);
+  const values = decodeCursor(pagination.cursor, key);
+  const pageWhere = values
+    ? { AND: [where, buildCursorWhere(orderBy, values)] }
+    : where;
+
+  let rows;
+  let total;
+  try {
+    [rows, total] = await Promise.all([
+      findMany({ where: pageWhere, orderBy, take: pagination.limit + 1 }),
+      pagination.includeTotal && count ? count(where) : undefined,
+    ]);
+  } catch (error) {
+    // A value of the wrong type for its field (e.g. a non-date createdAt)
+    if (values && error.name === 'PrismaClientValidationError') {
+      throw new Error('Invalid cursor');
+    }
+    throw error;
+  }
+
+  const items = rows.slice(0, pagination.limit);
+  const last = items[items.length - 1];
+  const nextCursor =
+    rows.length > pagination.limit
+      ? encodeCursor(
+          key,
+          orderBy.map(order => last[Object.keys(order)[0]])
+        )
+      : null;
+
+  return createCursorEnvelope(items, nextCursor, total);
+}
+
+/**
+ * Shared list envelope for cursor pagination
+ * @param {Array} items
+ * @param {string|null} nextCursor - null on the last page
+ * @param {number} [total] - Only included when known
+ * @returns {Object} { items, nextCursor, total? }
+ */
+function createCursorEnvelope(items, nextCursor, total) {
+  const envelope = { items, nextCursor };
+  if (total !== undefined) {
+    envelope.total = total;
+  }
+  return envelope;
+}
+
+module.exports = {
+  parsePagination,
+  isCursorPagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorWhere,
+  paginateByCursor,
+  createCursorEnvelope,
+};
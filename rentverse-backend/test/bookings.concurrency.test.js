@@ -0,0 +1,130 @@
+/**
+ * Concurrent bookings for the same dates: exactly one request may succeed,
+ * every other one must get 409 Conflict.
+ *
+ * Runs against the database in TEST_DATABASE_URL (schema applied with
+ * `npx prisma db push`) and is skipped when it is not set:
+ *   TEST_DATABASE_URL=postgresql://... pnpm test
+ */
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { v4: uuidv4 } = require('uuid');
+
+const CONCURRENCY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe(
+  'concurrent bookings',
+  {
+    skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set',
+  },
+  () => {
+    let prisma;
+    let bookingsController;
+    let fixtures;
+    let helpers;
+
+    before(async () => {
+      // Must be set before the Prisma client is created
+      process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+      ({ prisma } = require('../src/config/database'));
+      bookingsController = require('../src/modules/bookings/bookings.controller');
+      helpers = require('../scripts/check-double-booking');
+
+      // Rendering and uploading the agreement PDF is not part of this test
+      const pdfGenerationService = require('../src/services/pdfGeneration.service');
+      mock.method(
+        pdfGenerationService,
+        'generateAndUploadRentalAgreementPDF',
+        async () => {
+          throw new Error('PDF generation is disabled in tests');
+        }
+      );
+
+      await helpers.applyConstraint();
+      fixtures = await helpers.createFixtures(`booking-test-${uuidv4()}`);
+    });
+
+    after(async () => {
+      mock.restoreAll();
+      if (fixtures) {
+        await helpers.removeFixtures(fixtures);
+      }
+      if (prisma) {
+        await prisma.$disconnect();
+      }
+    });
+
+    function createBooking(startDate, endDate) {
+      const req = {
+        body: {
+          propertyId: fixtures.property.id,
+          startDate: startDate.toISOString(),
+          endDate: endDate.toISOString(),
+          rentAmount: 1000,
+        },
+        user: { id: fixtures.tenant.id },
+      };
+
+      return new Promise((resolve, reject) => {
+        const res = {
+          status(code) {
+            this.statusCode = code;
+            return this;
+          },
+          json(body) {
+            resolve({ status: this.statusCode, body });
+          },
+        };
+        bookingsController.createBooking(req, res).catch(reject);
+      });
+    }
+
+    it('accepts exactly one of several overlapping bookings', async () => {
+      const start = new Date(Date.UTC(new Date().getUTCFullYear() + 1, 0, 1));
+      const end = new Date(start.getTime() + 29 * DAY_MS);
+
+      // Every window overlaps the others on at least the day `end`
+      const responses = await Promise.all(
+        Array.from({ length: CONCURRENCY }, (_, index) =>
+          createBooking(
+            new Date(start.getTime() + index * DAY_MS),
+            new Date(end.getTime() + index * DAY_MS)
+          )
+        )
+      );
+
+      const statuses = responses.map(response => response.status);
+      assert.strictEqual(
+        statuses.filter(status => status === 201).length,
+        1,
+        `statuses: ${statuses.join(', ')}`
+      );
+      assert.strictEqual(
+        statuses.filter(status => status === 409).length,
+        CONCURRENCY - 1,
+        `statuses: ${statuses.join(', ')}`
+      );
+
+      const leases = await prisma.lease.count({
+        where: { propertyId: fixtures.property.id },
+      });
+      assert.strictEqual(leases, 1);
+    });
+
+    it('still accepts a booking that starts after the booked one ends', async () => {
+      const booked = await prisma.lease.findFirst({
+        where: { propertyId: fixtures.property.id },
+      });
+      const start = new Date(booked.endDate.getTime() + DAY_MS);
+
+      const response = await createBooking(
+        start,
+        new Date(start.getTime() + 29 * DAY_MS)
+      );
+
+      assert.strictEqual(response.status, 201, response.body.message);
+    });
+  }
+);
@@ -0,0 +1,52 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { forwardRequest, createErrorResponse } from '@/utils/apiForwarder'
+
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json()
+
+    // Validate required fields
+    if (!body.token || !body.password) {
+      return NextResponse.json(
+        { success: false, message: 'Token and password are required' },
+        { status: 400 },
+      )
+    }
+
+    try {
+      // Forward to backend
+      const response = await forwardRequest('/api/auth/reset-password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token: body.token, password: body.password }),
+      })
+
+      // Check if response is actually JSON
+      const contentType = response.headers.get('content-type')
+      if (contentType?.includes('application/json')) {
+        const data = await response.json()
+        return NextResponse.json(data, { status: response.status })
+      } else {
+        // If backend doesn't return JSON, create a generic error response
+        return NextResponse.json(
+          { success: false, message: 'Invalid response from backend' },
+          { status: 502 }
+        )
+      }
+    } catch (backendError) {
+      console.error('Backend error during password reset:', backendError)
+      return NextResponse.json(
+        createErrorResponse('Backend service unavailable', backendError as Error, 503),
+        { status: 503 }
+      )
+    }
+  } catch (error) {
+    console.error('Error during password reset:', error)
+    return NextResponse.json(
+      createErrorResponse('Failed to reset password', error as Error),
+      { status: 500 },
+    )
+  }
+}
@@ -6,9 +6,9 @@ export async function POST(request: NextRequest) {
     const body = await request.json()
 
     // Validate required fields
-    if (!body.userId || !body.otp) {
+    if (!body.mfaToken || (!body.otp && !body.webauthnResponse)) {
       return NextResponse.json(
-        { success: false, message: 'User ID and OTP are required' },
+        { success: false, message: 'MFA token and OTP are required' },
         { status: 400 },
       )
     }
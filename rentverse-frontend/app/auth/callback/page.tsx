@@ -13,11 +13,11 @@ function AuthCallbackContent() {
 
   useEffect(() => {
     const handleAuthCallback = async () => {
-      const token = searchParams.get('token')
+      const code = searchParams.get('code')
       const provider = searchParams.get('provider')
 
-      if (!token) {
-        console.error('No token found in callback URL')
+      if (!code) {
+        console.error('No code found in callback URL')
         router.push('/auth?error=no_token')
         return
       }
@@ -29,6 +29,23 @@ function AuthCallbackContent() {
       }
 
       try {
+        // Exchange the one-time code for the session token
+        const response = await fetch('/api/auth/oauth/exchange', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ code }),
+        })
+        const result = await response.json()
+
+        if (!response.ok || !result.success) {
+          router.push('/auth?error=invalid_token')
+          return
+        }
+
+        const token = result.data.token
+
         // Store the token in localStorage and cookies
         localStorage.setItem('authToken', token)
         setCookie('authToken', token, 7) // 7 days expiry
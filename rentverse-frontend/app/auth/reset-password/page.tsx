@@ -0,0 +1,174 @@
+'use client'
+
+import React, { useState, Suspense } from 'react'
+import Link from 'next/link'
+import { useSearchParams } from 'next/navigation'
+import ContentWrapper from '@/components/ContentWrapper'
+import InputEmail from '@/components/InputEmail'
+import InputPassword from '@/components/InputPassword'
+import ButtonFilled from '@/components/ButtonFilled'
+import BoxError from '@/components/BoxError'
+
+function ResetPasswordContent() {
+  const searchParams = useSearchParams()
+  const token = searchParams.get('token')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [isDone, setIsDone] = useState(false)
+
+  // Without a token the page asks for the email to send a reset link to
+  const handleRequest = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      })
+      const result = await response.json()
+
+      if (!response.ok || !result.success) {
+        setError(result.message || 'Failed to request password reset')
+        return
+      }
+
+      setIsDone(true)
+    } catch (error) {
+      console.error('Error requesting password reset:', error)
+      setError('Failed to request password reset. Please try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, password }),
+      })
+      const result = await response.json()
+
+      if (!response.ok || !result.success) {
+        setError(result.message || 'Failed to reset password')
+        return
+      }
+
+      setIsDone(true)
+    } catch (error) {
+      console.error('Error resetting password:', error)
+      setError('Failed to reset password. Please try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-[60vh]">
+      <div className="bg-white rounded-3xl shadow-xl max-w-md w-full p-8">
+        <div className="text-center mb-6">
+          <h2 className="text-xl font-semibold text-slate-900 mb-2">
+            Reset Password
+          </h2>
+          <p className="text-sm text-slate-600">
+            {!token
+              ? isDone
+                ? 'If an account exists for this email, a password reset link has been sent.'
+                : 'Enter your email and we will send you a link to reset your password.'
+              : isDone
+                ? 'Your password has been changed and every session was signed out.'
+                : 'Choose a new password for your account.'}
+          </p>
+          <div className="w-full h-px bg-slate-200 mt-4"></div>
+        </div>
+
+        {error && (
+          <div className="mb-6">
+            <BoxError errorTitle={'Reset Failed'} errorDescription={error} />
+          </div>
+        )}
+
+        {!token ? (
+          !isDone && (
+            <form onSubmit={handleRequest} className="space-y-6">
+              <InputEmail
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+
+              <ButtonFilled
+                type="submit"
+                disabled={isLoading || !email}
+              >
+                {isLoading ? 'Sending...' : 'Send reset link'}
+              </ButtonFilled>
+            </form>
+          )
+        ) : isDone ? (
+          <Link href="/auth/login">
+            <ButtonFilled>Log in</ButtonFilled>
+          </Link>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <InputPassword
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="New password"
+              required
+            />
+            <InputPassword
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Confirm new password"
+              required
+              showStrengthIndicator={false}
+            />
+
+            <ButtonFilled
+              type="submit"
+              disabled={isLoading || password.length < 6}
+            >
+              {isLoading ? 'Saving...' : 'Set new password'}
+            </ButtonFilled>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <ContentWrapper>
+      <Suspense fallback={
+        <div className="min-h-[60vh] flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-teal-600"></div>
+        </div>
+      }>
+        <ResetPasswordContent />
+      </Suspense>
+    </ContentWrapper>
+  )
+}
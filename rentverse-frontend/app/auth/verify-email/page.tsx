@@ -0,0 +1,111 @@
+'use client'
+
+import { useEffect, useRef, useState, Suspense } from 'react'
+import Link from 'next/link'
+import { useSearchParams } from 'next/navigation'
+import ContentWrapper from '@/components/ContentWrapper'
+import ButtonFilled from '@/components/ButtonFilled'
+import BoxError from '@/components/BoxError'
+
+function VerifyEmailContent() {
+  const searchParams = useSearchParams()
+  const token = searchParams.get('token')
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>('verifying')
+  const [error, setError] = useState<string | null>(null)
+  // The token is single-use, so only send it once even if the effect re-runs
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (submitted.current) return
+    submitted.current = true
+
+    const verifyEmail = async () => {
+      if (!token) {
+        setError('This verification link is missing its token.')
+        setStatus('failed')
+        return
+      }
+
+      try {
+        const response = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token }),
+        })
+        const result = await response.json()
+
+        if (!response.ok || !result.success) {
+          setError(result.message || 'Failed to verify email')
+          setStatus('failed')
+          return
+        }
+
+        setStatus('verified')
+      } catch (error) {
+        console.error('Error verifying email:', error)
+        setError('Failed to verify email. Please try again.')
+        setStatus('failed')
+      }
+    }
+
+    verifyEmail()
+  }, [token])
+
+  if (status === 'verifying') {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="text-center space-y-4">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-teal-600 mx-auto"></div>
+          <h2 className="text-xl font-semibold text-slate-900">
+            Verifying your email...
+          </h2>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-[60vh]">
+      <div className="bg-white rounded-3xl shadow-xl max-w-md w-full p-8">
+        <div className="text-center mb-6">
+          <h2 className="text-xl font-semibold text-slate-900 mb-2">
+            Email Verification
+          </h2>
+          <div className="w-full h-px bg-slate-200 mt-4"></div>
+        </div>
+
+        {status === 'verified' ? (
+          <div className="space-y-6">
+            <p className="text-sm text-slate-600 text-center">
+              Your email address has been verified.
+            </p>
+            <Link href="/">
+              <ButtonFilled>Continue</ButtonFilled>
+            </Link>
+          </div>
+        ) : (
+          <BoxError
+            errorTitle={'Verification Failed'}
+            errorDescription={`${error} You can request a new link from your account.`}
+          />
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default function VerifyEmailPage() {
+  return (
+    <ContentWrapper>
+      <Suspense fallback={
+        <div className="min-h-[60vh] flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-teal-600"></div>
+        </div>
+      }>
+        <VerifyEmailContent />
+      </Suspense>
+    </ContentWrapper>
+  )
+}
@@ -12,11 +12,14 @@ const VerifyMfaPage = () => {
     otp,
     setOtp,
     submitOtp,
+    submitPasskey,
     isLoading,
     error,
     mfaRequired,
+    mfaMethod,
     isLoggedIn,
   } = useAuthStore()
+  const usesPasskey = mfaMethod === 'WEBAUTHN'
 
   // Restore MFA state from sessionStorage on mount
   useEffect(() => {
@@ -24,10 +27,20 @@ const VerifyMfaPage = () => {
       const storedMfaState = sessionStorage.getItem('mfaState')
       if (storedMfaState) {
         try {
-          const { mfaRequired: storedMfaRequired, userId } = JSON.parse(storedMfaState)
-          if (storedMfaRequired && userId) {
+          const {
+            mfaRequired: storedMfaRequired,
+            mfaToken,
+            mfaMethod: storedMfaMethod = null,
+            webauthnOptions = null,
+          } = JSON.parse(storedMfaState)
+          if (storedMfaRequired && mfaToken) {
             // Restore state to Zustand store
-            useAuthStore.setState({ mfaRequired: storedMfaRequired, userId })
+            useAuthStore.setState({
+              mfaRequired: storedMfaRequired,
+              mfaToken,
+              mfaMethod: storedMfaMethod,
+              webauthnOptions,
+            })
             return // Don't redirect, we have valid MFA state
           }
         } catch (e) {
@@ -68,7 +81,11 @@ const VerifyMfaPage = () => {
             Two-Factor Authentication
           </h2>
           <p className="text-sm text-slate-600">
-            A verification code has been sent to your email. Please enter the code below.
+            {usesPasskey
+              ? 'Confirm the login with one of your passkeys.'
+              : mfaMethod === 'TOTP'
+                ? 'Enter the code from your authenticator app or one of your backup codes.'
+                : 'A verification code has been sent to your email. Please enter the code below.'}
           </p>
           <div className="w-full h-px bg-slate-200 mt-4"></div>
         </div>
@@ -80,30 +97,39 @@ const VerifyMfaPage = () => {
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="otp" className="block text-sm font-medium text-slate-900 mb-3">
-                Verification Code
-              </label>
-              <input
-                id="otp"
-                name="otp"
-                type="text"
-                value={otp}
-                onChange={(e) => setOtp(e.target.value)}
-                placeholder="Enter 6-digit code"
-                required
-                className="block w-full px-4 py-3 bg-white border border-slate-300 rounded-lg shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              />
-            </div>
-
+          {usesPasskey ? (
             <ButtonFilled
-              type="submit"
-              disabled={isLoading || otp.length < 6}
+              onClick={() => submitPasskey()}
+              disabled={isLoading}
             >
-              {isLoading ? 'Verifying...' : 'Verify'}
+              {isLoading ? 'Verifying...' : 'Use passkey'}
             </ButtonFilled>
-          </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="otp" className="block text-sm font-medium text-slate-900 mb-3">
+                  Verification Code
+                </label>
+                <input
+                  id="otp"
+                  name="otp"
+                  type="text"
+                  value={otp}
+                  onChange={(e) => setOtp(e.target.value)}
+                  placeholder="Enter 6-digit code"
+                  required
+                  className="block w-full px-4 py-3 bg-white border border-slate-300 rounded-lg shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+
+              <ButtonFilled
+                type="submit"
+                disabled={isLoading || otp.length < 6}
+              >
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </ButtonFilled>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -82,7 +82,7 @@ function ModalLogIn({ isModal = true }: ModalLogInProps) {
           </ButtonFilled>
 
           <div className="text-center">
-            <Link href={'/'} className={'underline text-slate-700 text-sm hover:text-slate-900 transition-colors'}>
+            <Link href={'/auth/reset-password'} className={'underline text-slate-700 text-sm hover:text-slate-900 transition-colors'}>
               Forgot password?
             </Link>
           </div>
@@ -2,6 +2,7 @@ import { create } from 'zustand'
 import type { User, AuthState } from '@/types/auth'
 import { AuthApiClient } from '@/utils/authApiClient'
 import { setCookie, deleteCookie } from '@/utils/cookies'
+import { getPasskeyAssertion, type PasskeyAssertion } from '@/utils/webauthn'
 
 interface AuthActions {
   // Login functionality
@@ -37,6 +38,8 @@ interface AuthActions {
   // MFA functionality
   setOtp: (otp: string) => void
   submitOtp: () => Promise<void>
+  submitPasskey: () => Promise<void>
+  verifyMfa: (secondFactor: { otp?: string; webauthnResponse?: PasskeyAssertion }) => Promise<void>
 }
 
 interface AuthFormState {
@@ -59,7 +62,9 @@ const useAuthStore = create<AuthStore>((set, get) => ({
   isLoading: false,
   error: null,
   mfaRequired: false,
-  userId: null,
+  mfaToken: null,
+  mfaMethod: null,
+  webauthnOptions: null,
 
   // Form state
   password: '',
@@ -137,14 +142,15 @@ const useAuthStore = create<AuthStore>((set, get) => ({
         if (result.data.requiresMfa) {
           const mfaState = {
             mfaRequired: true,
-            userId: result.data.userId,
+            mfaToken: result.data.mfaToken,
+            mfaMethod: result.data.mfaMethod || null,
+            webauthnOptions: result.data.webauthnOptions || null,
           }
           // Persist MFA state to sessionStorage to survive page navigation
           sessionStorage.setItem('mfaState', JSON.stringify(mfaState))
 
           set({
-            mfaRequired: true,
-            userId: result.data.userId,
+            ...mfaState,
             password: '',
             error: null,
           })
@@ -212,13 +218,39 @@ const useAuthStore = create<AuthStore>((set, get) => ({
   },
 
   submitOtp: async () => {
-    const { userId, otp, setLoading, setError } = get()
+    const { mfaToken, otp, setError, verifyMfa } = get()
+
+    if (!mfaToken || !otp) {
+      setError('MFA token and OTP are required.')
+      return
+    }
 
-    if (!userId || !otp) {
-      setError('User ID and OTP are required.')
+    await verifyMfa({ otp })
+  },
+
+  submitPasskey: async () => {
+    const { mfaToken, webauthnOptions, setError, verifyMfa } = get()
+
+    if (!mfaToken || !webauthnOptions) {
+      setError('Your login has expired. Please log in again.')
       return
     }
 
+    let webauthnResponse: PasskeyAssertion
+    try {
+      webauthnResponse = await getPasskeyAssertion(webauthnOptions)
+    } catch (error) {
+      console.error('Passkey error:', error)
+      setError('Passkey verification was cancelled or failed. Please try again.')
+      return
+    }
+
+    await verifyMfa({ webauthnResponse })
+  },
+
+  verifyMfa: async (secondFactor) => {
+    const { mfaToken, setLoading, setError } = get()
+
     setLoading(true)
     setError(null)
 
@@ -228,7 +260,7 @@ const useAuthStore = create<AuthStore>((set, get) => ({
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ userId, otp }),
+        body: JSON.stringify({ mfaToken, ...secondFactor }),
       })
 
       const result = await response.json()
@@ -251,7 +283,9 @@ const useAuthStore = create<AuthStore>((set, get) => ({
           user,
           isLoggedIn: true,
           mfaRequired: false,
-          userId: null,
+          mfaToken: null,
+          mfaMethod: null,
+          webauthnOptions: null,
           otp: '',
           error: null,
         })
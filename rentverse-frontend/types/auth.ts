@@ -1,3 +1,5 @@
+import type { PasskeyRequestOptions } from '@/utils/webauthn'
+
 // Core user and authentication types
 export interface User {
   id: string
@@ -17,7 +19,10 @@ export interface AuthState {
   isLoading: boolean
   error: string | null
   mfaRequired: boolean
-  userId: string | null
+  mfaToken: string | null
+  mfaMethod: string | null
+  // Challenge to sign with a passkey when mfaMethod is WEBAUTHN
+  webauthnOptions: PasskeyRequestOptions | null
 }
 
 // Authentication form data types
@@ -0,0 +1,103 @@
+/**
+ * Utility functions for passkey (WebAuthn) ceremonies
+ */
+
+/**
+ * Options the backend returns for navigator.credentials.get(), with every
+ * binary value base64url encoded
+ */
+export interface PasskeyRequestOptions {
+  challenge: string
+  timeout?: number
+  rpId?: string
+  allowCredentials?: {
+    id: string
+    type: 'public-key'
+    transports?: AuthenticatorTransport[]
+  }[]
+  userVerification?: UserVerificationRequirement
+}
+
+/**
+ * Result of navigator.credentials.get() in the JSON form the backend verifies
+ */
+export interface PasskeyAssertion {
+  id: string
+  rawId: string
+  type: string
+  response: {
+    clientDataJSON: string
+    authenticatorData: string
+    signature: string
+    userHandle?: string
+  }
+  clientExtensionResults: AuthenticationExtensionsClientOutputs
+  authenticatorAttachment?: string
+}
+
+function fromBase64Url(value: string): ArrayBuffer {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=')
+  const binary = atob(padded)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes.buffer
+}
+
+function toBase64Url(buffer: ArrayBuffer): string {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte)
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Whether the browser can sign in with a passkey
+ */
+export function isPasskeySupported(): boolean {
+  return typeof window !== 'undefined' && !!window.PublicKeyCredential
+}
+
+/**
+ * Ask the browser to sign the challenge with one of the user's passkeys
+ */
+export async function getPasskeyAssertion(options: PasskeyRequestOptions): Promise<PasskeyAssertion> {
+  const credential = (await navigator.credentials.get({
+    publicKey: {
+      challenge: fromBase64Url(options.challenge),
+      timeout: options.timeout,
+      rpId: options.rpId,
+      allowCredentials: options.allowCredentials?.map((allowed) => ({
+        id: fromBase64Url(allowed.id),
+        type: allowed.type,
+        transports: allowed.transports,
+      })),
+      userVerification: options.userVerification,
+    },
+  })) as PublicKeyCredential | null
+
+  if (!credential) {
+    throw new Error('No passkey was selected')
+  }
+
+  const response = credential.response as AuthenticatorAssertionResponse
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      authenticatorData: toBase64Url(response.authenticatorData),
+      signature: toBase64Url(response.signature),
+      ...(response.userHandle && { userHandle: toBase64Url(response.userHandle) }),
+    },
+    clientExtensionResults: credential.getClientExtensionResults(),
+    ...(credential.authenticatorAttachment && {
+      authenticatorAttachment: credential.authenticatorAttachment,
+    }),
+  }
+}